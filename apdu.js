@@ -0,0 +1,129 @@
+/**
+ * ISO/IEC 7816-4 APDUs
+ *
+ * Command and response APDUs exchanged with a passport chip, shared by the
+ * terminal side (ChipSession) and the virtual chip.
+ *
+ * Features:
+ * - Short command APDUs (cases 1-4) encoding and parsing
+ * - Response parsing into data and status word
+ * - Instruction bytes and status words used by the eMRTD protocols
+ * - APDUError carrying the status word of a failed command
+ */
+
+const INS = {
+  MSE: 0x22,
+  EXTERNAL_AUTHENTICATE: 0x82,
+  GET_CHALLENGE: 0x84,
+  GENERAL_AUTHENTICATE: 0x86,
+  INTERNAL_AUTHENTICATE: 0x88,
+  SELECT: 0xa4,
+  READ_BINARY: 0xb0,
+  READ_BINARY_ODD: 0xb1
+};
+
+const SW = {
+  SUCCESS: 0x9000,
+  AUTHENTICATION_FAILED: 0x6300,
+  WRONG_LENGTH: 0x6700,
+  SECURITY_STATUS_NOT_SATISFIED: 0x6982,
+  CONDITIONS_NOT_SATISFIED: 0x6985,
+  SM_DATA_MISSING: 0x6987,
+  SM_DATA_INCORRECT: 0x6988,
+  WRONG_DATA: 0x6a80,
+  FILE_NOT_FOUND: 0x6a82,
+  INCORRECT_P1_P2: 0x6a86,
+  REFERENCE_NOT_FOUND: 0x6a88,
+  WRONG_P1_P2: 0x6b00,
+  INS_NOT_SUPPORTED: 0x6d00,
+  CLA_NOT_SUPPORTED: 0x6e00
+};
+
+const SW_MESSAGES = {
+  [SW.AUTHENTICATION_FAILED]: 'authentication failed',
+  [SW.WRONG_LENGTH]: 'wrong length',
+  [SW.SECURITY_STATUS_NOT_SATISFIED]: 'security status not satisfied',
+  [SW.CONDITIONS_NOT_SATISFIED]: 'conditions of use not satisfied',
+  [SW.SM_DATA_MISSING]: 'expected secure messaging data objects missing',
+  [SW.SM_DATA_INCORRECT]: 'incorrect secure messaging data objects',
+  [SW.WRONG_DATA]: 'incorrect data',
+  [SW.FILE_NOT_FOUND]: 'file not found',
+  [SW.INCORRECT_P1_P2]: 'incorrect P1 P2',
+  [SW.REFERENCE_NOT_FOUND]: 'referenced data not found',
+  [SW.WRONG_P1_P2]: 'offset outside the file',
+  [SW.INS_NOT_SUPPORTED]: 'instruction not supported',
+  [SW.CLA_NOT_SUPPORTED]: 'class not supported'
+};
+
+const formatSW = sw => sw.toString(16).toUpperCase().padStart(4, '0');
+
+class APDUError extends Error {
+  constructor(sw, context) {
+    super(`${context ? `${context}: ` : ''}${SW_MESSAGES[sw] || 'command failed'} (SW ${formatSW(sw)})`);
+    this.name = 'APDUError';
+    this.sw = sw;
+  }
+}
+
+/**
+ * Encode a short command APDU. `le` is the expected response length
+ * (1-256, 256 encoded as 00); leave it out when no data is expected.
+ */
+function encodeCommand({ cla = 0x00, ins, p1 = 0x00, p2 = 0x00, data, le }) {
+  const body = data && data.length > 0 ? Buffer.from(data) : null;
+  if (body && body.length > 255) {
+    throw new Error(`Command data of ${body.length} bytes needs an extended APDU`);
+  }
+  return Buffer.concat([
+    Buffer.from([cla, ins, p1, p2]),
+    ...(body ? [Buffer.from([body.length]), body] : []),
+    ...(le !== undefined ? [Buffer.from([le & 0xff])] : [])
+  ]);
+}
+
+function parseCommand(bytes) {
+  if (bytes.length < 4) {
+    throw new Error('Command APDU is shorter than its header');
+  }
+  const [cla, ins, p1, p2] = bytes;
+  const command = { cla, ins, p1, p2, data: Buffer.alloc(0) };
+  const body = bytes.subarray(4);
+  if (body.length === 1) {
+    command.le = body[0] || 256;
+  } else if (body.length > 1) {
+    const lc = body[0];
+    if (body.length !== 1 + lc && body.length !== 2 + lc) {
+      throw new Error('Command APDU length does not match Lc');
+    }
+    command.data = Buffer.from(body.subarray(1, 1 + lc));
+    if (body.length === 2 + lc) {
+      command.le = body[1 + lc] || 256;
+    }
+  }
+  return command;
+}
+
+function encodeResponse(data, sw) {
+  return Buffer.concat([Buffer.from(data || []), Buffer.from([sw >> 8, sw & 0xff])]);
+}
+
+function parseResponse(bytes) {
+  if (bytes.length < 2) {
+    throw new Error('Response APDU has no status word');
+  }
+  return {
+    data: Buffer.from(bytes.subarray(0, bytes.length - 2)),
+    sw: bytes.readUInt16BE(bytes.length - 2)
+  };
+}
+
+export {
+  INS,
+  SW,
+  APDUError,
+  formatSW,
+  encodeCommand,
+  parseCommand,
+  encodeResponse,
+  parseResponse
+};
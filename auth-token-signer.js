@@ -0,0 +1,138 @@
+/**
+ * Signed Authentication Tokens
+ *
+ * Issues ES256 JWTs for authenticated passport holders and publishes the
+ * verification keys as a JWKS, so relying websites can validate tokens
+ * offline. Signing keys rotate on a schedule; retired keys stay in the JWKS
+ * until every token they signed has expired. /auth tokens, OIDC ID tokens and
+ * access tokens share the keys but each carry their own JWT typ header.
+ */
+
+import crypto from 'crypto';
+import { generateKeyPair, exportJWK, SignJWT, jwtVerify, createLocalJWKSet } from 'jose';
+
+const ALGORITHM = 'ES256';
+const DEFAULT_TOKEN_TTL_SECONDS = 24 * 60 * 60; // 24 hours
+const DEFAULT_ROTATION_INTERVAL_SECONDS = 7 * 24 * 60 * 60; // 7 days
+
+// JWT typ header of each token kind: they share keys and issuer, so the typ
+// keeps one kind from being accepted as another (RFC 8725 3.11)
+const TOKEN_TYPES = {
+  AUTH: 'passport-auth+jwt', // /auth callback tokens for websites
+  ID: 'JWT', // OIDC ID tokens; OIDC Core defines no typ and clients expect JWT
+  ACCESS: 'at+jwt' // OIDC access tokens (RFC 9068)
+};
+
+class AuthTokenSigner {
+  constructor({ issuer, tokenTtlSeconds, rotationIntervalSeconds } = {}) {
+    if (!issuer) {
+      throw new Error('Token issuer is required');
+    }
+    this.issuer = issuer;
+    this.tokenTtlSeconds = tokenTtlSeconds || DEFAULT_TOKEN_TTL_SECONDS;
+    this.rotationIntervalSeconds = rotationIntervalSeconds || DEFAULT_ROTATION_INTERVAL_SECONDS;
+    this.keys = []; // newest first: { kid, privateKey, publicJwk, createdAt, retiredAt }
+  }
+
+  async rotate() {
+    const { publicKey, privateKey } = await generateKeyPair(ALGORITHM, { extractable: true });
+    const publicJwk = await exportJWK(publicKey);
+    const now = Date.now();
+
+    const kid = crypto.randomUUID();
+    publicJwk.kid = kid;
+    publicJwk.alg = ALGORITHM;
+    publicJwk.use = 'sig';
+
+    if (this.keys[0]) {
+      this.keys[0].retiredAt = now;
+    }
+    this.keys.unshift({ kid, privateKey, publicJwk, createdAt: now, retiredAt: null });
+    this.pruneRetiredKeys(now);
+
+    console.log(`🔑 Auth token signing key rotated: ${kid}`);
+    return kid;
+  }
+
+  pruneRetiredKeys(now = Date.now()) {
+    // A retired key is only needed while tokens it signed can still be valid
+    const retentionMs = this.tokenTtlSeconds * 1000;
+    this.keys = this.keys.filter(key => !key.retiredAt || now - key.retiredAt < retentionMs);
+  }
+
+  async getSigningKey() {
+    const current = this.keys[0];
+    if (!current || Date.now() - current.createdAt >= this.rotationIntervalSeconds * 1000) {
+      await this.rotate();
+    }
+    return this.keys[0];
+  }
+
+  async getJWKS() {
+    await this.getSigningKey();
+    this.pruneRetiredKeys();
+    return { keys: this.keys.map(key => key.publicJwk) };
+  }
+
+  /**
+   * Sign an authentication token.
+   *
+   * @param {object} claims - additional (verified) claims
+   * @param {object} options
+   * @param {string} options.subject - web ID of the authenticated user
+   * @param {string} options.audience - website the token is bound to
+   * @param {string} options.type - one of TOKEN_TYPES
+   * @param {number} [options.expiresIn] - lifetime in seconds (defaults to the token TTL)
+   * @returns {Promise<{ token: string, expiresAt: number, jti: string }>}
+   */
+  async sign(claims, { subject, audience, type, expiresIn }) {
+    if (!subject || !audience) {
+      throw new Error('Token subject and audience are required');
+    }
+    if (!Object.values(TOKEN_TYPES).includes(type)) {
+      throw new Error(`Unknown token type: ${type}`);
+    }
+
+    const key = await this.getSigningKey();
+    const jti = crypto.randomUUID();
+    const issuedAt = Math.floor(Date.now() / 1000);
+    const expiresAt = issuedAt + Math.min(expiresIn || this.tokenTtlSeconds, this.tokenTtlSeconds);
+
+    const token = await new SignJWT(claims)
+      .setProtectedHeader({ alg: ALGORITHM, kid: key.kid, typ: type })
+      .setIssuer(this.issuer)
+      .setSubject(subject)
+      .setAudience(audience)
+      .setIssuedAt(issuedAt)
+      .setExpirationTime(expiresAt)
+      .setJti(jti)
+      .sign(key.privateKey);
+
+    return { token, expiresAt, jti };
+  }
+
+  /**
+   * Verify a token of the given type; tokens of another type are rejected.
+   *
+   * @param {string} token
+   * @param {object} options
+   * @param {string} options.type - one of TOKEN_TYPES
+   * @param {string} [options.audience]
+   * @returns {Promise<object>} the token claims
+   */
+  async verify(token, { type, audience } = {}) {
+    if (!Object.values(TOKEN_TYPES).includes(type)) {
+      throw new Error(`Unknown token type: ${type}`);
+    }
+    const jwks = createLocalJWKSet(await this.getJWKS());
+    const { payload } = await jwtVerify(token, jwks, {
+      issuer: this.issuer,
+      algorithms: [ALGORITHM],
+      typ: type,
+      ...(audience && { audience })
+    });
+    return payload;
+  }
+}
+
+export { AuthTokenSigner, TOKEN_TYPES };
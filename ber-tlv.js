@@ -0,0 +1,202 @@
+/**
+ * BER-TLV Encoding
+ *
+ * Tag-length-value structures as used by the eMRTD chip: the LDS files
+ * (ICAO 9303 Part 10) and the DER-encoded CMS / X.509 structures inside
+ * EF.SOD.
+ *
+ * Features:
+ * - Multi-byte tags (e.g. 5F1F) and short / long form lengths
+ * - Decoding to nodes that keep their raw bytes, for hashing and signature checks
+ * - Encoding of primitive and constructed TLVs
+ * - DER OBJECT IDENTIFIER and INTEGER helpers
+ */
+
+const ASN1 = {
+  INTEGER: 0x02,
+  BIT_STRING: 0x03,
+  OCTET_STRING: 0x04,
+  NULL: 0x05,
+  OID: 0x06,
+  UTF8_STRING: 0x0c,
+  PRINTABLE_STRING: 0x13,
+  UTC_TIME: 0x17,
+  GENERALIZED_TIME: 0x18,
+  SEQUENCE: 0x30,
+  SET: 0x31
+};
+
+/**
+ * Decode one TLV starting at `offset`.
+ *
+ * @returns {{ tag: number, constructed: boolean, length: number, value: Buffer, raw: Buffer, end: number }}
+ */
+function decodeTLV(buffer, offset = 0) {
+  const bytes = Buffer.from(buffer);
+  let position = offset;
+  const byte = () => {
+    if (position >= bytes.length) {
+      throw new Error(`Truncated TLV at offset ${offset}`);
+    }
+    return bytes[position++];
+  };
+
+  const first = byte();
+  let tag = first;
+  if ((first & 0x1f) === 0x1f) {
+    // Subsequent tag bytes have bit 8 set while more follow
+    let next;
+    do {
+      next = byte();
+      tag = tag * 0x100 + next;
+    } while (next & 0x80);
+  }
+
+  let length = byte();
+  if (length === 0x80) {
+    throw new Error('Indefinite length TLVs are not supported');
+  }
+  if (length & 0x80) {
+    const count = length & 0x7f;
+    if (count > 4) {
+      throw new Error(`TLV length of ${count} bytes is not supported`);
+    }
+    length = 0;
+    for (let i = 0; i < count; i++) {
+      length = length * 0x100 + byte();
+    }
+  }
+
+  const end = position + length;
+  if (end > bytes.length) {
+    throw new Error(`TLV ${tag.toString(16).toUpperCase()} at offset ${offset} overruns its buffer`);
+  }
+
+  return {
+    tag,
+    constructed: (first & 0x20) !== 0,
+    length,
+    value: bytes.subarray(position, end),
+    raw: bytes.subarray(offset, end),
+    end
+  };
+}
+
+/**
+ * Decode consecutive TLVs filling the whole buffer.
+ */
+function decodeTLVList(buffer) {
+  const nodes = [];
+  let offset = 0;
+  while (offset < buffer.length) {
+    // Padding between TLVs (00 or FF) is allowed by ISO 7816-4
+    if (buffer[offset] === 0x00 || buffer[offset] === 0xff) {
+      offset++;
+      continue;
+    }
+    const node = decodeTLV(buffer, offset);
+    nodes.push(node);
+    offset = node.end;
+  }
+  return nodes;
+}
+
+/**
+ * Children of a constructed TLV.
+ */
+function children(node) {
+  if (!node.constructed) {
+    throw new Error(`TLV ${node.tag.toString(16).toUpperCase()} is not constructed`);
+  }
+  return decodeTLVList(node.value);
+}
+
+function findTag(nodes, tag) {
+  return nodes.find(node => node.tag === tag) || null;
+}
+
+function encodeLength(length) {
+  if (length < 0x80) {
+    return Buffer.from([length]);
+  }
+  const bytes = [];
+  for (let remaining = length; remaining > 0; remaining = Math.floor(remaining / 0x100)) {
+    bytes.unshift(remaining & 0xff);
+  }
+  return Buffer.from([0x80 | bytes.length, ...bytes]);
+}
+
+function encodeTag(tag) {
+  const bytes = [];
+  for (let remaining = tag; remaining > 0; remaining = Math.floor(remaining / 0x100)) {
+    bytes.unshift(remaining & 0xff);
+  }
+  return Buffer.from(bytes.length > 0 ? bytes : [0]);
+}
+
+/**
+ * Encode a TLV. A value given as an array is the concatenation of already
+ * encoded children.
+ */
+function encodeTLV(tag, value = Buffer.alloc(0)) {
+  const content = Array.isArray(value) ? Buffer.concat(value) : Buffer.from(value);
+  return Buffer.concat([encodeTag(tag), encodeLength(content.length), content]);
+}
+
+function decodeOID(value) {
+  const arcs = [];
+  let arc = 0;
+  for (const byte of value) {
+    arc = arc * 0x80 + (byte & 0x7f);
+    if (!(byte & 0x80)) {
+      arcs.push(arc);
+      arc = 0;
+    }
+  }
+  const first = Math.min(Math.floor(arcs[0] / 40), 2);
+  return [first, arcs[0] - first * 40, ...arcs.slice(1)].join('.');
+}
+
+function encodeOID(oid) {
+  const [first, second, ...rest] = oid.split('.').map(Number);
+  const bytes = [];
+  for (const arc of [first * 40 + second, ...rest]) {
+    const group = [arc & 0x7f];
+    for (let remaining = Math.floor(arc / 0x80); remaining > 0; remaining = Math.floor(remaining / 0x80)) {
+      group.unshift(0x80 | (remaining & 0x7f));
+    }
+    bytes.push(...group);
+  }
+  return encodeTLV(ASN1.OID, Buffer.from(bytes));
+}
+
+function decodeInteger(value) {
+  // Small non-negative integers only (versions, data group numbers)
+  return value.reduce((result, byte) => result * 0x100 + byte, 0);
+}
+
+function encodeInteger(number) {
+  const bytes = [];
+  for (let remaining = number; remaining > 0; remaining = Math.floor(remaining / 0x100)) {
+    bytes.unshift(remaining & 0xff);
+  }
+  if (bytes.length === 0 || bytes[0] & 0x80) {
+    bytes.unshift(0);
+  }
+  return encodeTLV(ASN1.INTEGER, Buffer.from(bytes));
+}
+
+export {
+  ASN1,
+  decodeTLV,
+  decodeTLVList,
+  children,
+  findTag,
+  encodeTLV,
+  encodeLength,
+  encodeTag,
+  decodeOID,
+  encodeOID,
+  decodeInteger,
+  encodeInteger
+};
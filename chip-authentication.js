@@ -0,0 +1,290 @@
+/**
+ * Active Authentication and Chip Authentication
+ *
+ * Clone detection for eMRTD chips (ICAO Doc 9303 Part 11, §6.1 and §6.2).
+ * Passive authentication proves the data was signed by the issuing state,
+ * but data can be copied to another chip; these protocols prove the chip
+ * holds a private key that cannot be read out of it.
+ *
+ * Features:
+ * - Active Authentication: the DG15 key signs a random challenge (RSA with
+ *   ISO/IEC 9796-2 scheme 1, or ECDSA with the algorithm from DG14)
+ * - Chip Authentication: ECDH / DH key agreement with the DG14 key; the chip
+ *   is authenticated implicitly by reading data under the derived session keys
+ * - Challenge signing for simulated chips
+ *
+ * The protocols run against a chip session object (see ChipSession below)
+ * so they work the same over a reader transport or a simulated chip.
+ */
+
+import crypto from 'crypto';
+import { parseDG14, parseDG15 } from './lds.js';
+import {
+  KDF_COUNTERS,
+  deriveKey,
+  keyAgreementParameters,
+  createKeyAgreement,
+  toBigInt,
+  toBuffer
+} from './emrtd-crypto.js';
+
+/**
+ * @typedef {object} ChipSession
+ * An open session with a chip after BAC or PACE.
+ * @property {(challenge: Buffer) => Promise<Buffer>} internalAuthenticate - INTERNAL AUTHENTICATE, returns the signature
+ * @property {(request: { protocol: string, keyId?: number, publicKey: Buffer }) => Promise<void>} chipAuthenticate -
+ *   sends the terminal's ephemeral public key (MSE:Set KAT, or MSE:Set AT + GENERAL AUTHENTICATE)
+ * @property {(keys: { cipher: string, encryptionKey: Buffer, macKey: Buffer }) => Promise<void>} restartSecureMessaging -
+ *   switches the terminal side of secure messaging to new session keys
+ * @property {(number: number) => Promise<Buffer>} readDataGroup - READ BINARY of a data group
+ */
+
+const PROTOCOL_STATUSES = {
+  SUCCEEDED: 'succeeded',
+  FAILED: 'failed',
+  NOT_SUPPORTED: 'not_supported'
+};
+
+const AA_CHALLENGE_LENGTH = 8;
+
+// id-CA-DH-* and id-CA-ECDH-* (0.4.0.127.0.7.2.2.3.x.y) -> key agreement and session key cipher
+const CHIP_AUTHENTICATION_PROTOCOLS = {
+  '0.4.0.127.0.7.2.2.3.1.1': { agreement: 'dh', cipher: '3DES', name: 'CA-DH-3DES-CBC-CBC' },
+  '0.4.0.127.0.7.2.2.3.1.2': { agreement: 'dh', cipher: 'AES-128', name: 'CA-DH-AES-CBC-CMAC-128' },
+  '0.4.0.127.0.7.2.2.3.1.3': { agreement: 'dh', cipher: 'AES-192', name: 'CA-DH-AES-CBC-CMAC-192' },
+  '0.4.0.127.0.7.2.2.3.1.4': { agreement: 'dh', cipher: 'AES-256', name: 'CA-DH-AES-CBC-CMAC-256' },
+  '0.4.0.127.0.7.2.2.3.2.1': { agreement: 'ec', cipher: '3DES', name: 'CA-ECDH-3DES-CBC-CBC' },
+  '0.4.0.127.0.7.2.2.3.2.2': { agreement: 'ec', cipher: 'AES-128', name: 'CA-ECDH-AES-CBC-CMAC-128' },
+  '0.4.0.127.0.7.2.2.3.2.3': { agreement: 'ec', cipher: 'AES-192', name: 'CA-ECDH-AES-CBC-CMAC-192' },
+  '0.4.0.127.0.7.2.2.3.2.4': { agreement: 'ec', cipher: 'AES-256', name: 'CA-ECDH-AES-CBC-CMAC-256' }
+};
+
+// id-PK-DH / id-PK-ECDH
+const CHIP_AUTHENTICATION_KEY_PROTOCOLS = {
+  dh: '0.4.0.127.0.7.2.2.1.1',
+  ec: '0.4.0.127.0.7.2.2.1.2'
+};
+
+// BSI TR-03111 ecdsa-plain-signatures, used by ECDSA Active Authentication
+const ECDSA_PLAIN_SIGNATURES = {
+  '0.4.0.127.0.7.1.1.4.1.1': 'sha1',
+  '0.4.0.127.0.7.1.1.4.1.2': 'sha224',
+  '0.4.0.127.0.7.1.1.4.1.3': 'sha256',
+  '0.4.0.127.0.7.1.1.4.1.4': 'sha384',
+  '0.4.0.127.0.7.1.1.4.1.5': 'sha512'
+};
+
+// ISO/IEC 10118-3 hash identifiers in the ISO/IEC 9796-2 trailer (xx CC); 'BC' alone means SHA-1
+const ISO9796_HASH_IDS = { 0x33: 'sha1', 0x34: 'sha256', 0x35: 'sha512', 0x36: 'sha384', 0x38: 'sha224' };
+
+/**
+ * Verify an RSA Active Authentication signature: recover the ISO/IEC 9796-2
+ * scheme 1 message representative and check H(M1 || challenge).
+ */
+function verifyISO9796Signature(publicKey, challenge, signature) {
+  const modulus = Buffer.from(publicKey.export({ format: 'jwk' }).n, 'base64url');
+  if (signature.length !== modulus.length) {
+    throw new Error(`signature is ${signature.length} bytes, expected ${modulus.length}`);
+  }
+  let representative = crypto.publicDecrypt({ key: publicKey, padding: crypto.constants.RSA_NO_PADDING }, signature);
+  // The signer may return n - s instead of s; only one of them ends in the 0xC trailer nibble
+  if ((representative[representative.length - 1] & 0x0f) !== 0x0c) {
+    representative = toBuffer(toBigInt(modulus) - toBigInt(representative), modulus.length);
+  }
+
+  if ((representative[0] & 0xc0) !== 0x40) {
+    throw new Error('message representative has an invalid header');
+  }
+  if (!(representative[0] & 0x20)) {
+    throw new Error('message representative does not use partial message recovery');
+  }
+
+  const last = representative[representative.length - 1];
+  let digest;
+  let trailerLength;
+  if (last === 0xbc) {
+    digest = 'sha1';
+    trailerLength = 1;
+  } else if (last === 0xcc) {
+    digest = ISO9796_HASH_IDS[representative[representative.length - 2]];
+    trailerLength = 2;
+  }
+  if (!digest) {
+    throw new Error('message representative has an unsupported trailer');
+  }
+
+  const hashLength = crypto.createHash(digest).digest().length;
+  const hashStart = representative.length - trailerLength - hashLength;
+  const recovered = representative.subarray(1, hashStart);
+  const expected = crypto.createHash(digest).update(Buffer.concat([recovered, challenge])).digest();
+  return expected.equals(representative.subarray(hashStart, hashStart + hashLength));
+}
+
+/**
+ * Verify the chip's answer to an Active Authentication challenge.
+ *
+ * @param {crypto.KeyObject} publicKey - DG15 key
+ * @param {Buffer} challenge
+ * @param {Buffer} signature - INTERNAL AUTHENTICATE response
+ * @param {string} [signatureAlgorithm] - DG14 ActiveAuthenticationInfo OID (required for ECDSA)
+ */
+function verifyActiveAuthenticationSignature(publicKey, challenge, signature, signatureAlgorithm) {
+  if (publicKey.asymmetricKeyType === 'rsa') {
+    return verifyISO9796Signature(publicKey, challenge, signature);
+  }
+  if (publicKey.asymmetricKeyType === 'ec') {
+    const digest = ECDSA_PLAIN_SIGNATURES[signatureAlgorithm];
+    if (!digest) {
+      throw new Error(`unsupported ECDSA Active Authentication algorithm ${signatureAlgorithm || '(none in DG14)'}`);
+    }
+    // Chips return plain r || s; accept DER from those that do not
+    const dsaEncoding = signature[0] === 0x30 && signature[1] === signature.length - 2 ? 'der' : 'ieee-p1363';
+    return crypto.verify(digest, challenge, { key: publicKey, dsaEncoding }, signature);
+  }
+  throw new Error(`unsupported Active Authentication key type ${publicKey.asymmetricKeyType}`);
+}
+
+/**
+ * Sign an Active Authentication challenge the way a chip does. Used by
+ * simulated chips; real chips never reveal their key.
+ *
+ * @param {crypto.KeyObject} privateKey - RSA or EC private key
+ * @param {Buffer} challenge
+ * @param {object} [options]
+ * @param {string} [options.digest] - sha1 (default for RSA) or the digest of the DG14 ECDSA algorithm (default sha256)
+ */
+function signActiveAuthenticationChallenge(privateKey, challenge, { digest } = {}) {
+  if (privateKey.asymmetricKeyType === 'ec') {
+    return crypto.sign(digest || 'sha256', challenge, { key: privateKey, dsaEncoding: 'ieee-p1363' });
+  }
+
+  const hash = digest || 'sha1';
+  const modulusLength = Buffer.from(privateKey.export({ format: 'jwk' }).n, 'base64url').length;
+  const trailer = hash === 'sha1'
+    ? Buffer.from([0xbc])
+    : Buffer.from([Number(Object.keys(ISO9796_HASH_IDS).find(id => ISO9796_HASH_IDS[id] === hash)), 0xcc]);
+  const hashLength = crypto.createHash(hash).digest().length;
+  const recoverable = crypto.randomBytes(modulusLength - 1 - hashLength - trailer.length);
+  const representative = Buffer.concat([
+    Buffer.from([0x6a]), // partial recovery, no padding
+    recoverable,
+    crypto.createHash(hash).update(Buffer.concat([recoverable, challenge])).digest(),
+    trailer
+  ]);
+  return crypto.privateEncrypt({ key: privateKey, padding: crypto.constants.RSA_NO_PADDING }, representative);
+}
+
+/**
+ * Run Active Authentication. Never throws: failures are part of the result.
+ *
+ * @param {ChipSession} chip
+ * @param {object} files
+ * @param {Buffer} [files.dg15] - raw DG15; without it the chip does not support AA
+ * @param {Buffer} [files.dg14] - raw DG14, for the ECDSA signature algorithm
+ * @returns {Promise<{ status: string, keyType?: string, error?: string }>}
+ */
+async function performActiveAuthentication(chip, { dg15, dg14 } = {}) {
+  if (!dg15) {
+    return { status: PROTOCOL_STATUSES.NOT_SUPPORTED };
+  }
+
+  let keyType;
+  try {
+    const { publicKey } = parseDG15(dg15);
+    keyType = publicKey.asymmetricKeyType;
+    const signatureAlgorithm = dg14 ? parseDG14(dg14).activeAuthentication?.signatureAlgorithm : undefined;
+    const challenge = crypto.randomBytes(AA_CHALLENGE_LENGTH);
+    const signature = await chip.internalAuthenticate(challenge);
+    if (!verifyActiveAuthenticationSignature(publicKey, challenge, Buffer.from(signature), signatureAlgorithm)) {
+      throw new Error('signature over the challenge does not verify');
+    }
+    return { status: PROTOCOL_STATUSES.SUCCEEDED, keyType };
+  } catch (error) {
+    return { status: PROTOCOL_STATUSES.FAILED, keyType, error: error.message };
+  }
+}
+
+/**
+ * Pick the Chip Authentication protocol and matching key from DG14.
+ */
+function selectChipAuthentication(dg14) {
+  const securityInfos = parseDG14(dg14);
+  for (const info of securityInfos.chipAuthentication) {
+    const protocol = CHIP_AUTHENTICATION_PROTOCOLS[info.protocol];
+    if (!protocol) continue;
+    const key = securityInfos.chipAuthenticationPublicKeys.find(candidate =>
+      candidate.protocol === CHIP_AUTHENTICATION_KEY_PROTOCOLS[protocol.agreement] &&
+      (info.keyId === undefined || candidate.keyId === info.keyId));
+    if (key) {
+      return { info, protocol, key };
+    }
+  }
+
+  // A key without ChipAuthenticationInfo implies the 3DES protocol (ICAO 9303 Part 11, §9.2.5)
+  const key = securityInfos.chipAuthenticationPublicKeys.find(candidate =>
+    Object.values(CHIP_AUTHENTICATION_KEY_PROTOCOLS).includes(candidate.protocol));
+  if (key && securityInfos.chipAuthentication.length === 0) {
+    const oid = key.protocol === CHIP_AUTHENTICATION_KEY_PROTOCOLS.ec ? '0.4.0.127.0.7.2.2.3.2.1' : '0.4.0.127.0.7.2.2.3.1.1';
+    return { info: { protocol: oid, version: 1, keyId: key.keyId }, protocol: CHIP_AUTHENTICATION_PROTOCOLS[oid], key };
+  }
+  return null;
+}
+
+/**
+ * Run Chip Authentication. The terminal sends an ephemeral key, both sides
+ * derive new session keys, and the chip is authentic if DG14 can be read
+ * again under those keys: a clone without the private key cannot produce
+ * responses with valid MACs. Never throws: failures are part of the result.
+ *
+ * @param {ChipSession} chip
+ * @param {object} files
+ * @param {Buffer} [files.dg14] - raw DG14; without a CA key the chip does not support CA
+ * @returns {Promise<{ status: string, protocol?: string, keyId?: number, cipher?: string, error?: string }>}
+ */
+async function performChipAuthentication(chip, { dg14 } = {}) {
+  let selected;
+  try {
+    selected = dg14 ? selectChipAuthentication(dg14) : null;
+  } catch (error) {
+    return { status: PROTOCOL_STATUSES.FAILED, error: `DG14 could not be parsed: ${error.message}` };
+  }
+  if (!selected) {
+    return { status: PROTOCOL_STATUSES.NOT_SUPPORTED };
+  }
+
+  const { info, protocol, key } = selected;
+  const result = { protocol: protocol.name, keyId: info.keyId, cipher: protocol.cipher };
+  try {
+    const parameters = keyAgreementParameters(key.publicKeyInfo);
+    if (parameters.type !== protocol.agreement) {
+      throw new Error(`${protocol.name} needs a ${protocol.agreement.toUpperCase()} key, DG14 has ${parameters.type.toUpperCase()}`);
+    }
+    const ephemeral = createKeyAgreement(parameters);
+    await chip.chipAuthenticate({ protocol: info.protocol, keyId: info.keyId, publicKey: ephemeral.publicKey });
+
+    const secret = ephemeral.computeSecret(parameters.publicKey);
+    await chip.restartSecureMessaging({
+      cipher: protocol.cipher,
+      encryptionKey: deriveKey(secret, KDF_COUNTERS.ENC, protocol.cipher),
+      macKey: deriveKey(secret, KDF_COUNTERS.MAC, protocol.cipher)
+    });
+
+    const reread = await chip.readDataGroup(14);
+    if (!Buffer.from(reread).equals(dg14)) {
+      throw new Error('DG14 read under the new session keys differs');
+    }
+    return { status: PROTOCOL_STATUSES.SUCCEEDED, ...result };
+  } catch (error) {
+    return { status: PROTOCOL_STATUSES.FAILED, ...result, error: error.message };
+  }
+}
+
+export {
+  PROTOCOL_STATUSES,
+  CHIP_AUTHENTICATION_PROTOCOLS,
+  ECDSA_PLAIN_SIGNATURES,
+  verifyActiveAuthenticationSignature,
+  signActiveAuthenticationChallenge,
+  performActiveAuthentication,
+  performChipAuthentication
+};
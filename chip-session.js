@@ -0,0 +1,331 @@
+/**
+ * eMRTD Chip Session (terminal side)
+ *
+ * Reads a passport chip over any APDU transport: establishes secure
+ * messaging with PACE or BAC, then selects and reads the LDS files. The
+ * protocol code only sees `transport.transmit(apdu)`, so the virtual chip and
+ * a physical reader are interchangeable.
+ *
+ * Features:
+ * - PACE when EF.CardAccess offers a supported protocol, BAC otherwise (or forced)
+ * - SELECT / READ BINARY of EF.CardAccess, EF.COM, EF.SOD and the data groups, in chunks
+ *   (odd INS READ BINARY with an offset data object past 32 KB)
+ * - Skips data groups protected by Extended Access Control (DG3, DG4)
+ * - INTERNAL AUTHENTICATE and Chip Authentication commands for clone detection
+ *   (implements the ChipSession interface of chip-authentication.js)
+ */
+
+import { decodeTLV, encodeTLV, encodeOID, decodeTLVList, findTag, encodeInteger } from './ber-tlv.js';
+import { INS, SW, APDUError, encodeCommand, parseResponse } from './apdu.js';
+import { SecureMessaging } from './secure-messaging.js';
+import { parseCOM, parseCardAccess } from './lds.js';
+import { CHIP_AUTHENTICATION_PROTOCOLS } from './chip-authentication.js';
+import {
+  EMRTD_APPLICATION_ID,
+  PACE_PASSWORDS,
+  mrzInformation,
+  bacKeys,
+  bacTerminalAuthenticate,
+  bacTerminalComplete,
+  paceParameters,
+  decryptPACENonce,
+  mapGenerator,
+  paceKeyPair,
+  paceSharedPoint,
+  paceAuthenticationToken,
+  paceSessionKeys
+} from './emrtd-access.js';
+
+const FILE_IDS = {
+  CARD_ACCESS: 0x011c,
+  SOD: 0x011d,
+  COM: 0x011e
+};
+const CARD_ACCESS_SFI = 0x1c;
+
+// Largest READ BINARY whose protected response still fits a short APDU
+const READ_CHUNK = 0xdf;
+// Above this, bit 8 of P1 would read as a short file identifier
+const MAX_SHORT_OFFSET = 0x7fff;
+
+const ACCESS_PROTOCOLS = ['auto', 'pace', 'bac'];
+
+const dataGroupFileId = number => 0x0100 + number;
+
+// Dynamic authentication data (tag 7C) of GENERAL AUTHENTICATE
+const dynamicAuthenticationData = (tag, value) => encodeTLV(0x7c, tag ? encodeTLV(tag, value) : Buffer.alloc(0));
+
+function dynamicAuthenticationValue(response, tag) {
+  const node = decodeTLV(response);
+  const value = node.tag === 0x7c ? findTag(decodeTLVList(node.value), tag) : null;
+  if (!value) {
+    throw new Error(`GENERAL AUTHENTICATE response has no data object ${tag.toString(16).toUpperCase()}`);
+  }
+  return value.value;
+}
+
+class ChipSession {
+  /**
+   * @param {object} transport - { transmit(apdu: Buffer): Promise<Buffer> }
+   * @param {object} [options]
+   * @param {Function} [options.onProgress] - called with { step: 'authenticating', protocol } and { step: 'reading', file, dataGroup }
+   */
+  constructor(transport, { onProgress } = {}) {
+    this.transport = transport;
+    this.onProgress = onProgress || (() => {});
+    this.secureMessaging = null;
+    this.accessProtocol = null;
+  }
+
+  /**
+   * Open a session with the chip.
+   *
+   * @param {object} transport - { transmit(apdu: Buffer): Promise<Buffer> }
+   * @param {object} accessKey - { documentNumber, dateOfBirth, expiryDate } as printed in the MRZ
+   * @param {object} [options]
+   * @param {string} [options.protocol] - auto (default: PACE if offered, else BAC), pace or bac
+   * @param {Function} [options.onProgress] - progress callback, see the constructor
+   */
+  static async open(transport, accessKey, { protocol = 'auto', onProgress } = {}) {
+    if (!ACCESS_PROTOCOLS.includes(protocol)) {
+      throw new Error(`Unknown access protocol: ${protocol}`);
+    }
+    const session = new ChipSession(transport, { onProgress });
+    const password = mrzInformation(accessKey);
+
+    const pace = protocol === 'bac' ? null : await session.findPACEParameters();
+    if (pace) {
+      await session.performPACE(password, pace);
+      await session.selectApplication();
+    } else if (protocol === 'pace') {
+      throw new Error('Chip does not offer a supported PACE protocol');
+    } else {
+      await session.selectApplication();
+      await session.performBAC(password);
+    }
+    return session;
+  }
+
+  /**
+   * Send a command, under secure messaging once it is established.
+   *
+   * @returns {Promise<Buffer>} response data
+   * @throws {APDUError} for any status word other than 9000
+   */
+  async send(command, context) {
+    const sm = this.secureMessaging;
+    const response = await this.transport.transmit(sm ? sm.wrapCommand(command) : encodeCommand(command));
+    const { data, sw } = sm ? sm.unwrapResponse(Buffer.from(response)) : parseResponse(Buffer.from(response));
+    if (sw !== SW.SUCCESS) {
+      throw new APDUError(sw, context);
+    }
+    return data;
+  }
+
+  /**
+   * PACE parameters from EF.CardAccess, or null when the chip has none we support.
+   */
+  async findPACEParameters() {
+    let cardAccess;
+    try {
+      cardAccess = await this.readFile({ sfi: CARD_ACCESS_SFI });
+    } catch (error) {
+      if (error instanceof APDUError) return null;
+      throw error;
+    }
+    for (const info of parseCardAccess(cardAccess).pace) {
+      const parameters = paceParameters(info);
+      if (parameters) return parameters;
+    }
+    return null;
+  }
+
+  async selectApplication() {
+    await this.send({ ins: INS.SELECT, p1: 0x04, p2: 0x0c, data: EMRTD_APPLICATION_ID }, 'SELECT eMRTD application');
+  }
+
+  async performBAC(password) {
+    this.onProgress({ step: 'authenticating', protocol: 'BAC' });
+    const keys = bacKeys(password);
+    const rndIC = await this.send({ ins: INS.GET_CHALLENGE, le: 8 }, 'GET CHALLENGE');
+    const { data, state } = bacTerminalAuthenticate(keys, rndIC);
+    const response = await this.send({ ins: INS.EXTERNAL_AUTHENTICATE, data, le: 40 }, 'BAC EXTERNAL AUTHENTICATE');
+    this.secureMessaging = new SecureMessaging(bacTerminalComplete(keys, state, response));
+    this.accessProtocol = 'BAC';
+    console.log('🔑 BAC established');
+  }
+
+  async performPACE(password, pace) {
+    this.onProgress({ step: 'authenticating', protocol: 'PACE' });
+    await this.send({
+      ins: INS.MSE,
+      p1: 0xc1,
+      p2: 0xa4,
+      data: Buffer.concat([
+        encodeTLV(0x80, encodeOID(pace.oid).subarray(2)),
+        encodeTLV(0x83, Buffer.from([PACE_PASSWORDS.MRZ])),
+        encodeTLV(0x84, encodeInteger(pace.parameterId).subarray(2))
+      ])
+    }, 'PACE MSE:Set AT');
+
+    // Steps 1-3 are chained (CLA 10); the last one ends the chain
+    const step = async (tag, value, responseTag, last = false) => {
+      const response = await this.send({
+        cla: last ? 0x00 : 0x10,
+        ins: INS.GENERAL_AUTHENTICATE,
+        data: dynamicAuthenticationData(tag, value),
+        le: 256
+      }, 'PACE GENERAL AUTHENTICATE');
+      return dynamicAuthenticationValue(response, responseTag);
+    };
+
+    const nonce = decryptPACENonce(password, pace.cipher, await step(null, null, 0x80));
+
+    const mapping = paceKeyPair(pace.curve);
+    const chipMappingKey = await step(0x81, mapping.publicKey, 0x82);
+    const generator = mapGenerator(pace.curve, nonce, paceSharedPoint(pace.curve, mapping.privateKey, chipMappingKey));
+
+    const ephemeral = paceKeyPair(pace.curve, generator);
+    const chipKey = await step(0x83, ephemeral.publicKey, 0x84);
+    if (chipKey.equals(ephemeral.publicKey)) {
+      throw new Error('PACE chip key equals the terminal key');
+    }
+    const keys = paceSessionKeys(pace, paceSharedPoint(pace.curve, ephemeral.privateKey, chipKey));
+
+    const chipToken = await step(0x85, paceAuthenticationToken(pace, keys.macKey, chipKey), 0x86, true);
+    if (!chipToken.equals(paceAuthenticationToken(pace, keys.macKey, ephemeral.publicKey))) {
+      throw new Error('PACE authentication token of the chip does not verify');
+    }
+    this.secureMessaging = new SecureMessaging(keys);
+    this.accessProtocol = 'PACE';
+    console.log(`🔑 PACE established (${pace.name}, ${pace.curve})`);
+  }
+
+  /**
+   * Read a whole elementary file: the TLV header first, then the rest in
+   * chunks. Files are selected by file ID, or read by short file identifier.
+   *
+   * @param {{ fileId?: number, sfi?: number }} file
+   */
+  async readFile({ fileId, sfi }) {
+    let head;
+    if (sfi !== undefined) {
+      // READ BINARY with an SFI selects the file for the following reads
+      head = await this.send({ ins: INS.READ_BINARY, p1: 0x80 | sfi, p2: 0x00, le: 4 }, `READ BINARY SFI ${sfi.toString(16).toUpperCase()}`);
+    } else {
+      const id = Buffer.from([fileId >> 8, fileId & 0xff]);
+      await this.send({ ins: INS.SELECT, p1: 0x02, p2: 0x0c, data: id }, `SELECT ${id.toString('hex').toUpperCase()}`);
+      head = await this.readBinary(0, 4);
+    }
+
+    // LDS files have one-byte tags and lengths of at most three bytes (82 xx xx)
+    const lengthByte = head[1];
+    const headerLength = lengthByte & 0x80 ? 2 + (lengthByte & 0x7f) : 2;
+    if (head.length < 2 || headerLength > 4) {
+      throw new Error('File does not start with an LDS TLV header');
+    }
+    const length = lengthByte & 0x80 ? head.subarray(2, headerLength).reduce((total, byte) => total * 0x100 + byte, 0) : lengthByte;
+    const total = headerLength + length;
+
+    const chunks = [head.subarray(0, Math.min(head.length, total))];
+    for (let offset = chunks[0].length; offset < total; offset += chunks[chunks.length - 1].length) {
+      chunks.push(await this.readBinary(offset, Math.min(READ_CHUNK, total - offset)));
+    }
+    return Buffer.concat(chunks);
+  }
+
+  async readBinary(offset, length) {
+    const data = offset > MAX_SHORT_OFFSET
+      ? await this.readBinaryOdd(offset, length)
+      : await this.send({ ins: INS.READ_BINARY, p1: offset >> 8, p2: offset & 0xff, le: length }, `READ BINARY at ${offset}`);
+    if (data.length === 0) {
+      throw new Error(`READ BINARY at ${offset} returned no data`);
+    }
+    return data;
+  }
+
+  /**
+   * READ BINARY with odd INS (ISO/IEC 7816-4): the offset travels in DO54 and
+   * the data comes back in DO53, for offsets P1-P2 cannot hold. P1-P2 0000
+   * keeps the selected file.
+   */
+  async readBinaryOdd(offset, length) {
+    const offsetBytes = [];
+    for (let rest = offset; rest > 0; rest = Math.floor(rest / 0x100)) {
+      offsetBytes.unshift(rest & 0xff);
+    }
+    const response = await this.send({
+      ins: INS.READ_BINARY_ODD,
+      data: encodeTLV(0x54, Buffer.from(offsetBytes)),
+      // Room for the DO53 header around the data
+      le: length + (length < 0x80 ? 2 : 3)
+    }, `READ BINARY at ${offset}`);
+    if (response.length === 0) {
+      return response;
+    }
+    const node = decodeTLV(response);
+    if (node.tag !== 0x53) {
+      throw new Error(`READ BINARY at ${offset} did not return a DO53`);
+    }
+    return Buffer.from(node.value);
+  }
+
+  async readDataGroup(number) {
+    return this.readFile({ fileId: dataGroupFileId(number) });
+  }
+
+  /**
+   * Read EF.COM, EF.SOD and every data group EF.COM lists, in the shape
+   * PassportDataReader.readChipFiles takes. Groups behind Extended Access
+   * Control (fingerprints, iris) are skipped.
+   */
+  async readLDS() {
+    this.onProgress({ step: 'reading', file: 'EF.COM' });
+    const com = await this.readFile({ fileId: FILE_IDS.COM });
+    this.onProgress({ step: 'reading', file: 'EF.SOD' });
+    const sod = await this.readFile({ fileId: FILE_IDS.SOD });
+    const dataGroups = {};
+    const skipped = [];
+    for (const number of parseCOM(com).dataGroups) {
+      this.onProgress({ step: 'reading', file: `DG${number}`, dataGroup: number });
+      try {
+        dataGroups[number] = await this.readDataGroup(number);
+        console.log(`📖 Read DG${number} (${dataGroups[number].length} bytes)`);
+      } catch (error) {
+        if (error instanceof APDUError && error.sw === SW.SECURITY_STATUS_NOT_SATISFIED) {
+          skipped.push(number);
+          continue;
+        }
+        throw error;
+      }
+    }
+    if (skipped.length > 0) {
+      console.log(`🔒 Skipped ${skipped.map(number => `DG${number}`).join(', ')} (Extended Access Control)`);
+    }
+    return { com, sod, dataGroups };
+  }
+
+  async internalAuthenticate(challenge) {
+    return this.send({ ins: INS.INTERNAL_AUTHENTICATE, data: challenge, le: 256 }, 'INTERNAL AUTHENTICATE');
+  }
+
+  /**
+   * Send the terminal's ephemeral Chip Authentication key: MSE:Set KAT for
+   * the 3DES protocols, MSE:Set AT + GENERAL AUTHENTICATE for AES.
+   */
+  async chipAuthenticate({ protocol, keyId, publicKey }) {
+    const keyReference = keyId !== undefined ? encodeTLV(0x84, encodeInteger(keyId).subarray(2)) : Buffer.alloc(0);
+    if (CHIP_AUTHENTICATION_PROTOCOLS[protocol]?.cipher === '3DES') {
+      await this.send({ ins: INS.MSE, p1: 0x41, p2: 0xa6, data: Buffer.concat([encodeTLV(0x91, publicKey), keyReference]) }, 'CA MSE:Set KAT');
+      return;
+    }
+    await this.send({ ins: INS.MSE, p1: 0x41, p2: 0xa4, data: Buffer.concat([encodeTLV(0x80, encodeOID(protocol).subarray(2)), keyReference]) }, 'CA MSE:Set AT');
+    await this.send({ ins: INS.GENERAL_AUTHENTICATE, data: dynamicAuthenticationData(0x80, publicKey), le: 256 }, 'CA GENERAL AUTHENTICATE');
+  }
+
+  async restartSecureMessaging(keys) {
+    this.secureMessaging = new SecureMessaging(keys);
+  }
+}
+
+export { ChipSession, FILE_IDS, CARD_ACCESS_SFI, dataGroupFileId };
@@ -0,0 +1,199 @@
+/**
+ * CBOR and COSE helpers for mDoc processing
+ *
+ * Shared CBOR encoder settings and COSE_Sign1 (RFC 9052) signing/verification
+ * used by the native mDoc signer and verifier (ISO 18013-5 §9.1.2).
+ *
+ * Features:
+ * - CBOR encoder configured for ISO 18013-5 structures (tag 24, tdate, full-date)
+ * - COSE_Sign1 creation with x5chain and detached payload support
+ * - COSE_Key <-> JWK conversion for EC2 keys
+ */
+
+import crypto from 'crypto';
+import { Encoder, Tag } from 'cbor-x';
+
+// Plain CBOR: no cbor-x record extensions, byte strings for Buffers, minimal map headers
+const cbor = new Encoder({
+  useRecords: false,
+  mapsAsObjects: true,
+  tagUint8Array: false,
+  variableMapSize: true
+});
+
+// COSE header labels and algorithm identifiers
+const COSE_HEADER = { alg: 1, kid: 4, x5chain: 33 };
+
+const COSE_ALGORITHMS = {
+  ES256: { id: -7, hash: 'sha256', crv: 'P-256', size: 32 },
+  ES384: { id: -35, hash: 'sha384', crv: 'P-384', size: 48 },
+  ES512: { id: -36, hash: 'sha512', crv: 'P-521', size: 66 }
+};
+
+const COSE_CURVES = { 'P-256': 1, 'P-384': 2, 'P-521': 3 };
+
+// Node.js reports OpenSSL curve names in asymmetricKeyDetails
+const NODE_CURVES = { prime256v1: 'P-256', secp384r1: 'P-384', secp521r1: 'P-521' };
+
+function algorithmForCurve(crv) {
+  const name = Object.keys(COSE_ALGORITHMS).find(alg => COSE_ALGORITHMS[alg].crv === crv);
+  if (!name) {
+    throw new Error(`Unsupported curve for COSE signing: ${crv}`);
+  }
+  return name;
+}
+
+function algorithmForId(id) {
+  const name = Object.keys(COSE_ALGORITHMS).find(alg => COSE_ALGORITHMS[alg].id === id);
+  if (!name) {
+    throw new Error(`Unsupported COSE algorithm: ${id}`);
+  }
+  return name;
+}
+
+function toKeyObject(key, type) {
+  if (key instanceof crypto.KeyObject) {
+    return key;
+  }
+  const create = type === 'private' ? crypto.createPrivateKey : crypto.createPublicKey;
+  if (typeof key === 'string' || Buffer.isBuffer(key)) {
+    return create(key);
+  }
+  return create({ key, format: 'jwk' });
+}
+
+function embedCbor(value) {
+  // #6.24(bstr .cbor value)
+  return new Tag(cbor.encode(value), 24);
+}
+
+function unwrapEmbeddedCbor(value) {
+  if (value instanceof Tag && value.tag === 24) {
+    return cbor.decode(value.value);
+  }
+  return Buffer.isBuffer(value) ? cbor.decode(value) : value;
+}
+
+function pemToDer(pem) {
+  const base64 = pem.replace(/-----(BEGIN|END) CERTIFICATE-----/g, '').replace(/\s+/g, '');
+  return Buffer.from(base64, 'base64');
+}
+
+function jwkToCoseKey(jwk) {
+  if (jwk.kty !== 'EC' || !COSE_CURVES[jwk.crv]) {
+    throw new Error(`Unsupported device key: ${jwk.kty}/${jwk.crv}`);
+  }
+  return new Map([
+    [1, 2], // kty: EC2
+    [-1, COSE_CURVES[jwk.crv]],
+    [-2, Buffer.from(jwk.x, 'base64url')],
+    [-3, Buffer.from(jwk.y, 'base64url')]
+  ]);
+}
+
+function coseKeyToJwk(coseKey) {
+  const get = label => (coseKey instanceof Map ? coseKey.get(label) : coseKey[label]);
+  const crv = Object.keys(COSE_CURVES).find(name => COSE_CURVES[name] === get(-1));
+  if (get(1) !== 2 || !crv) {
+    throw new Error('Unsupported COSE_Key (only EC2 keys are supported)');
+  }
+  return {
+    kty: 'EC',
+    crv,
+    x: Buffer.from(get(-2)).toString('base64url'),
+    y: Buffer.from(get(-3)).toString('base64url')
+  };
+}
+
+function sigStructure(protectedBytes, payload, externalAad = Buffer.alloc(0)) {
+  return cbor.encode(['Signature1', protectedBytes, externalAad, payload]);
+}
+
+/**
+ * Create an untagged COSE_Sign1 array.
+ *
+ * @param {object} options
+ * @param {Buffer} options.payload - payload bytes (signed even when detached)
+ * @param {KeyObject|object|string} options.privateKey - EC private key (KeyObject, JWK or PEM)
+ * @param {Buffer[]} [options.x5chain] - DER certificates, leaf first
+ * @param {boolean} [options.detached] - omit the payload from the structure (nil)
+ * @param {Buffer} [options.externalAad] - external additional authenticated data
+ */
+function signCoseSign1({ payload, privateKey, x5chain = [], detached = false, externalAad }) {
+  const key = toKeyObject(privateKey, 'private');
+  const alg = algorithmForCurve(NODE_CURVES[key.asymmetricKeyDetails.namedCurve]);
+
+  const protectedBytes = cbor.encode(new Map([[COSE_HEADER.alg, COSE_ALGORITHMS[alg].id]]));
+  const unprotected = new Map();
+  if (x5chain.length === 1) {
+    unprotected.set(COSE_HEADER.x5chain, x5chain[0]);
+  } else if (x5chain.length > 1) {
+    unprotected.set(COSE_HEADER.x5chain, x5chain);
+  }
+
+  const signature = crypto.sign(COSE_ALGORITHMS[alg].hash, sigStructure(protectedBytes, payload, externalAad), {
+    key,
+    dsaEncoding: 'ieee-p1363'
+  });
+
+  return [protectedBytes, unprotected, detached ? null : payload, signature];
+}
+
+function getProtectedHeader(sign1) {
+  return sign1[0] && sign1[0].length > 0 ? cbor.decode(sign1[0]) : new Map();
+}
+
+function getHeader(sign1, label) {
+  const protectedHeader = getProtectedHeader(sign1);
+  const unprotected = sign1[1] || new Map();
+  const lookup = header => (header instanceof Map ? header.get(label) : header[label]);
+  return lookup(protectedHeader) ?? lookup(unprotected);
+}
+
+function getX5Chain(sign1) {
+  const x5chain = getHeader(sign1, COSE_HEADER.x5chain);
+  if (!x5chain) return [];
+  return Array.isArray(x5chain) ? x5chain.map(cert => Buffer.from(cert)) : [Buffer.from(x5chain)];
+}
+
+/**
+ * Verify a COSE_Sign1 array.
+ *
+ * @param {Array} sign1 - [protected, unprotected, payload, signature]
+ * @param {KeyObject|object|string} publicKey - EC public key (KeyObject, JWK or PEM)
+ * @param {object} [options]
+ * @param {Buffer} [options.detachedPayload] - payload for a detached signature
+ * @param {Buffer} [options.externalAad] - external additional authenticated data
+ * @returns {boolean}
+ */
+function verifyCoseSign1(sign1, publicKey, { detachedPayload, externalAad } = {}) {
+  if (!Array.isArray(sign1) || sign1.length !== 4) {
+    throw new Error('Malformed COSE_Sign1 structure');
+  }
+  const [protectedBytes, , payload, signature] = sign1;
+  const alg = algorithmForId(getHeader(sign1, COSE_HEADER.alg));
+  const content = payload ?? detachedPayload;
+  if (!content) {
+    throw new Error('COSE_Sign1 payload is detached but none was supplied');
+  }
+
+  return crypto.verify(COSE_ALGORITHMS[alg].hash, sigStructure(Buffer.from(protectedBytes), Buffer.from(content), externalAad), {
+    key: toKeyObject(publicKey, 'public'),
+    dsaEncoding: 'ieee-p1363'
+  }, Buffer.from(signature));
+}
+
+export {
+  cbor,
+  Tag,
+  COSE_HEADER,
+  COSE_ALGORITHMS,
+  embedCbor,
+  unwrapEmbeddedCbor,
+  pemToDer,
+  jwkToCoseKey,
+  coseKeyToJwk,
+  signCoseSign1,
+  verifyCoseSign1,
+  getX5Chain
+};
@@ -9,6 +9,7 @@
 import ngrok from 'ngrok';
 import { PassportMDocIssuer } from './mdoc-issuer.js';
 import { PassportDataReader } from './passport-nfc-reader.js';
+import { PASSPORT_DOCTYPE, CORE_NAMESPACE } from './passport-doctype.js';
 import QRCode from 'qrcode';
 import fs from 'fs/promises';
 
@@ -83,8 +84,8 @@ class E2ETestSetup {
                 metadata: {
                     webId: webId,
                     issuanceDate: new Date().toISOString(),
-                    doctype: 'org.iso.18013.5.1.mDL',
-                    passportNumber: passportData.data['org.iso.18013.5.1'].document_number,
+                    doctype: PASSPORT_DOCTYPE,
+                    passportNumber: passportData.data[CORE_NAMESPACE].document_number,
                     issuer: offer.credential_issuer,
                     publicUrls: {
                         issuer: this.issuerUrl,
@@ -0,0 +1,264 @@
+/**
+ * eMRTD Access Control: BAC and PACE
+ *
+ * The key establishment of Basic Access Control and PACE (ICAO Doc 9303
+ * Part 11, §4.3 and §4.4), as the steps both sides compute. ChipSession runs
+ * the terminal half over APDUs; the virtual chip runs the chip half.
+ *
+ * Features:
+ * - MRZ information (document number, birth date, expiry date with check digits) as the access key
+ * - BAC: key derivation from the MRZ, mutual authentication, session keys and SSC
+ * - PACE with generic mapping on ECDH standardized domain parameters (3DES and AES)
+ * - Nonce encryption, generator mapping and authentication tokens
+ */
+
+import crypto from 'crypto';
+import { computeCheckDigit, toMRZDate } from './mrz.js';
+import { encodeTLV, encodeOID } from './ber-tlv.js';
+import {
+  KDF_COUNTERS,
+  deriveKey,
+  pad,
+  encrypt,
+  decrypt,
+  computeMac,
+  curveParameters,
+  pointAdd,
+  pointMultiply,
+  encodePoint,
+  decodePoint,
+  randomScalar,
+  toBigInt,
+  toBuffer
+} from './emrtd-crypto.js';
+
+// eMRTD LDS1 application
+const EMRTD_APPLICATION_ID = Buffer.from('A0000002471001', 'hex');
+
+// id-PACE-ECDH-GM-* (0.4.0.127.0.7.2.2.4.2.x)
+const PACE_PROTOCOLS = {
+  '0.4.0.127.0.7.2.2.4.2.1': { cipher: '3DES', name: 'PACE-ECDH-GM-3DES-CBC-CBC' },
+  '0.4.0.127.0.7.2.2.4.2.2': { cipher: 'AES-128', name: 'PACE-ECDH-GM-AES-CBC-CMAC-128' },
+  '0.4.0.127.0.7.2.2.4.2.3': { cipher: 'AES-192', name: 'PACE-ECDH-GM-AES-CBC-CMAC-192' },
+  '0.4.0.127.0.7.2.2.4.2.4': { cipher: 'AES-256', name: 'PACE-ECDH-GM-AES-CBC-CMAC-256' }
+};
+
+// Standardized domain parameter IDs (ICAO 9303 Part 11, §9.5.1) with ECDH curves
+const PACE_DOMAIN_PARAMETERS = {
+  8: 'prime192v1',
+  9: 'brainpoolP192r1',
+  10: 'secp224r1',
+  11: 'brainpoolP224r1',
+  12: 'prime256v1',
+  13: 'brainpoolP256r1',
+  14: 'brainpoolP320r1',
+  15: 'secp384r1',
+  16: 'brainpoolP384r1',
+  17: 'brainpoolP512r1',
+  18: 'secp521r1'
+};
+
+// PACE password references (MSE:Set AT tag 83)
+const PACE_PASSWORDS = { MRZ: 0x01, CAN: 0x02 };
+
+const PACE_NONCE_LENGTH = 16;
+
+/**
+ * MRZ information used as the BAC / PACE password: document number, date of
+ * birth and date of expiry, each followed by its check digit.
+ *
+ * @param {object} accessKey - { documentNumber, dateOfBirth, expiryDate } (dates as YYYY-MM-DD)
+ */
+function mrzInformation({ documentNumber, dateOfBirth, expiryDate }) {
+  if (!documentNumber || !dateOfBirth || !expiryDate) {
+    throw new Error('Document number, date of birth and expiry date are required to access the chip');
+  }
+  // Numbers longer than 9 characters are used in full (ICAO 9303 Part 11, §9.7.2)
+  const number = documentNumber.toUpperCase().replace(/</g, '').padEnd(9, '<');
+  const birth = toMRZDate(dateOfBirth);
+  const expiry = toMRZDate(expiryDate);
+  return `${number}${computeCheckDigit(number)}${birth}${computeCheckDigit(birth)}${expiry}${computeCheckDigit(expiry)}`;
+}
+
+/**
+ * BAC document basic access keys K_enc and K_mac from the MRZ information.
+ */
+function bacKeys(password) {
+  const seed = crypto.createHash('sha1').update(password, 'latin1').digest().subarray(0, 16);
+  return {
+    encryptionKey: deriveKey(seed, KDF_COUNTERS.ENC, '3DES'),
+    macKey: deriveKey(seed, KDF_COUNTERS.MAC, '3DES')
+  };
+}
+
+// E(K_enc, data) || MAC(K_mac, E(K_enc, data)), the BAC authentication cryptogram
+function bacCryptogram(keys, data) {
+  const ciphertext = encrypt('3DES', keys.encryptionKey, data);
+  return Buffer.concat([ciphertext, computeMac('3DES', keys.macKey, pad(ciphertext))]);
+}
+
+function openBACCryptogram(keys, cryptogram) {
+  if (cryptogram.length !== 40) {
+    throw new Error(`BAC cryptogram is ${cryptogram.length} bytes, expected 40`);
+  }
+  const ciphertext = cryptogram.subarray(0, 32);
+  if (!computeMac('3DES', keys.macKey, pad(ciphertext)).equals(cryptogram.subarray(32))) {
+    throw new Error('BAC cryptogram MAC does not verify');
+  }
+  return decrypt('3DES', keys.encryptionKey, ciphertext);
+}
+
+function bacSessionKeys(keyIFD, keyIC, rndIC, rndIFD) {
+  const seed = Buffer.from(keyIFD.map((byte, i) => byte ^ keyIC[i]));
+  return {
+    cipher: '3DES',
+    encryptionKey: deriveKey(seed, KDF_COUNTERS.ENC, '3DES'),
+    macKey: deriveKey(seed, KDF_COUNTERS.MAC, '3DES'),
+    ssc: Buffer.concat([rndIC.subarray(4, 8), rndIFD.subarray(4, 8)])
+  };
+}
+
+/**
+ * BAC terminal step: answer the chip's challenge RND.IC with the EXTERNAL
+ * AUTHENTICATE data. Keep the returned state for bacTerminalComplete.
+ */
+function bacTerminalAuthenticate(keys, rndIC) {
+  const rndIFD = crypto.randomBytes(8);
+  const keyIFD = crypto.randomBytes(16);
+  return {
+    data: bacCryptogram(keys, Buffer.concat([rndIFD, rndIC, keyIFD])),
+    state: { rndIC, rndIFD, keyIFD }
+  };
+}
+
+/**
+ * BAC terminal step: check the chip's response and derive the session keys.
+ */
+function bacTerminalComplete(keys, { rndIC, rndIFD, keyIFD }, response) {
+  const plaintext = openBACCryptogram(keys, response);
+  if (!plaintext.subarray(0, 8).equals(rndIC) || !plaintext.subarray(8, 16).equals(rndIFD)) {
+    throw new Error('BAC response does not echo the challenges');
+  }
+  return bacSessionKeys(keyIFD, plaintext.subarray(16, 32), rndIC, rndIFD);
+}
+
+/**
+ * BAC chip step: verify the terminal's EXTERNAL AUTHENTICATE data against
+ * the challenge the chip issued, and build the response.
+ */
+function bacChipRespond(keys, rndIC, data) {
+  const plaintext = openBACCryptogram(keys, data);
+  const rndIFD = plaintext.subarray(0, 8);
+  if (!plaintext.subarray(8, 16).equals(rndIC)) {
+    throw new Error('BAC challenge does not match');
+  }
+  const keyIC = crypto.randomBytes(16);
+  return {
+    data: bacCryptogram(keys, Buffer.concat([rndIC, rndIFD, keyIC])),
+    sessionKeys: bacSessionKeys(plaintext.subarray(16, 32), keyIC, rndIC, rndIFD)
+  };
+}
+
+/**
+ * PACE protocol and curve for a PACEInfo, or null when unsupported.
+ */
+function paceParameters({ protocol, parameterId }) {
+  const suite = PACE_PROTOCOLS[protocol];
+  const curve = PACE_DOMAIN_PARAMETERS[parameterId];
+  return suite && curve ? { oid: protocol, ...suite, curve, parameterId } : null;
+}
+
+// K_pi = KDF(SHA-1(MRZ information), 3)
+function pacePasswordKey(password, cipher) {
+  return deriveKey(crypto.createHash('sha1').update(password, 'latin1').digest(), KDF_COUNTERS.PACE, cipher);
+}
+
+/**
+ * Chip side: a random nonce s and its encryption z = E(K_pi, s).
+ */
+function createPACENonce(password, cipher) {
+  const nonce = crypto.randomBytes(PACE_NONCE_LENGTH);
+  return { nonce, encryptedNonce: encrypt(cipher, pacePasswordKey(password, cipher), nonce) };
+}
+
+function decryptPACENonce(password, cipher, encryptedNonce) {
+  return decrypt(cipher, pacePasswordKey(password, cipher), encryptedNonce);
+}
+
+/**
+ * Generic mapping: G' = s * G + H, where H is the mapping key agreement
+ * point SK_map * PK_map of the other side.
+ */
+function mapGenerator(curveName, nonce, sharedPoint) {
+  const curve = curveParameters(curveName);
+  return pointAdd(curve, pointMultiply(curve, toBigInt(nonce), curve.G), sharedPoint);
+}
+
+/**
+ * Ephemeral key pair on the curve, for the mapping step (standard generator)
+ * or the key agreement step (mapped generator).
+ *
+ * @returns {{ privateKey: bigint, publicKey: Buffer }} publicKey as an uncompressed point
+ */
+function paceKeyPair(curveName, generator) {
+  const curve = curveParameters(curveName);
+  const privateKey = randomScalar(curve);
+  return { privateKey, publicKey: encodePoint(curve, pointMultiply(curve, privateKey, generator || curve.G)) };
+}
+
+/**
+ * Shared point SK * PK of the other side's public key, which must lie on the curve.
+ */
+function paceSharedPoint(curveName, privateKey, peerPublicKey) {
+  const curve = curveParameters(curveName);
+  const point = pointMultiply(curve, privateKey, decodePoint(curve, peerPublicKey));
+  if (!point) {
+    throw new Error('PACE key agreement produced the point at infinity');
+  }
+  return point;
+}
+
+// Public key data object (tag 7F49) the authentication tokens are computed over
+function publicKeyDataObject(oid, publicKey) {
+  return encodeTLV(0x7f49, [encodeOID(oid), encodeTLV(0x86, publicKey)]);
+}
+
+/**
+ * Authentication token over the other side's ephemeral public key.
+ */
+function paceAuthenticationToken({ oid, cipher }, macKey, publicKey) {
+  const data = publicKeyDataObject(oid, publicKey);
+  return computeMac(cipher, macKey, cipher === '3DES' ? pad(data) : data);
+}
+
+/**
+ * Session keys from the PACE key agreement point: K is its x-coordinate.
+ */
+function paceSessionKeys({ cipher, curve }, sharedPoint) {
+  const secret = toBuffer(sharedPoint.x, curveParameters(curve).length);
+  return {
+    cipher,
+    encryptionKey: deriveKey(secret, KDF_COUNTERS.ENC, cipher),
+    macKey: deriveKey(secret, KDF_COUNTERS.MAC, cipher)
+  };
+}
+
+export {
+  EMRTD_APPLICATION_ID,
+  PACE_PROTOCOLS,
+  PACE_DOMAIN_PARAMETERS,
+  PACE_PASSWORDS,
+  mrzInformation,
+  bacKeys,
+  bacTerminalAuthenticate,
+  bacTerminalComplete,
+  bacChipRespond,
+  paceParameters,
+  createPACENonce,
+  decryptPACENonce,
+  mapGenerator,
+  paceAuthenticationToken,
+  paceKeyPair,
+  paceSharedPoint,
+  paceSessionKeys
+};
@@ -0,0 +1,398 @@
+/**
+ * eMRTD Key Agreement and Key Derivation
+ *
+ * Cryptographic building blocks shared by the chip protocols of ICAO Doc
+ * 9303 Part 11: the chip's key agreement public key, ephemeral terminal keys
+ * on the same domain parameters, and the session keys derived from the
+ * shared secret.
+ *
+ * Features:
+ * - ECDH on named curves (explicit domain parameters are mapped to their named curve)
+ * - DH with the domain parameters of the chip's key (X9.42 and PKCS #3 encodings)
+ * - Key derivation function KDF(K, c) for 3DES and AES-128/192/256 session keys (§9.7.1)
+ * - 3DES / AES CBC encryption, ISO/IEC 9797-1 padding, retail MAC and AES CMAC (§9.8)
+ * - EC point arithmetic for the PACE generic mapping
+ */
+
+import crypto from 'crypto';
+import { ASN1, decodeTLV, children, decodeOID } from './ber-tlv.js';
+
+const KEY_AGREEMENT_OIDS = {
+  EC_PUBLIC_KEY: '1.2.840.10045.2.1',
+  DH_PUBLIC_NUMBER: '1.2.840.10046.2.1', // X9.42
+  DH_KEY_AGREEMENT: '1.2.840.113549.1.3.1' // PKCS #3
+};
+
+// KDF counter c: 1 for the encryption key, 2 for the MAC key, 3 for the PACE password key
+const KDF_COUNTERS = { ENC: 1, MAC: 2, PACE: 3 };
+
+// Session key cipher -> KDF digest and key length in bytes
+const CIPHERS = {
+  '3DES': { digest: 'sha1', keyLength: 16 },
+  'AES-128': { digest: 'sha1', keyLength: 16 },
+  'AES-192': { digest: 'sha256', keyLength: 24 },
+  'AES-256': { digest: 'sha256', keyLength: 32 }
+};
+
+// DES keys carry odd parity in the low bit of each byte
+function adjustParity(key) {
+  return Buffer.from(key.map(byte => {
+    const ones = byte.toString(2).replace(/0/g, '').length;
+    return ones % 2 === 1 ? byte : byte ^ 1;
+  }));
+}
+
+/**
+ * KDF(K, c) = H(K || c) truncated to the cipher's key length.
+ *
+ * @param {Buffer} secret - shared secret K (or K_seed for BAC)
+ * @param {number} counter - one of KDF_COUNTERS
+ * @param {string} cipher - 3DES, AES-128, AES-192 or AES-256
+ */
+function deriveKey(secret, counter, cipher) {
+  const suite = CIPHERS[cipher];
+  if (!suite) {
+    throw new Error(`Unsupported session key cipher: ${cipher}`);
+  }
+  const counterBytes = Buffer.alloc(4);
+  counterBytes.writeUInt32BE(counter);
+  const key = crypto.createHash(suite.digest).update(Buffer.concat([secret, counterBytes])).digest()
+    .subarray(0, suite.keyLength);
+  return cipher === '3DES' ? adjustParity(key) : key;
+}
+
+// INTEGER contents as an unsigned big-endian buffer
+const unsigned = value => (value.length > 1 && value[0] === 0 ? value.subarray(1) : value);
+
+const toBigInt = bytes => BigInt(`0x${Buffer.from(bytes).toString('hex') || '0'}`);
+
+// Unsigned big-endian, left-padded to `length` bytes
+function toBuffer(number, length) {
+  return Buffer.from(number.toString(16).padStart(length * 2, '0'), 'hex');
+}
+
+// base^exponent mod modulus, for deriving a static DH public value from its private value
+function modPow(base, exponent, modulus) {
+  const m = toBigInt(modulus);
+  let result = 1n;
+  let b = toBigInt(base) % m;
+  for (let e = toBigInt(exponent); e > 0n; e >>= 1n) {
+    if (e & 1n) result = (result * b) % m;
+    b = (b * b) % m;
+  }
+  return toBuffer(result, modulus.length);
+}
+
+/**
+ * Domain parameters and public key of a key agreement SubjectPublicKeyInfo
+ * (the chip's static Chip Authentication key from DG14).
+ *
+ * @param {Buffer} publicKeyInfo - DER SubjectPublicKeyInfo
+ * @returns {{ type: 'ec', curve: string, publicKey: Buffer } | { type: 'dh', prime: Buffer, generator: Buffer, publicKey: Buffer }}
+ *   publicKey is the uncompressed EC point or the DH public value
+ */
+function keyAgreementParameters(publicKeyInfo) {
+  const [algorithm, subjectPublicKey] = children(decodeTLV(publicKeyInfo));
+  const [oid, parameters] = children(algorithm);
+  const algorithmOid = decodeOID(oid.value);
+
+  if (algorithmOid === KEY_AGREEMENT_OIDS.EC_PUBLIC_KEY) {
+    // OpenSSL recognises explicit parameters of the curves chips use and reports the named curve
+    const key = crypto.createPublicKey({ key: Buffer.from(publicKeyInfo), format: 'der', type: 'spki' });
+    const curve = key.asymmetricKeyDetails?.namedCurve;
+    if (!curve) {
+      throw new Error('EC key agreement key uses unknown domain parameters');
+    }
+    // The BIT STRING holds the encoded point (after its unused-bits byte)
+    return {
+      type: 'ec',
+      curve,
+      publicKey: crypto.ECDH.convertKey(subjectPublicKey.value.subarray(1), curve, undefined, undefined, 'uncompressed')
+    };
+  }
+
+  if (algorithmOid === KEY_AGREEMENT_OIDS.DH_PUBLIC_NUMBER || algorithmOid === KEY_AGREEMENT_OIDS.DH_KEY_AGREEMENT) {
+    // Both encodings start with p and g; the public value is an INTEGER inside the BIT STRING
+    const [prime, generator] = children(parameters);
+    const publicValue = decodeTLV(subjectPublicKey.value.subarray(1));
+    if (publicValue.tag !== ASN1.INTEGER) {
+      throw new Error('DH public key is not an INTEGER');
+    }
+    return {
+      type: 'dh',
+      prime: Buffer.from(unsigned(prime.value)),
+      generator: Buffer.from(unsigned(generator.value)),
+      publicKey: Buffer.from(unsigned(publicValue.value))
+    };
+  }
+
+  throw new Error(`Unsupported key agreement algorithm ${algorithmOid}`);
+}
+
+/**
+ * A key pair on the given domain parameters: an ephemeral one for the
+ * terminal, or the chip's static key when its private key is given.
+ *
+ * @param {object} parameters - from keyAgreementParameters
+ * @param {Buffer} [privateKey] - EC private scalar or DH private value
+ * @returns {{ publicKey: Buffer, computeSecret: (peerPublicKey: Buffer) => Buffer }}
+ */
+function createKeyAgreement(parameters, privateKey) {
+  if (parameters.type === 'ec') {
+    const ecdh = crypto.createECDH(parameters.curve);
+    if (privateKey) {
+      ecdh.setPrivateKey(privateKey);
+    } else {
+      ecdh.generateKeys();
+    }
+    return {
+      publicKey: ecdh.getPublicKey(),
+      // ECDH shared secret: the x-coordinate of the shared point
+      computeSecret: peerPublicKey => ecdh.computeSecret(peerPublicKey)
+    };
+  }
+
+  if (parameters.type === 'dh') {
+    const dh = crypto.createDiffieHellman(parameters.prime, parameters.generator);
+    if (privateKey) {
+      dh.setPrivateKey(privateKey);
+      dh.setPublicKey(modPow(parameters.generator, privateKey, parameters.prime));
+    } else {
+      dh.generateKeys();
+    }
+    return {
+      publicKey: dh.getPublicKey(),
+      // Shared secret padded to the length of p
+      computeSecret: peerPublicKey => {
+        const secret = dh.computeSecret(peerPublicKey);
+        return Buffer.concat([Buffer.alloc(Math.max(0, parameters.prime.length - secret.length)), secret]);
+      }
+    };
+  }
+
+  throw new Error(`Unsupported key agreement type: ${parameters.type}`);
+}
+
+const blockSize = cipher => (cipher === '3DES' ? 8 : 16);
+
+function cipherAlgorithm(cipher, key, mode) {
+  if (cipher === '3DES') {
+    // Two-key 3DES; a DES key doubled (K || K) gives single DES
+    return `des-ede-${mode}`;
+  }
+  return `aes-${key.length * 8}-${mode}`;
+}
+
+/**
+ * ISO/IEC 9797-1 padding method 2: 0x80, then zeros up to the block size.
+ */
+function pad(data, size = 8) {
+  const length = (Math.floor(data.length / size) + 1) * size;
+  const padded = Buffer.alloc(length);
+  Buffer.from(data).copy(padded);
+  padded[data.length] = 0x80;
+  return padded;
+}
+
+function unpad(data) {
+  let end = data.length - 1;
+  while (end >= 0 && data[end] === 0x00) end--;
+  if (end < 0 || data[end] !== 0x80) {
+    throw new Error('Invalid ISO/IEC 9797-1 padding');
+  }
+  return data.subarray(0, end);
+}
+
+function runCipher(decipher, cipher, key, data, iv) {
+  const mode = iv === null ? 'ecb' : 'cbc';
+  const algorithm = cipherAlgorithm(cipher, key, mode);
+  const args = [algorithm, key, mode === 'ecb' ? null : (iv || Buffer.alloc(blockSize(cipher)))];
+  const instance = decipher ? crypto.createDecipheriv(...args) : crypto.createCipheriv(...args);
+  instance.setAutoPadding(false);
+  return Buffer.concat([instance.update(data), instance.final()]);
+}
+
+/**
+ * CBC encryption without padding (the data is already padded). `iv` defaults
+ * to zeros; null selects ECB, used to encrypt the AES SSC into an IV.
+ */
+function encrypt(cipher, key, data, iv) {
+  return runCipher(false, cipher, key, data, iv);
+}
+
+function decrypt(cipher, key, data, iv) {
+  return runCipher(true, cipher, key, data, iv);
+}
+
+const xor = (a, b) => Buffer.from(a.map((byte, i) => byte ^ b[i]));
+
+// ISO/IEC 9797-1 MAC algorithm 3: single DES CBC with Ka, 3DES on the last block
+function retailMac(key, data) {
+  if (data.length % 8 !== 0) {
+    throw new Error('Retail MAC input must be padded to 8 bytes');
+  }
+  const ka = key.subarray(0, 8);
+  let state = Buffer.alloc(8);
+  for (let offset = 0; offset < data.length - 8; offset += 8) {
+    state = encrypt('3DES', Buffer.concat([ka, ka]), xor(state, data.subarray(offset, offset + 8)), null);
+  }
+  return encrypt('3DES', key, xor(state, data.subarray(data.length - 8)), null);
+}
+
+// AES-CMAC (RFC 4493 / NIST SP 800-38B)
+function cmac(key, data) {
+  const shiftLeft = block => {
+    const shifted = Buffer.alloc(16);
+    for (let i = 0; i < 16; i++) {
+      shifted[i] = ((block[i] << 1) | (i < 15 ? block[i + 1] >> 7 : 0)) & 0xff;
+    }
+    if (block[0] & 0x80) shifted[15] ^= 0x87;
+    return shifted;
+  };
+  const k1 = shiftLeft(encrypt('AES', key, Buffer.alloc(16), null));
+  const k2 = shiftLeft(k1);
+
+  const blocks = Math.max(1, Math.ceil(data.length / 16));
+  const complete = data.length > 0 && data.length % 16 === 0;
+  const last = complete
+    ? xor(data.subarray((blocks - 1) * 16), k1)
+    : xor(pad(data.subarray((blocks - 1) * 16), 16), k2);
+  let state = Buffer.alloc(16);
+  for (let i = 0; i < blocks - 1; i++) {
+    state = encrypt('AES', key, xor(state, data.subarray(i * 16, i * 16 + 16)), null);
+  }
+  return encrypt('AES', key, xor(state, last), null);
+}
+
+/**
+ * 8-byte MAC: retail MAC for 3DES (input padded by the caller), truncated
+ * AES CMAC otherwise.
+ */
+function computeMac(cipher, key, data) {
+  return cipher === '3DES' ? retailMac(key, data) : cmac(key, data).subarray(0, 8);
+}
+
+const curveCache = new Map();
+
+/**
+ * Domain parameters (p, a, b, G, n) of a named curve, taken from OpenSSL's
+ * explicit parameter encoding.
+ */
+function curveParameters(curve) {
+  if (!curveCache.has(curve)) {
+    const { publicKey } = crypto.generateKeyPairSync('ec', {
+      namedCurve: curve,
+      paramEncoding: 'explicit',
+      publicKeyEncoding: { type: 'spki', format: 'der' },
+      privateKeyEncoding: { type: 'sec1', format: 'der' }
+    });
+    const [algorithm] = children(decodeTLV(publicKey));
+    const [, fieldId, curveFields, base, order] = children(children(algorithm)[1]);
+    const p = toBigInt(unsigned(children(fieldId)[1].value));
+    const [a, b] = children(curveFields).map(node => toBigInt(node.value));
+    const length = Math.ceil(p.toString(16).length / 2);
+    const generator = base.value;
+    curveCache.set(curve, {
+      name: curve,
+      p,
+      a,
+      b,
+      n: toBigInt(unsigned(order.value)),
+      length,
+      G: { x: toBigInt(generator.subarray(1, 1 + length)), y: toBigInt(generator.subarray(1 + length)) }
+    });
+  }
+  return curveCache.get(curve);
+}
+
+const mod = (value, modulus) => ((value % modulus) + modulus) % modulus;
+
+function modInverse(value, modulus) {
+  let [oldR, r] = [mod(value, modulus), modulus];
+  let [oldS, s] = [1n, 0n];
+  while (r !== 0n) {
+    const quotient = oldR / r;
+    [oldR, r] = [r, oldR - quotient * r];
+    [oldS, s] = [s, oldS - quotient * s];
+  }
+  return mod(oldS, modulus);
+}
+
+/**
+ * P + Q on the curve; null is the point at infinity.
+ */
+function pointAdd(curve, P, Q) {
+  if (!P) return Q;
+  if (!Q) return P;
+  const { p, a } = curve;
+  let slope;
+  if (P.x === Q.x) {
+    if (mod(P.y + Q.y, p) === 0n) return null;
+    slope = mod((3n * P.x * P.x + a) * modInverse(2n * P.y, p), p);
+  } else {
+    slope = mod((Q.y - P.y) * modInverse(Q.x - P.x, p), p);
+  }
+  const x = mod(slope * slope - P.x - Q.x, p);
+  return { x, y: mod(slope * (P.x - x) - P.y, p) };
+}
+
+/**
+ * k * P by double-and-add.
+ */
+function pointMultiply(curve, k, P) {
+  let result = null;
+  let addend = P;
+  for (let scalar = mod(k, curve.n); scalar > 0n; scalar >>= 1n) {
+    if (scalar & 1n) result = pointAdd(curve, result, addend);
+    addend = pointAdd(curve, addend, addend);
+  }
+  return result;
+}
+
+function encodePoint(curve, P) {
+  return Buffer.concat([Buffer.from([0x04]), toBuffer(P.x, curve.length), toBuffer(P.y, curve.length)]);
+}
+
+/**
+ * Decode an uncompressed point and check it lies on the curve.
+ */
+function decodePoint(curve, bytes) {
+  if (bytes.length !== 1 + 2 * curve.length || bytes[0] !== 0x04) {
+    throw new Error('EC point is not an uncompressed point on the curve');
+  }
+  const P = { x: toBigInt(bytes.subarray(1, 1 + curve.length)), y: toBigInt(bytes.subarray(1 + curve.length)) };
+  const { p, a, b } = curve;
+  if (mod(P.y * P.y - (P.x * P.x * P.x + a * P.x + b), p) !== 0n) {
+    throw new Error('EC point is not on the curve');
+  }
+  return P;
+}
+
+// Uniform private scalar in [1, n - 1]
+function randomScalar(curve) {
+  const bytes = Math.ceil(curve.n.toString(16).length / 2) + 8;
+  return mod(toBigInt(crypto.randomBytes(bytes)), curve.n - 1n) + 1n;
+}
+
+export {
+  KEY_AGREEMENT_OIDS,
+  KDF_COUNTERS,
+  CIPHERS,
+  deriveKey,
+  keyAgreementParameters,
+  createKeyAgreement,
+  toBigInt,
+  toBuffer,
+  blockSize,
+  pad,
+  unpad,
+  encrypt,
+  decrypt,
+  computeMac,
+  curveParameters,
+  pointAdd,
+  pointMultiply,
+  encodePoint,
+  decodePoint,
+  randomScalar
+};
@@ -8,8 +8,10 @@ import { v4 as uuidv4 } from 'uuid';
 import crypto from 'crypto';
 import { generateKeyPair, SignJWT, exportJWK } from 'jose';
 
-// Make crypto globally available for jose library
-global.crypto = crypto;
+// Make crypto globally available for jose library (built in since Node 19)
+if (!globalThis.crypto) {
+  global.crypto = crypto.webcrypto;
+}
 
 const ISSUER_BASE = 'http://localhost:7002';
 const VERIFIER_BASE = 'http://localhost:7003';
@@ -0,0 +1,683 @@
+#!/usr/bin/env node
+/**
+ * Reference Holder Wallet
+ *
+ * Scriptable OID4VCI (draft 13) / OpenID4VP wallet for development and CI:
+ * accepts a credential offer, obtains the credential with a proof of
+ * possession, keeps it in an encrypted wallet file and presents it to
+ * verifiers such as WebAuthService.
+ *
+ * Features:
+ * - Credential offers by value (credential_offer) or reference (credential_offer_uri)
+ * - Issuer metadata discovery and pre-authorized code exchange with optional tx_code
+ * - One ES256 device key per credential, proven with an openid4vci-proof+jwt
+ * - Stores mso_mdoc, vc+sd-jwt and jwt_vc_json credentials
+ * - Wallet file encrypted with AES-256-GCM under a scrypt-derived key (WALLET_PASSPHRASE)
+ * - Lists and inspects stored credentials (decoded claims and validity)
+ * - Answers openid4vp:// requests (by value, request_uri or presentation_definition_uri)
+ *   with a DIF presentation definition or a DCQL query
+ * - Authenticates signed request objects (x509_san_dns / x509_san_uri) against a trusted IACA,
+ *   accepting only reader authentication certificates
+ * - mdoc DeviceResponses with a device signature over the OID4VP session transcript
+ * - SD-JWT VC presentations with a key binding JWT
+ * - Discloses only the requested elements and responds with direct_post
+ */
+
+import axios from 'axios';
+import crypto from 'crypto';
+import { promisify } from 'util';
+import { readFile, writeFile, rename } from 'fs/promises';
+import { v4 as uuidv4 } from 'uuid';
+import { SignJWT, generateKeyPair, exportJWK, decodeJwt, decodeProtectedHeader, jwtVerify } from 'jose';
+import { cbor, embedCbor, unwrapEmbeddedCbor, coseKeyToJwk, signCoseSign1 } from './cose.js';
+import {
+  decodeElementValue,
+  validateCertificateChain,
+  buildOID4VPSessionTranscript,
+  buildDeviceAuthenticationBytes
+} from './mdoc-verifier.js';
+import { MDL_READER_AUTH_EXTENDED_KEY_USAGE } from './mdoc-certificates.js';
+import { decodeSDJWT, presentSDJWT } from './sd-jwt.js';
+import {
+  parseInputDescriptor,
+  parseDCQLCredentialQuery,
+  selectRequestedElements,
+  selectDisclosedItems,
+  findMissingElements
+} from './mdoc-disclosure.js';
+import { SD_JWT_VC_FORMAT, groupClaimsByNamespace } from './passport-doctype.js';
+import { X509_CLIENT_ID_SCHEMES } from './request-object-signer.js';
+
+const scrypt = promisify(crypto.scrypt);
+
+const DEFAULT_WALLET_FILE = 'holder-wallet.json';
+const WALLET_VERSION = 1;
+const KDF_PARAMS = { N: 2 ** 15, r: 8, p: 1 };
+const PRE_AUTHORIZED_GRANT = 'urn:ietf:params:oauth:grant-type:pre-authorized_code';
+const PROOF_TYPE = 'openid4vci-proof+jwt';
+const SUPPORTED_FORMATS = ['mso_mdoc', SD_JWT_VC_FORMAT, 'jwt_vc_json'];
+const PRESENTABLE_FORMATS = ['mso_mdoc', SD_JWT_VC_FORMAT];
+
+async function deriveKey(passphrase, salt, { N, r, p }) {
+  return scrypt(passphrase, salt, 32, { N, r, p, maxmem: 256 * N * r });
+}
+
+function sameKey(a, b) {
+  return a.kty === b.kty && a.crv === b.crv && a.x === b.x && a.y === b.y;
+}
+
+/**
+ * Decode a stored IssuerSigned structure (base64url CBOR) for display.
+ */
+function decodeMDoc(credential) {
+  const issuerSigned = cbor.decode(Buffer.from(credential, 'base64url'));
+  const mso = unwrapEmbeddedCbor(cbor.decode(Buffer.from(issuerSigned.issuerAuth[2])));
+
+  const claims = {};
+  for (const [namespace, items] of Object.entries(issuerSigned.nameSpaces || {})) {
+    claims[namespace] = {};
+    for (const itemBytes of items) {
+      const item = unwrapEmbeddedCbor(itemBytes);
+      claims[namespace][item.elementIdentifier] = decodeElementValue(item.elementValue);
+    }
+  }
+
+  const validity = decodeElementValue(mso.validityInfo);
+  return {
+    docType: mso.docType,
+    deviceKey: coseKeyToJwk(mso.deviceKeyInfo.deviceKey),
+    validFrom: validity.validFrom,
+    validUntil: validity.validUntil,
+    claims
+  };
+}
+
+class HolderWallet {
+  /**
+   * @param {object} options
+   * @param {string} [options.file] - encrypted wallet file
+   * @param {string} options.passphrase
+   * @param {string[]} [options.trustAnchors] - PEM roots for verifier certificates, loaded lazily otherwise
+   */
+  constructor({ file = DEFAULT_WALLET_FILE, passphrase, trustAnchors } = {}) {
+    if (!passphrase) {
+      throw new Error('A wallet passphrase is required (set WALLET_PASSPHRASE)');
+    }
+    this.file = file;
+    this.passphrase = passphrase;
+    this.trustAnchors = trustAnchors || null;
+    this.contents = null;
+  }
+
+  async loadTrustAnchors() {
+    // WALLET_TRUST_ANCHOR points at a PEM file; otherwise trust the IACA of our own PKI setup
+    if (!this.trustAnchors) {
+      if (process.env.WALLET_TRUST_ANCHOR) {
+        this.trustAnchors = [await readFile(process.env.WALLET_TRUST_ANCHOR, 'utf8')];
+      } else {
+        try {
+          const pkiSetup = JSON.parse(await readFile('mdoc-pki-setup.json', 'utf8'));
+          this.trustAnchors = [pkiSetup.iaca.certificatePEM];
+        } catch (error) {
+          throw new Error('No trusted verifier root configured. Set WALLET_TRUST_ANCHOR or run: node setup-mdoc-pki.js');
+        }
+      }
+    }
+    return this.trustAnchors.map(pem => new crypto.X509Certificate(pem));
+  }
+
+  async load() {
+    let stored;
+    try {
+      stored = JSON.parse(await readFile(this.file, 'utf8'));
+    } catch (error) {
+      if (error.code !== 'ENOENT') throw error;
+      this.contents = { version: WALLET_VERSION, credentials: [] };
+      return this.contents;
+    }
+
+    const key = await deriveKey(this.passphrase, Buffer.from(stored.kdf.salt, 'base64'), stored.kdf);
+    const decipher = crypto.createDecipheriv('aes-256-gcm', key, Buffer.from(stored.iv, 'base64'));
+    decipher.setAuthTag(Buffer.from(stored.tag, 'base64'));
+    try {
+      const plaintext = Buffer.concat([
+        decipher.update(Buffer.from(stored.ciphertext, 'base64')),
+        decipher.final()
+      ]);
+      this.contents = JSON.parse(plaintext.toString('utf8'));
+    } catch (error) {
+      throw new Error('Could not decrypt the wallet file (wrong passphrase?)');
+    }
+    return this.contents;
+  }
+
+  async save() {
+    // Fresh salt and IV on every write; the file is replaced atomically
+    const salt = crypto.randomBytes(16);
+    const iv = crypto.randomBytes(12);
+    const key = await deriveKey(this.passphrase, salt, KDF_PARAMS);
+    const cipher = crypto.createCipheriv('aes-256-gcm', key, iv);
+    const ciphertext = Buffer.concat([cipher.update(JSON.stringify(this.contents), 'utf8'), cipher.final()]);
+
+    const stored = {
+      version: WALLET_VERSION,
+      kdf: { name: 'scrypt', salt: salt.toString('base64'), ...KDF_PARAMS },
+      cipher: 'aes-256-gcm',
+      iv: iv.toString('base64'),
+      tag: cipher.getAuthTag().toString('base64'),
+      ciphertext: ciphertext.toString('base64')
+    };
+    const tmpFile = `${this.file}.tmp`;
+    await writeFile(tmpFile, JSON.stringify(stored, null, 2), { mode: 0o600 });
+    await rename(tmpFile, this.file);
+  }
+
+  async resolveOffer(offerUrl) {
+    const query = offerUrl.split('?')[1] || '';
+    const params = new URLSearchParams(query);
+
+    if (params.get('credential_offer')) {
+      return JSON.parse(params.get('credential_offer'));
+    }
+    const offerUri = params.get('credential_offer_uri');
+    if (offerUri) {
+      const { data } = await axios.get(offerUri);
+      return data;
+    }
+    throw new Error('No credential_offer or credential_offer_uri in the offer URL');
+  }
+
+  async fetchIssuerMetadata(credentialIssuer) {
+    const { data } = await axios.get(`${credentialIssuer}/.well-known/openid-credential-issuer`);
+    if (!data.credential_endpoint) {
+      throw new Error('Issuer metadata has no credential_endpoint');
+    }
+    return data;
+  }
+
+  async requestToken(metadata, grant, txCode) {
+    if (grant.tx_code && !txCode) {
+      const hint = grant.tx_code.description ? ` (${grant.tx_code.description})` : '';
+      throw new Error(`This offer requires a transaction code${hint}: pass --tx-code`);
+    }
+
+    const body = new URLSearchParams({
+      grant_type: PRE_AUTHORIZED_GRANT,
+      'pre-authorized_code': grant['pre-authorized_code']
+    });
+    if (grant.tx_code) {
+      body.set('tx_code', txCode);
+    }
+
+    const tokenEndpoint = metadata.token_endpoint || `${metadata.credential_issuer}/token`;
+    const { data } = await axios.post(tokenEndpoint, body.toString(), {
+      headers: { 'Content-Type': 'application/x-www-form-urlencoded' }
+    });
+    return data;
+  }
+
+  async buildProof(deviceKey, audience, nonce) {
+    const { d, ...publicJwk } = deviceKey;
+    return new SignJWT({ nonce })
+      .setProtectedHeader({ alg: 'ES256', typ: PROOF_TYPE, jwk: publicJwk })
+      .setAudience(audience)
+      .setIssuedAt()
+      .sign(crypto.createPrivateKey({ key: deviceKey, format: 'jwk' }));
+  }
+
+  async requestCredential(metadata, configuration, accessToken, cNonce, deviceKey) {
+    // Draft 13 credential request: format plus the format's type parameter
+    const request = {
+      format: configuration.format,
+      ...(configuration.doctype && { doctype: configuration.doctype }),
+      ...(configuration.vct && { vct: configuration.vct }),
+      ...(configuration.credential_definition && { credential_definition: configuration.credential_definition })
+    };
+
+    let nonce = cNonce;
+    for (let attempt = 0; attempt < 2; attempt++) {
+      request.proof = { proof_type: 'jwt', jwt: await this.buildProof(deviceKey, metadata.credential_issuer, nonce) };
+      try {
+        const { data } = await axios.post(metadata.credential_endpoint, request, {
+          headers: { Authorization: `Bearer ${accessToken}`, 'Content-Type': 'application/json' }
+        });
+        if (!data.credential) {
+          throw new Error(data.transaction_id ? 'Deferred issuance is not supported' : 'Credential response has no credential');
+        }
+        return data;
+      } catch (error) {
+        // The issuer may hand out a fresh c_nonce with invalid_proof; retry once with it
+        const errorBody = error.response?.data;
+        if (attempt === 0 && errorBody?.error === 'invalid_proof' && errorBody.c_nonce) {
+          nonce = errorBody.c_nonce;
+          continue;
+        }
+        throw error;
+      }
+    }
+  }
+
+  checkHolderBinding(format, credential, deviceKey) {
+    // Never store a credential the wallet could not present
+    let boundKey = null;
+    if (format === 'mso_mdoc') {
+      boundKey = decodeMDoc(credential).deviceKey;
+    } else if (format === SD_JWT_VC_FORMAT) {
+      boundKey = decodeSDJWT(credential).payload.cnf?.jwk;
+    } else {
+      boundKey = decodeJwt(credential).cnf?.jwk || deviceKey; // did-bound VCs carry no cnf
+    }
+    if (!boundKey || !sameKey(boundKey, deviceKey)) {
+      throw new Error('Issued credential is not bound to the wallet device key');
+    }
+  }
+
+  /**
+   * Complete the pre-authorized code flow for an offer and store the credentials.
+   *
+   * @returns {Promise<object[]>} the stored wallet entries
+   */
+  async acceptOffer(offerUrl, { txCode } = {}) {
+    if (!this.contents) await this.load();
+
+    const offer = await this.resolveOffer(offerUrl);
+    console.log(`📨 Credential offer from ${offer.credential_issuer}`);
+    const grant = offer.grants?.[PRE_AUTHORIZED_GRANT];
+    if (!grant) {
+      throw new Error('Only pre-authorized code offers are supported');
+    }
+
+    const metadata = await this.fetchIssuerMetadata(offer.credential_issuer);
+    const token = await this.requestToken(metadata, grant, txCode);
+    console.log('🔑 Access token received');
+
+    const entries = [];
+    let cNonce = token.c_nonce;
+    for (const configurationId of offer.credential_configuration_ids || []) {
+      const configuration = metadata.credential_configurations_supported?.[configurationId];
+      if (!configuration) {
+        throw new Error(`Issuer metadata does not describe ${configurationId}`);
+      }
+      if (!SUPPORTED_FORMATS.includes(configuration.format)) {
+        throw new Error(`Unsupported credential format: ${configuration.format}`);
+      }
+
+      const { privateKey } = await generateKeyPair('ES256', { extractable: true });
+      const deviceKey = { ...await exportJWK(privateKey), kid: crypto.randomUUID() };
+      const response = await this.requestCredential(metadata, configuration, token.access_token, cNonce, deviceKey);
+      cNonce = response.c_nonce || cNonce;
+      this.checkHolderBinding(configuration.format, response.credential, deviceKey);
+
+      const entry = {
+        id: uuidv4(),
+        format: configuration.format,
+        ...(configuration.doctype && { doctype: configuration.doctype }),
+        ...(configuration.vct && { vct: configuration.vct }),
+        credentialConfigurationId: configurationId,
+        issuer: offer.credential_issuer,
+        credential: response.credential,
+        deviceKey,
+        receivedAt: new Date().toISOString()
+      };
+      this.contents.credentials.push(entry);
+      entries.push(entry);
+      console.log(`✅ Stored ${configuration.format} credential ${entry.id}`);
+    }
+
+    await this.save();
+    return entries;
+  }
+
+  async list() {
+    if (!this.contents) await this.load();
+    return this.contents.credentials.map(({ id, format, doctype, vct, credentialConfigurationId, issuer, receivedAt }) => ({
+      id,
+      format,
+      type: doctype || vct || credentialConfigurationId,
+      issuer,
+      receivedAt
+    }));
+  }
+
+  async get(id) {
+    if (!this.contents) await this.load();
+    const entry = this.contents.credentials.find(credential => credential.id === id || credential.id.startsWith(id));
+    if (!entry) {
+      throw new Error(`No credential ${id} in the wallet`);
+    }
+    return entry;
+  }
+
+  async resolveAuthorizationRequest(requestUrl) {
+    const params = Object.fromEntries(new URLSearchParams(requestUrl.split('?')[1] || ''));
+    let request = params;
+
+    if (params.request_uri) {
+      // Signed request objects under X.509 client ID schemes are authenticated before use
+      const { data } = await axios.get(params.request_uri, {
+        headers: { Accept: 'application/oauth-authz-req+jwt, application/json' }
+      });
+      request = typeof data === 'string' ? await this.verifyRequestObject(data.trim()) : data;
+      if (params.client_id && request.client_id !== params.client_id) {
+        throw new Error('Request object client_id does not match the authorization request');
+      }
+      if (params.client_id_scheme && request.client_id_scheme !== params.client_id_scheme) {
+        throw new Error('Request object client_id_scheme does not match the authorization request');
+      }
+    }
+
+    if (X509_CLIENT_ID_SCHEMES.includes(request.client_id_scheme) && !request.verifierCertificate) {
+      throw new Error(`${request.client_id_scheme} requests must be signed request objects`);
+    }
+
+    if (typeof request.presentation_definition === 'string') {
+      request = { ...request, presentation_definition: JSON.parse(request.presentation_definition) };
+    }
+    if (typeof request.dcql_query === 'string') {
+      request = { ...request, dcql_query: JSON.parse(request.dcql_query) };
+    }
+    if (!request.presentation_definition && request.presentation_definition_uri) {
+      const { data } = await axios.get(request.presentation_definition_uri);
+      request = { ...request, presentation_definition: data };
+    }
+
+    if (request.response_type !== 'vp_token') {
+      throw new Error(`Unsupported response_type: ${request.response_type}`);
+    }
+    if (request.response_mode !== 'direct_post') {
+      throw new Error(`Unsupported response_mode: ${request.response_mode} (only direct_post)`);
+    }
+    for (const parameter of ['client_id', 'response_uri', 'nonce']) {
+      if (!request[parameter]) {
+        throw new Error(`Authorization request has no ${parameter}`);
+      }
+    }
+    if (!request.presentation_definition === !request.dcql_query) {
+      throw new Error('Authorization request needs exactly one of presentation_definition and dcql_query');
+    }
+    return request;
+  }
+
+  /**
+   * Decode a request object, authenticating it when it uses an X.509 client
+   * ID scheme. Request objects under other schemes are taken as they are.
+   */
+  async verifyRequestObject(requestObject) {
+    const claims = decodeJwt(requestObject);
+    if (!X509_CLIENT_ID_SCHEMES.includes(claims.client_id_scheme)) {
+      return claims;
+    }
+
+    const header = decodeProtectedHeader(requestObject);
+    if (!Array.isArray(header.x5c) || header.x5c.length === 0) {
+      throw new Error('Signed request object carries no x5c certificate chain');
+    }
+    let verifierCertificate;
+    try {
+      const x5chain = header.x5c.map(cert => Buffer.from(cert, 'base64'));
+      ({ documentSigner: verifierCertificate } = validateCertificateChain(x5chain, await this.loadTrustAnchors()));
+    } catch (error) {
+      throw new Error(`Verifier certificate not trusted: ${error.message}`);
+    }
+    // The IACA also certifies Document Signers; only reader authentication certificates speak for a verifier
+    if (!(verifierCertificate.keyUsage || []).includes(MDL_READER_AUTH_EXTENDED_KEY_USAGE)) {
+      throw new Error(`Verifier certificate is not a reader authentication certificate (extended key usage ${MDL_READER_AUTH_EXTENDED_KEY_USAGE})`);
+    }
+    const { payload } = await jwtVerify(requestObject, verifierCertificate.publicKey, { typ: 'oauth-authz-req+jwt' });
+
+    // The client ID must be a subject alternative name of the certificate, and
+    // responses may only go where that name points (OpenID4VP §5.10)
+    const alternativeNames = (verifierCertificate.subjectAltName || '').split(', ');
+    if (payload.client_id_scheme === 'x509_san_dns') {
+      if (!alternativeNames.includes(`DNS:${payload.client_id}`)) {
+        throw new Error(`Verifier certificate has no DNS name ${payload.client_id}`);
+      }
+      if (new URL(payload.response_uri).hostname !== payload.client_id) {
+        throw new Error('response_uri host does not match the client_id');
+      }
+    } else {
+      if (!alternativeNames.includes(`URI:${payload.client_id}`)) {
+        throw new Error(`Verifier certificate has no URI ${payload.client_id}`);
+      }
+      if (payload.response_uri !== payload.client_id) {
+        throw new Error('response_uri does not match the client_id');
+      }
+    }
+
+    const commonName = verifierCertificate.subject.match(/CN=(.*)/)?.[1] || verifierCertificate.subject;
+    console.log(`🔏 Verifier authenticated: ${commonName}`);
+    return { ...payload, verifierCertificate };
+  }
+
+  findCredential({ format, docType, vct }, credentialId) {
+    const candidates = this.contents.credentials.filter(entry =>
+      entry.format === format && (format === SD_JWT_VC_FORMAT ? entry.vct === vct : entry.doctype === docType) &&
+      (!credentialId || entry.id === credentialId || entry.id.startsWith(credentialId)));
+    if (candidates.length === 0) {
+      throw new Error(`No ${format} credential for ${vct || docType} in the wallet`);
+    }
+    return candidates[candidates.length - 1];
+  }
+
+  selectElements(entry, itemsRequest) {
+    const available = entry.format === SD_JWT_VC_FORMAT
+      ? groupClaimsByNamespace(decodeSDJWT(entry.credential).claims)
+      : decodeMDoc(entry.credential).claims;
+    const selection = selectRequestedElements(available, itemsRequest);
+
+    // Refuse up front rather than let the verifier reject an incomplete answer
+    const selectedClaims = Object.fromEntries(Object.entries(selection).map(([namespace, identifiers]) =>
+      [namespace, Object.fromEntries(identifiers.map(identifier => [identifier, available[namespace][identifier]]))]));
+    const missing = findMissingElements(selectedClaims, itemsRequest);
+    if (missing.length > 0) {
+      throw new Error(`Credential cannot answer the request: ${missing.join(', ')} not available`);
+    }
+    return selection;
+  }
+
+  buildDeviceResponse(entry, itemsRequest, { clientId, responseUri, nonce, mdocGeneratedNonce }) {
+    const issuerSigned = selectDisclosedItems(cbor.decode(Buffer.from(entry.credential, 'base64url')), itemsRequest);
+    const sessionTranscript = buildOID4VPSessionTranscript({ clientId, responseUri, nonce, mdocGeneratedNonce });
+
+    // No device-signed elements, only the device signature (ISO 18013-5 §9.1.3)
+    const deviceNameSpaces = embedCbor({});
+    const deviceSignature = signCoseSign1({
+      payload: buildDeviceAuthenticationBytes(sessionTranscript, entry.doctype, deviceNameSpaces),
+      privateKey: entry.deviceKey,
+      detached: true
+    });
+
+    const deviceResponse = {
+      version: '1.0',
+      documents: [{
+        docType: entry.doctype,
+        issuerSigned,
+        deviceSigned: { nameSpaces: deviceNameSpaces, deviceAuth: { deviceSignature } }
+      }],
+      status: 0
+    };
+    return cbor.encode(deviceResponse).toString('base64url');
+  }
+
+  /**
+   * Answer an OpenID4VP authorization request with a stored credential.
+   *
+   * @returns {Promise<{ credentialId: string, disclosed: object, response: object }>}
+   */
+  async presentCredential(requestUrl, { credentialId } = {}) {
+    if (!this.contents) await this.load();
+
+    const request = await this.resolveAuthorizationRequest(requestUrl);
+    console.log(`📨 Presentation request from ${request.client_id}`);
+    const queries = request.dcql_query
+      ? request.dcql_query.credentials || []
+      : request.presentation_definition.input_descriptors || [];
+    if (queries.length !== 1) {
+      throw new Error('Only requests for a single credential are supported');
+    }
+
+    const requested = request.dcql_query
+      ? parseDCQLCredentialQuery(queries[0])
+      : parseInputDescriptor(queries[0]);
+    if (!PRESENTABLE_FORMATS.includes(requested.format)) {
+      throw new Error(`Cannot present ${requested.format} credentials`);
+    }
+    const entry = this.findCredential(requested, credentialId);
+    const disclosed = this.selectElements(entry, requested.itemsRequest);
+
+    const body = new URLSearchParams();
+    let presentation;
+    if (entry.format === SD_JWT_VC_FORMAT) {
+      const identifiers = new Set(Object.values(disclosed).flat());
+      presentation = await presentSDJWT(entry.credential, {
+        // Nested claims (e.g. dg_hashes entries) go with their parent
+        disclose: path => identifiers.has(path[0]),
+        holderKey: entry.deviceKey,
+        audience: request.client_id,
+        nonce: request.nonce
+      });
+    } else {
+      const mdocGeneratedNonce = crypto.randomBytes(16).toString('base64url');
+      presentation = this.buildDeviceResponse(entry, requested.itemsRequest, {
+        clientId: request.client_id,
+        responseUri: request.response_uri,
+        nonce: request.nonce,
+        mdocGeneratedNonce
+      });
+      body.set('mdoc_generated_nonce', mdocGeneratedNonce);
+    }
+
+    if (request.dcql_query) {
+      // DCQL responses are keyed by credential query id, without a presentation submission
+      body.set('vp_token', JSON.stringify({ [requested.id]: [presentation] }));
+    } else {
+      body.set('vp_token', presentation);
+      body.set('presentation_submission', JSON.stringify({
+        id: uuidv4(),
+        definition_id: request.presentation_definition.id,
+        descriptor_map: [{ id: queries[0].id, format: entry.format, path: '$' }]
+      }));
+    }
+    if (request.state) {
+      body.set('state', request.state);
+    }
+
+    const { data } = await axios.post(request.response_uri, body.toString(), {
+      headers: { 'Content-Type': 'application/x-www-form-urlencoded' }
+    });
+    console.log(`✅ Presented ${entry.format} credential ${entry.id}`);
+
+    return { credentialId: entry.id, disclosed, response: data };
+  }
+
+  async inspect(id) {
+    const entry = await this.get(id);
+    const { deviceKey, credential, ...summary } = entry;
+
+    if (entry.format === 'mso_mdoc') {
+      const { docType, validFrom, validUntil, claims } = decodeMDoc(credential);
+      return { ...summary, docType, validFrom, validUntil, claims };
+    }
+    if (entry.format === SD_JWT_VC_FORMAT) {
+      const { payload, claims } = decodeSDJWT(credential);
+      const { _sd, _sd_alg, cnf, ...visible } = claims;
+      return {
+        ...summary,
+        validUntil: payload.exp ? new Date(payload.exp * 1000).toISOString() : null,
+        claims: visible
+      };
+    }
+    const payload = decodeJwt(credential);
+    return {
+      ...summary,
+      validUntil: payload.exp ? new Date(payload.exp * 1000).toISOString() : null,
+      claims: payload.vc?.credentialSubject || payload
+    };
+  }
+}
+
+// CLI Interface
+async function main() {
+  const args = process.argv.slice(2);
+  const [command, argument] = args.filter(arg => !arg.startsWith('--'));
+  const option = name => args.find(arg => arg.startsWith(`--${name}=`))?.substring(name.length + 3);
+
+  if (!command || args.includes('--help')) {
+    console.log(`
+👛 Reference Holder Wallet
+
+Usage:
+  node holder-wallet.js receive "<credential offer URL>" [--tx-code=CODE]
+  node holder-wallet.js list
+  node holder-wallet.js inspect <credential id>
+  node holder-wallet.js present "<openid4vp:// authorization request>" [--credential=ID]
+
+Options:
+  --wallet=FILE     Wallet file (default: ${DEFAULT_WALLET_FILE}, or WALLET_FILE)
+  --tx-code=CODE    Transaction code for offers that require one
+  --credential=ID   Credential to present (default: the newest matching one)
+  --trust-anchor=FILE
+                    PEM root for signed presentation requests (default: WALLET_TRUST_ANCHOR,
+                    or the IACA in mdoc-pki-setup.json)
+
+The wallet file is encrypted with the passphrase in WALLET_PASSPHRASE.
+
+Example (with npm run mock-waltid and a PKI set up):
+  node mdoc-issuer.js --web-id="alice@example.com" --use-pki
+  WALLET_PASSPHRASE=secret node holder-wallet.js receive "openid-credential-offer://?credential_offer_uri=..."
+    `);
+    process.exit(0);
+  }
+
+  try {
+    const wallet = new HolderWallet({
+      file: option('wallet') || process.env.WALLET_FILE || DEFAULT_WALLET_FILE,
+      passphrase: process.env.WALLET_PASSPHRASE,
+      trustAnchors: option('trust-anchor') ? [await readFile(option('trust-anchor'), 'utf8')] : undefined
+    });
+
+    if (command === 'receive') {
+      if (!argument) throw new Error('receive needs a credential offer URL');
+      const entries = await wallet.acceptOffer(argument, { txCode: option('tx-code') });
+      console.log(`\n🎉 ${entries.length} credential(s) stored in ${wallet.file}`);
+    } else if (command === 'list') {
+      const credentials = await wallet.list();
+      if (credentials.length === 0) {
+        console.log('👛 Wallet is empty');
+      }
+      for (const credential of credentials) {
+        console.log(`${credential.id}  ${credential.format.padEnd(11)} ${credential.type}  ${credential.issuer}  ${credential.receivedAt}`);
+      }
+    } else if (command === 'inspect') {
+      if (!argument) throw new Error('inspect needs a credential id');
+      const details = await wallet.inspect(argument);
+      // Portraits and other binary elements are long; show their size only
+      console.log(JSON.stringify(details, (key, value) =>
+        (key === 'portrait' && typeof value === 'string' ? `<${Buffer.from(value, 'base64').length} bytes>` : value), 2));
+    } else if (command === 'present') {
+      if (!argument) throw new Error('present needs an openid4vp:// authorization request');
+      const result = await wallet.presentCredential(argument, { credentialId: option('credential') });
+      for (const [namespace, identifiers] of Object.entries(result.disclosed)) {
+        console.log(`   - ${namespace}: ${identifiers.join(', ')}`);
+      }
+      if (result.response.redirect_uri) {
+        console.log(`\n➡️  Continue at: ${result.response.redirect_uri}`);
+      }
+    } else {
+      throw new Error(`Unknown command: ${command}`);
+    }
+  } catch (error) {
+    if (error.response) {
+      console.error('❌ HTTP Error:', error.response.status, JSON.stringify(error.response.data));
+    } else {
+      console.error('❌', error.message);
+    }
+    process.exit(1);
+  }
+}
+
+if (import.meta.url === `file://${process.argv[1]}`) {
+  main();
+}
+
+export { HolderWallet, decodeMDoc };
@@ -0,0 +1,163 @@
+/**
+ * Issuance Registry
+ *
+ * Keeps a record of every credential offer and locally signed credential,
+ * so issuances can be looked up after the fact instead of living only in
+ * the last credential-offer.json.
+ *
+ * Features:
+ * - File-backed registry (issuance-registry.json) keyed by offer ID, updated one change at a time
+ * - Web ID, passport number hash, doctype / vct, issuer key ID and status list index per issuance
+ * - Offer status: created, redeemed (walt.id status callback or local signing) or expired
+ * - Queries by web ID, passport number and offer status
+ * - Per-offer status callback secrets, stored hashed
+ */
+
+import crypto from 'crypto';
+import { RegistryStore, hashDocumentNumber } from './registry-store.js';
+
+const OFFER_STATUSES = ['created', 'redeemed', 'expired'];
+const DEFAULT_REGISTRY_FILE = 'issuance-registry.json';
+
+/**
+ * Offer ID of a walt.id credential offer URL: the issuance session ID
+ * carried in the credential_offer_uri.
+ */
+function credentialOfferId(offerUrl) {
+  const params = new URLSearchParams(String(offerUrl).split('?')[1] || '');
+  const offerUri = params.get('credential_offer_uri');
+  if (!offerUri) {
+    return null;
+  }
+  return new URL(offerUri).searchParams.get('id');
+}
+
+function hashCallbackSecret(secret) {
+  return crypto.createHash('sha256').update(secret).digest('hex');
+}
+
+class IssuanceRegistry {
+  constructor({ file = DEFAULT_REGISTRY_FILE } = {}) {
+    this.file = file;
+    this.store = new RegistryStore(file, () => ({ issuances: {} }));
+  }
+
+  async load() {
+    return await this.store.read();
+  }
+
+  // Offers are only marked expired when read; the stored status stays 'created'.
+  // The callback secret hash stays in the registry file.
+  withOfferStatus({ callbackSecretHash, ...entry }, now = Date.now()) {
+    const expired = entry.status === 'created' && entry.expiresAt && Date.parse(entry.expiresAt) <= now;
+    return expired ? { ...entry, status: 'expired' } : entry;
+  }
+
+  /**
+   * Record a new issuance.
+   *
+   * @param {object} issuance
+   * @param {string} issuance.offerId - walt.id issuance session ID, or a UUID for local signing
+   * @param {string} issuance.documentNumber - hashed before it is stored
+   * @param {string} [issuance.expiresAt] - when the offer stops being redeemable (null for local signing)
+   * @param {string} [issuance.status] - 'created' (default) or 'redeemed'
+   * @param {string} [issuance.callbackSecret] - secret the status callbacks for this offer must carry
+   */
+  async record({
+    offerId,
+    webId,
+    documentNumber,
+    doctype,
+    format,
+    backend,
+    issuerKeyId,
+    statusListIndex = null,
+    issuedAt = new Date().toISOString(),
+    expiresAt = null,
+    validUntil = null,
+    status = 'created',
+    callbackSecret = null
+  }) {
+    if (!offerId) {
+      throw new Error('Offer ID is required');
+    }
+    if (!OFFER_STATUSES.includes(status)) {
+      throw new Error(`Unknown offer status: ${status}`);
+    }
+
+    const entry = await this.store.update(({ issuances }) => {
+      if (issuances[offerId]) {
+        throw new Error(`Issuance ${offerId} is already recorded`);
+      }
+      issuances[offerId] = {
+        offerId,
+        webId,
+        documentNumberHash: hashDocumentNumber(documentNumber),
+        doctype,
+        format,
+        backend,
+        issuerKeyId,
+        statusListIndex,
+        issuedAt,
+        expiresAt,
+        validUntil,
+        status,
+        redeemedAt: status === 'redeemed' ? issuedAt : null,
+        callbackSecretHash: callbackSecret ? hashCallbackSecret(callbackSecret) : null
+      };
+      return issuances[offerId];
+    });
+    return this.withOfferStatus(entry);
+  }
+
+  /**
+   * Whether a status callback carries the secret of its offer. Offers
+   * recorded without one never match.
+   */
+  async checkCallbackSecret(offerId, secret) {
+    const { issuances } = await this.load();
+    const expected = issuances[offerId]?.callbackSecretHash;
+    if (!expected || typeof secret !== 'string') {
+      return false;
+    }
+    return crypto.timingSafeEqual(Buffer.from(expected, 'hex'), Buffer.from(hashCallbackSecret(secret), 'hex'));
+  }
+
+  async get(offerId) {
+    const { issuances } = await this.load();
+    return issuances[offerId] ? this.withOfferStatus(issuances[offerId]) : null;
+  }
+
+  /**
+   * Issuances matching every given criterion, newest first.
+   */
+  async find({ webId, documentNumber, status } = {}) {
+    const { issuances } = await this.load();
+    const documentNumberHash = documentNumber !== undefined ? hashDocumentNumber(documentNumber) : undefined;
+    return Object.values(issuances)
+      .map(entry => this.withOfferStatus(entry))
+      .filter(entry => (webId === undefined || entry.webId === webId) &&
+        (documentNumberHash === undefined || entry.documentNumberHash === documentNumberHash) &&
+        (status === undefined || entry.status === status))
+      .sort((a, b) => b.issuedAt.localeCompare(a.issuedAt));
+  }
+
+  /**
+   * Mark an offer redeemed once the wallet has picked up its credential.
+   *
+   * @returns {Promise<object|null>} the updated issuance, or null for unknown offers
+   */
+  async markRedeemed(offerId) {
+    const entry = await this.store.update(({ issuances }) => {
+      const entry = issuances[offerId];
+      if (entry && entry.status !== 'redeemed') {
+        entry.status = 'redeemed';
+        entry.redeemedAt = new Date().toISOString();
+      }
+      return entry || null;
+    });
+    return entry && this.withOfferStatus(entry);
+  }
+}
+
+export { IssuanceRegistry, OFFER_STATUSES, credentialOfferId };
@@ -0,0 +1,638 @@
+#!/usr/bin/env node
+/**
+ * eMRTD Logical Data Structure (LDS)
+ *
+ * Parses the elementary files read from a passport chip (ICAO Doc 9303
+ * Part 10) into the passport fields PassportDataReader.formatForMDoc
+ * consumes, and encodes them again for fixtures and simulated chips.
+ *
+ * Features:
+ * - EF.COM: LDS / Unicode versions and the list of data groups present
+ * - DG1: the MRZ (TD1, TD2, TD3)
+ * - DG2: facial images in CBEFF biometric templates with ISO/IEC 19794-5 records (JPEG and JPEG 2000)
+ * - DG11: additional personal details (full name, other names, personal number, full birth date, place of birth, address, ...)
+ * - DG12: additional document details (issuing authority, date of issue, endorsements, personalisation, ...)
+ * - DG14: security infos for Chip Authentication, PACE and Active Authentication
+ * - DG15: the Active Authentication public key
+ * - EF.CardAccess: the PACE security infos
+ * - Chip dump directories (EF_COM.bin, EF_SOD.bin, EF_CardAccess.bin, DG<n>.bin)
+ * - CLI to dump a chip directory
+ */
+
+import crypto from 'crypto';
+import path from 'path';
+import { readFile, readdir } from 'fs/promises';
+import {
+  ASN1,
+  decodeTLV,
+  children,
+  findTag,
+  encodeTLV,
+  decodeOID,
+  encodeOID,
+  decodeInteger,
+  encodeInteger
+} from './ber-tlv.js';
+import { parseMRZ } from './mrz.js';
+
+const EF_COM_TAG = 0x60;
+const EF_SOD_TAG = 0x77;
+
+// ICAO 9303 Part 10, Table 34: data group number -> file tag
+const DATA_GROUP_TAGS = {
+  1: 0x61, 2: 0x75, 3: 0x63, 4: 0x76, 5: 0x65, 6: 0x66, 7: 0x67, 8: 0x68,
+  9: 0x69, 10: 0x6a, 11: 0x6b, 12: 0x6c, 13: 0x6d, 14: 0x6e, 15: 0x6f, 16: 0x70
+};
+
+const TAGS = {
+  LDS_VERSION: 0x5f01,
+  UNICODE_VERSION: 0x5f36,
+  TAG_LIST: 0x5c,
+  MRZ: 0x5f1f,
+  BIOMETRIC_GROUP: 0x7f61,
+  BIOMETRIC_TEMPLATE: 0x7f60,
+  BIOMETRIC_HEADER: 0xa1,
+  BIOMETRIC_DATA: 0x5f2e,
+  INSTANCE_COUNT: 0x02,
+  CONTENT: 0xa0,
+  // DG11
+  FULL_NAME: 0x5f0e,
+  OTHER_NAME: 0x5f0f,
+  PERSONAL_NUMBER: 0x5f10,
+  FULL_DATE_OF_BIRTH: 0x5f2b,
+  PLACE_OF_BIRTH: 0x5f11,
+  PERMANENT_ADDRESS: 0x5f42,
+  TELEPHONE: 0x5f12,
+  PROFESSION: 0x5f13,
+  TITLE: 0x5f14,
+  PERSONAL_SUMMARY: 0x5f15,
+  PROOF_OF_CITIZENSHIP: 0x5f16,
+  OTHER_TD_NUMBERS: 0x5f17,
+  CUSTODY_INFORMATION: 0x5f18,
+  // DG12
+  ISSUING_AUTHORITY: 0x5f19,
+  DATE_OF_ISSUE: 0x5f26,
+  OTHER_PERSON: 0x5f1a,
+  ENDORSEMENTS: 0x5f1b,
+  TAX_EXIT_REQUIREMENTS: 0x5f1c,
+  IMAGE_OF_FRONT: 0x5f1d,
+  IMAGE_OF_REAR: 0x5f1e,
+  PERSONALIZATION_TIME: 0x5f55,
+  PERSONALIZATION_DEVICE: 0x5f56
+};
+
+// DG14 SecurityInfo protocol OIDs (ICAO 9303 Part 11, §9.2)
+const SECURITY_INFO_OIDS = {
+  ACTIVE_AUTHENTICATION: '2.23.136.1.1.5',
+  CHIP_AUTHENTICATION_PUBLIC_KEY: '0.4.0.127.0.7.2.2.1', // id-PK-DH (.1), id-PK-ECDH (.2)
+  CHIP_AUTHENTICATION: '0.4.0.127.0.7.2.2.3', // id-CA-DH-* (.1.x), id-CA-ECDH-* (.2.x)
+  PACE: '0.4.0.127.0.7.2.2.4'
+};
+
+// ISO/IEC 19794-5 facial record header
+const FACIAL_RECORD_FORMAT = Buffer.from('FAC\0', 'latin1');
+const FACIAL_RECORD_VERSION = Buffer.from('010\0', 'latin1');
+const IMAGE_DATA_TYPES = { 0: 'jpeg', 1: 'jpeg2000' };
+const MIME_TYPES = { jpeg: 'image/jpeg', jpeg2000: 'image/jp2' };
+const GENDERS = { 0: 'unspecified', 1: 'male', 2: 'female', 3: 'unknown' };
+
+function dataGroupNumber(tag) {
+  const entry = Object.entries(DATA_GROUP_TAGS).find(([, value]) => value === tag);
+  return entry ? Number(entry[0]) : null;
+}
+
+/**
+ * Decode an elementary file and check its outer tag.
+ */
+function openFile(bytes, tag, name) {
+  const node = decodeTLV(bytes);
+  if (node.tag !== tag) {
+    throw new Error(`${name} must start with tag ${tag.toString(16).toUpperCase()}, found ${node.tag.toString(16).toUpperCase()}`);
+  }
+  return children(node);
+}
+
+const text = node => (node ? node.value.toString('utf8') : undefined);
+
+// Variable-length fields use '<' between components (e.g. "ANYTOWN<MN")
+const components = node => (node ? text(node).split('<').map(part => part.trim()).filter(Boolean) : undefined);
+
+/**
+ * Dates in DG11 / DG12 are CCYYMMDD (ASCII), or 4-byte BCD on older chips.
+ */
+function parseFullDate(node) {
+  if (!node) return undefined;
+  const digits = node.value.length === 4 ? node.value.toString('hex') : node.value.toString('latin1');
+  if (!/^\d{8}$/.test(digits)) {
+    return undefined;
+  }
+  return `${digits.slice(0, 4)}-${digits.slice(4, 6)}-${digits.slice(6, 8)}`;
+}
+
+function formatFullDate(isoDate) {
+  return Buffer.from(isoDate.replace(/-/g, ''), 'latin1');
+}
+
+/**
+ * Values of a tag that may repeat, either directly or inside an A0 content
+ * template with an instance count.
+ */
+function repeatedValues(nodes, tag) {
+  const content = findTag(nodes, TAGS.CONTENT);
+  const source = content ? children(content) : nodes;
+  return source.filter(node => node.tag === tag);
+}
+
+function parseCOM(bytes) {
+  const nodes = openFile(bytes, EF_COM_TAG, 'EF.COM');
+  const version = text(findTag(nodes, TAGS.LDS_VERSION)) || '';
+  const unicode = text(findTag(nodes, TAGS.UNICODE_VERSION)) || '';
+  const tagList = findTag(nodes, TAGS.TAG_LIST);
+  return {
+    // "0107" -> "1.7", "040000" -> "4.0.0"
+    ldsVersion: version.length === 4 ? `${Number(version.slice(0, 2))}.${Number(version.slice(2))}` : version,
+    unicodeVersion: unicode.length === 6 ? unicode.match(/../g).map(Number).join('.') : unicode,
+    dataGroups: tagList ? [...tagList.value].map(dataGroupNumber).filter(Boolean) : []
+  };
+}
+
+function parseDG1(bytes) {
+  const nodes = openFile(bytes, DATA_GROUP_TAGS[1], 'DG1');
+  const mrzNode = findTag(nodes, TAGS.MRZ);
+  if (!mrzNode) {
+    throw new Error('DG1 has no MRZ data element (5F1F)');
+  }
+  const mrz = mrzNode.value.toString('latin1');
+  return { mrz, ...parseMRZ(mrz) };
+}
+
+/**
+ * Parse an ISO/IEC 19794-5 facial record (the biometric data block of DG2).
+ */
+function parseFacialRecord(record) {
+  if (!record.subarray(0, 4).equals(FACIAL_RECORD_FORMAT)) {
+    throw new Error('Biometric data block is not an ISO/IEC 19794-5 facial record');
+  }
+  const faces = [];
+  const count = record.readUInt16BE(12);
+  let offset = 14;
+  for (let i = 0; i < count; i++) {
+    const blockLength = record.readUInt32BE(offset);
+    const featurePoints = record.readUInt16BE(offset + 4);
+    const imageInfo = offset + 20 + featurePoints * 8;
+    const imageDataType = record[imageInfo + 1];
+    const type = IMAGE_DATA_TYPES[imageDataType];
+    if (!type) {
+      throw new Error(`Unsupported facial image data type ${imageDataType}`);
+    }
+    faces.push({
+      gender: GENDERS[record[offset + 6]] || 'unknown',
+      eyeColor: record[offset + 7],
+      hairColor: record[offset + 8],
+      expression: record.readUInt16BE(offset + 12),
+      featurePoints,
+      faceImageType: record[imageInfo],
+      imageType: type,
+      mimeType: MIME_TYPES[type],
+      width: record.readUInt16BE(imageInfo + 2),
+      height: record.readUInt16BE(imageInfo + 4),
+      image: Buffer.from(record.subarray(imageInfo + 12, offset + blockLength))
+    });
+    offset += blockLength;
+  }
+  return faces;
+}
+
+function parseDG2(bytes) {
+  const nodes = openFile(bytes, DATA_GROUP_TAGS[2], 'DG2');
+  const group = findTag(nodes, TAGS.BIOMETRIC_GROUP);
+  if (!group) {
+    throw new Error('DG2 has no biometric information group template (7F61)');
+  }
+
+  const faces = [];
+  for (const template of children(group).filter(node => node.tag === TAGS.BIOMETRIC_TEMPLATE)) {
+    const fields = children(template);
+    const header = findTag(fields, TAGS.BIOMETRIC_HEADER);
+    const headerFields = header ? children(header) : [];
+    const data = findTag(fields, TAGS.BIOMETRIC_DATA);
+    if (!data) {
+      // Enciphered (7F2E) blocks need keys this reader does not have
+      continue;
+    }
+    const formatType = findTag(headerFields, 0x88);
+    for (const face of parseFacialRecord(data.value)) {
+      faces.push({ ...face, ...(formatType && { formatType: decodeInteger(formatType.value) }) });
+    }
+  }
+  return { faces };
+}
+
+function parseDG11(bytes) {
+  const nodes = openFile(bytes, DATA_GROUP_TAGS[11], 'DG11');
+  const fullName = text(findTag(nodes, TAGS.FULL_NAME));
+  const [lastName, ...given] = fullName ? fullName.split('<<') : [];
+
+  return {
+    ...(fullName && {
+      fullName: {
+        lastName: lastName.replace(/</g, ' ').trim(),
+        firstName: given.join(' ').replace(/</g, ' ').trim()
+      }
+    }),
+    otherNames: repeatedValues(nodes, TAGS.OTHER_NAME).map(node => text(node).replace(/<+/g, ' ').trim()),
+    personalNumber: text(findTag(nodes, TAGS.PERSONAL_NUMBER)),
+    dateOfBirth: parseFullDate(findTag(nodes, TAGS.FULL_DATE_OF_BIRTH)),
+    placeOfBirth: components(findTag(nodes, TAGS.PLACE_OF_BIRTH)),
+    permanentAddress: components(findTag(nodes, TAGS.PERMANENT_ADDRESS)),
+    telephone: text(findTag(nodes, TAGS.TELEPHONE)),
+    profession: text(findTag(nodes, TAGS.PROFESSION)),
+    title: text(findTag(nodes, TAGS.TITLE)),
+    personalSummary: text(findTag(nodes, TAGS.PERSONAL_SUMMARY)),
+    proofOfCitizenship: findTag(nodes, TAGS.PROOF_OF_CITIZENSHIP)?.value,
+    otherTravelDocumentNumbers: components(findTag(nodes, TAGS.OTHER_TD_NUMBERS)),
+    custodyInformation: text(findTag(nodes, TAGS.CUSTODY_INFORMATION))
+  };
+}
+
+function parseDG12(bytes) {
+  const nodes = openFile(bytes, DATA_GROUP_TAGS[12], 'DG12');
+  const personalizationTime = findTag(nodes, TAGS.PERSONALIZATION_TIME);
+  let personalizedAt;
+  if (personalizationTime) {
+    // CCYYMMDDhhmmss, ASCII or 7-byte BCD
+    const digits = personalizationTime.value.length === 7
+      ? personalizationTime.value.toString('hex')
+      : personalizationTime.value.toString('latin1');
+    if (/^\d{14}$/.test(digits)) {
+      personalizedAt = `${digits.slice(0, 4)}-${digits.slice(4, 6)}-${digits.slice(6, 8)}T` +
+        `${digits.slice(8, 10)}:${digits.slice(10, 12)}:${digits.slice(12, 14)}Z`;
+    }
+  }
+
+  return {
+    issuingAuthority: text(findTag(nodes, TAGS.ISSUING_AUTHORITY)),
+    dateOfIssue: parseFullDate(findTag(nodes, TAGS.DATE_OF_ISSUE)),
+    otherPersons: repeatedValues(nodes, TAGS.OTHER_PERSON).map(node => text(node).replace(/<+/g, ' ').trim()),
+    endorsements: text(findTag(nodes, TAGS.ENDORSEMENTS)),
+    taxOrExitRequirements: text(findTag(nodes, TAGS.TAX_EXIT_REQUIREMENTS)),
+    imageOfFront: findTag(nodes, TAGS.IMAGE_OF_FRONT)?.value,
+    imageOfRear: findTag(nodes, TAGS.IMAGE_OF_REAR)?.value,
+    personalizedAt,
+    personalizationDeviceSerial: text(findTag(nodes, TAGS.PERSONALIZATION_DEVICE))
+  };
+}
+
+const underArc = (oid, arc) => oid.startsWith(`${arc}.`);
+
+/**
+ * Sort a SecurityInfos set into the protocols the chip offers. Keys stay DER
+ * SubjectPublicKeyInfo; unknown protocols are listed by OID.
+ */
+function parseSecurityInfos(securityInfos) {
+  const result = {
+    chipAuthentication: [],
+    chipAuthenticationPublicKeys: [],
+    pace: [],
+    activeAuthentication: null,
+    other: []
+  };
+  for (const info of children(securityInfos)) {
+    const [oid, requiredData, optionalData] = children(info);
+    const protocol = decodeOID(oid.value);
+    // Key IDs only matter when the chip has more than one key
+    const keyId = optionalData?.tag === ASN1.INTEGER ? decodeInteger(optionalData.value) : undefined;
+
+    if (protocol === SECURITY_INFO_OIDS.ACTIVE_AUTHENTICATION) {
+      result.activeAuthentication = {
+        version: decodeInteger(requiredData.value),
+        signatureAlgorithm: optionalData ? decodeOID(optionalData.value) : undefined
+      };
+    } else if (underArc(protocol, SECURITY_INFO_OIDS.CHIP_AUTHENTICATION_PUBLIC_KEY)) {
+      result.chipAuthenticationPublicKeys.push({ protocol, publicKeyInfo: Buffer.from(requiredData.raw), keyId });
+    } else if (underArc(protocol, SECURITY_INFO_OIDS.CHIP_AUTHENTICATION)) {
+      result.chipAuthentication.push({ protocol, version: decodeInteger(requiredData.value), keyId });
+    } else if (underArc(protocol, SECURITY_INFO_OIDS.PACE) && requiredData.tag === ASN1.INTEGER) {
+      // PACEInfo; PACEDomainParameterInfo (a SEQUENCE) is listed under other
+      result.pace.push({ protocol, version: decodeInteger(requiredData.value), parameterId: keyId });
+    } else {
+      result.other.push({ protocol });
+    }
+  }
+  return result;
+}
+
+/**
+ * Parse DG14: security infos for Chip Authentication, PACE and Active Authentication.
+ */
+function parseDG14(bytes) {
+  const securityInfos = findTag(openFile(bytes, DATA_GROUP_TAGS[14], 'DG14'), ASN1.SET);
+  if (!securityInfos) {
+    throw new Error('DG14 has no SecurityInfos set');
+  }
+  return parseSecurityInfos(securityInfos);
+}
+
+/**
+ * Parse EF.CardAccess, the unprotected SecurityInfos a terminal reads before
+ * PACE. Unlike the data groups it has no application tag.
+ */
+function parseCardAccess(bytes) {
+  const securityInfos = decodeTLV(bytes);
+  if (securityInfos.tag !== ASN1.SET) {
+    throw new Error('EF.CardAccess must be a SecurityInfos set');
+  }
+  return parseSecurityInfos(securityInfos);
+}
+
+/**
+ * Parse DG15, the Active Authentication public key (RSA or EC).
+ */
+function parseDG15(bytes) {
+  const node = decodeTLV(bytes);
+  if (node.tag !== DATA_GROUP_TAGS[15]) {
+    throw new Error(`DG15 must start with tag 6F, found ${node.tag.toString(16).toUpperCase()}`);
+  }
+  const publicKeyInfo = Buffer.from(decodeTLV(node.value).raw);
+  const publicKey = crypto.createPublicKey({ key: publicKeyInfo, format: 'der', type: 'spki' });
+  return { publicKeyInfo, publicKey, keyType: publicKey.asymmetricKeyType };
+}
+
+/**
+ * Parse a chip read into the passport fields formatForMDoc consumes. The
+ * raw EF.SOD and data groups are kept for passive authentication.
+ *
+ * @param {object} files
+ * @param {Buffer} [files.com] - EF.COM
+ * @param {Buffer} [files.sod] - EF.SOD
+ * @param {Buffer} [files.cardAccess] - EF.CardAccess
+ * @param {Object<number, Buffer>} files.dataGroups - raw data group files, DG1 required
+ */
+function parseLDS({ com, sod, cardAccess, dataGroups }) {
+  if (!dataGroups?.[1]) {
+    throw new Error('DG1 is required');
+  }
+  const dg1 = parseDG1(dataGroups[1]);
+  const dg2 = dataGroups[2] ? parseDG2(dataGroups[2]) : null;
+  const dg11 = dataGroups[11] ? parseDG11(dataGroups[11]) : null;
+  const dg12 = dataGroups[12] ? parseDG12(dataGroups[12]) : null;
+  const dg14 = dataGroups[14] ? parseDG14(dataGroups[14]) : null;
+  const dg15 = dataGroups[15] ? parseDG15(dataGroups[15]) : null;
+  const face = dg2?.faces[0];
+
+  // DG11 holds the untruncated name and the full birth date; the MRZ is the fallback
+  return {
+    documentNumber: dg1.documentNumber,
+    documentType: dg1.documentType,
+    issuingCountry: dg1.issuingCountry,
+    lastName: dg11?.fullName?.lastName || dg1.lastName,
+    firstName: dg11?.fullName ? dg11.fullName.firstName : dg1.firstName,
+    nationality: dg1.nationality,
+    dateOfBirth: dg11?.dateOfBirth || dg1.dateOfBirth,
+    sex: dg1.sex,
+    expiryDate: dg1.expiryDate,
+    ...(dg12?.dateOfIssue && { issueDate: dg12.dateOfIssue }),
+    personalNumber: dg11?.personalNumber || dg1.personalNumber || undefined,
+    placeOfBirth: dg11?.placeOfBirth?.join(', '),
+    photo: face ? face.image.toString('base64') : undefined,
+    photoMimeType: face?.mimeType,
+    mrz: dg1.mrz,
+    sod,
+    dataGroups,
+    lds: {
+      ...(com && { com: parseCOM(com) }),
+      ...(cardAccess && { cardAccess: { pace: parseCardAccess(cardAccess).pace } }),
+      ...(dg2 && { faces: dg2.faces.map(({ image, ...details }) => ({ ...details, imageBytes: image.length })) }),
+      ...(dg11 && { dg11 }),
+      ...(dg12 && { dg12 }),
+      ...(dg14 && {
+        dg14: {
+          chipAuthentication: dg14.chipAuthentication,
+          chipAuthenticationKeys: dg14.chipAuthenticationPublicKeys.map(({ protocol, keyId }) => ({ protocol, keyId })),
+          pace: dg14.pace,
+          activeAuthentication: dg14.activeAuthentication
+        }
+      }),
+      ...(dg15 && { dg15: { keyType: dg15.keyType } })
+    }
+  };
+}
+
+/**
+ * Read a chip dump directory: EF_COM.bin, EF_SOD.bin, EF_CardAccess.bin and DG<n>.bin.
+ */
+async function loadLDSDirectory(directory) {
+  const files = { dataGroups: {} };
+  for (const name of await readdir(directory)) {
+    const contents = await readFile(path.join(directory, name));
+    const match = /^DG(\d{1,2})\.bin$/i.exec(name);
+    if (match) {
+      files.dataGroups[Number(match[1])] = contents;
+    } else if (/^EF_COM\.bin$/i.test(name)) {
+      files.com = contents;
+    } else if (/^EF_SOD\.bin$/i.test(name)) {
+      files.sod = contents;
+    } else if (/^EF_CardAccess\.bin$/i.test(name)) {
+      files.cardAccess = contents;
+    }
+  }
+  return files;
+}
+
+function encodeCOM(dataGroups, { ldsVersion = '0107', unicodeVersion = '040000' } = {}) {
+  return encodeTLV(EF_COM_TAG, [
+    encodeTLV(TAGS.LDS_VERSION, Buffer.from(ldsVersion, 'latin1')),
+    encodeTLV(TAGS.UNICODE_VERSION, Buffer.from(unicodeVersion, 'latin1')),
+    encodeTLV(TAGS.TAG_LIST, Buffer.from(dataGroups.map(number => DATA_GROUP_TAGS[number])))
+  ]);
+}
+
+function encodeDG1(mrz) {
+  return encodeTLV(DATA_GROUP_TAGS[1], encodeTLV(TAGS.MRZ, Buffer.from(mrz, 'latin1')));
+}
+
+/**
+ * DG2 with a single facial image.
+ *
+ * @param {object} face
+ * @param {Buffer} face.image - JPEG or JPEG 2000 bytes
+ * @param {string} [face.imageType] - jpeg (default) or jpeg2000
+ */
+function encodeDG2({ image, imageType = 'jpeg', width = 0, height = 0, gender = 'unspecified' }) {
+  const imageDataType = Number(Object.keys(IMAGE_DATA_TYPES).find(key => IMAGE_DATA_TYPES[key] === imageType));
+  if (Number.isNaN(imageDataType)) {
+    throw new Error(`Unsupported facial image type: ${imageType}`);
+  }
+
+  const information = Buffer.alloc(20);
+  information.writeUInt32BE(20 + 12 + image.length, 0);
+  information[6] = Number(Object.keys(GENDERS).find(key => GENDERS[key] === gender) ?? 0);
+  const imageInfo = Buffer.alloc(12);
+  imageInfo[0] = 1; // full frontal
+  imageInfo[1] = imageDataType;
+  imageInfo.writeUInt16BE(width, 2);
+  imageInfo.writeUInt16BE(height, 4);
+  imageInfo[6] = 1; // 24-bit RGB
+
+  const header = Buffer.alloc(14);
+  FACIAL_RECORD_FORMAT.copy(header, 0);
+  FACIAL_RECORD_VERSION.copy(header, 4);
+  header.writeUInt32BE(14 + 20 + 12 + image.length, 8);
+  header.writeUInt16BE(1, 12);
+
+  return encodeTLV(DATA_GROUP_TAGS[2], encodeTLV(TAGS.BIOMETRIC_GROUP, [
+    encodeTLV(TAGS.INSTANCE_COUNT, Buffer.from([1])),
+    encodeTLV(TAGS.BIOMETRIC_TEMPLATE, [
+      encodeTLV(TAGS.BIOMETRIC_HEADER, [
+        encodeTLV(0x80, Buffer.from([0x01, 0x01])), // ICAO header version
+        encodeTLV(0x81, Buffer.from([0x02])), // biometric type: facial features
+        encodeTLV(0x87, Buffer.from([0x01, 0x01])), // format owner: ISO/IEC JTC 1/SC 37
+        encodeTLV(0x88, Buffer.from([0x00, 0x08])) // format type: face image
+      ]),
+      encodeTLV(TAGS.BIOMETRIC_DATA, Buffer.concat([header, information, imageInfo, image]))
+    ])
+  ]));
+}
+
+function encodeTextFields(tag, fields, order) {
+  const present = order.filter(([name]) => fields[name] !== undefined && fields[name] !== null);
+  return encodeTLV(tag, [
+    encodeTLV(TAGS.TAG_LIST, Buffer.concat(present.map(([, fieldTag]) => Buffer.from(fieldTag.toString(16), 'hex')))),
+    ...present.map(([name, fieldTag, encode]) => encodeTLV(fieldTag, encode ? encode(fields[name]) : Buffer.from(String(fields[name]), 'utf8')))
+  ]);
+}
+
+/**
+ * DG11 from { fullName: { lastName, firstName }, personalNumber, dateOfBirth, placeOfBirth: [...], ... }.
+ */
+function encodeDG11(fields) {
+  const name = ({ lastName, firstName }) =>
+    Buffer.from(`${lastName.replace(/ /g, '<')}<<${(firstName || '').replace(/ /g, '<')}`, 'utf8');
+  const joined = values => Buffer.from([].concat(values).join('<'), 'utf8');
+  return encodeTextFields(DATA_GROUP_TAGS[11], fields, [
+    ['fullName', TAGS.FULL_NAME, name],
+    ['personalNumber', TAGS.PERSONAL_NUMBER],
+    ['dateOfBirth', TAGS.FULL_DATE_OF_BIRTH, formatFullDate],
+    ['placeOfBirth', TAGS.PLACE_OF_BIRTH, joined],
+    ['permanentAddress', TAGS.PERMANENT_ADDRESS, joined],
+    ['telephone', TAGS.TELEPHONE],
+    ['profession', TAGS.PROFESSION],
+    ['title', TAGS.TITLE],
+    ['personalSummary', TAGS.PERSONAL_SUMMARY],
+    ['otherTravelDocumentNumbers', TAGS.OTHER_TD_NUMBERS, joined],
+    ['custodyInformation', TAGS.CUSTODY_INFORMATION]
+  ]);
+}
+
+/**
+ * DG12 from { issuingAuthority, dateOfIssue, endorsements, personalizedAt, ... }.
+ */
+function encodeDG12(fields) {
+  const timestamp = iso => Buffer.from(iso.replace(/[-:TZ]/g, '').slice(0, 14), 'latin1');
+  return encodeTextFields(DATA_GROUP_TAGS[12], fields, [
+    ['issuingAuthority', TAGS.ISSUING_AUTHORITY],
+    ['dateOfIssue', TAGS.DATE_OF_ISSUE, formatFullDate],
+    ['endorsements', TAGS.ENDORSEMENTS],
+    ['taxOrExitRequirements', TAGS.TAX_EXIT_REQUIREMENTS],
+    ['personalizedAt', TAGS.PERSONALIZATION_TIME, timestamp],
+    ['personalizationDeviceSerial', TAGS.PERSONALIZATION_DEVICE]
+  ]);
+}
+
+/**
+ * SecurityInfos set from { chipAuthentication: [{ protocol, version, keyId }],
+ * chipAuthenticationPublicKeys: [{ protocol, publicKeyInfo, keyId }],
+ * pace: [{ protocol, version, parameterId }], activeAuthentication: { version, signatureAlgorithm } }.
+ */
+function encodeSecurityInfos({ chipAuthentication = [], chipAuthenticationPublicKeys = [], pace = [], activeAuthentication = null }) {
+  const optional = value => (value === undefined ? [] : [encodeInteger(value)]);
+  const infos = [
+    ...chipAuthenticationPublicKeys.map(({ protocol, publicKeyInfo, keyId }) =>
+      [encodeOID(protocol), Buffer.from(publicKeyInfo), ...optional(keyId)]),
+    ...chipAuthentication.map(({ protocol, version = 1, keyId }) =>
+      [encodeOID(protocol), encodeInteger(version), ...optional(keyId)]),
+    ...pace.map(({ protocol, version = 2, parameterId }) =>
+      [encodeOID(protocol), encodeInteger(version), ...optional(parameterId)]),
+    ...(activeAuthentication ? [[
+      encodeOID(SECURITY_INFO_OIDS.ACTIVE_AUTHENTICATION),
+      encodeInteger(activeAuthentication.version ?? 1),
+      ...(activeAuthentication.signatureAlgorithm ? [encodeOID(activeAuthentication.signatureAlgorithm)] : [])
+    ]] : [])
+  ];
+  // DER sorts SET OF elements by their encoding
+  return encodeTLV(ASN1.SET, infos.map(fields => encodeTLV(ASN1.SEQUENCE, fields)).sort(Buffer.compare));
+}
+
+function encodeDG14(securityInfos) {
+  return encodeTLV(DATA_GROUP_TAGS[14], encodeSecurityInfos(securityInfos));
+}
+
+function encodeCardAccess(securityInfos) {
+  return encodeSecurityInfos(securityInfos);
+}
+
+/**
+ * DG15 from the Active Authentication public key (KeyObject or DER SubjectPublicKeyInfo).
+ */
+function encodeDG15(publicKey) {
+  const publicKeyInfo = Buffer.isBuffer(publicKey) ? publicKey : publicKey.export({ format: 'der', type: 'spki' });
+  return encodeTLV(DATA_GROUP_TAGS[15], publicKeyInfo);
+}
+
+// CLI usage
+async function main() {
+  const directory = process.argv[2];
+  if (!directory || directory === '--help') {
+    console.log(`
+📂 eMRTD LDS Dump
+
+Usage:
+  node lds.js <directory>    Parse EF_COM.bin, EF_SOD.bin and DG<n>.bin from a chip dump
+
+Example:
+  node lds.js fixtures/lds/utopia-td3
+    `);
+    process.exit(0);
+  }
+
+  try {
+    const { sod, dataGroups, lds, photo, ...fields } = parseLDS(await loadLDSDirectory(directory));
+    console.log('📋 Data groups:', Object.keys(dataGroups).map(number => `DG${number}`).join(', '),
+      sod ? '+ EF.SOD' : '(no EF.SOD)');
+    console.log(JSON.stringify({ ...fields, photo: photo && `<${Buffer.from(photo, 'base64').length} bytes>`, lds }, (key, value) =>
+      (value?.type === 'Buffer' ? `<${value.data.length} bytes>` : value), 2));
+  } catch (error) {
+    console.error('❌', error.message);
+    process.exit(1);
+  }
+}
+
+if (import.meta.url === `file://${process.argv[1]}`) {
+  main();
+}
+
+export {
+  EF_COM_TAG,
+  EF_SOD_TAG,
+  DATA_GROUP_TAGS,
+  SECURITY_INFO_OIDS,
+  dataGroupNumber,
+  parseCOM,
+  parseDG1,
+  parseDG2,
+  parseDG11,
+  parseDG12,
+  parseDG14,
+  parseDG15,
+  parseCardAccess,
+  parseLDS,
+  loadLDSDirectory,
+  encodeCOM,
+  encodeDG1,
+  encodeDG2,
+  encodeDG11,
+  encodeDG12,
+  encodeDG14,
+  encodeDG15,
+  encodeCardAccess
+};
@@ -0,0 +1,194 @@
+/**
+ * Local X.509 Certificate Generation for mDoc PKI
+ *
+ * Generates ISO 18013-5 Annex B compliant IACA root and Document Signer
+ * certificates entirely in Node.js, so the PKI can be set up without the
+ * walt.id onboarding endpoints.
+ *
+ * Features:
+ * - IACA root: keyCertSign/cRLSign, BasicConstraints CA with pathLen 0
+ * - Document Signer: digitalSignature, extended key usage 1.0.18013.5.1.2
+ * - Reader authentication (verifier) certificates: extended key usage 1.0.18013.5.1.6
+ * - Reloading the IACA from a PKI setup to issue further certificates
+ * - Issuer alternative name and CRL distribution point extensions
+ * - Random positive serial numbers (max 20 octets)
+ * - Validity periods capped at the Annex B maximums
+ */
+
+import crypto, { webcrypto } from 'crypto';
+import * as x509 from '@peculiar/x509';
+
+x509.cryptoProvider.set(webcrypto);
+
+// ISO 18013-5 Annex B OIDs and limits
+const MDL_DS_EXTENDED_KEY_USAGE = '1.0.18013.5.1.2';
+const MDL_READER_AUTH_EXTENDED_KEY_USAGE = '1.0.18013.5.1.6';
+const IACA_MAX_VALIDITY_YEARS = 20;
+const DS_MAX_VALIDITY_DAYS = 457;
+
+const SIGNING_ALGORITHMS = {
+  'P-256': { name: 'ECDSA', namedCurve: 'P-256', hash: 'SHA-256' },
+  'P-384': { name: 'ECDSA', namedCurve: 'P-384', hash: 'SHA-384' },
+  'P-521': { name: 'ECDSA', namedCurve: 'P-521', hash: 'SHA-512' }
+};
+
+function randomSerialNumber() {
+  // Positive, non-sequential, at most 20 octets (RFC 5280 4.1.2.2)
+  const serial = crypto.randomBytes(16);
+  serial[0] &= 0x7f;
+  serial[0] |= 0x01;
+  return serial.toString('hex');
+}
+
+function distinguishedName({ country, stateOrProvince, organization, commonName }) {
+  const escape = value => String(value).replace(/([,+"\\<>;=])/g, '\\$1');
+  return [
+    country && `C=${escape(country)}`,
+    stateOrProvince && `ST=${escape(stateOrProvince)}`,
+    organization && `O=${escape(organization)}`,
+    `CN=${escape(commonName)}`
+  ].filter(Boolean).join(', ');
+}
+
+function alternativeNames({ issuerAlternativeNameConf = {} }) {
+  // Same shape as the walt.id onboarding API: { uri, email }
+  const names = [];
+  if (issuerAlternativeNameConf.uri) names.push({ type: 'url', value: issuerAlternativeNameConf.uri });
+  if (issuerAlternativeNameConf.email) names.push({ type: 'email', value: issuerAlternativeNameConf.email });
+  if (names.length === 0) {
+    throw new Error('ISO 18013-5 requires an issuer alternative name (URI or email)');
+  }
+  return names;
+}
+
+function addDays(date, days) {
+  return new Date(date.getTime() + days * 24 * 60 * 60 * 1000);
+}
+
+async function generateSigningKeys(curve = 'P-256') {
+  const algorithm = SIGNING_ALGORITHMS[curve];
+  if (!algorithm) {
+    throw new Error(`Unsupported curve: ${curve}`);
+  }
+
+  const keys = await webcrypto.subtle.generateKey(algorithm, true, ['sign', 'verify']);
+  const { kty, crv, x, y, d } = await webcrypto.subtle.exportKey('jwk', keys.privateKey);
+
+  return {
+    keys,
+    algorithm,
+    jwk: { kty, crv, x, y, d, kid: crypto.randomUUID() }
+  };
+}
+
+/**
+ * Rebuild an IACA signer from the `iaca` entry of mdoc-pki-setup.json
+ * ({ iacaKey: { jwk }, certificatePEM, certificateData }).
+ */
+async function loadIACA({ iacaKey, certificatePEM, certificateData }) {
+  const jwk = iacaKey?.jwk;
+  if (!jwk?.d) {
+    throw new Error('IACA private key not available');
+  }
+  const algorithm = SIGNING_ALGORITHMS[jwk.crv];
+  if (!algorithm) {
+    throw new Error(`Unsupported curve: ${jwk.crv}`);
+  }
+
+  const { kty, crv, x, y, d } = jwk;
+  const privateKey = await webcrypto.subtle.importKey('jwk', { kty, crv, x, y, d }, algorithm, true, ['sign']);
+  const publicKey = await webcrypto.subtle.importKey('jwk', { kty, crv, x, y }, algorithm, true, ['verify']);
+
+  return {
+    keys: { privateKey, publicKey },
+    algorithm,
+    jwk,
+    certificate: new x509.X509Certificate(certificatePEM),
+    certificateData
+  };
+}
+
+/**
+ * Create a self-signed IACA root certificate (ISO 18013-5 Table B.1).
+ */
+async function createIACACertificate(certificateData, signingKeys) {
+  const notBefore = certificateData.notBefore ? new Date(certificateData.notBefore) : new Date();
+  const validityYears = Math.min(certificateData.validityYears || 10, IACA_MAX_VALIDITY_YEARS);
+  const notAfter = certificateData.notAfter
+    ? new Date(certificateData.notAfter)
+    : new Date(Date.UTC(notBefore.getUTCFullYear() + validityYears, notBefore.getUTCMonth(), notBefore.getUTCDate()));
+
+  const name = distinguishedName(certificateData);
+  const extensions = [
+    new x509.BasicConstraintsExtension(true, 0, true),
+    new x509.KeyUsagesExtension(x509.KeyUsageFlags.keyCertSign | x509.KeyUsageFlags.cRLSign, true),
+    await x509.SubjectKeyIdentifierExtension.create(signingKeys.keys.publicKey),
+    new x509.IssuerAlternativeNameExtension(alternativeNames(certificateData), false)
+  ];
+  if (certificateData.crlDistributionPointUri) {
+    extensions.push(new x509.CRLDistributionPointsExtension([certificateData.crlDistributionPointUri], false));
+  }
+
+  return x509.X509CertificateGenerator.create({
+    serialNumber: randomSerialNumber(),
+    subject: name,
+    issuer: name,
+    notBefore,
+    notAfter,
+    signingAlgorithm: signingKeys.algorithm,
+    publicKey: signingKeys.keys.publicKey,
+    signingKey: signingKeys.keys.privateKey,
+    extensions
+  });
+}
+
+/**
+ * Create a certificate signed by the IACA (ISO 18013-5 Table B.3 for the
+ * Document Signer profile). `keyUsages` and `extendedKeyUsages` allow the same
+ * profile to be reused for other IACA-issued leaf certificates.
+ */
+async function createIACASignedCertificate(certificateData, signingKeys, iaca) {
+  const notBefore = certificateData.notBefore ? new Date(certificateData.notBefore) : new Date();
+  const validityDays = Math.min(certificateData.validityDays || 365, DS_MAX_VALIDITY_DAYS);
+  const notAfter = certificateData.notAfter ? new Date(certificateData.notAfter) : addDays(notBefore, validityDays);
+  if (notAfter > iaca.certificate.notAfter) {
+    throw new Error('Certificate validity must not exceed the IACA certificate validity');
+  }
+
+  const extensions = [
+    new x509.KeyUsagesExtension(certificateData.keyUsages ?? x509.KeyUsageFlags.digitalSignature, true),
+    new x509.ExtendedKeyUsageExtension(certificateData.extendedKeyUsages || [MDL_DS_EXTENDED_KEY_USAGE], true),
+    await x509.AuthorityKeyIdentifierExtension.create(iaca.keys.publicKey),
+    await x509.SubjectKeyIdentifierExtension.create(signingKeys.keys.publicKey),
+    // The issuer alternative name of a leaf repeats the IACA's own alternative name
+    new x509.IssuerAlternativeNameExtension(alternativeNames(iaca.certificateData), false)
+  ];
+  if (certificateData.subjectAlternativeNames) {
+    extensions.push(new x509.SubjectAlternativeNameExtension(certificateData.subjectAlternativeNames, false));
+  }
+  if (certificateData.crlDistributionPointUri) {
+    extensions.push(new x509.CRLDistributionPointsExtension([certificateData.crlDistributionPointUri], false));
+  }
+
+  return x509.X509CertificateGenerator.create({
+    serialNumber: randomSerialNumber(),
+    subject: distinguishedName({ country: iaca.certificateData.country, ...certificateData }),
+    issuer: iaca.certificate.subject,
+    notBefore,
+    notAfter,
+    signingAlgorithm: iaca.algorithm,
+    publicKey: signingKeys.keys.publicKey,
+    signingKey: iaca.keys.privateKey,
+    extensions
+  });
+}
+
+export {
+  MDL_DS_EXTENDED_KEY_USAGE,
+  MDL_READER_AUTH_EXTENDED_KEY_USAGE,
+  x509,
+  generateSigningKeys,
+  loadIACA,
+  createIACACertificate,
+  createIACASignedCertificate
+};
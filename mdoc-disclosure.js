@@ -0,0 +1,398 @@
+/**
+ * mDoc Selective Disclosure
+ *
+ * Lets relying websites request only the data elements they need and checks
+ * that a presentation discloses them.
+ *
+ * Requests use the ISO 18013-5 ItemsRequest shape:
+ *   { docType, nameSpaces: { namespace: { elementIdentifier: intentToRetain } } }
+ *
+ * Features:
+ * - age_over_NN / age_in_years / age_birth_year attestations derived from birth_date
+ * - Validation of requested elements against the passport mDoc namespaces
+ * - OpenID4VP presentation definition input descriptors (ISO 18013-7 Annex B), and parsing them back
+ * - DCQL credential queries as the alternative query language
+ * - Holder-side element selection, including the nearest age_over_NN rule (ISO 18013-5 §7.2.5)
+ * - Verifier-side check that nothing requested was withheld
+ */
+
+import { unwrapEmbeddedCbor } from './cose.js';
+import {
+  PASSPORT_DOCTYPE,
+  PASSPORT_VCT,
+  SD_JWT_VC_FORMAT,
+  CORE_NAMESPACE,
+  WEBAUTH_NAMESPACE,
+  AGE_OVER_PATTERN,
+  NAMESPACE_ELEMENTS,
+  getElementDefinition,
+  findElementNamespace
+} from './passport-doctype.js';
+
+// age_over_NN elements the issuer attests for every passport
+const AGE_OVER_THRESHOLDS = [13, 16, 18, 21, 25, 65];
+
+// DCQL credential query id; DCQL vp_tokens are keyed by it
+const DCQL_CREDENTIAL_QUERY_ID = 'passport';
+
+// The web ID is the authenticated subject, so every request includes it
+const REQUIRED_ELEMENTS = {
+  [WEBAUTH_NAMESPACE]: { web_id: true }
+};
+
+// What a website gets when it does not say what it needs
+const DEFAULT_REQUESTED_ELEMENTS = {
+  [CORE_NAMESPACE]: {
+    family_name: false,
+    given_name: false,
+    nationality: false,
+    document_number: false
+  },
+  [WEBAUTH_NAMESPACE]: {
+    web_id: true,
+    passport_verification_level: false,
+    verification_method: false
+  }
+};
+
+/**
+ * Age attestations as of `asOf` for a YYYY-MM-DD birth date.
+ */
+function computeAgeElements(birthDate, asOf = new Date(), thresholds = AGE_OVER_THRESHOLDS) {
+  const match = /^(\d{4})-(\d{2})-(\d{2})$/.exec(birthDate || '');
+  if (!match) {
+    throw new Error(`Cannot derive age attestations from birth date "${birthDate}"`);
+  }
+  const [year, month, day] = match.slice(1).map(Number);
+
+  let age = asOf.getUTCFullYear() - year;
+  const beforeBirthday = asOf.getUTCMonth() + 1 < month ||
+    (asOf.getUTCMonth() + 1 === month && asOf.getUTCDate() < day);
+  if (beforeBirthday) {
+    age--;
+  }
+  if (age < 0) {
+    throw new Error(`Birth date ${birthDate} is in the future`);
+  }
+
+  const elements = {
+    age_in_years: age,
+    age_birth_year: year
+  };
+  for (const threshold of thresholds) {
+    elements[`age_over_${threshold}`] = age >= threshold;
+  }
+  return elements;
+}
+
+/**
+ * Validate a website's requested elements and add the required ones.
+ *
+ * @param {object} [nameSpaces] - { namespace: { elementIdentifier: intentToRetain } }
+ * @returns {{ docType: string, nameSpaces: object }} ItemsRequest
+ */
+function buildItemsRequest(nameSpaces) {
+  const requested = nameSpaces && Object.keys(nameSpaces).length > 0 ? nameSpaces : DEFAULT_REQUESTED_ELEMENTS;
+  const result = {};
+
+  for (const [namespace, elements] of Object.entries(requested)) {
+    if (!NAMESPACE_ELEMENTS[namespace]) {
+      throw new Error(`Unknown namespace: ${namespace}`);
+    }
+    if (!elements || typeof elements !== 'object' || Array.isArray(elements)) {
+      throw new Error(`Requested elements for ${namespace} must map element identifiers to intent_to_retain flags`);
+    }
+    result[namespace] = {};
+    for (const [identifier, intentToRetain] of Object.entries(elements)) {
+      if (!getElementDefinition(namespace, identifier)) {
+        throw new Error(`Unknown data element: ${namespace}/${identifier}`);
+      }
+      if (typeof intentToRetain !== 'boolean') {
+        throw new Error(`intent_to_retain for ${namespace}/${identifier} must be true or false`);
+      }
+      result[namespace][identifier] = intentToRetain;
+    }
+  }
+
+  for (const [namespace, elements] of Object.entries(REQUIRED_ELEMENTS)) {
+    result[namespace] = { ...elements, ...result[namespace] };
+  }
+
+  return { docType: PASSPORT_DOCTYPE, nameSpaces: result };
+}
+
+/**
+ * OpenID4VP input descriptor for an ItemsRequest: mdoc paths per ISO 18013-7
+ * Annex B.3.1, or top-level claim paths for SD-JWT VC.
+ */
+function buildInputDescriptor(itemsRequest, format = 'mso_mdoc') {
+  const fields = [];
+  for (const [namespace, elements] of Object.entries(itemsRequest.nameSpaces)) {
+    for (const [identifier, intentToRetain] of Object.entries(elements)) {
+      fields.push({
+        path: [format === SD_JWT_VC_FORMAT ? `$.${identifier}` : `$['${namespace}']['${identifier}']`],
+        intent_to_retain: intentToRetain
+      });
+    }
+  }
+
+  if (format === SD_JWT_VC_FORMAT) {
+    return {
+      id: PASSPORT_VCT,
+      format: { [SD_JWT_VC_FORMAT]: { 'sd-jwt_alg_values': ['ES256'], 'kb-jwt_alg_values': ['ES256'] } },
+      constraints: {
+        limit_disclosure: 'required',
+        fields: [{ path: ['$.vct'], filter: { type: 'string', const: PASSPORT_VCT } }, ...fields]
+      }
+    };
+  }
+
+  return {
+    id: itemsRequest.docType,
+    format: { mso_mdoc: { alg: ['ES256'] } },
+    constraints: {
+      limit_disclosure: 'required',
+      fields
+    }
+  };
+}
+
+/**
+ * Holder side: turn an input descriptor back into an ItemsRequest.
+ * SD-JWT VC claim paths are mapped to the namespaces that define them.
+ *
+ * @returns {{ format: string, docType?: string, vct?: string, itemsRequest: object }}
+ */
+function parseInputDescriptor(descriptor, defaultFormat = 'mso_mdoc') {
+  const format = Object.keys(descriptor.format || {})[0] || defaultFormat;
+  const nameSpaces = {};
+  let vct = null;
+
+  for (const field of descriptor.constraints?.fields || []) {
+    const path = field.path?.[0] || '';
+    if (format === SD_JWT_VC_FORMAT) {
+      if (path === '$.vct') {
+        vct = field.filter?.const || field.filter?.pattern || null;
+        continue;
+      }
+      const match = /^\$\.([\w-]+)$/.exec(path) || /^\$\['([^']+)'\]$/.exec(path);
+      const namespace = match && findElementNamespace(match[1]);
+      if (!namespace) {
+        throw new Error(`Unsupported SD-JWT VC claim path: ${path}`);
+      }
+      nameSpaces[namespace] = { ...nameSpaces[namespace], [match[1]]: field.intent_to_retain === true };
+    } else {
+      const match = /^\$\['([^']+)'\]\['([^']+)'\]$/.exec(path);
+      if (!match) {
+        throw new Error(`Unsupported mdoc claim path: ${path}`);
+      }
+      const [, namespace, identifier] = match;
+      nameSpaces[namespace] = { ...nameSpaces[namespace], [identifier]: field.intent_to_retain === true };
+    }
+  }
+
+  if (format === SD_JWT_VC_FORMAT) {
+    return { format, vct: vct || descriptor.id, itemsRequest: { docType: PASSPORT_DOCTYPE, nameSpaces } };
+  }
+  return { format, docType: descriptor.id, itemsRequest: { docType: descriptor.id, nameSpaces } };
+}
+
+/**
+ * OpenID4VP DCQL query for an ItemsRequest: mdoc claims are [namespace, element]
+ * paths, SD-JWT VC claims top-level claim names.
+ */
+function buildDCQLQuery(itemsRequest, format = 'mso_mdoc') {
+  const claims = [];
+  for (const [namespace, elements] of Object.entries(itemsRequest.nameSpaces)) {
+    for (const [identifier, intentToRetain] of Object.entries(elements)) {
+      claims.push(format === SD_JWT_VC_FORMAT
+        ? { path: [identifier] }
+        : { path: [namespace, identifier], intent_to_retain: intentToRetain });
+    }
+  }
+
+  return {
+    credentials: [{
+      id: DCQL_CREDENTIAL_QUERY_ID,
+      format,
+      meta: format === SD_JWT_VC_FORMAT
+        ? { vct_values: [PASSPORT_VCT] }
+        : { doctype_value: itemsRequest.docType },
+      claims
+    }]
+  };
+}
+
+/**
+ * Holder side: turn a DCQL credential query back into an ItemsRequest.
+ *
+ * @returns {{ id: string, format: string, docType?: string, vct?: string, itemsRequest: object }}
+ */
+function parseDCQLCredentialQuery(credentialQuery) {
+  const { id, format, meta = {} } = credentialQuery;
+  const nameSpaces = {};
+
+  for (const claim of credentialQuery.claims || []) {
+    const path = claim.path || [];
+    if (format === SD_JWT_VC_FORMAT) {
+      const namespace = path.length === 1 && findElementNamespace(path[0]);
+      if (!namespace) {
+        throw new Error(`Unsupported SD-JWT VC claim path: ${JSON.stringify(path)}`);
+      }
+      nameSpaces[namespace] = { ...nameSpaces[namespace], [path[0]]: false };
+    } else {
+      if (path.length !== 2) {
+        throw new Error(`Unsupported mdoc claim path: ${JSON.stringify(path)}`);
+      }
+      const [namespace, identifier] = path;
+      nameSpaces[namespace] = { ...nameSpaces[namespace], [identifier]: claim.intent_to_retain === true };
+    }
+  }
+
+  if (format === SD_JWT_VC_FORMAT) {
+    return { id, format, vct: meta.vct_values?.[0], itemsRequest: { docType: PASSPORT_DOCTYPE, nameSpaces } };
+  }
+  return { id, format, docType: meta.doctype_value, itemsRequest: { docType: meta.doctype_value, nameSpaces } };
+}
+
+function ageOverThreshold(identifier) {
+  const match = AGE_OVER_PATTERN.exec(identifier);
+  return match ? parseInt(match[1]) : null;
+}
+
+/**
+ * Answer a requested age_over_NN from the age_over_MM values available:
+ * a true age_over_MM with MM >= NN, or a false one with MM <= NN.
+ * Returns the element that answers it, or null.
+ */
+function findAgeOverAnswer(requestedThreshold, available) {
+  let nearestTrue = null;
+  let nearestFalse = null;
+
+  for (const [identifier, value] of Object.entries(available)) {
+    const threshold = ageOverThreshold(identifier);
+    if (threshold === null) continue;
+    if (value === true && threshold >= requestedThreshold &&
+        (nearestTrue === null || threshold < ageOverThreshold(nearestTrue))) {
+      nearestTrue = identifier;
+    }
+    if (value === false && threshold <= requestedThreshold &&
+        (nearestFalse === null || threshold > ageOverThreshold(nearestFalse))) {
+      nearestFalse = identifier;
+    }
+  }
+
+  // An exact match always wins; otherwise prefer proving the holder is old enough
+  const exact = `age_over_${requestedThreshold}`;
+  if (exact in available) return exact;
+  return nearestTrue || nearestFalse;
+}
+
+/**
+ * Holder side: the element identifiers to disclose for an ItemsRequest.
+ *
+ * @param {object} available - { namespace: { elementIdentifier: value } } held by the wallet
+ * @returns {object} { namespace: elementIdentifier[] }
+ */
+function selectRequestedElements(available, itemsRequest) {
+  const selection = {};
+
+  for (const [namespace, requested] of Object.entries(itemsRequest.nameSpaces)) {
+    const elements = available[namespace] || {};
+    const selected = new Set();
+    for (const identifier of Object.keys(requested)) {
+      const threshold = ageOverThreshold(identifier);
+      const answer = threshold !== null ? findAgeOverAnswer(threshold, elements) : identifier;
+      if (answer && answer in elements) {
+        selected.add(answer);
+      }
+    }
+    if (selected.size > 0) {
+      selection[namespace] = [...selected];
+    }
+  }
+
+  return selection;
+}
+
+/**
+ * Holder side: keep only the IssuerSignedItems an ItemsRequest asks for.
+ */
+function selectDisclosedItems(issuerSigned, itemsRequest) {
+  const byIdentifier = {};
+  const available = {};
+  for (const [namespace, items] of Object.entries(issuerSigned.nameSpaces || {})) {
+    byIdentifier[namespace] = {};
+    available[namespace] = {};
+    for (const itemBytes of items) {
+      const item = unwrapEmbeddedCbor(itemBytes);
+      byIdentifier[namespace][item.elementIdentifier] = itemBytes;
+      available[namespace][item.elementIdentifier] = item.elementValue;
+    }
+  }
+
+  const nameSpaces = {};
+  for (const [namespace, identifiers] of Object.entries(selectRequestedElements(available, itemsRequest))) {
+    nameSpaces[namespace] = identifiers.map(identifier => byIdentifier[namespace][identifier]);
+  }
+
+  return { ...issuerSigned, nameSpaces };
+}
+
+/**
+ * Verifier side: list every requested element the disclosed claims do not answer.
+ *
+ * @param {object} claims - { namespace: { elementIdentifier: value } }
+ * @param {object} itemsRequest
+ * @returns {string[]} "namespace/element" for each missing element
+ */
+function findMissingElements(claims, itemsRequest) {
+  const missing = [];
+  for (const [namespace, requested] of Object.entries(itemsRequest.nameSpaces)) {
+    const disclosed = claims[namespace] || {};
+    for (const identifier of Object.keys(requested)) {
+      const threshold = ageOverThreshold(identifier);
+      const answered = threshold !== null
+        ? findAgeOverAnswer(threshold, disclosed) !== null
+        : identifier in disclosed;
+      if (!answered) {
+        missing.push(`${namespace}/${identifier}`);
+      }
+    }
+  }
+  return missing;
+}
+
+/**
+ * Answer every age_over_NN of an ItemsRequest from the disclosed claims.
+ *
+ * @returns {object} { NN: true | false }, omitting predicates nothing answers
+ */
+function resolveAgeOver(claims, itemsRequest) {
+  const identity = claims[CORE_NAMESPACE] || {};
+  const result = {};
+  for (const identifier of Object.keys(itemsRequest?.nameSpaces[CORE_NAMESPACE] || {})) {
+    const threshold = ageOverThreshold(identifier);
+    const answer = threshold !== null ? findAgeOverAnswer(threshold, identity) : null;
+    if (answer) {
+      result[threshold] = identity[answer];
+    }
+  }
+  return result;
+}
+
+export {
+  AGE_OVER_THRESHOLDS,
+  DEFAULT_REQUESTED_ELEMENTS,
+  DCQL_CREDENTIAL_QUERY_ID,
+  computeAgeElements,
+  buildItemsRequest,
+  buildInputDescriptor,
+  parseInputDescriptor,
+  buildDCQLQuery,
+  parseDCQLCredentialQuery,
+  selectRequestedElements,
+  selectDisclosedItems,
+  findMissingElements,
+  resolveAgeOver
+};
@@ -9,16 +9,34 @@
  * - Standard OID4VCI credential offers
  * - Wallet-agnostic QR codes
  * - Custom web ID claims for authentication
- * - ISO 18013-5 compliant mDocs
+ * - ISO 18013-5 compliant mDocs with the ISO/IEC 23220 photo ID doctype
  * - PKI setup with IACA/Document Signer certificates
  * - Compatible with any OID4VCI wallet
+ * - Optional local signing backend (no walt.id issuer required)
+ * - age_over_NN / age_in_years / age_birth_year attestations for selective disclosure
+ * - SD-JWT VC (vc+sd-jwt) credentials from the same passport data (local backend)
+ * - Status list index per locally signed credential, for revocation and suspension
+ * - Every offer and local issuance recorded in the issuance registry
  */
 
 import axios from 'axios';
 import { v4 as uuidv4 } from 'uuid';
 import crypto from 'crypto';
-import { generateKeyPair, SignJWT, exportJWK } from 'jose';
+import { generateKeyPair, SignJWT, exportJWK, calculateJwkThumbprint } from 'jose';
 import { PassportDataReader } from './passport-nfc-reader.js';
+import { LocalMDocSigner } from './mdoc-signer.js';
+import { computeAgeElements } from './mdoc-disclosure.js';
+import { issueSDJWT } from './sd-jwt.js';
+import { StatusListRegistry } from './status-list.js';
+import { IssuanceRegistry, credentialOfferId } from './issuance-registry.js';
+import {
+  PASSPORT_DOCTYPE,
+  PASSPORT_CREDENTIAL_CONFIGURATION_ID,
+  SD_JWT_VC_FORMAT,
+  PASSPORT_VCT,
+  CORE_NAMESPACE,
+  WEBAUTH_NAMESPACE
+} from './passport-doctype.js';
 import qrcode from 'qrcode-terminal';
 
 // Node.js 20+ already has global crypto available - no need to set it
@@ -26,10 +44,33 @@ import qrcode from 'qrcode-terminal';
 const ISSUER_BASE = 'http://localhost:7002';
 const VERIFIER_BASE = 'http://localhost:7003';
 const STANDARD_VERSION = 'draft13';
+const ISSUANCE_BACKENDS = ['waltid', 'local'];
+const CREDENTIAL_FORMATS = ['mso_mdoc', SD_JWT_VC_FORMAT];
+// How long a walt.id credential offer can be redeemed
+const OFFER_TTL_SECONDS = 300;
+// Matches the issuer alternative name of the IACA (setup-mdoc-pki.js)
+const CREDENTIAL_ISSUER_ID = 'https://passport-issuer.example.com';
+
+/**
+ * Status callback URI carrying an offer's callback secret. Appended as is,
+ * so a walt.id $id placeholder in the URI survives.
+ */
+function withCallbackSecret(uri, secret) {
+  return `${uri}${uri.includes('?') ? '&' : '?'}secret=${secret}`;
+}
 
 class PassportMDocIssuer {
-  constructor() {
+  constructor(options = {}) {
     this.issuerBaseUrl = ISSUER_BASE;
+    this.statusList = options.statusList || new StatusListRegistry({ file: process.env.STATUS_LIST_FILE || undefined });
+    this.registry = options.registry || new IssuanceRegistry({ file: process.env.ISSUANCE_REGISTRY_FILE || undefined });
+    // walt.id posts issuance events here, so redeemed offers show up in the registry
+    this.statusCallbackUri = options.statusCallbackUri || process.env.ISSUANCE_CALLBACK_URI || null;
+    this.pkiSetupFile = options.pkiSetupFile || 'mdoc-pki-setup.json';
+  }
+
+  async issuerKeyId(issuerKey) {
+    return issuerKey.kid || calculateJwkThumbprint(issuerKey);
   }
 
   async discoverIssuerConfig() {
@@ -47,46 +88,36 @@ class PassportMDocIssuer {
     return { jwk, privateKey, publicKey };
   }
 
-  buildPassportMDocData(passportData, webId) {
-    // Build the mDoc credential data with passport information and custom web ID
-    const credentialData = {
-      '@context': [
-        'https://www.w3.org/2018/credentials/v1',
-        'https://w3id.org/citizenship/v1'
-      ],
-      type: ['VerifiableCredential', 'PassportCredential'],
-      issuer: { 
-        name: 'Digital Passport Authority',
-        id: 'did:web:passport-issuer.example.com'
+  buildPassportSDJWTClaims(passportData, webId) {
+    // SD-JWT VC claims are the mDoc element identifiers, flattened
+    const claims = {};
+    for (const elements of Object.values(this.buildMDocNamespaces(passportData, webId))) {
+      for (const [identifier, value] of Object.entries(elements)) {
+        if (value === undefined || value === null || value === '') continue;
+        claims[identifier] = value;
+      }
+    }
+    if (claims.dg_hashes) {
+      claims.dg_hashes = Object.fromEntries(Object.entries(claims.dg_hashes).map(([dg, hash]) =>
+        [dg, Buffer.isBuffer(hash) ? hash.toString('base64') : hash]));
+    }
+    return claims;
+  }
+
+  buildMDocNamespaces(passportData, webId) {
+    // Age attestations let verifiers check age without seeing the birth date
+    const identity = passportData.data[CORE_NAMESPACE];
+    return {
+      ...passportData.data,
+      [CORE_NAMESPACE]: {
+        ...identity,
+        ...computeAgeElements(identity.birth_date)
       },
-      credentialSubject: {
-        id: webId || `did:web:citizen-${uuidv4()}`,
-        
-        // Standard passport fields from NFC data
-        familyName: passportData.data['org.iso.18013.5.1'].family_name,
-        givenName: passportData.data['org.iso.18013.5.1'].given_name,
-        birthDate: passportData.data['org.iso.18013.5.1'].birth_date,
-        gender: passportData.data['org.iso.18013.5.1'].sex === 1 ? 'M' : 'F',
-        nationality: passportData.data['org.iso.18013.5.1'].nationality,
-        
-        // Document details
-        passportNumber: passportData.data['org.iso.18013.5.1'].document_number,
-        issuingCountry: passportData.data['org.iso.18013.5.1'].issuing_country,
-        expiryDate: passportData.data['org.iso.18013.5.1'].expiry_date,
-        
-        // Verification metadata
-        nfcVerified: true,
-        verificationLevel: passportData.data['com.yourcompany.webauth'].passport_verification_level,
-        verificationTimestamp: passportData.data['com.yourcompany.webauth'].verification_timestamp,
-        
-        // Custom web authentication claims
-        webId: webId,
-        authenticationMethod: 'passport_nfc',
-        biometricLevel: passportData.data['org.iso.18013.5.1'].portrait ? 'photo_verified' : 'document_only'
+      [WEBAUTH_NAMESPACE]: {
+        ...passportData.data[WEBAUTH_NAMESPACE],
+        web_id: webId
       }
     };
-
-    return credentialData;
   }
 
   buildMDocMapping(passportData, webId) {
@@ -101,26 +132,20 @@ class PassportMDocIssuer {
         id: webId || `did:web:citizen-${uuidv4()}`
       },
       issuanceDate: new Date().toISOString(),
-      expirationDate: passportData.data['org.iso.18013.5.1'].expiry_date,
+      expirationDate: passportData.data[CORE_NAMESPACE].expiry_date,
       
       // mDoc specific fields
-      doctype: 'org.iso.18013.5.1.mDL',
+      doctype: PASSPORT_DOCTYPE,
       
       // Namespace mappings for mDoc
-      namespaces: {
-        'org.iso.18013.5.1': passportData.data['org.iso.18013.5.1'],
-        'com.yourcompany.webauth': {
-          ...passportData.data['com.yourcompany.webauth'],
-          web_id: webId
-        }
-      }
+      namespaces: this.buildMDocNamespaces(passportData, webId)
     };
   }
 
   async loadPKISetup() {
     try {
       const fs = await import('fs/promises');
-      const pkiData = await fs.readFile('mdoc-pki-setup.json', 'utf8');
+      const pkiData = await fs.readFile(this.pkiSetupFile, 'utf8');
       return JSON.parse(pkiData);
     } catch (error) {
       console.error('❌ Could not load PKI setup. Run: node setup-mdoc-pki.js');
@@ -134,15 +159,9 @@ class PassportMDocIssuer {
     // Exact structure from walt.id documentation with required x5Chain
     const issuanceRequest = {
       issuerKey: { type: 'jwk', jwk: issuerKey },
-      credentialConfigurationId: 'org.iso.18013.5.1.mDL',
-      mdocData: {
-        // Direct namespace mapping as shown in documentation
-        'org.iso.18013.5.1': passportData.data['org.iso.18013.5.1'],
-        'com.yourcompany.webauth': {
-          ...passportData.data['com.yourcompany.webauth'],
-          web_id: webId
-        }
-      },
+      credentialConfigurationId: PASSPORT_CREDENTIAL_CONFIGURATION_ID,
+      // Direct namespace mapping as shown in documentation
+      mdocData: this.buildMDocNamespaces(passportData, webId),
       // x5Chain is mandatory - document signer certificate
       x5Chain: x5Chain || []
     };
@@ -151,13 +170,32 @@ class PassportMDocIssuer {
     console.log('🔍 DEBUG: Request URL:', `${this.issuerBaseUrl}/openid4vc/mdoc/issue`);
     console.log('🔍 DEBUG: Request payload:', JSON.stringify(issuanceRequest, null, 2));
     
+    // Status callbacks for this offer must carry its secret
+    const callbackSecret = this.statusCallbackUri ? crypto.randomBytes(24).toString('base64url') : null;
+    
     try {
       const { data } = await axios.post(`${this.issuerBaseUrl}/openid4vc/mdoc/issue`, issuanceRequest, {
         headers: { 
           'Content-Type': 'application/json',
-          'sessionTtl': '300'
+          'sessionTtl': String(OFFER_TTL_SECONDS),
+          ...(callbackSecret && { statusCallbackUri: withCallbackSecret(this.statusCallbackUri, callbackSecret) })
         }
       });
+
+      const issuedAt = new Date();
+      const issuance = await this.registry.record({
+        offerId: credentialOfferId(data) || uuidv4(),
+        webId: webId,
+        documentNumber: passportData.data[CORE_NAMESPACE].document_number,
+        doctype: PASSPORT_DOCTYPE,
+        format: 'mso_mdoc',
+        backend: 'waltid',
+        issuerKeyId: await this.issuerKeyId(issuerKey),
+        issuedAt: issuedAt.toISOString(),
+        expiresAt: new Date(issuedAt.getTime() + OFFER_TTL_SECONDS * 1000).toISOString(),
+        callbackSecret: callbackSecret
+      });
+      console.log('🗂️  Issuance recorded:', issuance.offerId);
       
       return data; // Returns credential offer URL
     } catch (error) {
@@ -169,6 +207,55 @@ class PassportMDocIssuer {
     }
   }
 
+  async issueMDocLocally(passportData, webId, issuerKey, x5Chain, deviceKey, status) {
+    console.log('📝 Signing mDoc locally with the Document Signer key...');
+
+    const signer = new LocalMDocSigner(issuerKey, x5Chain);
+    const { issuerSignedBytes, mso } = signer.sign({
+      doctype: PASSPORT_DOCTYPE,
+      namespaces: this.buildMDocNamespaces(passportData, webId),
+      deviceKey: deviceKey,
+      expiryDate: passportData.data[CORE_NAMESPACE].expiry_date,
+      status: status
+    });
+
+    return {
+      format: 'mso_mdoc',
+      doctype: mso.docType,
+      // IssuerSigned, base64url-encoded CBOR as carried in OID4VCI credential responses
+      credential: issuerSignedBytes.toString('base64url'),
+      validFrom: mso.validityInfo.validFrom.value,
+      validUntil: mso.validityInfo.validUntil.value
+    };
+  }
+
+  async issueSDJWTLocally(passportData, webId, issuerKey, x5Chain, holderKey, status) {
+    console.log('📝 Signing SD-JWT VC locally with the Document Signer key...');
+
+    // Same validity rules as the mDoc: capped by the passport expiry
+    const signer = new LocalMDocSigner(issuerKey, x5Chain);
+    const validityInfo = signer.buildValidityInfo(passportData.data[CORE_NAMESPACE].expiry_date);
+
+    const { credential } = await issueSDJWT({
+      claims: this.buildPassportSDJWTClaims(passportData, webId),
+      issuerKey: issuerKey,
+      x5Chain: x5Chain,
+      issuer: CREDENTIAL_ISSUER_ID,
+      vct: PASSPORT_VCT,
+      holderKey: holderKey,
+      validUntil: new Date(validityInfo.validUntil.value),
+      status: status
+    });
+
+    return {
+      format: SD_JWT_VC_FORMAT,
+      vct: PASSPORT_VCT,
+      credential: credential,
+      validFrom: validityInfo.validFrom.value,
+      validUntil: validityInfo.validUntil.value
+    };
+  }
+
   async parseCredentialOffer(offerUrl) {
     // Parse the credential offer URL to extract the offer details
     const query = offerUrl.split('?')[1] || '';
@@ -189,13 +276,26 @@ class PassportMDocIssuer {
     throw new Error('No credential offer found in URL');
   }
 
-  async processFullIssuance(passportData, webId, usePKI = false) {
+  async processFullIssuance(passportData, webId, usePKI = false, options = {}) {
+    const backend = options.backend || 'waltid';
+    const format = options.format || 'mso_mdoc';
+    if (!ISSUANCE_BACKENDS.includes(backend)) {
+      throw new Error(`Unknown issuance backend: ${backend} (expected ${ISSUANCE_BACKENDS.join(' or ')})`);
+    }
+    if (!CREDENTIAL_FORMATS.includes(format)) {
+      throw new Error(`Unknown credential format: ${format} (expected ${CREDENTIAL_FORMATS.join(' or ')})`);
+    }
+    if (format === SD_JWT_VC_FORMAT && backend !== 'local') {
+      throw new Error('SD-JWT VC credentials are only issued by the local backend (--backend=local)');
+    }
+
     try {
       console.log('🎫 Starting mDoc credential offer generation...');
       
       let issuerKey, x5Chain;
       
-      if (usePKI) {
+      if (usePKI || backend === 'local') {
+        // Local signing always needs the Document Signer certificate chain
         console.log('🔐 Loading PKI setup...');
         const pkiSetup = await this.loadPKISetup();
         issuerKey = pkiSetup.setup.issuerKey.jwk;
@@ -210,9 +310,60 @@ class PassportMDocIssuer {
         console.log('⚠️  Warning: No PKI setup - may fail without proper certificates');
       }
 
+      if (backend === 'local') {
+        // Without a wallet in the loop, generate a device key the caller can keep
+        const deviceKey = options.deviceKey || await LocalMDocSigner.generateDeviceKey();
+        // Reserve a status list index so the credential can be revoked if the passport is lost
+        const status = await this.statusList.allocate({
+          documentNumber: passportData.data[CORE_NAMESPACE].document_number,
+          webId: webId,
+          format: format
+        });
+        const credential = format === SD_JWT_VC_FORMAT
+          ? await this.issueSDJWTLocally(passportData, webId, issuerKey, x5Chain, deviceKey, status)
+          : await this.issueMDocLocally(passportData, webId, issuerKey, x5Chain, deviceKey, status);
+        console.log(`✅ ${format} credential signed locally, valid until`, credential.validUntil);
+
+        // Nothing to redeem: the caller already holds the credential
+        const issuance = await this.registry.record({
+          offerId: uuidv4(),
+          webId: webId,
+          documentNumber: passportData.data[CORE_NAMESPACE].document_number,
+          // SD-JWT VCs are recorded under their vct
+          doctype: credential.doctype || credential.vct,
+          format: format,
+          backend: backend,
+          issuerKeyId: await this.issuerKeyId(issuerKey),
+          statusListIndex: status.status_list.idx,
+          validUntil: credential.validUntil,
+          status: 'redeemed'
+        });
+
+        return {
+          credential: credential,
+          ...(!options.deviceKey && { deviceKey: deviceKey }),
+          metadata: {
+            webId: webId,
+            issuanceDate: new Date().toISOString(),
+            format: format,
+            ...(credential.doctype ? { doctype: credential.doctype } : { vct: credential.vct }),
+            passportNumber: passportData.data[CORE_NAMESPACE].document_number,
+            issuer: 'local',
+            backend: backend,
+            offerId: issuance.offerId,
+            statusListIndex: status.status_list.idx
+          }
+        };
+      }
+
+      if (process.env.STATUS_LIST_URI) {
+        console.log('⚠️  walt.id credentials carry no status reference; verifiers that require one will reject them');
+      }
+
       // Generate credential offer URL
       const offerUrl = await this.issueMDoc(passportData, webId, issuerKey, x5Chain);
       console.log('✅ Credential offer created:', offerUrl);
+      const offerId = credentialOfferId(offerUrl);
 
       // Parse offer to show details
       const offer = await this.parseCredentialOffer(offerUrl);
@@ -239,9 +390,11 @@ class PassportMDocIssuer {
         metadata: {
           webId: webId,
           issuanceDate: new Date().toISOString(),
-          doctype: 'org.iso.18013.5.1.mDL',
-          passportNumber: passportData.data['org.iso.18013.5.1'].document_number,
-          issuer: offer.credential_issuer
+          doctype: PASSPORT_DOCTYPE,
+          passportNumber: passportData.data[CORE_NAMESPACE].document_number,
+          issuer: offer.credential_issuer,
+          backend: backend,
+          offerId: offerId
         }
       };
 
@@ -273,6 +426,8 @@ async function main() {
   let passportData = null;
   let webId = null;
   let usePKI = false;
+  let backend = 'waltid';
+  let format = 'mso_mdoc';
 
   // Parse command line arguments
   for (const arg of args) {
@@ -282,6 +437,10 @@ async function main() {
       webId = arg.substring('--web-id='.length);
     } else if (arg === '--use-pki') {
       usePKI = true;
+    } else if (arg.startsWith('--backend=')) {
+      backend = arg.substring('--backend='.length);
+    } else if (arg.startsWith('--format=')) {
+      format = arg.substring('--format='.length);
     } else if (arg === '--help') {
       console.log(`
 🎫 Passport mDoc Credential Offer Generator
@@ -294,6 +453,10 @@ Options:
   --web-id=ID          Your web ID for authentication (required)
   --passport-data=JSON Passport data from NFC reader (optional, will prompt for NFC read)
   --use-pki           Use proper PKI setup (requires: node setup-mdoc-pki.js)
+  --backend=NAME      Issuance backend: waltid (default) or local
+                      (local signs the mDoc itself and requires the PKI setup)
+  --format=FORMAT     Credential format: mso_mdoc (default) or vc+sd-jwt
+                      (vc+sd-jwt requires --backend=local)
   --help              Show this help message
 
 Examples:
@@ -304,6 +467,12 @@ Examples:
   # Generate credential offer in testing mode (may fail)
   node mdoc-issuer.js --web-id="alice@example.com"
 
+  # Sign the mDoc locally without the walt.id issuer
+  node mdoc-issuer.js --web-id="alice@example.com" --backend=local
+
+  # Issue an SD-JWT VC for wallets without mso_mdoc support
+  node mdoc-issuer.js --web-id="alice@example.com" --backend=local --format=vc+sd-jwt
+
 Output:
   - QR code for wallet scanning
   - Credential offer URL for manual entry
@@ -321,6 +490,7 @@ Output:
   console.log('🚀 Starting Passport mDoc Credential Offer Generator');
   console.log('🆔 Web ID:', webId);
   console.log('🔐 PKI Mode:', usePKI ? 'Enabled' : 'Disabled (testing mode)');
+  console.log('🏭 Backend:', backend);
 
   const issuer = new PassportMDocIssuer();
 
@@ -334,7 +504,20 @@ Output:
     }
 
     // Process the issuance
-    const result = await issuer.processFullIssuance(passportData, webId, usePKI);
+    const result = await issuer.processFullIssuance(passportData, webId, usePKI, { backend, format });
+    
+    if (backend === 'local') {
+      const outputFile = format === SD_JWT_VC_FORMAT ? 'sd-jwt-credential.json' : 'mdoc-credential.json';
+      console.log(`\n🎉 SUCCESS! ${format} credential signed locally`);
+      console.log('   - Credential Type:', result.metadata.doctype || result.metadata.vct);
+      console.log('   - Passport Number:', result.metadata.passportNumber);
+      console.log('   - Valid Until:', result.credential.validUntil);
+
+      const fs = await import('fs/promises');
+      await fs.writeFile(outputFile, JSON.stringify(result, null, 2));
+      console.log(`✅ Saved to: ${outputFile} (includes the generated device key)`);
+      return;
+    }
     
     console.log('\n🎉 SUCCESS! Credential offer generated successfully');
     
@@ -354,6 +537,7 @@ Output:
     const fs = await import('fs/promises');
     await fs.writeFile('credential-offer.json', JSON.stringify(result, null, 2));
     console.log('✅ Saved to: credential-offer.json');
+    console.log('🗂️  Recorded in the issuance registry as offer', result.metadata.offerId);
     
     console.log('\n🎯 Next Steps:');
     console.log('1. Scan QR code with any compatible wallet:');
@@ -372,7 +556,8 @@ Output:
 }
 
 // Run if called directly (not when imported)
-if (import.meta.url === `file:///${process.argv[1].replace(/\\/g, '/')}`) {
+if (import.meta.url === `file:///${process.argv[1].replace(/\\/g, '/')}` ||
+    import.meta.url === `file://${process.argv[1]}`) {
   main();
 }
 
@@ -0,0 +1,203 @@
+/**
+ * Native ISO 18013-5 mDoc Signer
+ *
+ * Builds and signs the IssuerSigned structure of an mDoc locally, without
+ * the walt.id issuer API, using the Document Signer key and certificate
+ * chain from mdoc-pki-setup.json.
+ *
+ * Features:
+ * - CBOR-encoded IssuerSignedItems with random salts and digest IDs
+ * - MobileSecurityObject with per-namespace SHA-256 value digests
+ * - Validity info and deviceKeyInfo (holder device key binding)
+ * - Optional status list reference in the MSO for revocation
+ * - COSE_Sign1 issuerAuth with x5chain (ISO 18013-5 §9.1.2.4)
+ */
+
+import crypto from 'crypto';
+import { generateKeyPair, exportJWK } from 'jose';
+import {
+  cbor,
+  Tag,
+  embedCbor,
+  pemToDer,
+  jwkToCoseKey,
+  signCoseSign1
+} from './cose.js';
+import { getElementDefinition } from './passport-doctype.js';
+
+const DIGEST_ALGORITHM = 'SHA-256';
+const DEFAULT_VALIDITY_DAYS = 365;
+
+// Elements encoded as CBOR full-date (tag 1004) rather than plain text,
+// for namespaces without element definitions (e.g. org.iso.18013.5.1)
+const FULL_DATE_ELEMENTS = new Set([
+  'birth_date',
+  'issue_date',
+  'expiry_date'
+]);
+
+// Elements carried as raw bytes rather than base64 text
+const BINARY_ELEMENTS = new Set(['portrait']);
+
+const toBytes = value => (typeof value === 'string' ? Buffer.from(value, 'base64') : value);
+
+class LocalMDocSigner {
+  constructor(issuerKey, x5Chain, options = {}) {
+    if (!issuerKey || !issuerKey.d) {
+      throw new Error('A private Document Signer JWK is required for local signing');
+    }
+    if (!x5Chain || x5Chain.length === 0) {
+      throw new Error('The Document Signer certificate chain (x5Chain) is required for local signing');
+    }
+
+    this.issuerKey = crypto.createPrivateKey({ key: issuerKey, format: 'jwk' });
+    this.x5Chain = x5Chain.map(cert => (Buffer.isBuffer(cert) ? cert : pemToDer(cert)));
+    this.validityDays = options.validityDays || DEFAULT_VALIDITY_DAYS;
+  }
+
+  static fromPKISetup(pkiSetup, options = {}) {
+    return new LocalMDocSigner(pkiSetup.setup.issuerKey.jwk, pkiSetup.setup.x5Chain, options);
+  }
+
+  static async generateDeviceKey() {
+    // Holder device key for testing; real wallets supply their own public key
+    const { privateKey } = await generateKeyPair('ES256', { extractable: true });
+    const jwk = await exportJWK(privateKey);
+    jwk.kid = crypto.randomUUID();
+    return jwk;
+  }
+
+  encodeElementValue(namespace, identifier, value) {
+    const type = getElementDefinition(namespace, identifier)?.type;
+
+    if ((type ? type === 'full-date' : FULL_DATE_ELEMENTS.has(identifier)) &&
+        typeof value === 'string' && /^\d{4}-\d{2}-\d{2}$/.test(value)) {
+      return new Tag(value, 1004);
+    }
+    if (type ? type === 'bstr' : BINARY_ELEMENTS.has(identifier)) {
+      return toBytes(value);
+    }
+    if (type === 'map' && !(value instanceof Map)) {
+      // JSON objects only have string keys; data group numbers are CBOR uints
+      return new Map(Object.entries(value).map(([key, entry]) =>
+        [/^\d+$/.test(key) ? parseInt(key) : key, toBytes(entry)]));
+    }
+    return value;
+  }
+
+  buildIssuerSignedItems(namespaces) {
+    const usedDigestIds = new Set();
+    const nameSpaces = {};
+    const valueDigests = {};
+
+    for (const [namespace, elements] of Object.entries(namespaces)) {
+      nameSpaces[namespace] = [];
+      valueDigests[namespace] = new Map();
+
+      for (const [identifier, value] of Object.entries(elements)) {
+        if (value === undefined || value === null || value === '') {
+          continue;
+        }
+
+        // Random digest IDs so the position of an element leaks nothing about it
+        let digestID;
+        do {
+          digestID = crypto.randomInt(0, 2 ** 31);
+        } while (usedDigestIds.has(digestID));
+        usedDigestIds.add(digestID);
+
+        const item = {
+          digestID,
+          random: crypto.randomBytes(32),
+          elementIdentifier: identifier,
+          elementValue: this.encodeElementValue(namespace, identifier, value)
+        };
+
+        const itemBytes = embedCbor(item);
+        const digest = crypto.createHash('sha256').update(cbor.encode(itemBytes)).digest();
+
+        nameSpaces[namespace].push(itemBytes);
+        valueDigests[namespace].set(digestID, digest);
+      }
+
+      if (nameSpaces[namespace].length === 0) {
+        delete nameSpaces[namespace];
+        delete valueDigests[namespace];
+      }
+    }
+
+    return { nameSpaces, valueDigests };
+  }
+
+  buildValidityInfo(expiryDate) {
+    const now = new Date();
+    now.setUTCMilliseconds(0);
+
+    let validUntil = new Date(now.getTime() + this.validityDays * 24 * 60 * 60 * 1000);
+    if (expiryDate) {
+      const documentExpiry = new Date(`${expiryDate}T23:59:59Z`);
+      if (documentExpiry <= now) {
+        throw new Error(`Cannot issue an mDoc for a document that expired on ${expiryDate}`);
+      }
+      if (documentExpiry < validUntil) {
+        validUntil = documentExpiry;
+      }
+    }
+
+    const tdate = date => new Tag(date.toISOString().replace('.000Z', 'Z'), 0);
+    return {
+      signed: tdate(now),
+      validFrom: tdate(now),
+      validUntil: tdate(validUntil)
+    };
+  }
+
+  /**
+   * Sign an mDoc.
+   *
+   * @param {object} options
+   * @param {string} options.doctype - e.g. 'org.iso.23220.photoid.1'
+   * @param {object} options.namespaces - { namespace: { elementIdentifier: value } }
+   * @param {object} options.deviceKey - holder public JWK bound into the MSO
+   * @param {string} [options.expiryDate] - document expiry (YYYY-MM-DD) capping validUntil
+   * @param {object} [options.status] - { status_list: { idx, uri } } from the status list registry
+   * @returns {{ issuerSigned: object, issuerSignedBytes: Buffer, mso: object }}
+   */
+  sign({ doctype, namespaces, deviceKey, expiryDate, status }) {
+    if (!deviceKey) {
+      throw new Error('A device key is required to bind the mDoc to its holder');
+    }
+
+    const { nameSpaces, valueDigests } = this.buildIssuerSignedItems(namespaces);
+
+    const publicDeviceKey = { kty: deviceKey.kty, crv: deviceKey.crv, x: deviceKey.x, y: deviceKey.y };
+    const mso = {
+      version: '1.0',
+      digestAlgorithm: DIGEST_ALGORITHM,
+      valueDigests,
+      deviceKeyInfo: {
+        deviceKey: jwkToCoseKey(publicDeviceKey)
+      },
+      docType: doctype,
+      validityInfo: this.buildValidityInfo(expiryDate),
+      ...(status && { status })
+    };
+
+    // MobileSecurityObjectBytes = #6.24(bstr .cbor MobileSecurityObject)
+    const issuerAuth = signCoseSign1({
+      payload: cbor.encode(embedCbor(mso)),
+      privateKey: this.issuerKey,
+      x5chain: this.x5Chain
+    });
+
+    const issuerSigned = { nameSpaces, issuerAuth };
+
+    return {
+      issuerSigned,
+      issuerSignedBytes: cbor.encode(issuerSigned),
+      mso
+    };
+  }
+}
+
+export { LocalMDocSigner };
@@ -0,0 +1,306 @@
+/**
+ * ISO 18013-5 mDoc Presentation Verifier
+ *
+ * Verifies a CBOR DeviceResponse presented over OpenID4VP (ISO 18013-7 Annex B)
+ * without relying on the walt.id verifier.
+ *
+ * Checks performed per document:
+ * - issuerAuth COSE_Sign1 signature against the x5chain leaf certificate
+ * - Document Signer certificate chains to a configured IACA trust anchor
+ * - Every disclosed IssuerSignedItem digest matches the MobileSecurityObject
+ * - MSO validity window (validFrom / validUntil)
+ * - deviceSignature over DeviceAuthentication bound to the OID4VP session transcript
+ * - Every data element of the ItemsRequest was disclosed (when one is given)
+ */
+
+import crypto from 'crypto';
+import {
+  cbor,
+  Tag,
+  embedCbor,
+  unwrapEmbeddedCbor,
+  coseKeyToJwk,
+  verifyCoseSign1,
+  getX5Chain
+} from './cose.js';
+import { findMissingElements } from './mdoc-disclosure.js';
+
+const DIGEST_ALGORITHMS = {
+  'SHA-256': 'sha256',
+  'SHA-384': 'sha384',
+  'SHA-512': 'sha512'
+};
+
+/**
+ * OID4VP session transcript (ISO 18013-7 Annex B.4.4):
+ * [null, null, [SHA-256([client_id, mdocGeneratedNonce]), SHA-256([response_uri, mdocGeneratedNonce]), nonce]]
+ */
+function buildOID4VPSessionTranscript({ clientId, responseUri, nonce, mdocGeneratedNonce }) {
+  if (!clientId || !responseUri || !nonce) {
+    throw new Error('client_id, response_uri and nonce are required for the session transcript');
+  }
+  const sha256 = value => crypto.createHash('sha256').update(cbor.encode(value)).digest();
+  return [
+    null,
+    null,
+    [
+      sha256([clientId, mdocGeneratedNonce || '']),
+      sha256([responseUri, mdocGeneratedNonce || '']),
+      nonce
+    ]
+  ];
+}
+
+function buildDeviceAuthenticationBytes(sessionTranscript, docType, deviceNameSpacesBytes) {
+  // DeviceAuthenticationBytes = #6.24(bstr .cbor ["DeviceAuthentication", SessionTranscript, DocType, DeviceNameSpacesBytes])
+  return cbor.encode(embedCbor(['DeviceAuthentication', sessionTranscript, docType, deviceNameSpacesBytes]));
+}
+
+function decodeElementValue(value) {
+  if (value instanceof Tag) {
+    // full-date (1004) and tdate (0) are surfaced as their string form
+    return value.value;
+  }
+  if (value instanceof Date) {
+    return value.toISOString();
+  }
+  if (Buffer.isBuffer(value)) {
+    return value.toString('base64');
+  }
+  if (value instanceof Map) {
+    return Object.fromEntries([...value].map(([key, entry]) => [key, decodeElementValue(entry)]));
+  }
+  if (value && typeof value === 'object' && !Array.isArray(value)) {
+    // e.g. data group hashes: { dgNumber: bstr }
+    return Object.fromEntries(Object.entries(value).map(([key, entry]) => [key, decodeElementValue(entry)]));
+  }
+  return value;
+}
+
+function toDate(value) {
+  if (value instanceof Date) return value;
+  if (value instanceof Tag) return new Date(value.value);
+  return new Date(value);
+}
+
+function lookup(map, key) {
+  return map instanceof Map ? map.get(key) : map?.[key];
+}
+
+/**
+ * Check that an issuer certificate chain (DER, leaf first) is within its
+ * validity period and chains to one of the trusted IACA certificates.
+ *
+ * @returns {{ documentSigner: crypto.X509Certificate, iaca: crypto.X509Certificate }}
+ */
+function validateCertificateChain(x5chain, trustAnchors, now = new Date()) {
+  if (x5chain.length === 0) {
+    throw new Error('No issuer certificate chain');
+  }
+  if (trustAnchors.length === 0) {
+    throw new Error('No IACA trust anchors configured');
+  }
+
+  const chain = x5chain.map(der => new crypto.X509Certificate(der));
+  for (const cert of chain) {
+    if (now < new Date(cert.validFrom) || now > new Date(cert.validTo)) {
+      throw new Error(`Certificate "${cert.subject}" is outside its validity period`);
+    }
+  }
+
+  // Each certificate must be signed by the next one; the last by a trust anchor
+  for (let i = 0; i < chain.length - 1; i++) {
+    if (!chain[i].checkIssued(chain[i + 1]) || !chain[i].verify(chain[i + 1].publicKey)) {
+      throw new Error(`Certificate "${chain[i].subject}" is not signed by "${chain[i + 1].subject}"`);
+    }
+  }
+
+  const top = chain[chain.length - 1];
+  const anchor = trustAnchors.find(candidate =>
+    (top.fingerprint256 === candidate.fingerprint256) ||
+    (top.checkIssued(candidate) && top.verify(candidate.publicKey))
+  );
+  if (!anchor) {
+    throw new Error(`Document Signer "${chain[0].subject}" does not chain to a trusted IACA`);
+  }
+  if (now < new Date(anchor.validFrom) || now > new Date(anchor.validTo)) {
+    throw new Error(`IACA certificate "${anchor.subject}" is outside its validity period`);
+  }
+
+  return { documentSigner: chain[0], iaca: anchor };
+}
+
+class MDocVerifier {
+  /**
+   * @param {object} options
+   * @param {string[]} options.trustAnchors - PEM encoded IACA root certificates
+   */
+  constructor({ trustAnchors = [] } = {}) {
+    this.trustAnchors = trustAnchors.map(pem => new crypto.X509Certificate(pem));
+  }
+
+  decodeDeviceResponse(vpToken) {
+    const bytes = Buffer.isBuffer(vpToken) ? vpToken : Buffer.from(String(vpToken), 'base64url');
+    let deviceResponse;
+    try {
+      deviceResponse = cbor.decode(bytes);
+    } catch (error) {
+      throw new Error('VP token is not a CBOR-encoded DeviceResponse');
+    }
+    if (!deviceResponse || !Array.isArray(deviceResponse.documents)) {
+      throw new Error('DeviceResponse contains no documents');
+    }
+    return deviceResponse;
+  }
+
+  validateCertificateChain(x5chain, now) {
+    if (x5chain.length === 0) {
+      throw new Error('issuerAuth carries no x5chain');
+    }
+    return validateCertificateChain(x5chain, this.trustAnchors, now);
+  }
+
+  verifyIssuerSigned(document, now) {
+    const { issuerSigned } = document;
+    if (!issuerSigned || !issuerSigned.issuerAuth) {
+      throw new Error('Document has no issuerAuth');
+    }
+
+    const { issuerAuth } = issuerSigned;
+    const { documentSigner, iaca } = this.validateCertificateChain(getX5Chain(issuerAuth), now);
+
+    if (!verifyCoseSign1(issuerAuth, documentSigner.publicKey)) {
+      throw new Error('issuerAuth signature is invalid');
+    }
+
+    const mso = unwrapEmbeddedCbor(cbor.decode(Buffer.from(issuerAuth[2])));
+    if (mso.docType !== document.docType) {
+      throw new Error(`MSO docType "${mso.docType}" does not match document "${document.docType}"`);
+    }
+
+    const hash = DIGEST_ALGORITHMS[mso.digestAlgorithm];
+    if (!hash) {
+      throw new Error(`Unsupported digest algorithm: ${mso.digestAlgorithm}`);
+    }
+
+    // Validity window of the MSO itself
+    const validFrom = toDate(mso.validityInfo.validFrom);
+    const validUntil = toDate(mso.validityInfo.validUntil);
+    if (now < validFrom) {
+      throw new Error(`mDoc is not valid before ${validFrom.toISOString()}`);
+    }
+    if (now > validUntil) {
+      throw new Error(`mDoc expired at ${validUntil.toISOString()}`);
+    }
+    const signed = toDate(mso.validityInfo.signed);
+    if (signed < new Date(documentSigner.validFrom) || signed > new Date(documentSigner.validTo)) {
+      throw new Error('MSO was signed outside the Document Signer certificate validity');
+    }
+
+    // Recompute every disclosed element's digest
+    const claims = {};
+    for (const [namespace, items] of Object.entries(issuerSigned.nameSpaces || {})) {
+      const namespaceDigests = lookup(mso.valueDigests, namespace);
+      if (!namespaceDigests) {
+        throw new Error(`Namespace "${namespace}" is not covered by the MSO`);
+      }
+      claims[namespace] = {};
+
+      for (const itemBytes of items) {
+        const item = unwrapEmbeddedCbor(itemBytes);
+        const expected = lookup(namespaceDigests, item.digestID);
+        const actual = crypto.createHash(hash).update(cbor.encode(itemBytes)).digest();
+        if (!expected || !actual.equals(Buffer.from(expected))) {
+          throw new Error(`Digest mismatch for ${namespace}/${item.elementIdentifier}`);
+        }
+        claims[namespace][item.elementIdentifier] = decodeElementValue(item.elementValue);
+      }
+    }
+
+    return {
+      mso,
+      claims,
+      deviceKey: coseKeyToJwk(mso.deviceKeyInfo.deviceKey),
+      validityInfo: { signed, validFrom, validUntil },
+      issuer: { documentSigner: documentSigner.subject, iaca: iaca.subject }
+    };
+  }
+
+  verifyDeviceSigned(document, deviceKey, sessionTranscript) {
+    const { deviceSigned } = document;
+    if (!deviceSigned || !deviceSigned.deviceAuth) {
+      throw new Error('Document has no device authentication');
+    }
+
+    const deviceSignature = lookup(deviceSigned.deviceAuth, 'deviceSignature');
+    if (!deviceSignature) {
+      // deviceMac needs the reader's ephemeral key, which OID4VP does not use
+      throw new Error('Only deviceSignature device authentication is supported');
+    }
+
+    const deviceNameSpacesBytes = deviceSigned.nameSpaces || embedCbor({});
+    const detachedPayload = buildDeviceAuthenticationBytes(sessionTranscript, document.docType, deviceNameSpacesBytes);
+
+    if (!verifyCoseSign1(deviceSignature, deviceKey, { detachedPayload })) {
+      throw new Error('Device signature does not match the session transcript');
+    }
+  }
+
+  /**
+   * Verify a DeviceResponse.
+   *
+   * @param {Buffer|string} vpToken - DeviceResponse bytes or base64url string
+   * @param {object} options
+   * @param {Array} options.sessionTranscript - from buildOID4VPSessionTranscript
+   * @param {object} [options.itemsRequest] - { docType, nameSpaces } that must be fully disclosed
+   * @param {Date} [options.now]
+   * @returns {{ valid: boolean, documents?: object[], error?: string }}
+   */
+  verifyDeviceResponse(vpToken, { sessionTranscript, itemsRequest, now = new Date() }) {
+    try {
+      const deviceResponse = this.decodeDeviceResponse(vpToken);
+      if (deviceResponse.status !== undefined && deviceResponse.status !== 0) {
+        throw new Error(`DeviceResponse status ${deviceResponse.status}`);
+      }
+      if (deviceResponse.documents.length === 0) {
+        throw new Error('DeviceResponse contains no documents');
+      }
+
+      const documents = deviceResponse.documents.map(document => {
+        const issuerResult = this.verifyIssuerSigned(document, now);
+        this.verifyDeviceSigned(document, issuerResult.deviceKey, sessionTranscript);
+        return {
+          docType: document.docType,
+          claims: issuerResult.claims,
+          validityInfo: issuerResult.validityInfo,
+          issuer: issuerResult.issuer,
+          // Status list reference, checked by the caller
+          status: issuerResult.mso.status
+        };
+      });
+
+      if (itemsRequest) {
+        const requested = documents.find(document => document.docType === itemsRequest.docType);
+        if (!requested) {
+          throw new Error(`No ${itemsRequest.docType} document in the DeviceResponse`);
+        }
+        const missing = findMissingElements(requested.claims, itemsRequest);
+        if (missing.length > 0) {
+          throw new Error(`Requested data elements not disclosed: ${missing.join(', ')}`);
+        }
+      }
+
+      return { valid: true, documents };
+    } catch (error) {
+      return { valid: false, error: error.message };
+    }
+  }
+}
+
+export {
+  MDocVerifier,
+  validateCertificateChain,
+  decodeElementValue,
+  buildOID4VPSessionTranscript,
+  buildDeviceAuthenticationBytes
+};
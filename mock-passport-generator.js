@@ -0,0 +1,252 @@
+/**
+ * Mock Passport Generator
+ *
+ * Deterministic mock passport data: the same seed, scenario and reference
+ * date always give the same passport, so a failing run can be replayed.
+ * Named scenarios cover the edge cases real documents have.
+ *
+ * Features:
+ * - Seeded pseudo-random generator (no Math.random)
+ * - Names with diacritics, multiple components and hyphens
+ * - Edge-case scenarios: expired, expiring soon, minor, no portrait, 39-character surname,
+ *   single-component name, Cyrillic name, German "D<<" code, stateless (XXA), invalid date
+ * - MRZ generated from the same fields, so the two never disagree
+ * - CLI to print a passport or the scenario list
+ */
+
+import crypto from 'crypto';
+import { generateMRZ } from './mrz.js';
+
+// 1x1 PNG placeholder for the portrait
+const MOCK_PORTRAIT = 'iVBORw0KGgoAAAANSUhEUgAAAAEAAAABCAYAAAAfFcSJAAAADUlEQVR42mP8/5+hHgAHggJ/PchI7wAAAABJRU5ErkJggg==';
+
+const COUNTRIES = [
+  { code: 'USA', places: ['CHICAGO', 'DENVER', 'NEW YORK'] },
+  { code: 'GBR', places: ['LONDON', 'LEEDS', 'CARDIFF'] },
+  { code: 'CAN', places: ['TORONTO', 'MONTRÉAL', 'HALIFAX'] },
+  { code: 'AUS', places: ['SYDNEY', 'PERTH'] },
+  { code: 'FRA', places: ['PARIS', 'LYON', 'SAINT-ÉTIENNE'] },
+  { code: 'JPN', places: ['OSAKA', 'SAPPORO'] },
+  { code: 'NLD', places: ['AMSTERDAM', 'UTRECHT'] },
+  { code: 'ESP', places: ['MADRID', 'A CORUÑA'] },
+  { code: 'SWE', places: ['GÖTEBORG', 'MALMÖ'] },
+  { code: 'IRL', places: ['DUBLIN', 'CORK'] }
+];
+const FIRST_NAMES = [
+  'ALICE', 'BOB', 'CHARLIE', 'DIANA', 'EDWARD', 'FIONA', 'GEORGE', 'HÉLÈNE', 'JOSÉ MARÍA',
+  'ANNA MARIA', 'SØREN', 'ZOË', 'JEAN-LUC', 'MARY ANN', 'ÅSA', 'NIAMH', 'YUKI', 'MATTHIJS'
+];
+const LAST_NAMES = [
+  'SMITH', 'JOHNSON', 'GARCÍA MÁRQUEZ', 'BROWN', 'O\'BRIEN', 'MÜLLER', 'VAN DER BERG',
+  'NGUYEN', 'DE LA CRUZ', 'ØSTERGÅRD', 'LEFÈVRE', 'SMITH-JONES', 'TANAKA', 'ÖZTÜRK', 'KOWALSKI'
+];
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Seeded pseudo-random numbers in [0, 1) (mulberry32). Any string or number
+ * is a seed; it is hashed so similar seeds give unrelated sequences.
+ */
+function createSeededRandom(seed) {
+  let state = crypto.createHash('sha256').update(String(seed)).digest().readUInt32BE(0);
+  const next = () => {
+    state = (state + 0x6d2b79f5) >>> 0;
+    let t = state;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+  return {
+    next,
+    integer: (min, max) => min + Math.floor(next() * (max - min + 1)),
+    pick: list => list[Math.floor(next() * list.length)],
+    digits: length => Array.from({ length }, () => Math.floor(next() * 10)).join('')
+  };
+}
+
+// YYYY-MM-DD of a UTC day offset from the reference date
+function isoDay(referenceDate, offsetDays) {
+  return new Date(referenceDate.getTime() + offsetDays * DAY_MS).toISOString().slice(0, 10);
+}
+
+function yearsBefore(referenceDate, years, extraDays) {
+  const date = new Date(referenceDate);
+  date.setUTCFullYear(date.getUTCFullYear() - years);
+  return isoDay(date, -extraDays);
+}
+
+/**
+ * Edge-case scenarios, applied on top of a generated passport. Scenarios
+ * with `valid: false` describe data the reader must reject.
+ */
+const MOCK_SCENARIOS = {
+  expired: {
+    description: 'Document expired 1 to 365 days ago',
+    apply: (passport, { random, referenceDate }) => {
+      passport.expiryDate = isoDay(referenceDate, -random.integer(1, 365));
+    }
+  },
+  'expiring-soon': {
+    description: 'Document expires within the next 30 days',
+    apply: (passport, { random, referenceDate }) => {
+      passport.expiryDate = isoDay(referenceDate, random.integer(0, 30));
+    }
+  },
+  minor: {
+    description: 'Holder aged 10 to 17',
+    apply: (passport, { random, referenceDate }) => {
+      passport.dateOfBirth = yearsBefore(referenceDate, random.integer(10, 17), random.integer(1, 360));
+    }
+  },
+  'no-portrait': {
+    description: 'No facial image',
+    apply: passport => {
+      delete passport.photo;
+    }
+  },
+  'long-surname': {
+    description: '39-character surname that fills the TD3 name field, truncating the given names out of the MRZ',
+    apply: passport => {
+      // Exactly 39 characters
+      passport.lastName = 'WOLFESCHLEGELSTEINHAUSENBERGERDORFFSOHN';
+    }
+  },
+  'single-name': {
+    description: 'Single-component name (no given name)',
+    apply: passport => {
+      passport.lastName = 'SUKARNO';
+      passport.firstName = '';
+    }
+  },
+  'non-latin': {
+    description: 'Cyrillic name, transliterated in the MRZ',
+    apply: passport => {
+      passport.lastName = 'ИВАНОВА';
+      passport.firstName = 'ЮЛИЯ';
+      passport.placeOfBirth = 'САНКТ-ПЕТЕРБУРГ';
+    }
+  },
+  german: {
+    description: 'German passport: the one-letter code D, padded to "D<<" in the MRZ',
+    apply: (passport, { random }) => {
+      passport.issuingCountry = 'D';
+      passport.nationality = 'D';
+      passport.lastName = 'MUSTERMANN';
+      passport.firstName = 'ERIKA';
+      // German document numbers mix letters and digits (no vowels)
+      passport.documentNumber = `C${random.digits(2)}X${random.digits(2)}T${random.digits(2)}`;
+      passport.placeOfBirth = 'BERLIN';
+      delete passport.personalNumber;
+    }
+  },
+  stateless: {
+    description: 'Stateless person (nationality XXA), travel document issued by Germany',
+    apply: passport => {
+      passport.issuingCountry = 'D';
+      passport.nationality = 'XXA';
+    }
+  },
+  'invalid-date': {
+    description: 'Birth date that does not exist (30 February); rejected by the reader',
+    valid: false,
+    apply: (passport, { random }) => {
+      passport.dateOfBirth = `${random.integer(1960, 1999)}-02-30`;
+    }
+  }
+};
+
+/**
+ * Generate mock passport data.
+ *
+ * @param {object} [options]
+ * @param {string|number} [options.seed] - same seed, same passport (default: random)
+ * @param {string} [options.scenario] - one of MOCK_SCENARIOS
+ * @param {Date|string} [options.referenceDate] - "today" for relative dates (default: today, UTC)
+ * @returns {object} passport fields as PassportDataReader.formatForMDoc takes them, with the MRZ
+ */
+function generateMockPassport({ seed = crypto.randomUUID(), scenario, referenceDate } = {}) {
+  const definition = scenario && Object.hasOwn(MOCK_SCENARIOS, scenario) ? MOCK_SCENARIOS[scenario] : null;
+  if (scenario && !definition) {
+    throw new Error(`Unknown mock passport scenario: ${scenario} (expected ${Object.keys(MOCK_SCENARIOS).join(', ')})`);
+  }
+  const day = new Date(referenceDate || Date.now());
+  if (isNaN(day.getTime())) {
+    throw new Error(`Invalid reference date: ${referenceDate}`);
+  }
+  // Whole UTC days, so a seed gives the same passport all day
+  const reference = new Date(`${day.toISOString().slice(0, 10)}T00:00:00Z`);
+  const random = createSeededRandom(seed);
+
+  const country = random.pick(COUNTRIES);
+  const passport = {
+    documentNumber: `P${random.digits(7)}`,
+    documentType: 'P',
+    issuingCountry: country.code,
+    lastName: random.pick(LAST_NAMES),
+    firstName: random.pick(FIRST_NAMES),
+    nationality: country.code,
+    dateOfBirth: yearsBefore(reference, random.integer(18, 75), random.integer(0, 364)),
+    sex: random.pick(['M', 'F']),
+    expiryDate: isoDay(reference, random.integer(60, 10 * 365)),
+    personalNumber: random.digits(9),
+    placeOfBirth: random.pick(country.places),
+    photo: MOCK_PORTRAIT,
+    fingerprints: null // Not commonly available in passport chips
+  };
+
+  if (definition) {
+    definition.apply(passport, { random, referenceDate: reference });
+  }
+
+  // The MRZ is derived from the same fields so the two can never disagree
+  passport.mrz = generateMRZ(passport);
+  // Recorded so a run can be replayed
+  passport.mock = { seed: String(seed), ...(scenario && { scenario }), referenceDate: reference.toISOString().slice(0, 10) };
+  return passport;
+}
+
+// CLI usage
+function main() {
+  const args = process.argv.slice(2);
+  if (args.includes('--help')) {
+    console.log(`
+🎲 Mock Passport Generator
+
+Usage:
+  node mock-passport-generator.js [options]
+
+Options:
+  --seed=SEED          Seed for reproducible data (default: random)
+  --scenario=NAME      Edge-case scenario (see --list)
+  --date=YYYY-MM-DD    Reference date for relative dates (default: today)
+  --list               List the scenarios
+
+Example:
+  node mock-passport-generator.js --seed=42 --scenario=minor
+    `);
+    process.exit(0);
+  }
+
+  if (args.includes('--list')) {
+    console.log('🎲 Mock passport scenarios:');
+    for (const [name, { description, valid }] of Object.entries(MOCK_SCENARIOS)) {
+      console.log(`  ${name.padEnd(15)} ${description}${valid === false ? ' ⚠️' : ''}`);
+    }
+    return;
+  }
+
+  const option = name => args.find(arg => arg.startsWith(`--${name}=`))?.slice(name.length + 3);
+  const { photo, ...passport } = generateMockPassport({ seed: option('seed'), scenario: option('scenario'), referenceDate: option('date') });
+  console.log(JSON.stringify({ ...passport, photo: photo ? `${photo.length} base64 characters` : null }, null, 2));
+}
+
+if (import.meta.url === `file://${process.argv[1]}`) {
+  try {
+    main();
+  } catch (error) {
+    console.error('❌ Error:', error.message);
+    process.exit(1);
+  }
+}
+
+export { MOCK_SCENARIOS, MOCK_PORTRAIT, createSeededRandom, generateMockPassport };
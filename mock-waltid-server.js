@@ -0,0 +1,694 @@
+#!/usr/bin/env node
+/**
+ * Local walt.id Stand-in
+ *
+ * Express implementation of the subset of the walt.id issuer (7002) and
+ * verifier (7003) APIs this project calls, so setup-mdoc-pki.js,
+ * mdoc-issuer.js, end2end-issue-verify.js and the UI server run on a laptop
+ * without Docker. State lives in memory only.
+ *
+ * Features:
+ * - IACA and Document Signer onboarding (/onboard/iso-mdl/*) using the local certificate generator
+ * - mso_mdoc, vc+sd-jwt and jwt_vc_json issuance sessions returning credential offer URLs
+ * - OID4VCI draft 13 issuer metadata, pre-authorized code token endpoint (optional tx_code)
+ * - Credential endpoint with JWT proof of possession and c_nonce checks
+ * - Issuance status callbacks (statusCallbackUri header) when a credential is issued
+ * - Verification sessions returning openid4vp:// authorization URLs
+ * - Expired issuance and verification sessions pruned by a background sweeper
+ *
+ * Not implemented: authorization code flow, deferred issuance and verifier
+ * policies (presentations posted to the response_uri are recorded, not verified).
+ */
+
+import express from 'express';
+import cors from 'cors';
+import axios from 'axios';
+import crypto from 'crypto';
+import { v4 as uuidv4 } from 'uuid';
+import { SignJWT, jwtVerify, importJWK, decodeProtectedHeader } from 'jose';
+import {
+  generateSigningKeys,
+  createIACACertificate,
+  createIACASignedCertificate
+} from './mdoc-certificates.js';
+import { LocalMDocSigner } from './mdoc-signer.js';
+import { issueSDJWT } from './sd-jwt.js';
+import { CORE_NAMESPACE, SD_JWT_VC_FORMAT, buildCredentialConfiguration } from './passport-doctype.js';
+
+const STANDARD_VERSION = 'draft13';
+const PRE_AUTHORIZED_GRANT = 'urn:ietf:params:oauth:grant-type:pre-authorized_code';
+const PROOF_TYPE = 'openid4vci-proof+jwt';
+const DEFAULT_SESSION_TTL_SECONDS = 300;
+const ACCESS_TOKEN_TTL_SECONDS = 300;
+const C_NONCE_TTL_SECONDS = 300;
+const VERIFICATION_SESSION_TTL_SECONDS = 600;
+const SWEEP_INTERVAL_SECONDS = 60;
+
+// Event types walt.id posts to an issuance session's statusCallbackUri
+const ISSUANCE_EVENT_TYPES = {
+  mso_mdoc: 'generated_mdoc',
+  [SD_JWT_VC_FORMAT]: 'sdjwt_issue',
+  jwt_vc_json: 'jwt_issue'
+};
+
+const JWT_VC_CONFIGURATIONS = {
+  VerifiableId_jwt_vc_json: {
+    format: 'jwt_vc_json',
+    credential_definition: {
+      type: ['VerifiableCredential', 'VerifiableAttestation', 'VerifiableId']
+    },
+    cryptographic_binding_methods_supported: ['did', 'jwk'],
+    credential_signing_alg_values_supported: ['EdDSA', 'ES256'],
+    proof_types_supported: {
+      jwt: { proof_signing_alg_values_supported: ['EdDSA', 'ES256'] }
+    },
+    display: [{ name: 'Verifiable ID', locale: 'en-US' }]
+  }
+};
+
+// JWS algorithm for a walt.id issuer key (Ed25519 or EC)
+function algorithmForKey(jwk) {
+  if (jwk.kty === 'OKP' && jwk.crv === 'Ed25519') return 'EdDSA';
+  if (jwk.kty === 'EC' && jwk.crv === 'P-256') return 'ES256';
+  if (jwk.kty === 'EC' && jwk.crv === 'P-384') return 'ES384';
+  throw new Error(`Unsupported issuer key: ${jwk.kty}/${jwk.crv}`);
+}
+
+const nowSeconds = () => Math.floor(Date.now() / 1000);
+
+class MockWaltIdServer {
+  constructor(options = {}) {
+    this.issuerPort = options.issuerPort || 7002;
+    this.verifierPort = options.verifierPort || 7003;
+    this.issuerBaseUrl = options.issuerBaseUrl || `http://localhost:${this.issuerPort}`;
+    this.verifierBaseUrl = options.verifierBaseUrl || `http://localhost:${this.verifierPort}`;
+    this.credentialIssuer = `${this.issuerBaseUrl}/${STANDARD_VERSION}`;
+    this.credentialConfigurations = {
+      ...JWT_VC_CONFIGURATIONS,
+      ...buildCredentialConfiguration()
+    };
+
+    // Onboarded IACAs by key ID, needed to sign Document Signer certificates
+    this.iacas = new Map();
+    // Issuance sessions by id; codes and access tokens are looked up by scanning them
+    this.issuanceSessions = new Map();
+    this.verificationSessions = new Map();
+    this.verificationSessionTtlSeconds = options.verificationSessionTtlSeconds || VERIFICATION_SESSION_TTL_SECONDS;
+    this.sweepIntervalSeconds = options.sweepIntervalSeconds || SWEEP_INTERVAL_SECONDS;
+    this.sweepTimer = null;
+    this.servers = [];
+
+    this.issuerApp = express();
+    this.verifierApp = express();
+    for (const app of [this.issuerApp, this.verifierApp]) {
+      app.use(cors());
+      app.use(express.json({ limit: '5mb' })); // portraits
+      app.use(express.urlencoded({ extended: false }));
+    }
+    this.setupIssuerRoutes();
+    this.setupVerifierRoutes();
+  }
+
+  setupIssuerRoutes() {
+    const app = this.issuerApp;
+
+    app.get('/', (req, res) => {
+      res.json({ service: 'walt.id issuer API (local stand-in)', standardVersion: STANDARD_VERSION });
+    });
+
+    app.post('/onboard/iso-mdl/iacas', async (req, res) => {
+      try {
+        res.json(await this.onboardIACA(req.body));
+      } catch (error) {
+        res.status(400).json({ message: error.message });
+      }
+    });
+
+    app.post('/onboard/iso-mdl/document-signers', async (req, res) => {
+      try {
+        res.json(await this.onboardDocumentSigner(req.body));
+      } catch (error) {
+        res.status(400).json({ message: error.message });
+      }
+    });
+
+    app.post('/openid4vc/mdoc/issue', (req, res) => {
+      try {
+        res.type('text/plain').send(this.createIssuanceSession(req.body, 'mso_mdoc', req.get('sessionTtl'), req.get('statusCallbackUri')));
+      } catch (error) {
+        res.status(400).json({ message: error.message });
+      }
+    });
+
+    app.post('/openid4vc/sdjwt/issue', (req, res) => {
+      try {
+        res.type('text/plain').send(this.createIssuanceSession(req.body, SD_JWT_VC_FORMAT, req.get('sessionTtl'), req.get('statusCallbackUri')));
+      } catch (error) {
+        res.status(400).json({ message: error.message });
+      }
+    });
+
+    app.post('/openid4vc/jwt/issue', (req, res) => {
+      try {
+        res.type('text/plain').send(this.createIssuanceSession(req.body, 'jwt_vc_json', req.get('sessionTtl'), req.get('statusCallbackUri')));
+      } catch (error) {
+        res.status(400).json({ message: error.message });
+      }
+    });
+
+    app.get(`/${STANDARD_VERSION}/.well-known/openid-credential-issuer`, (req, res) => {
+      res.json({
+        credential_issuer: this.credentialIssuer,
+        credential_endpoint: `${this.credentialIssuer}/credential`,
+        token_endpoint: `${this.credentialIssuer}/token`,
+        credential_configurations_supported: this.credentialConfigurations
+      });
+    });
+
+    app.get(`/${STANDARD_VERSION}/credentialOffer`, (req, res) => {
+      const session = this.getIssuanceSession(req.query.id);
+      if (!session) {
+        return res.status(404).json({ message: 'Unknown or expired credential offer' });
+      }
+      res.json(session.offer);
+    });
+
+    app.post(`/${STANDARD_VERSION}/token`, (req, res) => {
+      try {
+        res.json(this.exchangePreAuthorizedCode(req.body));
+      } catch (error) {
+        res.status(400).json({ error: error.code || 'invalid_request', error_description: error.message });
+      }
+    });
+
+    app.post(`/${STANDARD_VERSION}/credential`, async (req, res) => {
+      const accessToken = (req.get('authorization') || '').replace(/^Bearer\s+/i, '');
+      const session = [...this.issuanceSessions.values()].find(s =>
+        s.accessToken && s.accessToken === accessToken && s.accessTokenExpiresAt > Date.now());
+      if (!session) {
+        return res.status(401).json({ error: 'invalid_token', error_description: 'Unknown or expired access token' });
+      }
+
+      try {
+        res.json(await this.issueCredential(session, req.body));
+      } catch (error) {
+        // A failed proof gets a fresh nonce so the wallet can retry
+        session.cNonce = crypto.randomBytes(16).toString('base64url');
+        session.cNonceExpiresAt = Date.now() + C_NONCE_TTL_SECONDS * 1000;
+        res.status(400).json({
+          error: error.code || 'invalid_request',
+          error_description: error.message,
+          c_nonce: session.cNonce,
+          c_nonce_expires_in: C_NONCE_TTL_SECONDS
+        });
+      }
+    });
+  }
+
+  setupVerifierRoutes() {
+    const app = this.verifierApp;
+
+    app.get('/', (req, res) => {
+      res.json({ service: 'walt.id verifier API (local stand-in)' });
+    });
+
+    app.get('/.well-known/openid-configuration', (req, res) => {
+      res.json({
+        issuer: this.verifierBaseUrl,
+        authorization_endpoint: 'openid4vp://authorize',
+        response_types_supported: ['vp_token'],
+        response_modes_supported: ['direct_post'],
+        vp_formats_supported: {
+          mso_mdoc: { alg: ['ES256'] },
+          'vc+sd-jwt': { 'sd-jwt_alg_values': ['ES256'], 'kb-jwt_alg_values': ['ES256'] },
+          jwt_vc_json: { alg: ['EdDSA', 'ES256'] }
+        }
+      });
+    });
+
+    app.post('/openid4vc/verify', (req, res) => {
+      try {
+        res.type('text/plain').send(this.createVerificationSession(req.body));
+      } catch (error) {
+        res.status(400).json({ message: error.message });
+      }
+    });
+
+    app.get('/openid4vc/session/:id', (req, res) => {
+      const session = this.getVerificationSession(req.params.id);
+      if (!session) {
+        return res.status(404).json({ message: 'Unknown verification session' });
+      }
+      res.json({
+        id: session.id,
+        presentationDefinition: session.presentationDefinition,
+        tokenResponse: session.tokenResponse,
+        verificationResult: null,
+        policyResults: null
+      });
+    });
+
+    app.get('/openid4vc/pd/:id', (req, res) => {
+      const session = this.getVerificationSession(req.params.id);
+      if (!session) {
+        return res.status(404).json({ message: 'Unknown verification session' });
+      }
+      res.json(session.presentationDefinition);
+    });
+
+    app.post('/openid4vc/verify/:id', (req, res) => {
+      const session = this.getVerificationSession(req.params.id);
+      if (!session) {
+        return res.status(404).json({ message: 'Unknown verification session' });
+      }
+      if (!req.body.vp_token) {
+        return res.status(400).json({ message: 'vp_token is required' });
+      }
+      session.tokenResponse = {
+        vp_token: req.body.vp_token,
+        presentation_submission: req.body.presentation_submission,
+        state: req.body.state
+      };
+      console.log(`📥 Presentation received for verification session ${session.id} (recorded, not verified)`);
+      res.json({});
+    });
+  }
+
+  async onboardIACA({ certificateData } = {}) {
+    if (!certificateData) {
+      throw new Error('certificateData is required');
+    }
+
+    const signingKeys = await generateSigningKeys('P-256');
+    const certificate = await createIACACertificate(certificateData, signingKeys);
+    const issuedCertificateData = {
+      ...certificateData,
+      notBefore: certificate.notBefore.toISOString(),
+      notAfter: certificate.notAfter.toISOString()
+    };
+    this.iacas.set(signingKeys.jwk.kid, { ...signingKeys, certificate, certificateData: issuedCertificateData });
+    console.log(`🏛️ IACA onboarded: ${certificate.subject}`);
+
+    return {
+      iacaKey: { type: 'jwk', jwk: signingKeys.jwk },
+      certificatePEM: certificate.toString('pem'),
+      certificateData: issuedCertificateData
+    };
+  }
+
+  async onboardDocumentSigner({ iacaSigner, certificateData } = {}) {
+    if (!certificateData || !iacaSigner?.iacaKey?.jwk) {
+      throw new Error('iacaSigner.iacaKey and certificateData are required');
+    }
+    const iaca = this.iacas.get(iacaSigner.iacaKey.jwk.kid);
+    if (!iaca) {
+      throw new Error('Unknown IACA key: onboard the IACA with this server first');
+    }
+
+    const signingKeys = await generateSigningKeys('P-256');
+    const certificate = await createIACASignedCertificate(certificateData, signingKeys, iaca);
+    console.log(`📝 Document Signer onboarded: ${certificate.subject}`);
+
+    return {
+      documentSignerKey: { type: 'jwk', jwk: signingKeys.jwk },
+      certificatePEM: certificate.toString('pem'),
+      certificateData: {
+        ...certificateData,
+        notBefore: certificate.notBefore.toISOString(),
+        notAfter: certificate.notAfter.toISOString()
+      }
+    };
+  }
+
+  createIssuanceSession(request, format, sessionTtl, statusCallbackUri) {
+    const { credentialConfigurationId, issuerKey, txCode, txCodeValue } = request || {};
+    const configuration = this.credentialConfigurations[credentialConfigurationId];
+    if (!configuration) {
+      throw new Error(`Unknown credentialConfigurationId: ${credentialConfigurationId}`);
+    }
+    if (configuration.format !== format) {
+      throw new Error(`${credentialConfigurationId} is a ${configuration.format} credential, not ${format}`);
+    }
+    if (!issuerKey?.jwk?.d) {
+      throw new Error('issuerKey must be a private JWK ({ type: "jwk", jwk })');
+    }
+
+    const session = {
+      id: uuidv4(),
+      format,
+      credentialConfigurationId,
+      issuerKey: issuerKey.jwk,
+      expiresAt: Date.now() + (parseInt(sessionTtl) || DEFAULT_SESSION_TTL_SECONDS) * 1000,
+      statusCallbackUri: statusCallbackUri || null,
+      preAuthorizedCode: crypto.randomBytes(32).toString('base64url'),
+      txCode: txCode
+        ? String(txCodeValue ?? crypto.randomInt(0, 10 ** (txCode.length || 6)).toString().padStart(txCode.length || 6, '0'))
+        : null
+    };
+
+    if (format === 'mso_mdoc') {
+      if (!request.mdocData) {
+        throw new Error('mdocData is required');
+      }
+      // Fails early, as walt.id does, when the key or x5Chain cannot sign
+      session.signer = new LocalMDocSigner(issuerKey.jwk, request.x5Chain);
+      session.doctype = configuration.doctype;
+      session.mdocData = request.mdocData;
+    } else if (format === SD_JWT_VC_FORMAT) {
+      if (!request.credentialData) {
+        throw new Error('credentialData is required');
+      }
+      if (!request.x5Chain || request.x5Chain.length === 0) {
+        throw new Error('x5Chain is required for SD-JWT VC issuance');
+      }
+      algorithmForKey(issuerKey.jwk);
+      session.vct = configuration.vct;
+      session.credentialData = request.credentialData;
+      session.x5Chain = request.x5Chain;
+    } else {
+      if (!request.credentialData) {
+        throw new Error('credentialData is required');
+      }
+      algorithmForKey(issuerKey.jwk);
+      session.credentialData = request.credentialData;
+      session.mapping = request.mapping || {};
+    }
+
+    const grant = { 'pre-authorized_code': session.preAuthorizedCode };
+    if (session.txCode) {
+      grant.tx_code = {
+        input_mode: txCode.input_mode || 'numeric',
+        length: session.txCode.length,
+        ...(txCode.description && { description: txCode.description })
+      };
+      console.log(`🔢 Transaction code for issuance session ${session.id}: ${session.txCode}`);
+    }
+    session.offer = {
+      credential_issuer: this.credentialIssuer,
+      credential_configuration_ids: [credentialConfigurationId],
+      grants: { [PRE_AUTHORIZED_GRANT]: grant }
+    };
+
+    this.issuanceSessions.set(session.id, session);
+    console.log(`🎫 ${format} issuance session ${session.id} created`);
+
+    const offerUri = `${this.credentialIssuer}/credentialOffer?id=${session.id}`;
+    return `openid-credential-offer://?credential_offer_uri=${encodeURIComponent(offerUri)}`;
+  }
+
+  getIssuanceSession(id) {
+    const session = this.issuanceSessions.get(id);
+    if (session && session.expiresAt <= Date.now()) {
+      this.issuanceSessions.delete(id);
+      return null;
+    }
+    return session || null;
+  }
+
+  getVerificationSession(id) {
+    const session = this.verificationSessions.get(id);
+    if (session && session.expiresAt <= Date.now()) {
+      this.verificationSessions.delete(id);
+      return null;
+    }
+    return session || null;
+  }
+
+  /**
+   * Drop expired sessions. An issuance session is kept while its access
+   * token is still valid, even after the offer itself has expired.
+   *
+   * @returns {number} how many sessions were removed
+   */
+  sweep(now = Date.now()) {
+    let removed = 0;
+    for (const [id, session] of this.issuanceSessions) {
+      if (Math.max(session.expiresAt, session.accessTokenExpiresAt || 0) <= now) {
+        this.issuanceSessions.delete(id);
+        removed++;
+      }
+    }
+    for (const [id, session] of this.verificationSessions) {
+      if (session.expiresAt <= now) {
+        this.verificationSessions.delete(id);
+        removed++;
+      }
+    }
+    return removed;
+  }
+
+  exchangePreAuthorizedCode(body) {
+    const invalidGrant = message => Object.assign(new Error(message), { code: 'invalid_grant' });
+
+    if (body.grant_type !== PRE_AUTHORIZED_GRANT) {
+      throw Object.assign(new Error(`Unsupported grant_type: ${body.grant_type}`), { code: 'unsupported_grant_type' });
+    }
+    const session = [...this.issuanceSessions.values()].find(s =>
+      s.preAuthorizedCode === body['pre-authorized_code']);
+    if (!session || !this.getIssuanceSession(session.id)) {
+      throw invalidGrant('Unknown or expired pre-authorized code');
+    }
+    if (session.accessToken) {
+      throw invalidGrant('Pre-authorized code has already been used');
+    }
+    if (session.txCode && body.tx_code !== session.txCode) {
+      throw invalidGrant('Invalid transaction code');
+    }
+
+    session.accessToken = crypto.randomBytes(32).toString('base64url');
+    session.accessTokenExpiresAt = Date.now() + ACCESS_TOKEN_TTL_SECONDS * 1000;
+    session.cNonce = crypto.randomBytes(16).toString('base64url');
+    session.cNonceExpiresAt = Date.now() + C_NONCE_TTL_SECONDS * 1000;
+
+    return {
+      access_token: session.accessToken,
+      token_type: 'bearer',
+      expires_in: ACCESS_TOKEN_TTL_SECONDS,
+      c_nonce: session.cNonce,
+      c_nonce_expires_in: C_NONCE_TTL_SECONDS
+    };
+  }
+
+  async verifyProof(session, proof) {
+    const invalidProof = message => Object.assign(new Error(message), { code: 'invalid_proof' });
+
+    if (!proof || proof.proof_type !== 'jwt' || !proof.jwt) {
+      throw invalidProof('A jwt proof of possession is required');
+    }
+    const header = decodeProtectedHeader(proof.jwt);
+    if (header.typ !== PROOF_TYPE) {
+      throw invalidProof(`Proof typ must be ${PROOF_TYPE}`);
+    }
+    if (!header.jwk) {
+      throw invalidProof('Proof header must carry the holder jwk');
+    }
+
+    let payload;
+    try {
+      ({ payload } = await jwtVerify(proof.jwt, await importJWK(header.jwk, header.alg), {
+        audience: this.credentialIssuer
+      }));
+    } catch (error) {
+      throw invalidProof(`Proof verification failed: ${error.message}`);
+    }
+    if (payload.nonce !== session.cNonce || session.cNonceExpiresAt <= Date.now()) {
+      throw invalidProof('Proof nonce does not match the current c_nonce');
+    }
+
+    const { d, ...publicJwk } = header.jwk;
+    return { holderKey: publicJwk, holderDid: header.kid?.startsWith('did:') ? header.kid.split('#')[0] : null };
+  }
+
+  async issueCredential(session, body) {
+    if (session.credentialIssued) {
+      throw Object.assign(new Error('Credential has already been issued for this offer'), { code: 'invalid_request' });
+    }
+    const requestedId = body.credential_configuration_id;
+    if (requestedId && requestedId !== session.credentialConfigurationId) {
+      throw Object.assign(new Error(`Offer is for ${session.credentialConfigurationId}`), { code: 'unsupported_credential_type' });
+    }
+
+    const { holderKey, holderDid } = await this.verifyProof(session, body.proof);
+
+    let credential;
+    if (session.format === 'mso_mdoc') {
+      try {
+        const { issuerSignedBytes } = session.signer.sign({
+          doctype: session.doctype,
+          namespaces: session.mdocData,
+          deviceKey: holderKey,
+          expiryDate: session.mdocData[CORE_NAMESPACE]?.expiry_date
+        });
+        credential = issuerSignedBytes.toString('base64url');
+      } catch (error) {
+        throw Object.assign(new Error(error.message), { code: 'invalid_proof' });
+      }
+    } else if (session.format === SD_JWT_VC_FORMAT) {
+      ({ credential } = await issueSDJWT({
+        claims: session.credentialData,
+        issuerKey: session.issuerKey,
+        x5Chain: session.x5Chain,
+        issuer: this.credentialIssuer,
+        vct: session.vct,
+        holderKey
+      }));
+    } else {
+      credential = await this.signJwtVc(session, holderKey, holderDid);
+    }
+
+    session.credentialIssued = true;
+    session.cNonce = crypto.randomBytes(16).toString('base64url');
+    session.cNonceExpiresAt = Date.now() + C_NONCE_TTL_SECONDS * 1000;
+    console.log(`✅ ${session.format} credential issued for session ${session.id}`);
+    this.notifyStatusCallback(session, ISSUANCE_EVENT_TYPES[session.format], { format: session.format });
+
+    return {
+      format: session.format,
+      credential,
+      c_nonce: session.cNonce,
+      c_nonce_expires_in: C_NONCE_TTL_SECONDS
+    };
+  }
+
+  notifyStatusCallback(session, type, data) {
+    if (!session.statusCallbackUri) return;
+    // walt.id substitutes $id with the issuance session ID
+    const uri = session.statusCallbackUri.replace('$id', session.id);
+    axios.post(uri, { id: session.id, type, data }).catch(error => {
+      console.warn(`⚠️ Status callback to ${uri} failed: ${error.message}`);
+    });
+  }
+
+  async signJwtVc(session, holderKey, holderDid) {
+    // Mapping values override the credential data template, as in walt.id
+    const { mapping, credentialData } = session;
+    const vc = {
+      ...credentialData,
+      ...mapping,
+      issuer: { ...credentialData.issuer, ...mapping.issuer },
+      credentialSubject: {
+        ...credentialData.credentialSubject,
+        ...mapping.credentialSubject,
+        ...(holderDid && { id: holderDid })
+      }
+    };
+    const issuerId = typeof vc.issuer === 'string' ? vc.issuer : vc.issuer.id || this.credentialIssuer;
+
+    const alg = algorithmForKey(session.issuerKey);
+    const jwt = new SignJWT({
+      vc,
+      ...(!holderDid && { cnf: { jwk: holderKey } })
+    })
+      .setProtectedHeader({ alg, typ: 'JWT', ...(session.issuerKey.kid && { kid: session.issuerKey.kid }) })
+      .setIssuer(issuerId)
+      .setJti(vc.id || `urn:uuid:${uuidv4()}`)
+      .setIssuedAt()
+      .setNotBefore(nowSeconds());
+    if (vc.credentialSubject.id) {
+      jwt.setSubject(vc.credentialSubject.id);
+    }
+    if (vc.expirationDate) {
+      jwt.setExpirationTime(Math.floor(new Date(vc.expirationDate).getTime() / 1000));
+    }
+
+    return jwt.sign(await importJWK(session.issuerKey, alg));
+  }
+
+  createVerificationSession(body) {
+    const requestCredentials = body?.request_credentials;
+    if (!Array.isArray(requestCredentials) || requestCredentials.length === 0) {
+      throw new Error('request_credentials must be a non-empty array');
+    }
+
+    const id = uuidv4();
+    const session = {
+      id,
+      nonce: uuidv4(),
+      expiresAt: Date.now() + this.verificationSessionTtlSeconds * 1000,
+      presentationDefinition: {
+        id: uuidv4(),
+        input_descriptors: requestCredentials.map(credential => this.buildInputDescriptor(credential))
+      },
+      tokenResponse: null
+    };
+    this.verificationSessions.set(id, session);
+    console.log(`🔍 Verification session ${id} created`);
+
+    const params = new URLSearchParams({
+      response_type: 'vp_token',
+      client_id: `${this.verifierBaseUrl}/openid4vc/verify`,
+      client_id_scheme: 'redirect_uri',
+      response_mode: 'direct_post',
+      state: id,
+      nonce: session.nonce,
+      presentation_definition_uri: `${this.verifierBaseUrl}/openid4vc/pd/${id}`,
+      response_uri: `${this.verifierBaseUrl}/openid4vc/verify/${id}`
+    });
+    return `openid4vp://authorize?${params}`;
+  }
+
+  buildInputDescriptor(credential) {
+    if (credential.input_descriptor) {
+      return credential.input_descriptor;
+    }
+
+    const format = credential.format || 'jwt_vc_json';
+    if (format === 'mso_mdoc') {
+      return { id: credential.doctype, format: { mso_mdoc: { alg: ['ES256'] } }, constraints: { fields: [] } };
+    }
+    const type = credential.vct || credential.type;
+    return {
+      id: type || uuidv4(),
+      format: { [format]: {} },
+      constraints: {
+        fields: type ? [{
+          path: format === 'vc+sd-jwt' ? ['$.vct'] : ['$.vc.type', '$.type'],
+          filter: format === 'vc+sd-jwt'
+            ? { type: 'string', const: type }
+            : { type: 'array', contains: { const: type } }
+        }] : []
+      }
+    };
+  }
+
+  async start() {
+    const listen = (app, port) => new Promise((resolve, reject) => {
+      const server = app.listen(port, () => resolve(server)).on('error', reject);
+    });
+    this.servers = [
+      await listen(this.issuerApp, this.issuerPort),
+      await listen(this.verifierApp, this.verifierPort)
+    ];
+    this.sweepTimer = setInterval(() => {
+      const removed = this.sweep();
+      if (removed > 0) {
+        console.log(`🧹 Swept ${removed} expired session(s)`);
+      }
+    }, this.sweepIntervalSeconds * 1000);
+    // Never keep the process alive just for sweeping
+    this.sweepTimer.unref();
+    console.log(`🏛️ walt.id issuer stand-in running on ${this.issuerBaseUrl}`);
+    console.log(`🔍 walt.id verifier stand-in running on ${this.verifierBaseUrl}`);
+  }
+
+  async stop() {
+    clearInterval(this.sweepTimer);
+    this.sweepTimer = null;
+    await Promise.all(this.servers.map(server => new Promise(resolve => server.close(resolve))));
+    this.servers = [];
+  }
+}
+
+// Start server if run directly
+if (import.meta.url === `file://${process.argv[1]}`) {
+  const server = new MockWaltIdServer({
+    issuerPort: parseInt(process.env.MOCK_ISSUER_PORT) || undefined,
+    verifierPort: parseInt(process.env.MOCK_VERIFIER_PORT) || undefined
+  });
+  server.start().catch(error => {
+    console.error('❌ Could not start walt.id stand-in:', error.message);
+    process.exit(1);
+  });
+}
+
+export { MockWaltIdServer };
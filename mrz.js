@@ -0,0 +1,511 @@
+/**
+ * ICAO 9303 Machine Readable Zone
+ *
+ * Generates and parses TD1 (ID card, 3x30), TD2 (2x36) and TD3 (passport, 2x44)
+ * machine readable zones with the weighted 7-3-1 check digits defined in
+ * ICAO Doc 9303 Part 3, and validates mDoc passport fields against them.
+ *
+ * Features:
+ * - Check digit and composite check digit calculation
+ * - Filler handling and name truncation
+ * - Name transliteration (Latin diacritics and Cyrillic, ICAO 9303 Part 3 §6)
+ * - Long document numbers for TD1/TD2 (overflow into the optional data field)
+ * - Field-level validation of mDoc passport data against an MRZ
+ */
+
+const FILLER = '<';
+
+// documentNumberLength: 9 characters plus what the optional data field holds
+// next to the overflow check digit and its terminating filler (TD3 has no overflow)
+const FORMATS = {
+  TD1: { lines: 3, lineLength: 30, nameLength: 30, documentNumberLength: 22 },
+  TD2: { lines: 2, lineLength: 36, nameLength: 31, documentNumberLength: 14 },
+  TD3: { lines: 2, lineLength: 44, nameLength: 39, documentNumberLength: 9 }
+};
+const MAX_DOCUMENT_NUMBER_LENGTH = FORMATS.TD1.documentNumberLength;
+
+// ICAO 9303 Part 3, 6.A: recommended transliterations for Latin characters
+// that do not decompose into a base letter plus combining marks
+const LATIN_TRANSLITERATIONS = {
+  'Ä': 'AE', 'Å': 'AA', 'Æ': 'AE', 'Ĳ': 'IJ', 'Ö': 'OE', 'Ø': 'OE', 'Œ': 'OE',
+  'Ü': 'UE', 'ß': 'SS', 'Þ': 'TH', 'Ð': 'D', 'Đ': 'D', 'Ħ': 'H', 'Ł': 'L',
+  'Ŋ': 'N', 'Ŧ': 'T', 'İ': 'I'
+};
+
+// ICAO 9303 Part 3, 6.B: Cyrillic
+const CYRILLIC_TRANSLITERATIONS = {
+  'А': 'A', 'Б': 'B', 'В': 'V', 'Г': 'G', 'Ґ': 'G', 'Д': 'D', 'Ђ': 'D', 'Ѓ': 'G',
+  'Е': 'E', 'Ё': 'E', 'Є': 'IE', 'Ж': 'ZH', 'З': 'Z', 'Ѕ': 'DZ', 'И': 'I', 'І': 'I',
+  'Ї': 'I', 'Й': 'I', 'Ј': 'J', 'К': 'K', 'Л': 'L', 'Љ': 'LJ', 'М': 'M', 'Н': 'N',
+  'Њ': 'NJ', 'О': 'O', 'П': 'P', 'Р': 'R', 'С': 'S', 'Т': 'T', 'Ћ': 'C', 'Ќ': 'K',
+  'У': 'U', 'Ў': 'U', 'Ф': 'F', 'Х': 'KH', 'Ц': 'TS', 'Ч': 'CH', 'Џ': 'DZ', 'Ш': 'SH',
+  'Щ': 'SHCH', 'Ъ': 'IE', 'Ы': 'Y', 'Ь': '', 'Э': 'E', 'Ю': 'IU', 'Я': 'IA'
+};
+
+class MRZValidationError extends Error {
+  constructor(errors, message = 'Invalid passport data') {
+    super(`${message}: ${errors.map(e => `${e.field} - ${e.message}`).join('; ')}`);
+    this.name = 'MRZValidationError';
+    this.errors = errors;
+  }
+}
+
+function charValue(char) {
+  if (char >= '0' && char <= '9') return char.charCodeAt(0) - 48;
+  if (char >= 'A' && char <= 'Z') return char.charCodeAt(0) - 55;
+  if (char === FILLER) return 0;
+  throw new Error(`Invalid MRZ character: "${char}"`);
+}
+
+function computeCheckDigit(value) {
+  const weights = [7, 3, 1];
+  let sum = 0;
+  for (let i = 0; i < value.length; i++) {
+    sum += charValue(value[i]) * weights[i % 3];
+  }
+  return String(sum % 10);
+}
+
+function transliterate(text) {
+  if (!text) return '';
+  let result = '';
+
+  for (const char of String(text).toUpperCase()) {
+    if (/[A-Z0-9]/.test(char)) {
+      result += char;
+    } else if (LATIN_TRANSLITERATIONS[char] !== undefined) {
+      result += LATIN_TRANSLITERATIONS[char];
+    } else if (CYRILLIC_TRANSLITERATIONS[char] !== undefined) {
+      result += CYRILLIC_TRANSLITERATIONS[char];
+    } else if (char === '\'' || char === '’') {
+      // Apostrophes are omitted rather than replaced by a filler
+      continue;
+    } else if (/[\s\-,.]/.test(char) || char === FILLER) {
+      result += FILLER;
+    } else {
+      // Strip diacritics (É → E, Ñ → N, Ç → C, ...)
+      const base = char.normalize('NFD').replace(/[\u0300-\u036f]/g, '');
+      if (/^[A-Z]+$/.test(base)) {
+        result += base;
+      }
+      // Characters without an ICAO transliteration are dropped
+    }
+  }
+
+  // Collapse runs of fillers introduced by punctuation and trim the ends
+  return result.replace(/<{2,}/g, FILLER).replace(/^<+|<+$/g, '');
+}
+
+function pad(value, length) {
+  return (value + FILLER.repeat(length)).substring(0, length);
+}
+
+function formatName(lastName, firstName, length) {
+  const primary = transliterate(lastName);
+  const secondary = transliterate(firstName);
+  const name = secondary ? `${primary}<<${secondary}` : primary;
+  return pad(name, length);
+}
+
+function parseName(field) {
+  const trimmed = field.replace(/<+$/, '');
+  const [primary, ...rest] = trimmed.split('<<');
+  return {
+    lastName: primary.replace(/</g, ' ').trim(),
+    firstName: rest.join(' ').replace(/</g, ' ').trim(),
+    truncated: !field.endsWith(FILLER)
+  };
+}
+
+function toMRZDate(isoDate) {
+  // YYYY-MM-DD → YYMMDD
+  const match = /^(\d{4})-(\d{2})-(\d{2})$/.exec(isoDate || '');
+  if (!match) {
+    throw new Error(`Invalid date: "${isoDate}" (expected YYYY-MM-DD)`);
+  }
+  return match[1].substring(2) + match[2] + match[3];
+}
+
+function fromMRZDate(mrzDate, kind) {
+  if (!/^\d{6}$/.test(mrzDate)) return null;
+
+  const yy = parseInt(mrzDate.substring(0, 2), 10);
+  const currentYY = new Date().getUTCFullYear() % 100;
+  // Birth dates are never in the future; expiry dates are assumed to be this century
+  const century = kind === 'birth' ? (yy > currentYY ? 1900 : 2000) : (yy >= 70 ? 1900 : 2000);
+  const iso = `${century + yy}-${mrzDate.substring(2, 4)}-${mrzDate.substring(4, 6)}`;
+
+  return isValidDate(iso) ? iso : null;
+}
+
+function isValidDate(isoDate) {
+  if (!/^\d{4}-\d{2}-\d{2}$/.test(isoDate || '')) return false;
+  const date = new Date(`${isoDate}T00:00:00Z`);
+  return !isNaN(date.getTime()) && date.toISOString().startsWith(isoDate);
+}
+
+function toMRZSex(sex) {
+  // Accepts MRZ letters or ISO/IEC 5218 codes (1 = male, 2 = female)
+  if (sex === 'M' || sex === 1 || sex === '1') return 'M';
+  if (sex === 'F' || sex === 2 || sex === '2') return 'F';
+  return FILLER;
+}
+
+function toMRZDocumentCode(documentType) {
+  return pad(transliterate(documentType || 'P'), 2);
+}
+
+function encodeDocumentNumber(documentNumber, format) {
+  const number = transliterate(documentNumber).replace(/</g, '');
+  if (!number) {
+    throw new Error('Document number is required');
+  }
+
+  if (number.length <= 9) {
+    return { field: pad(number, 9), checkDigit: computeCheckDigit(pad(number, 9)), overflow: '' };
+  }
+
+  if (number.length > FORMATS[format].documentNumberLength) {
+    throw new Error(`Document number "${number}" exceeds ${FORMATS[format].documentNumberLength} characters, the most ${format} supports`);
+  }
+
+  // ICAO 9303 Part 5 4.2.4: the excess characters and the check digit move to
+  // the optional data field, and the check digit position is set to a filler
+  return {
+    field: number.substring(0, 9),
+    checkDigit: FILLER,
+    overflow: number.substring(9) + computeCheckDigit(number) + FILLER
+  };
+}
+
+/**
+ * Generate an MRZ from passport fields.
+ *
+ * @param {object} fields - documentType, issuingCountry, documentNumber, lastName,
+ *   firstName, nationality, dateOfBirth, sex, expiryDate, and optionally
+ *   personalNumber (TD3) or optionalData (TD1/TD2)
+ * @param {string} format - 'TD1', 'TD2' or 'TD3'
+ * @returns {string} the MRZ lines concatenated without separators
+ */
+function generateMRZ(fields, format = 'TD3') {
+  const layout = FORMATS[format];
+  if (!layout) {
+    throw new Error(`Unsupported MRZ format: ${format}`);
+  }
+
+  const documentCode = toMRZDocumentCode(fields.documentType);
+  const issuingCountry = pad(transliterate(fields.issuingCountry), 3);
+  const nationality = pad(transliterate(fields.nationality), 3);
+  const birthDate = toMRZDate(fields.dateOfBirth);
+  const expiryDate = toMRZDate(fields.expiryDate);
+  const sex = toMRZSex(fields.sex);
+  const name = formatName(fields.lastName, fields.firstName, layout.nameLength);
+  const docNumber = encodeDocumentNumber(fields.documentNumber, format);
+
+  const birthCd = computeCheckDigit(birthDate);
+  const expiryCd = computeCheckDigit(expiryDate);
+
+  if (format === 'TD1') {
+    const optional1 = pad(docNumber.overflow + transliterate(fields.optionalData || ''), 15);
+    const line1 = documentCode + issuingCountry + docNumber.field + docNumber.checkDigit + optional1;
+    const line2Body = birthDate + birthCd + sex + expiryDate + expiryCd + nationality + pad('', 11);
+    const composite = computeCheckDigit(line1.substring(5, 30) + line2Body.substring(0, 7) +
+      line2Body.substring(8, 15) + line2Body.substring(18, 29));
+    return line1 + line2Body + composite + name;
+  }
+
+  if (format === 'TD2') {
+    const line1 = documentCode + issuingCountry + name;
+    const optional = pad(docNumber.overflow + transliterate(fields.optionalData || ''), 7);
+    const line2Body = docNumber.field + docNumber.checkDigit + nationality + birthDate + birthCd +
+      sex + expiryDate + expiryCd + optional;
+    const composite = computeCheckDigit(line2Body.substring(0, 10) + line2Body.substring(13, 20) +
+      line2Body.substring(21, 35));
+    return line1 + line2Body + composite;
+  }
+
+  const personalNumber = pad(transliterate(fields.personalNumber || '').replace(/</g, ''), 14);
+  const personalCd = computeCheckDigit(personalNumber);
+  const line1 = documentCode + issuingCountry + name;
+  const line2Body = docNumber.field + docNumber.checkDigit + nationality + birthDate + birthCd +
+    sex + expiryDate + expiryCd + personalNumber + personalCd;
+  const composite = computeCheckDigit(line2Body.substring(0, 10) + line2Body.substring(13, 20) +
+    line2Body.substring(21, 43));
+  return line1 + line2Body + composite;
+}
+
+function normalizeMRZ(input) {
+  return String(input || '').replace(/[\r\n\s]/g, '').toUpperCase();
+}
+
+function detectFormat(mrz) {
+  const format = Object.keys(FORMATS).find(key =>
+    FORMATS[key].lines * FORMATS[key].lineLength === mrz.length
+  );
+  if (!format) {
+    throw new Error(`Unrecognised MRZ length ${mrz.length} (expected 90, 72 or 88 characters)`);
+  }
+  return format;
+}
+
+function checkField(errors, field, value, checkDigit, { allowFillerCheckDigit = false } = {}) {
+  if (allowFillerCheckDigit && /^<*$/.test(value) && (checkDigit === FILLER || checkDigit === '0')) {
+    return true;
+  }
+  let expected;
+  try {
+    expected = computeCheckDigit(value);
+  } catch (error) {
+    errors.push({ field, message: error.message });
+    return false;
+  }
+  if (expected !== checkDigit) {
+    errors.push({ field, message: `Check digit mismatch (expected ${expected}, found ${checkDigit})` });
+    return false;
+  }
+  return true;
+}
+
+function decodeDocumentNumber(field, checkDigit, optionalData, errors) {
+  if (checkDigit !== FILLER) {
+    checkField(errors, 'document_number', field, checkDigit);
+    return { documentNumber: field.replace(/<+$/, ''), optionalData };
+  }
+
+  // Long document number: overflow digits followed by check digit, terminated by a filler
+  const end = optionalData.indexOf(FILLER);
+  const overflow = optionalData.substring(0, end === -1 ? optionalData.length : end);
+  const documentNumber = field + overflow.slice(0, -1);
+  checkField(errors, 'document_number', documentNumber, overflow.slice(-1));
+  return { documentNumber, optionalData: end === -1 ? '' : optionalData.substring(end + 1) };
+}
+
+/**
+ * Parse and validate an MRZ.
+ *
+ * @param {string} input - MRZ lines, with or without line breaks
+ * @returns {object} parsed fields plus `valid` and field-level `errors`
+ */
+function parseMRZ(input) {
+  const mrz = normalizeMRZ(input);
+  const format = detectFormat(mrz);
+  const { lineLength } = FORMATS[format];
+  const lines = [];
+  for (let i = 0; i < mrz.length; i += lineLength) {
+    lines.push(mrz.substring(i, i + lineLength));
+  }
+
+  const errors = [];
+  if (!/^[A-Z0-9<]+$/.test(mrz)) {
+    errors.push({ field: 'mrz', message: 'MRZ contains characters outside A-Z, 0-9 and <' });
+  }
+
+  let raw;
+  if (format === 'TD1') {
+    raw = {
+      documentCode: lines[0].substring(0, 2),
+      issuingCountry: lines[0].substring(2, 5),
+      documentNumber: lines[0].substring(5, 14),
+      documentNumberCd: lines[0][14],
+      optionalData: lines[0].substring(15, 30),
+      birthDate: lines[1].substring(0, 6),
+      birthDateCd: lines[1][6],
+      sex: lines[1][7],
+      expiryDate: lines[1].substring(8, 14),
+      expiryDateCd: lines[1][14],
+      nationality: lines[1].substring(15, 18),
+      optionalData2: lines[1].substring(18, 29),
+      compositeCd: lines[1][29],
+      compositeInput: lines[0].substring(5, 30) + lines[1].substring(0, 7) +
+        lines[1].substring(8, 15) + lines[1].substring(18, 29),
+      name: lines[2]
+    };
+  } else {
+    const line2 = lines[1];
+    raw = {
+      documentCode: lines[0].substring(0, 2),
+      issuingCountry: lines[0].substring(2, 5),
+      name: lines[0].substring(5),
+      documentNumber: line2.substring(0, 9),
+      documentNumberCd: line2[9],
+      nationality: line2.substring(10, 13),
+      birthDate: line2.substring(13, 19),
+      birthDateCd: line2[19],
+      sex: line2[20],
+      expiryDate: line2.substring(21, 27),
+      expiryDateCd: line2[27]
+    };
+    if (format === 'TD2') {
+      raw.optionalData = line2.substring(28, 35);
+      raw.compositeCd = line2[35];
+      raw.compositeInput = line2.substring(0, 10) + line2.substring(13, 20) + line2.substring(21, 35);
+    } else {
+      raw.personalNumber = line2.substring(28, 42);
+      raw.personalNumberCd = line2[42];
+      raw.compositeCd = line2[43];
+      raw.compositeInput = line2.substring(0, 10) + line2.substring(13, 20) + line2.substring(21, 43);
+    }
+  }
+
+  const { documentNumber, optionalData } = format === 'TD3'
+    ? decodeDocumentNumber(raw.documentNumber, raw.documentNumberCd, '', errors)
+    : decodeDocumentNumber(raw.documentNumber, raw.documentNumberCd, raw.optionalData, errors);
+
+  checkField(errors, 'birth_date', raw.birthDate, raw.birthDateCd);
+  checkField(errors, 'expiry_date', raw.expiryDate, raw.expiryDateCd);
+  if (format === 'TD3') {
+    checkField(errors, 'personal_number', raw.personalNumber, raw.personalNumberCd, { allowFillerCheckDigit: true });
+  }
+  checkField(errors, 'composite', raw.compositeInput, raw.compositeCd);
+
+  const dateOfBirth = fromMRZDate(raw.birthDate, 'birth');
+  const expiryDate = fromMRZDate(raw.expiryDate, 'expiry');
+  if (!dateOfBirth && /^\d{6}$/.test(raw.birthDate)) {
+    errors.push({ field: 'birth_date', message: `Invalid calendar date ${raw.birthDate}` });
+  }
+  if (!expiryDate) {
+    errors.push({ field: 'expiry_date', message: `Invalid calendar date ${raw.expiryDate}` });
+  }
+  if (!['M', 'F', FILLER].includes(raw.sex)) {
+    errors.push({ field: 'sex', message: `Invalid sex indicator "${raw.sex}"` });
+  }
+
+  const name = parseName(raw.name);
+
+  return {
+    format,
+    lines,
+    documentType: raw.documentCode.replace(/</g, ''),
+    issuingCountry: raw.issuingCountry.replace(/</g, ''),
+    lastName: name.lastName,
+    firstName: name.firstName,
+    nameTruncated: name.truncated,
+    documentNumber,
+    nationality: raw.nationality.replace(/</g, ''),
+    dateOfBirth,
+    sex: raw.sex === FILLER ? 'X' : raw.sex,
+    expiryDate,
+    personalNumber: raw.personalNumber ? raw.personalNumber.replace(/<+$/, '') : undefined,
+    optionalData: [optionalData, raw.optionalData2].filter(Boolean).join('').replace(/<+$/, '').replace(/</g, ' ').trim(),
+    valid: errors.length === 0,
+    errors
+  };
+}
+
+function nameMatches(mrzName, fieldName, truncated) {
+  const expected = transliterate(fieldName).replace(/</g, ' ');
+  if (mrzName === expected) return true;
+  // A truncated name zone only has to be a prefix of the full transliterated name; a
+  // primary identifier that fills the whole zone leaves no room for the secondary one
+  return truncated && expected.startsWith(mrzName);
+}
+
+/**
+ * Validate the structure of mDoc passport elements and, when an MRZ is
+ * supplied, their consistency with it.
+ *
+ * @param {object} elements - passport mDoc elements (family_name, given_name,
+ *   birth_date, sex as ISO/IEC 5218, nationality, document_number,
+ *   issuing_country, expiry_date and optionally document_type_code, person_id)
+ * @param {string} [mrz] - MRZ to cross-check the elements against
+ * @returns {Array<{field: string, message: string}>} field-level errors
+ */
+function validatePassportElements(elements, mrz) {
+  const errors = [];
+
+  if (!elements.family_name || !transliterate(elements.family_name)) {
+    errors.push({ field: 'family_name', message: 'Family name is required' });
+  }
+  for (const field of ['birth_date', 'expiry_date']) {
+    if (!isValidDate(elements[field])) {
+      errors.push({ field, message: `Invalid date "${elements[field]}" (expected YYYY-MM-DD)` });
+    }
+  }
+  for (const field of ['nationality', 'issuing_country']) {
+    if (!/^[A-Z<]{1,3}$/.test(elements[field] || '')) {
+      errors.push({ field, message: 'Must be an ICAO 9303 three-letter code' });
+    }
+  }
+  // Numbers past 9 characters only fit a TD1 or TD2 MRZ; without an MRZ the format is not known
+  let documentNumberLength = MAX_DOCUMENT_NUMBER_LENGTH;
+  if (mrz) {
+    try {
+      documentNumberLength = FORMATS[detectFormat(normalizeMRZ(mrz))].documentNumberLength;
+    } catch {
+      // Reported when the MRZ is parsed below
+    }
+  }
+  if (!new RegExp(`^[A-Z0-9]{1,${documentNumberLength}}$`).test(elements.document_number || '')) {
+    errors.push({ field: 'document_number', message: `Must be 1-${documentNumberLength} characters A-Z or 0-9` });
+  }
+  if (![0, 1, 2, 9].includes(elements.sex)) {
+    errors.push({ field: 'sex', message: 'Must be an ISO/IEC 5218 code (0, 1, 2 or 9)' });
+  }
+  if (elements.document_type_code !== undefined && !/^[A-Z][A-Z<]?$/.test(elements.document_type_code)) {
+    errors.push({ field: 'document_type_code', message: 'Must be a one or two letter ICAO 9303 document code' });
+  }
+
+  if (!mrz) {
+    return errors;
+  }
+
+  let parsed;
+  try {
+    parsed = parseMRZ(mrz);
+  } catch (error) {
+    errors.push({ field: 'mrz', message: error.message });
+    return errors;
+  }
+
+  for (const error of parsed.errors) {
+    errors.push({ field: 'mrz', message: `${error.field}: ${error.message}` });
+  }
+
+  const mismatch = (field, mrzValue) => {
+    errors.push({ field, message: `Does not match MRZ value "${mrzValue}"` });
+  };
+
+  if (!nameMatches(parsed.lastName, elements.family_name, parsed.nameTruncated)) {
+    mismatch('family_name', parsed.lastName);
+  }
+  if (!nameMatches(parsed.firstName, elements.given_name || '', parsed.nameTruncated)) {
+    mismatch('given_name', parsed.firstName);
+  }
+  if (elements.document_type_code && parsed.documentType !== elements.document_type_code.replace(/</g, '')) {
+    mismatch('document_type_code', parsed.documentType);
+  }
+  if (elements.person_id && parsed.personalNumber !== undefined && parsed.personalNumber !== elements.person_id) {
+    mismatch('person_id', parsed.personalNumber);
+  }
+  if (parsed.documentNumber !== elements.document_number) {
+    mismatch('document_number', parsed.documentNumber);
+  }
+  if (parsed.issuingCountry !== (elements.issuing_country || '').replace(/</g, '')) {
+    mismatch('issuing_country', parsed.issuingCountry);
+  }
+  if (parsed.nationality !== (elements.nationality || '').replace(/</g, '')) {
+    mismatch('nationality', parsed.nationality);
+  }
+  if (parsed.dateOfBirth && parsed.dateOfBirth !== elements.birth_date) {
+    mismatch('birth_date', parsed.dateOfBirth);
+  }
+  if (parsed.expiryDate && parsed.expiryDate !== elements.expiry_date) {
+    mismatch('expiry_date', parsed.expiryDate);
+  }
+  if (toMRZSex(elements.sex) !== (parsed.sex === 'X' ? FILLER : parsed.sex)) {
+    mismatch('sex', parsed.sex);
+  }
+
+  return errors;
+}
+
+export {
+  MRZValidationError,
+  computeCheckDigit,
+  transliterate,
+  generateMRZ,
+  parseMRZ,
+  validatePassportElements,
+  toMRZSex,
+  toMRZDate
+};
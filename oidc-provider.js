@@ -0,0 +1,398 @@
+/**
+ * OpenID Connect Provider Facade
+ *
+ * Lets websites log in through standard OIDC client libraries while the
+ * passport mDoc presentation happens behind the authorize step of
+ * WebAuthService.
+ *
+ * Features:
+ * - Discovery document (/.well-known/openid-configuration)
+ * - Authorization code flow with mandatory PKCE (S256)
+ * - Token endpoint issuing ES256 ID tokens and access tokens, typed apart from /auth tokens
+ * - UserInfo endpoint with passport-derived claims
+ * - Presentation requests limited to the mDoc data elements the scopes need
+ * - Registered clients with exact-match redirect URI allowlists
+ */
+
+import crypto from 'crypto';
+import { readFile } from 'fs/promises';
+import { buildItemsRequest } from './mdoc-disclosure.js';
+import { CORE_NAMESPACE, WEBAUTH_NAMESPACE } from './passport-doctype.js';
+import { TOKEN_TYPES } from './auth-token-signer.js';
+
+const CLIENTS_FILE = process.env.OIDC_CLIENTS_FILE || 'oidc-clients.json';
+const AUTHORIZATION_CODE_TTL_SECONDS = 60;
+const ACCESS_TOKEN_TTL_SECONDS = 60 * 60;
+const ID_TOKEN_TTL_SECONDS = 10 * 60;
+
+// Claims released per scope
+const SCOPE_CLAIMS = {
+  openid: ['sub'],
+  profile: ['name', 'given_name', 'family_name'],
+  passport: ['nationality', 'passport_verification_level', 'nfc_verified'],
+  age: ['age_over_18']
+};
+
+// mDoc data elements (and intent_to_retain) a scope makes the holder disclose
+const SCOPE_ELEMENTS = {
+  openid: {
+    [WEBAUTH_NAMESPACE]: { web_id: true }
+  },
+  profile: {
+    [CORE_NAMESPACE]: { given_name: true, family_name: true }
+  },
+  passport: {
+    [CORE_NAMESPACE]: { nationality: true },
+    [WEBAUTH_NAMESPACE]: { passport_verification_level: false, verification_method: false }
+  },
+  age: {
+    [CORE_NAMESPACE]: { age_over_18: false }
+  }
+};
+
+function scopesToRequestedElements(scopes) {
+  const requested = {};
+  for (const scope of scopes) {
+    for (const [namespace, elements] of Object.entries(SCOPE_ELEMENTS[scope] || {})) {
+      requested[namespace] = { ...requested[namespace], ...elements };
+    }
+  }
+  return requested;
+}
+
+class OIDCError extends Error {
+  constructor(error, description, status = 400) {
+    super(description);
+    this.error = error;
+    this.status = status;
+  }
+}
+
+function sha256Base64Url(value) {
+  return crypto.createHash('sha256').update(value).digest('base64url');
+}
+
+function safeEqual(a, b) {
+  const left = Buffer.from(String(a));
+  const right = Buffer.from(String(b));
+  return left.length === right.length && crypto.timingSafeEqual(left, right);
+}
+
+class OIDCProvider {
+  /**
+   * @param {WebAuthService} service - supplies sessions, the auth flow and the token signer
+   * @param {object} [options]
+   * @param {object[]} [options.clients] - registered clients; otherwise read from OIDC_CLIENTS_FILE
+   */
+  constructor(service, options = {}) {
+    this.service = service;
+    this.clients = options.clients || null;
+    this.authorizationCodes = new Map(); // code -> grant
+    this.accessTokens = new Map(); // jti -> { claims, expiresAt }
+  }
+
+  get issuer() {
+    return this.service.baseUrl;
+  }
+
+  async loadClients() {
+    if (!this.clients) {
+      try {
+        this.clients = JSON.parse(await readFile(CLIENTS_FILE, 'utf8')).clients || [];
+        console.log(`🔐 Loaded ${this.clients.length} OIDC client(s) from ${CLIENTS_FILE}`);
+      } catch (error) {
+        console.warn(`⚠️ No OIDC clients registered (${CLIENTS_FILE} not readable)`);
+        this.clients = [];
+      }
+    }
+    return this.clients;
+  }
+
+  async getClient(clientId) {
+    const clients = await this.loadClients();
+    return clients.find(client => client.client_id === clientId) || null;
+  }
+
+  getDiscoveryDocument() {
+    return {
+      issuer: this.issuer,
+      authorization_endpoint: `${this.issuer}/authorize`,
+      token_endpoint: `${this.issuer}/token`,
+      userinfo_endpoint: `${this.issuer}/userinfo`,
+      jwks_uri: `${this.issuer}/.well-known/jwks.json`,
+      response_types_supported: ['code'],
+      response_modes_supported: ['query'],
+      grant_types_supported: ['authorization_code'],
+      subject_types_supported: ['public'],
+      id_token_signing_alg_values_supported: ['ES256'],
+      scopes_supported: Object.keys(SCOPE_CLAIMS),
+      claims_supported: [...new Set(Object.values(SCOPE_CLAIMS).flat())],
+      code_challenge_methods_supported: ['S256'],
+      token_endpoint_auth_methods_supported: ['client_secret_basic', 'client_secret_post', 'none'],
+      authorization_response_iss_parameter_supported: true
+    };
+  }
+
+  registerRoutes(app) {
+    app.get('/.well-known/openid-configuration', (req, res) => {
+      res.json(this.getDiscoveryDocument());
+    });
+
+    app.get('/authorize', async (req, res) => {
+      try {
+        const location = await this.authorize(req.query);
+        res.redirect(location);
+      } catch (error) {
+        this.sendAuthorizeError(res, req.query, error);
+      }
+    });
+
+    app.post('/token', async (req, res) => {
+      res.set('Cache-Control', 'no-store');
+      try {
+        res.json(await this.exchangeCode(req.body, req.get('Authorization')));
+      } catch (error) {
+        this.sendError(res, error);
+      }
+    });
+
+    const userInfo = async (req, res) => {
+      try {
+        res.json(await this.getUserInfo(req.get('Authorization')));
+      } catch (error) {
+        if (error instanceof OIDCError) {
+          res.set('WWW-Authenticate', `Bearer error="${error.error}", error_description="${error.message}"`);
+        }
+        this.sendError(res, error);
+      }
+    };
+    app.get('/userinfo', userInfo);
+    app.post('/userinfo', userInfo);
+  }
+
+  sendError(res, error) {
+    if (error instanceof OIDCError) {
+      return res.status(error.status).json({ error: error.error, error_description: error.message });
+    }
+    console.error('❌ OIDC error:', error);
+    res.status(500).json({ error: 'server_error', error_description: error.message });
+  }
+
+  sendAuthorizeError(res, params, error) {
+    // Errors are only redirected once the client and redirect URI are trusted
+    if (error.redirectable && params.redirect_uri) {
+      const redirect = new URL(params.redirect_uri);
+      redirect.searchParams.set('error', error.error);
+      redirect.searchParams.set('error_description', error.message);
+      if (params.state) redirect.searchParams.set('state', params.state);
+      redirect.searchParams.set('iss', this.issuer);
+      return res.redirect(redirect.toString());
+    }
+    this.sendError(res, error);
+  }
+
+  async authorize(params) {
+    const client = await this.getClient(params.client_id);
+    if (!client) {
+      throw new OIDCError('invalid_client', 'Unknown client_id');
+    }
+    if (!params.redirect_uri || !client.redirect_uris.includes(params.redirect_uri)) {
+      throw new OIDCError('invalid_request', 'redirect_uri is not registered for this client');
+    }
+
+    const redirectableError = (error, description) => Object.assign(new OIDCError(error, description), { redirectable: true });
+
+    if (params.response_type !== 'code') {
+      throw redirectableError('unsupported_response_type', 'Only response_type=code is supported');
+    }
+    const scopes = String(params.scope || '').split(' ').filter(Boolean);
+    if (!scopes.includes('openid')) {
+      throw redirectableError('invalid_scope', 'The openid scope is required');
+    }
+    if (!params.code_challenge || params.code_challenge_method !== 'S256') {
+      throw redirectableError('invalid_request', 'PKCE with code_challenge_method=S256 is required');
+    }
+
+    // The passport presentation runs as a regular auth session for this client
+    const authSession = await this.service.startAuthFlow(client.client_id, params.redirect_uri, {
+      itemsRequest: buildItemsRequest(scopesToRequestedElements(scopes))
+    });
+    const session = await this.service.sessionStore.get(authSession.sessionId);
+    session.oidc = {
+      clientId: client.client_id,
+      redirectUri: params.redirect_uri,
+      scopes: scopes.filter(scope => SCOPE_CLAIMS[scope]),
+      state: params.state,
+      nonce: params.nonce,
+      codeChallenge: params.code_challenge
+    };
+    await this.service.sessionStore.set(session.id, session);
+
+    console.log(`🔐 OIDC authorization started for client ${client.client_id}`);
+    return `/auth/callback/${authSession.sessionId}`;
+  }
+
+  /**
+   * Called once the passport presentation of an OIDC session has completed;
+   * returns the client redirect carrying the authorization code.
+   */
+  completeAuthorization(session) {
+    const code = crypto.randomBytes(32).toString('base64url');
+    const { codeIssued, ...request } = session.oidc;
+    const grant = {
+      ...request,
+      userInfo: session.userInfo,
+      authTime: Math.floor(new Date(session.completedAt).getTime() / 1000),
+      expiresAt: Date.now() + AUTHORIZATION_CODE_TTL_SECONDS * 1000
+    };
+    this.authorizationCodes.set(code, grant);
+    // A session yields exactly one code
+    session.oidc.codeIssued = true;
+
+    const redirect = new URL(grant.redirectUri);
+    redirect.searchParams.set('code', code);
+    if (grant.state) {
+      redirect.searchParams.set('state', grant.state);
+    }
+    redirect.searchParams.set('iss', this.issuer);
+    return redirect.toString();
+  }
+
+  async authenticateClient(body, authorizationHeader) {
+    let clientId = body.client_id;
+    let clientSecret = body.client_secret;
+
+    if (authorizationHeader && authorizationHeader.startsWith('Basic ')) {
+      const decoded = Buffer.from(authorizationHeader.substring(6), 'base64').toString('utf8');
+      const separator = decoded.indexOf(':');
+      clientId = decodeURIComponent(decoded.substring(0, separator));
+      clientSecret = decodeURIComponent(decoded.substring(separator + 1));
+    }
+
+    const client = await this.getClient(clientId);
+    if (!client) {
+      throw new OIDCError('invalid_client', 'Unknown client', 401);
+    }
+    // Public clients rely on PKCE alone; confidential clients must present their secret
+    if (client.client_secret && !(clientSecret && safeEqual(clientSecret, client.client_secret))) {
+      throw new OIDCError('invalid_client', 'Client authentication failed', 401);
+    }
+    return client;
+  }
+
+  buildClaims(userInfo, scopes) {
+    const available = {
+      name: userInfo.fullName,
+      given_name: userInfo.givenName,
+      family_name: userInfo.familyName,
+      nationality: userInfo.nationality,
+      passport_verification_level: userInfo.verificationLevel,
+      nfc_verified: userInfo.nfcVerified,
+      age_over_18: userInfo.ageOver?.['18']
+    };
+
+    const claims = {};
+    for (const scope of scopes) {
+      for (const claim of SCOPE_CLAIMS[scope]) {
+        if (available[claim] !== undefined) {
+          claims[claim] = available[claim];
+        }
+      }
+    }
+    return claims;
+  }
+
+  async exchangeCode(body, authorizationHeader) {
+    const client = await this.authenticateClient(body, authorizationHeader);
+
+    if (body.grant_type !== 'authorization_code') {
+      throw new OIDCError('unsupported_grant_type', 'Only authorization_code is supported');
+    }
+
+    const grant = this.authorizationCodes.get(body.code);
+    // Codes are single use, whether or not the exchange succeeds
+    this.authorizationCodes.delete(body.code);
+
+    if (!grant || grant.expiresAt < Date.now()) {
+      throw new OIDCError('invalid_grant', 'Authorization code is invalid or expired');
+    }
+    if (grant.clientId !== client.client_id) {
+      throw new OIDCError('invalid_grant', 'Authorization code was issued to another client');
+    }
+    if (grant.redirectUri !== body.redirect_uri) {
+      throw new OIDCError('invalid_grant', 'redirect_uri does not match the authorization request');
+    }
+    if (!body.code_verifier || !safeEqual(sha256Base64Url(body.code_verifier), grant.codeChallenge)) {
+      throw new OIDCError('invalid_grant', 'PKCE verification failed');
+    }
+
+    const claims = this.buildClaims(grant.userInfo, grant.scopes);
+    const subject = grant.userInfo.webId;
+
+    const idToken = await this.service.tokenSigner.sign({
+      ...claims,
+      auth_time: grant.authTime,
+      amr: [grant.userInfo.authenticationMethod],
+      ...(grant.nonce && { nonce: grant.nonce })
+    }, {
+      subject,
+      audience: client.client_id,
+      type: TOKEN_TYPES.ID,
+      expiresIn: ID_TOKEN_TTL_SECONDS
+    });
+
+    const accessToken = await this.service.tokenSigner.sign({
+      scope: grant.scopes.join(' '),
+      client_id: client.client_id
+    }, {
+      subject,
+      audience: `${this.issuer}/userinfo`,
+      type: TOKEN_TYPES.ACCESS,
+      expiresIn: ACCESS_TOKEN_TTL_SECONDS
+    });
+
+    this.pruneAccessTokens();
+    this.accessTokens.set(accessToken.jti, { claims: { sub: subject, ...claims }, expiresAt: accessToken.expiresAt * 1000 });
+
+    console.log(`✅ OIDC tokens issued to client ${client.client_id} for ${subject}`);
+
+    return {
+      access_token: accessToken.token,
+      token_type: 'Bearer',
+      expires_in: ACCESS_TOKEN_TTL_SECONDS,
+      id_token: idToken.token,
+      scope: grant.scopes.join(' ')
+    };
+  }
+
+  pruneAccessTokens() {
+    const now = Date.now();
+    for (const [jti, entry] of this.accessTokens) {
+      if (entry.expiresAt < now) this.accessTokens.delete(jti);
+    }
+  }
+
+  async getUserInfo(authorizationHeader) {
+    if (!authorizationHeader || !authorizationHeader.startsWith('Bearer ')) {
+      throw new OIDCError('invalid_token', 'Bearer access token required', 401);
+    }
+
+    let payload;
+    try {
+      payload = await this.service.tokenSigner.verify(authorizationHeader.substring(7), {
+        type: TOKEN_TYPES.ACCESS,
+        audience: `${this.issuer}/userinfo`
+      });
+    } catch (error) {
+      throw new OIDCError('invalid_token', 'Access token is invalid or expired', 401);
+    }
+
+    const entry = this.accessTokens.get(payload.jti);
+    if (!entry) {
+      throw new OIDCError('invalid_token', 'Access token has been revoked', 401);
+    }
+    return entry.claims;
+  }
+}
+
+export { OIDCProvider, OIDCError };
@@ -0,0 +1,599 @@
+#!/usr/bin/env node
+/**
+ * Passive Authentication of eMRTD Chip Data
+ *
+ * Checks that data groups read from a passport chip were signed by the
+ * issuing state (ICAO Doc 9303 Part 11, §5.1): EF.SOD is a CMS SignedData
+ * whose LDSSecurityObject lists a hash per data group, signed by a Document
+ * Signer whose certificate is issued by a Country Signing CA (CSCA).
+ *
+ * Features:
+ * - EF.SOD parsing (CMS SignedData with LDSSecurityObject, signed attributes)
+ * - ECDSA, RSA PKCS#1 v1.5 and RSASSA-PSS signatures with SHA-1/224/256/384/512
+ * - Document Signer certificate validation against a local CSCA master list
+ *   (PEM bundle, DER certificate, ICAO master list (.ml) or a directory of them)
+ * - Data group hash checks (DG1 and DG2 are always required; any data group read must be hashed)
+ * - EF.SOD creation for test fixtures and simulated chips
+ * - CLI for verifying chip dumps
+ */
+
+import crypto from 'crypto';
+import path from 'path';
+import { readFile, readdir, stat } from 'fs/promises';
+import {
+  ASN1,
+  decodeTLV,
+  children,
+  findTag,
+  encodeTLV,
+  decodeOID,
+  encodeOID,
+  decodeInteger,
+  encodeInteger
+} from './ber-tlv.js';
+
+const SOD_TAG = 0x77;
+const REQUIRED_DATA_GROUPS = [1, 2];
+const DEFAULT_MASTER_LIST = 'csca-master-list.pem';
+
+const OIDS = {
+  SIGNED_DATA: '1.2.840.113549.1.7.2',
+  CONTENT_TYPE: '1.2.840.113549.1.9.3',
+  MESSAGE_DIGEST: '1.2.840.113549.1.9.4',
+  LDS_SECURITY_OBJECT: '2.23.136.1.1.1',
+  CSCA_MASTER_LIST: '2.23.136.1.1.2',
+  RSA_ENCRYPTION: '1.2.840.113549.1.1.1',
+  RSASSA_PSS: '1.2.840.113549.1.1.10',
+  EC_PUBLIC_KEY: '1.2.840.10045.2.1'
+};
+
+// Hash algorithm OID -> Node.js digest and the name stored in the credential
+const HASH_ALGORITHMS = {
+  '1.3.14.3.2.26': { digest: 'sha1', name: 'SHA-1' },
+  '2.16.840.1.101.3.4.2.4': { digest: 'sha224', name: 'SHA-224' },
+  '2.16.840.1.101.3.4.2.1': { digest: 'sha256', name: 'SHA-256' },
+  '2.16.840.1.101.3.4.2.2': { digest: 'sha384', name: 'SHA-384' },
+  '2.16.840.1.101.3.4.2.3': { digest: 'sha512', name: 'SHA-512' }
+};
+
+// Signature algorithm OIDs that fix their own digest
+const SIGNATURE_ALGORITHMS = {
+  '1.2.840.10045.4.1': { type: 'ecdsa', digest: 'sha1' },
+  '1.2.840.10045.4.3.1': { type: 'ecdsa', digest: 'sha224' },
+  '1.2.840.10045.4.3.2': { type: 'ecdsa', digest: 'sha256' },
+  '1.2.840.10045.4.3.3': { type: 'ecdsa', digest: 'sha384' },
+  '1.2.840.10045.4.3.4': { type: 'ecdsa', digest: 'sha512' },
+  '1.2.840.113549.1.1.5': { type: 'rsa', digest: 'sha1' },
+  '1.2.840.113549.1.1.14': { type: 'rsa', digest: 'sha224' },
+  '1.2.840.113549.1.1.11': { type: 'rsa', digest: 'sha256' },
+  '1.2.840.113549.1.1.12': { type: 'rsa', digest: 'sha384' },
+  '1.2.840.113549.1.1.13': { type: 'rsa', digest: 'sha512' }
+};
+
+function hashAlgorithmByName(name) {
+  const entry = Object.entries(HASH_ALGORITHMS).find(([, algorithm]) => algorithm.name === name);
+  if (!entry) {
+    throw new Error(`Unsupported hash algorithm: ${name}`);
+  }
+  return { oid: entry[0], ...entry[1] };
+}
+
+function parseAlgorithmIdentifier(node) {
+  const [oid, parameters] = children(node);
+  return { oid: decodeOID(oid.value), parameters: parameters || null };
+}
+
+function encodeAlgorithmIdentifier(oid, withNullParameters = true) {
+  return encodeTLV(ASN1.SEQUENCE, [encodeOID(oid), ...(withNullParameters ? [encodeTLV(ASN1.NULL)] : [])]);
+}
+
+/**
+ * Unwrap a CMS ContentInfo (optionally inside the EF.SOD application tag)
+ * down to its SignedData children.
+ */
+function parseSignedData(bytes, expectedContentType) {
+  let node = decodeTLV(bytes);
+  if (node.tag === SOD_TAG) {
+    node = children(node)[0];
+  }
+  const [contentType, content] = node?.constructed ? children(node) : [];
+  if (!content || contentType.tag !== ASN1.OID || decodeOID(contentType.value) !== OIDS.SIGNED_DATA) {
+    throw new Error('Not a CMS SignedData structure');
+  }
+
+  const fields = children(children(content)[0]);
+  const encapsulated = children(fields[2]);
+  const eContentType = decodeOID(encapsulated[0].value);
+  if (eContentType !== expectedContentType) {
+    throw new Error(`Unexpected signed content type ${eContentType}`);
+  }
+  const eContent = children(encapsulated[1])[0].value;
+
+  const certificates = fields.slice(3).find(field => field.tag === 0xa0);
+  const signerInfos = fields[fields.length - 1];
+
+  return {
+    digestAlgorithms: children(fields[1]).map(parseAlgorithmIdentifier),
+    eContentType,
+    eContent,
+    certificates: certificates ? children(certificates).map(cert => Buffer.from(cert.raw)) : [],
+    signerInfos: children(signerInfos)
+  };
+}
+
+function parseSignerInfo(node) {
+  const fields = children(node);
+  let index = 1;
+  const sidNode = fields[index++];
+  const sid = sidNode.tag === ASN1.SEQUENCE
+    ? { issuer: Buffer.from(children(sidNode)[0].raw), serialNumber: Buffer.from(children(sidNode)[1].value) }
+    : { subjectKeyIdentifier: Buffer.from(sidNode.value) };
+  const digestAlgorithm = parseAlgorithmIdentifier(fields[index++]);
+
+  let signedAttributes = null;
+  const attributes = {};
+  if (fields[index].tag === 0xa0) {
+    // The signature covers the attributes re-tagged as a SET OF
+    signedAttributes = Buffer.concat([Buffer.from([ASN1.SET]), fields[index].raw.subarray(1)]);
+    for (const attribute of children(fields[index])) {
+      const [type, values] = children(attribute);
+      attributes[decodeOID(type.value)] = children(values)[0];
+    }
+    index++;
+  }
+
+  return {
+    sid,
+    digestAlgorithm,
+    signedAttributes,
+    contentType: attributes[OIDS.CONTENT_TYPE] ? decodeOID(attributes[OIDS.CONTENT_TYPE].value) : null,
+    messageDigest: attributes[OIDS.MESSAGE_DIGEST] ? Buffer.from(attributes[OIDS.MESSAGE_DIGEST].value) : null,
+    signatureAlgorithm: parseAlgorithmIdentifier(fields[index++]),
+    signature: Buffer.from(fields[index].value)
+  };
+}
+
+/**
+ * Issuer name, serial number and subject key identifier of a DER certificate,
+ * for matching a CMS signer identifier.
+ */
+function certificateIdentifiers(der) {
+  const tbs = children(children(decodeTLV(der))[0]);
+  const offset = tbs[0].tag === 0xa0 ? 1 : 0;
+  let subjectKeyIdentifier = null;
+  const extensions = findTag(tbs, 0xa3);
+  if (extensions) {
+    for (const extension of children(children(extensions)[0])) {
+      const fields = children(extension);
+      if (decodeOID(fields[0].value) === '2.5.29.14') {
+        subjectKeyIdentifier = Buffer.from(decodeTLV(fields[fields.length - 1].value).value);
+      }
+    }
+  }
+  return {
+    serialNumber: Buffer.from(tbs[offset].value),
+    issuer: Buffer.from(tbs[offset + 2].raw),
+    subjectKeyIdentifier
+  };
+}
+
+function signerMatches(sid, der) {
+  const identifiers = certificateIdentifiers(der);
+  if (sid.subjectKeyIdentifier) {
+    return Boolean(identifiers.subjectKeyIdentifier?.equals(sid.subjectKeyIdentifier));
+  }
+  return identifiers.serialNumber.equals(sid.serialNumber) && identifiers.issuer.equals(sid.issuer);
+}
+
+/**
+ * Parse EF.SOD.
+ *
+ * @param {Buffer} bytes - EF.SOD contents (tag 77) or a bare CMS ContentInfo
+ * @returns {{ ldsVersion: number, hashAlgorithm: string, dataGroupHashes: Object<number, Buffer>,
+ *   ldsVersionInfo: ?{ ldsVersion: string, unicodeVersion: string }, certificates: Buffer[],
+ *   signerInfo: object, eContent: Buffer }}
+ */
+function parseSOD(bytes) {
+  const signedData = parseSignedData(bytes, OIDS.LDS_SECURITY_OBJECT);
+  if (signedData.signerInfos.length !== 1) {
+    throw new Error(`EF.SOD must have exactly one signer, found ${signedData.signerInfos.length}`);
+  }
+
+  const [version, hashAlgorithmNode, hashValues, versionInfo] = children(decodeTLV(signedData.eContent));
+  const hashAlgorithm = HASH_ALGORITHMS[parseAlgorithmIdentifier(hashAlgorithmNode).oid];
+  if (!hashAlgorithm) {
+    throw new Error(`Unsupported data group hash algorithm ${parseAlgorithmIdentifier(hashAlgorithmNode).oid}`);
+  }
+
+  const dataGroupHashes = {};
+  for (const entry of children(hashValues)) {
+    const [number, value] = children(entry);
+    dataGroupHashes[decodeInteger(number.value)] = Buffer.from(value.value);
+  }
+
+  return {
+    ldsVersion: decodeInteger(version.value),
+    hashAlgorithm: hashAlgorithm.name,
+    dataGroupHashes,
+    ldsVersionInfo: versionInfo
+      ? Object.fromEntries(children(versionInfo).map((field, i) =>
+        [i === 0 ? 'ldsVersion' : 'unicodeVersion', field.value.toString('latin1')]))
+      : null,
+    certificates: signedData.certificates,
+    signerInfo: parseSignerInfo(signedData.signerInfos[0]),
+    eContent: signedData.eContent
+  };
+}
+
+/**
+ * Verify a CMS signature with the signer's public key.
+ */
+function verifyCMSSignature(signerInfo, data, publicKey) {
+  const { signatureAlgorithm, digestAlgorithm, signature } = signerInfo;
+  const digest = HASH_ALGORITHMS[digestAlgorithm.oid]?.digest;
+  const known = SIGNATURE_ALGORITHMS[signatureAlgorithm.oid];
+
+  if (signatureAlgorithm.oid === OIDS.RSASSA_PSS) {
+    // RSASSA-PSS-params: [0] hashAlgorithm, [1] maskGenAlgorithm, [2] saltLength (defaults SHA-1, 20)
+    const parameters = signatureAlgorithm.parameters ? children(signatureAlgorithm.parameters) : [];
+    const hashParameter = findTag(parameters, 0xa0);
+    const saltParameter = findTag(parameters, 0xa2);
+    const pssDigest = hashParameter
+      ? HASH_ALGORITHMS[parseAlgorithmIdentifier(children(hashParameter)[0]).oid]?.digest
+      : 'sha1';
+    if (!pssDigest) {
+      throw new Error('Unsupported RSASSA-PSS hash algorithm');
+    }
+    return crypto.verify(pssDigest, data, {
+      key: publicKey,
+      padding: crypto.constants.RSA_PKCS1_PSS_PADDING,
+      saltLength: saltParameter ? decodeInteger(children(saltParameter)[0].value) : 20
+    }, signature);
+  }
+
+  // Some issuers put the bare key algorithm here and rely on the digest algorithm
+  const signatureDigest = known?.digest ||
+    ([OIDS.RSA_ENCRYPTION, OIDS.EC_PUBLIC_KEY].includes(signatureAlgorithm.oid) ? digest : null);
+  if (!signatureDigest) {
+    throw new Error(`Unsupported signature algorithm ${signatureAlgorithm.oid}`);
+  }
+  if (publicKey.asymmetricKeyType === 'ec') {
+    // A few chips carry plain r||s instead of a DER ECDSA signature
+    const dsaEncoding = signature[0] === ASN1.SEQUENCE ? 'der' : 'ieee-p1363';
+    return crypto.verify(signatureDigest, data, { key: publicKey, dsaEncoding }, signature);
+  }
+  return crypto.verify(signatureDigest, data, publicKey, signature);
+}
+
+function toCertificates(contents) {
+  const bytes = Buffer.from(contents);
+  const text = bytes.toString('latin1');
+  if (text.includes('-----BEGIN CERTIFICATE-----')) {
+    return (text.match(/-----BEGIN CERTIFICATE-----[\s\S]+?-----END CERTIFICATE-----/g) || [])
+      .map(pem => new crypto.X509Certificate(pem));
+  }
+  try {
+    return [new crypto.X509Certificate(bytes)];
+  } catch {
+    // Not a single certificate: an ICAO master list (CMS SignedData over CscaMasterList)
+  }
+  const { eContent } = parseSignedData(bytes, OIDS.CSCA_MASTER_LIST);
+  const [, certList] = children(decodeTLV(eContent));
+  return children(certList).map(cert => new crypto.X509Certificate(Buffer.from(cert.raw)));
+}
+
+/**
+ * Country Signing CA certificates trusted for passive authentication.
+ * The master list signature itself is not checked: the local file is the trust decision.
+ */
+class CSCAMasterList {
+  constructor(certificates = []) {
+    this.certificates = certificates;
+  }
+
+  /**
+   * @param {string} location - certificate file, ICAO master list or directory of either
+   */
+  static async load(location = process.env.CSCA_MASTER_LIST || DEFAULT_MASTER_LIST) {
+    let files = [location];
+    const info = await stat(location).catch(() => null);
+    if (!info) {
+      throw new Error(`CSCA master list not found: ${location}`);
+    }
+    if (info.isDirectory()) {
+      files = (await readdir(location)).sort().map(name => path.join(location, name));
+    }
+
+    const certificates = [];
+    for (const file of files) {
+      try {
+        certificates.push(...toCertificates(await readFile(file)));
+      } catch (error) {
+        throw new Error(`Could not read CSCA certificates from ${file}: ${error.message}`);
+      }
+    }
+    if (certificates.length === 0) {
+      throw new Error(`No CSCA certificates in ${location}`);
+    }
+    return new CSCAMasterList(certificates);
+  }
+
+  /**
+   * CSCA that issued and signed a Document Signer certificate. Link
+   * certificates mean several CSCAs can share a subject name.
+   */
+  findIssuer(certificate) {
+    return this.certificates.find(csca =>
+      certificate.checkIssued(csca) && certificate.verify(csca.publicKey)) || null;
+  }
+}
+
+class PassiveAuthenticator {
+  /**
+   * @param {object} options
+   * @param {CSCAMasterList} options.masterList
+   * @param {number[]} [options.requiredDataGroups] - data groups that must be present and hashed (DG1, DG2)
+   */
+  constructor({ masterList, requiredDataGroups = REQUIRED_DATA_GROUPS } = {}) {
+    if (!masterList) {
+      throw new Error('A CSCA master list is required');
+    }
+    this.masterList = masterList;
+    this.requiredDataGroups = requiredDataGroups;
+  }
+
+  /**
+   * Run passive authentication. Failures are reported in the result rather
+   * than thrown, so callers can record what was checked.
+   *
+   * @param {object} chipData
+   * @param {Buffer} chipData.sod - EF.SOD
+   * @param {Object<number, Buffer>} chipData.dataGroups - raw data group files read from the chip
+   * @param {Buffer} [chipData.documentSignerCertificate] - DER certificate, for SODs that do not embed it
+   * @returns {{ valid: boolean, errors: string[], checks: object, hashAlgorithm?: string,
+   *   dataGroupHashes?: Object<number, Buffer>, documentSigner?: object, csca?: object }}
+   */
+  verify({ sod, dataGroups = {}, documentSignerCertificate }, now = new Date()) {
+    const result = {
+      valid: false,
+      errors: [],
+      checks: { sodSignature: false, documentSignerCertificate: false, dataGroupHashes: {} }
+    };
+
+    let parsed;
+    try {
+      parsed = parseSOD(sod);
+    } catch (error) {
+      result.errors.push(`EF.SOD could not be parsed: ${error.message}`);
+      return result;
+    }
+    result.hashAlgorithm = parsed.hashAlgorithm;
+    result.dataGroupHashes = parsed.dataGroupHashes;
+
+    // Signature over the signed attributes, which bind the LDSSecurityObject digest
+    const { signerInfo } = parsed;
+    const candidates = documentSignerCertificate ? [Buffer.from(documentSignerCertificate)] : parsed.certificates;
+    const signerDer = candidates.find(der => signerMatches(signerInfo.sid, der));
+    let documentSigner = null;
+    if (!signerDer) {
+      result.errors.push('Document Signer certificate not found in EF.SOD');
+    } else {
+      documentSigner = new crypto.X509Certificate(signerDer);
+      result.documentSigner = {
+        subject: documentSigner.subject,
+        issuer: documentSigner.issuer,
+        serialNumber: documentSigner.serialNumber
+      };
+      try {
+        const digest = HASH_ALGORITHMS[signerInfo.digestAlgorithm.oid]?.digest;
+        if (!digest) {
+          throw new Error(`unsupported digest algorithm ${signerInfo.digestAlgorithm.oid}`);
+        }
+        if (signerInfo.signedAttributes) {
+          if (signerInfo.contentType !== OIDS.LDS_SECURITY_OBJECT) {
+            throw new Error('content type attribute is not the LDS security object');
+          }
+          if (!signerInfo.messageDigest?.equals(crypto.createHash(digest).update(parsed.eContent).digest())) {
+            throw new Error('message digest does not match the LDS security object');
+          }
+        }
+        const signedBytes = signerInfo.signedAttributes || parsed.eContent;
+        if (!verifyCMSSignature(signerInfo, signedBytes, documentSigner.publicKey)) {
+          throw new Error('invalid signature');
+        }
+        result.checks.sodSignature = true;
+      } catch (error) {
+        result.errors.push(`EF.SOD signature: ${error.message}`);
+      }
+    }
+
+    // Document Signer certificate issued by a trusted CSCA, both currently valid
+    if (documentSigner) {
+      const csca = this.masterList.findIssuer(documentSigner);
+      if (!csca) {
+        result.errors.push(`Document Signer "${documentSigner.subject}" is not issued by a CSCA in the master list`);
+      } else {
+        result.csca = { subject: csca.subject, serialNumber: csca.serialNumber };
+        const expired = [documentSigner, csca].find(cert =>
+          now < new Date(cert.validFrom) || now > new Date(cert.validTo));
+        if (expired) {
+          result.errors.push(`Certificate "${expired.subject}" is outside its validity period`);
+        } else {
+          result.checks.documentSignerCertificate = true;
+        }
+      }
+    }
+
+    // Data group hashes: every group read must be hashed and match, the required ones must be read
+    const { digest } = hashAlgorithmByName(parsed.hashAlgorithm);
+    for (const number of this.requiredDataGroups) {
+      if (!dataGroups[number]) {
+        result.errors.push(`DG${number} was not read`);
+      }
+    }
+    for (const [number, bytes] of Object.entries(dataGroups)) {
+      const expected = parsed.dataGroupHashes[number];
+      if (!expected) {
+        // Not signed by the issuer, so anyone could have written it
+        result.checks.dataGroupHashes[number] = false;
+        result.errors.push(`DG${number} has no hash in EF.SOD`);
+        continue;
+      }
+      const matches = crypto.createHash(digest).update(bytes).digest().equals(expected);
+      result.checks.dataGroupHashes[number] = matches;
+      if (!matches) {
+        result.errors.push(`DG${number} hash does not match EF.SOD`);
+      }
+    }
+
+    result.valid = result.errors.length === 0;
+    return result;
+  }
+}
+
+/**
+ * Build EF.SOD for a set of data groups, signed by a Document Signer.
+ * Used for test fixtures and simulated chips; real passports come with theirs.
+ *
+ * @param {object} options
+ * @param {Object<number, Buffer>} options.dataGroups - raw data group files
+ * @param {object|crypto.KeyObject} options.privateKey - Document Signer private key (JWK or KeyObject)
+ * @param {string|Buffer} options.certificate - Document Signer certificate (PEM or DER)
+ * @param {string} [options.hashAlgorithm] - SHA-256 (default), SHA-384 or SHA-512
+ * @returns {Buffer} EF.SOD contents
+ */
+function createSOD({ dataGroups, privateKey, certificate, hashAlgorithm = 'SHA-256' }) {
+  const hash = hashAlgorithmByName(hashAlgorithm);
+  const key = privateKey instanceof crypto.KeyObject
+    ? privateKey
+    : crypto.createPrivateKey({ key: privateKey, format: 'jwk' });
+  const certificateDer = Buffer.isBuffer(certificate) ? certificate : Buffer.from(new crypto.X509Certificate(certificate).raw);
+
+  const dataGroupHashes = Object.keys(dataGroups).map(Number).sort((a, b) => a - b).map(number =>
+    encodeTLV(ASN1.SEQUENCE, [
+      encodeInteger(number),
+      encodeTLV(ASN1.OCTET_STRING, crypto.createHash(hash.digest).update(dataGroups[number]).digest())
+    ]));
+  const ldsSecurityObject = encodeTLV(ASN1.SEQUENCE, [
+    encodeInteger(0),
+    encodeAlgorithmIdentifier(hash.oid),
+    encodeTLV(ASN1.SEQUENCE, dataGroupHashes)
+  ]);
+
+  // DER orders the members of a SET OF by their encoding
+  const attributes = [
+    encodeTLV(ASN1.SEQUENCE, [encodeOID(OIDS.CONTENT_TYPE), encodeTLV(ASN1.SET, encodeOID(OIDS.LDS_SECURITY_OBJECT))]),
+    encodeTLV(ASN1.SEQUENCE, [
+      encodeOID(OIDS.MESSAGE_DIGEST),
+      encodeTLV(ASN1.SET, encodeTLV(ASN1.OCTET_STRING, crypto.createHash(hash.digest).update(ldsSecurityObject).digest()))
+    ])
+  ].sort(Buffer.compare);
+  const signedAttributes = encodeTLV(ASN1.SET, attributes);
+
+  const signatureOid = Object.entries(SIGNATURE_ALGORITHMS).find(([, algorithm]) =>
+    algorithm.digest === hash.digest && algorithm.type === (key.asymmetricKeyType === 'ec' ? 'ecdsa' : 'rsa'))?.[0];
+  if (!signatureOid) {
+    throw new Error(`Unsupported Document Signer key type: ${key.asymmetricKeyType}`);
+  }
+  const signature = crypto.sign(hash.digest, signedAttributes, key);
+
+  const { issuer, serialNumber } = certificateIdentifiers(certificateDer);
+  const signerInfo = encodeTLV(ASN1.SEQUENCE, [
+    encodeInteger(1),
+    encodeTLV(ASN1.SEQUENCE, [issuer, encodeTLV(ASN1.INTEGER, serialNumber)]),
+    encodeAlgorithmIdentifier(hash.oid),
+    encodeTLV(0xa0, attributes),
+    encodeAlgorithmIdentifier(signatureOid, key.asymmetricKeyType !== 'ec'),
+    encodeTLV(ASN1.OCTET_STRING, signature)
+  ]);
+
+  const signedData = encodeTLV(ASN1.SEQUENCE, [
+    encodeInteger(3),
+    encodeTLV(ASN1.SET, encodeAlgorithmIdentifier(hash.oid)),
+    encodeTLV(ASN1.SEQUENCE, [
+      encodeOID(OIDS.LDS_SECURITY_OBJECT),
+      encodeTLV(0xa0, encodeTLV(ASN1.OCTET_STRING, ldsSecurityObject))
+    ]),
+    encodeTLV(0xa0, certificateDer),
+    encodeTLV(ASN1.SET, signerInfo)
+  ]);
+
+  return encodeTLV(SOD_TAG, encodeTLV(ASN1.SEQUENCE, [
+    encodeOID(OIDS.SIGNED_DATA),
+    encodeTLV(0xa0, signedData)
+  ]));
+}
+
+// CLI usage
+async function main() {
+  const args = process.argv.slice(2);
+  const option = name => args.find(arg => arg.startsWith(`--${name}=`))?.slice(name.length + 3);
+
+  if (args.length === 0 || args.includes('--help')) {
+    console.log(`
+🛂 Passive Authentication
+
+Usage:
+  node passive-authentication.js --sod=EF.SOD --dg1=DG1.bin --dg2=DG2.bin [--dgN=FILE ...] [options]
+
+Options:
+  --master-list=PATH   CSCA certificates: PEM bundle, DER certificate, ICAO master list
+                       or a directory of them (default: ${DEFAULT_MASTER_LIST}, or CSCA_MASTER_LIST)
+  --ds-cert=FILE       Document Signer certificate, if EF.SOD does not embed it
+    `);
+    process.exit(0);
+  }
+
+  try {
+    const dataGroups = {};
+    for (const arg of args) {
+      const match = arg.match(/^--dg(\d+)=(.+)$/);
+      if (match) {
+        dataGroups[Number(match[1])] = await readFile(match[2]);
+      }
+    }
+    if (!option('sod')) {
+      throw new Error('--sod is required');
+    }
+
+    const masterList = await CSCAMasterList.load(option('master-list'));
+    const authenticator = new PassiveAuthenticator({ masterList });
+    const dsCert = option('ds-cert');
+    const result = authenticator.verify({
+      sod: await readFile(option('sod')),
+      dataGroups,
+      ...(dsCert && { documentSignerCertificate: toCertificates(await readFile(dsCert))[0].raw })
+    });
+
+    console.log(`📋 Data group hashes (${result.hashAlgorithm || 'unknown'}):`,
+      Object.keys(result.dataGroupHashes || {}).map(number => `DG${number}`).join(', '));
+    if (result.documentSigner) console.log('✍️  Document Signer:', result.documentSigner.subject.replace(/\n/g, ', '));
+    if (result.csca) console.log('🏛️  CSCA:', result.csca.subject.replace(/\n/g, ', '));
+    for (const [number, matches] of Object.entries(result.checks.dataGroupHashes)) {
+      console.log(`   DG${number}: ${matches ? '✅' : '❌'}`);
+    }
+    if (result.valid) {
+      console.log('✅ Passive authentication succeeded');
+    } else {
+      result.errors.forEach(error => console.log('❌', error));
+      process.exit(1);
+    }
+  } catch (error) {
+    console.error('❌', error.message);
+    process.exit(1);
+  }
+}
+
+if (import.meta.url === `file://${process.argv[1]}`) {
+  main();
+}
+
+export {
+  OIDS,
+  HASH_ALGORITHMS,
+  CSCAMasterList,
+  PassiveAuthenticator,
+  parseSOD,
+  createSOD,
+  verifyCMSSignature
+};
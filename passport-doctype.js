@@ -0,0 +1,188 @@
+/**
+ * Passport mDoc Doctype
+ *
+ * Passports are issued as ISO/IEC 23220 photo ID mDocs rather than as
+ * driving licences (org.iso.18013.5.1.mDL), with the passport-only data
+ * grouped into their own namespaces.
+ *
+ * Namespaces:
+ * - org.iso.23220.1: common identity elements (names, dates, nationality, portrait, age attestations)
+ * - org.iso.23220.photoid.1: travel document type code, personal number, place of birth
+ * - org.iso.23220.dtc.1: ICAO Digital Travel Credential data (MRZ, LDS data group hashes)
+ * - com.yourcompany.webauth: web ID binding for authentication
+ *
+ * The same data can be issued as an SD-JWT VC (vct PASSPORT_VCT) whose
+ * top-level claim names are the element identifiers above.
+ *
+ * Features:
+ * - Element definitions with CBOR types and display names
+ * - Verification levels and methods recorded in the web auth namespace
+ * - OID4VCI (draft 13) credential configurations for issuer metadata
+ */
+
+const PASSPORT_DOCTYPE = 'org.iso.23220.photoid.1';
+const PASSPORT_CREDENTIAL_CONFIGURATION_ID = PASSPORT_DOCTYPE;
+
+const SD_JWT_VC_FORMAT = 'vc+sd-jwt';
+const PASSPORT_VCT = 'urn:passport-mdoc-system:passport:1';
+const PASSPORT_SD_JWT_CONFIGURATION_ID = 'PassportCredential_vc+sd-jwt';
+
+const CORE_NAMESPACE = 'org.iso.23220.1';
+const PHOTOID_NAMESPACE = 'org.iso.23220.photoid.1';
+const DTC_NAMESPACE = 'org.iso.23220.dtc.1';
+const WEBAUTH_NAMESPACE = 'com.yourcompany.webauth';
+
+const AGE_OVER_PATTERN = /^age_over_(\d{2})$/;
+
+// passport_verification_level: how far the passport data was authenticated
+const VERIFICATION_LEVELS = {
+  UNVERIFIED: 'unverified', // simulated or typed in, no chip data
+  CHIP_READ: 'nfc_read', // read from a chip, but passive authentication or clone detection failed
+  PASSIVE_AUTHENTICATION: 'nfc_verified', // EF.SOD signature, DG hashes and CSCA chain verified
+  CLONE_RESISTANT: 'nfc_clone_resistant' // passive authentication plus Chip or Active Authentication
+};
+
+// verification_method: how the data was obtained and checked
+const VERIFICATION_METHODS = {
+  MOCK: 'mock_passport_read',
+  CHIP_READ: 'nfc_chip_read',
+  PASSIVE_AUTHENTICATION: 'nfc_passive_authentication',
+  ACTIVE_AUTHENTICATION: 'nfc_active_authentication',
+  CHIP_AUTHENTICATION: 'nfc_chip_authentication'
+};
+
+// type: CBOR encoding of the element value; display: English claim name
+const NAMESPACE_ELEMENTS = {
+  [CORE_NAMESPACE]: {
+    family_name: { type: 'tstr', display: 'Family name' },
+    given_name: { type: 'tstr', display: 'Given names' },
+    birth_date: { type: 'full-date', display: 'Date of birth' },
+    sex: { type: 'uint', display: 'Sex' }, // ISO/IEC 5218
+    nationality: { type: 'tstr', display: 'Nationality' },
+    issuing_country: { type: 'tstr', display: 'Issuing country' },
+    document_number: { type: 'tstr', display: 'Passport number' },
+    issue_date: { type: 'full-date', display: 'Date of issue' },
+    expiry_date: { type: 'full-date', display: 'Date of expiry' },
+    portrait: { type: 'bstr', display: 'Portrait' },
+    age_in_years: { type: 'uint', display: 'Age' },
+    age_birth_year: { type: 'uint', display: 'Year of birth' }
+  },
+  [PHOTOID_NAMESPACE]: {
+    document_type_code: { type: 'tstr', display: 'Document type' }, // MRZ document code, e.g. P or PD
+    person_id: { type: 'tstr', display: 'Personal number' },
+    birth_place: { type: 'tstr', display: 'Place of birth' }
+  },
+  [DTC_NAMESPACE]: {
+    mrz: { type: 'tstr', display: 'Machine readable zone' },
+    dg_hash_algorithm: { type: 'tstr', display: 'Data group hash algorithm' },
+    dg_hashes: { type: 'map', display: 'Data group hashes' } // { dgNumber: bstr }
+  },
+  [WEBAUTH_NAMESPACE]: {
+    web_id: { type: 'tstr', display: 'Web ID' },
+    passport_verification_level: { type: 'tstr', display: 'Verification level' },
+    verification_timestamp: { type: 'tstr', display: 'Verified at' },
+    verification_method: { type: 'tstr', display: 'Verification method' }
+  }
+};
+
+/**
+ * Definition of a data element, or null when the namespace does not define it.
+ */
+function getElementDefinition(namespace, identifier) {
+  if (namespace === CORE_NAMESPACE && AGE_OVER_PATTERN.test(identifier)) {
+    return { type: 'bool', display: `Over ${identifier.slice('age_over_'.length)}` };
+  }
+  return NAMESPACE_ELEMENTS[namespace]?.[identifier] || null;
+}
+
+/**
+ * Namespace defining an element identifier (identifiers are unique across namespaces).
+ */
+function findElementNamespace(identifier) {
+  return Object.keys(NAMESPACE_ELEMENTS).find(namespace => getElementDefinition(namespace, identifier)) || null;
+}
+
+/**
+ * Regroup flat SD-JWT VC claims into { namespace: { elementIdentifier: value } }.
+ * Claims no namespace defines are dropped.
+ */
+function groupClaimsByNamespace(flatClaims) {
+  const grouped = {};
+  for (const [identifier, value] of Object.entries(flatClaims)) {
+    const namespace = findElementNamespace(identifier);
+    if (namespace) {
+      grouped[namespace] = { ...grouped[namespace], [identifier]: value };
+    }
+  }
+  return grouped;
+}
+
+const PASSPORT_DISPLAY = [{
+  name: 'Passport',
+  locale: 'en-US',
+  description: 'Passport data read from the ICAO 9303 chip or MRZ'
+}];
+
+/**
+ * credential_configurations_supported entries for the passport mDoc and
+ * SD-JWT VC (OID4VCI draft 13).
+ */
+function buildCredentialConfiguration() {
+  const claims = {};
+  const sdJwtClaims = {};
+  for (const [namespace, elements] of Object.entries(NAMESPACE_ELEMENTS)) {
+    claims[namespace] = {};
+    for (const [identifier, definition] of Object.entries(elements)) {
+      const display = [{ name: definition.display, locale: 'en-US' }];
+      claims[namespace][identifier] = { display };
+      sdJwtClaims[identifier] = { display };
+    }
+  }
+
+  return {
+    [PASSPORT_CREDENTIAL_CONFIGURATION_ID]: {
+      format: 'mso_mdoc',
+      doctype: PASSPORT_DOCTYPE,
+      scope: 'passport',
+      cryptographic_binding_methods_supported: ['cose_key'],
+      credential_signing_alg_values_supported: ['ES256'],
+      proof_types_supported: {
+        jwt: { proof_signing_alg_values_supported: ['ES256'] }
+      },
+      display: PASSPORT_DISPLAY,
+      claims
+    },
+    [PASSPORT_SD_JWT_CONFIGURATION_ID]: {
+      format: SD_JWT_VC_FORMAT,
+      vct: PASSPORT_VCT,
+      scope: 'passport_sd_jwt',
+      cryptographic_binding_methods_supported: ['jwk'],
+      credential_signing_alg_values_supported: ['ES256'],
+      proof_types_supported: {
+        jwt: { proof_signing_alg_values_supported: ['ES256'] }
+      },
+      display: PASSPORT_DISPLAY,
+      claims: sdJwtClaims
+    }
+  };
+}
+
+export {
+  PASSPORT_DOCTYPE,
+  PASSPORT_CREDENTIAL_CONFIGURATION_ID,
+  SD_JWT_VC_FORMAT,
+  PASSPORT_VCT,
+  PASSPORT_SD_JWT_CONFIGURATION_ID,
+  CORE_NAMESPACE,
+  PHOTOID_NAMESPACE,
+  DTC_NAMESPACE,
+  WEBAUTH_NAMESPACE,
+  AGE_OVER_PATTERN,
+  VERIFICATION_LEVELS,
+  VERIFICATION_METHODS,
+  NAMESPACE_ELEMENTS,
+  getElementDefinition,
+  findElementNamespace,
+  groupClaimsByNamespace,
+  buildCredentialConfiguration
+};
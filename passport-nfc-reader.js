@@ -6,22 +6,143 @@
  * For production, integrate with actual NFC passport reading libraries.
  * 
  * Features:
- * - Mock passport data generation
+ * - Seeded mock passport data generation with edge-case scenarios
  * - MRZ data simulation
  * - Data preparation for mDoc format
  * - Custom web ID integration
+ * - Chip dumps (EF.COM, EF.SOD, DG1, DG2, DG11, DG12) parsed with the LDS parsers
+ * - Passive authentication of chip data (EF.SOD and data groups) against a CSCA master list,
+ *   deciding the verification level and method in the web auth namespace
+ * - Chip Authentication (DG14) and Active Authentication (DG15) against a live chip session
+ *   for clone-resistant reads
+ * - APDU-level chip reads (PACE or BAC, secure messaging) over any transport, such as the virtual chip
  */
 
 import crypto from 'crypto';
 import { v4 as uuidv4 } from 'uuid';
+import { generateMRZ, validatePassportElements, MRZValidationError } from './mrz.js';
+import { MOCK_PORTRAIT, generateMockPassport } from './mock-passport-generator.js';
+import { CSCAMasterList, PassiveAuthenticator } from './passive-authentication.js';
+import { parseLDS, parseDG1, loadLDSDirectory } from './lds.js';
+import { PROTOCOL_STATUSES, performActiveAuthentication, performChipAuthentication } from './chip-authentication.js';
+import { ChipSession } from './chip-session.js';
+import { VirtualPassportChip } from './virtual-chip.js';
+import {
+  PASSPORT_DOCTYPE,
+  CORE_NAMESPACE,
+  PHOTOID_NAMESPACE,
+  DTC_NAMESPACE,
+  WEBAUTH_NAMESPACE,
+  VERIFICATION_LEVELS,
+  VERIFICATION_METHODS
+} from './passport-doctype.js';
 
 class PassportDataReader {
-  constructor() {
+  /**
+   * @param {object} [options]
+   * @param {CSCAMasterList} [options.masterList] - trusted CSCAs (default: loaded from CSCA_MASTER_LIST on first chip read)
+   */
+  constructor(options = {}) {
     // In production, this would initialize NFC readers
+    this.masterList = options.masterList || null;
+    this.passiveAuthenticator = null;
     console.log('📱 Passport Data Reader initialized (mock mode)');
   }
 
-  async readPassportData() {
+  async getPassiveAuthenticator() {
+    if (!this.passiveAuthenticator) {
+      this.masterList = this.masterList || await CSCAMasterList.load();
+      this.passiveAuthenticator = new PassiveAuthenticator({ masterList: this.masterList });
+    }
+    return this.passiveAuthenticator;
+  }
+
+  /**
+   * Verification level and method for passport data. Only chip data (EF.SOD
+   * plus the raw data groups) can be authenticated; anything else is unverified.
+   * With a live chip session, Chip and Active Authentication then show the
+   * data was not copied to another chip.
+   *
+   * @param {object} passportData
+   * @param {object} [options]
+   * @param {import('./chip-authentication.js').ChipSession} [options.chip] - open session with the chip the data was read from
+   */
+  async authenticate(passportData, { chip } = {}) {
+    if (!passportData.sod) {
+      return { level: VERIFICATION_LEVELS.UNVERIFIED, method: VERIFICATION_METHODS.MOCK, passiveAuthentication: null };
+    }
+
+    let result;
+    try {
+      const authenticator = await this.getPassiveAuthenticator();
+      result = authenticator.verify({
+        sod: passportData.sod,
+        dataGroups: passportData.dataGroups || {},
+        documentSignerCertificate: passportData.documentSignerCertificate
+      });
+    } catch (error) {
+      // Without a usable master list the chip data cannot be authenticated
+      result = { valid: false, errors: [error.message], checks: {} };
+    }
+
+    if (!result.valid) {
+      console.log('⚠️  Passive authentication failed:', result.errors.join('; '));
+      return { level: VERIFICATION_LEVELS.CHIP_READ, method: VERIFICATION_METHODS.CHIP_READ, passiveAuthentication: result };
+    }
+    console.log('🛂 Passive authentication succeeded:', result.documentSigner.subject.replace(/\n/g, ', '));
+
+    const passed = { level: VERIFICATION_LEVELS.PASSIVE_AUTHENTICATION, method: VERIFICATION_METHODS.PASSIVE_AUTHENTICATION, passiveAuthentication: result };
+    if (!chip) {
+      return passed;
+    }
+
+    const cloneDetection = await this.detectClone(chip, passportData.dataGroups, result);
+    const { chipAuthentication, activeAuthentication } = cloneDetection;
+    const statuses = [chipAuthentication.status, activeAuthentication.status];
+    if (statuses.includes(PROTOCOL_STATUSES.FAILED)) {
+      // Signed data on a chip that cannot prove it holds the keys: a likely clone
+      console.log('⚠️  Clone detection failed:', [chipAuthentication.error, activeAuthentication.error].filter(Boolean).join('; '));
+      return { level: VERIFICATION_LEVELS.CHIP_READ, method: VERIFICATION_METHODS.CHIP_READ, passiveAuthentication: result, cloneDetection };
+    }
+    if (!statuses.includes(PROTOCOL_STATUSES.SUCCEEDED)) {
+      console.log('ℹ️  Chip supports neither Chip nor Active Authentication');
+      return { ...passed, cloneDetection };
+    }
+
+    console.log(`🔏 Clone detection succeeded: Chip Authentication ${chipAuthentication.status}, Active Authentication ${activeAuthentication.status}`);
+    return {
+      level: VERIFICATION_LEVELS.CLONE_RESISTANT,
+      method: chipAuthentication.status === PROTOCOL_STATUSES.SUCCEEDED
+        ? VERIFICATION_METHODS.CHIP_AUTHENTICATION
+        : VERIFICATION_METHODS.ACTIVE_AUTHENTICATION,
+      passiveAuthentication: result,
+      cloneDetection
+    };
+  }
+
+  /**
+   * Run Chip Authentication (DG14) and Active Authentication (DG15). Their
+   * keys are only trusted when passive authentication checked the data group
+   * hash, otherwise a clone could bring its own keys.
+   */
+  async detectClone(chip, dataGroups = {}, passiveAuthentication) {
+    const signed = number => passiveAuthentication.checks.dataGroupHashes[number] === true;
+    const unsigned = number => ({ status: PROTOCOL_STATUSES.FAILED, error: `DG${number} is not covered by EF.SOD` });
+
+    // Chip Authentication first: it replaces the session keys, and AA works under either
+    const chipAuthentication = !dataGroups[14]
+      ? { status: PROTOCOL_STATUSES.NOT_SUPPORTED }
+      : signed(14) ? await performChipAuthentication(chip, { dg14: dataGroups[14] }) : unsigned(14);
+    const activeAuthentication = !dataGroups[15]
+      ? { status: PROTOCOL_STATUSES.NOT_SUPPORTED }
+      : signed(15)
+        ? await performActiveAuthentication(chip, { dg15: dataGroups[15], dg14: signed(14) ? dataGroups[14] : undefined })
+        : unsigned(15);
+
+    return { chipAuthentication, activeAuthentication };
+  }
+
+  async readPassportData(options = {}) {
     // Simulate reading passport data
     // In production, this would use NFC libraries to read actual passport chips
     
@@ -31,115 +152,157 @@ class PassportDataReader {
     // Simulate realistic delay
     await new Promise(resolve => setTimeout(resolve, 2000));
     
-    const mockPassportData = this.generateMockPassportData();
+    const mockPassportData = this.generateMockPassportData(options);
     
-    return this.formatForMDoc(mockPassportData);
+    return await this.formatForMDoc(mockPassportData);
   }
 
-  generateMockPassportData() {
-    // Generate realistic mock passport data
-    const countries = ['USA', 'GBR', 'CAN', 'AUS', 'DEU', 'FRA', 'JPN'];
-    const firstNames = ['ALICE', 'BOB', 'CHARLIE', 'DIANA', 'EDWARD', 'FIONA', 'GEORGE'];
-    const lastNames = ['SMITH', 'JOHNSON', 'WILLIAMS', 'BROWN', 'JONES', 'GARCIA', 'MILLER'];
-    
-    const country = countries[Math.floor(Math.random() * countries.length)];
-    const firstName = firstNames[Math.floor(Math.random() * firstNames.length)];
-    const lastName = lastNames[Math.floor(Math.random() * lastNames.length)];
-    
-    const docNumber = 'P' + Math.random().toString().substr(2, 7);
-    const birthYear = 1980 + Math.floor(Math.random() * 30);
-    const birthDate = `${birthYear}-${String(Math.floor(Math.random() * 12) + 1).padStart(2, '0')}-${String(Math.floor(Math.random() * 28) + 1).padStart(2, '0')}`;
-    const expiryYear = 2025 + Math.floor(Math.random() * 10);
-    const expiryDate = `${expiryYear}-${String(Math.floor(Math.random() * 12) + 1).padStart(2, '0')}-${String(Math.floor(Math.random() * 28) + 1).padStart(2, '0')}`;
-    
-    return {
-      documentNumber: docNumber,
-      documentType: 'P',
-      issuingCountry: country,
-      lastName: lastName,
-      firstName: firstName,
-      nationality: country,
-      dateOfBirth: birthDate,
-      sex: Math.random() > 0.5 ? 'M' : 'F',
-      expiryDate: expiryDate,
-      personalNumber: Math.random().toString().substr(2, 9),
-      photo: this.generateMockPhotoData(),
-      fingerprints: null, // Not commonly available in passport chips
-      mrz: this.generateMRZ(docNumber, country, lastName, firstName, birthDate, expiryDate)
-    };
+  /**
+   * Build mDoc data from the files of a chip read (or a dump of one).
+   *
+   * @param {object|string} files - { com, sod, dataGroups: { 1: Buffer, 2: Buffer, ... } }, or a dump directory
+   * @param {object} [options]
+   * @param {import('./chip-authentication.js').ChipSession} [options.chip] - the chip itself, for clone detection (dumps have none)
+   */
+  async readChipFiles(files, { chip } = {}) {
+    const lds = typeof files === 'string' ? await loadLDSDirectory(files) : files;
+    const passportData = parseLDS(lds);
+    console.log(`📖 Parsed data groups ${Object.keys(lds.dataGroups).map(number => `DG${number}`).join(', ')}`);
+    return await this.formatForMDoc(passportData, { chip });
+  }
+
+  /**
+   * Read a passport chip over APDUs: PACE or BAC with the MRZ as the access
+   * key, then the LDS files, then clone detection on the same session.
+   *
+   * @param {object} transport - { transmit(apdu: Buffer): Promise<Buffer> }, e.g. a VirtualPassportChip
+   * @param {object} accessKey - { documentNumber, dateOfBirth, expiryDate } from the MRZ
+   * @param {object} [options]
+   * @param {string} [options.protocol] - auto (default), pace or bac
+   * @param {Function} [options.onProgress] - ChipSession progress callback (authenticating, reading a file)
+   */
+  async readChip(transport, accessKey, { protocol = 'auto', onProgress } = {}) {
+    console.log('🔐 Opening chip session...');
+    const session = await ChipSession.open(transport, accessKey, { protocol, onProgress });
+    const files = await session.readLDS();
+    return await this.readChipFiles(files, { chip: session });
+  }
+
+  /**
+   * Mock passport data from the seeded generator.
+   *
+   * @param {object} [options] - { seed, scenario, referenceDate }, see generateMockPassport
+   */
+  generateMockPassportData(options = {}) {
+    return generateMockPassport(options);
   }
 
   generateMockPhotoData() {
-    // Generate a mock base64 encoded photo placeholder
-    // In production, this would be the actual biometric photo from the passport chip
-    return 'iVBORw0KGgoAAAANSUhEUgAAAAEAAAABCAYAAAAfFcSJAAAADUlEQVR42mP8/5+hHgAHggJ/PchI7wAAAABJRU5ErkJggg==';
+    // Placeholder portrait; a chip read carries the real one in DG2
+    return MOCK_PORTRAIT;
   }
 
-  generateMRZ(docNumber, country, lastName, firstName, birthDate, expiryDate) {
-    // Generate a realistic Machine Readable Zone
-    const birthDateMRZ = birthDate.replace(/-/g, '').substr(2); // YYMMDD
-    const expiryDateMRZ = expiryDate.replace(/-/g, '').substr(2); // YYMMDD
-    const sex = Math.random() > 0.5 ? 'M' : 'F';
-    
-    // Line 1: Document type, Country, Name
-    const line1 = `P<${country}${lastName}<<${firstName}${'<'.repeat(44 - lastName.length - firstName.length - 2)}`.substr(0, 44);
-    
-    // Line 2: Document number, check digit, nationality, birth date, check digit, sex, expiry date, check digit, personal number, check digit, composite check digit
-    const line2 = `${docNumber}<${country}${birthDateMRZ}<${sex}${expiryDateMRZ}<<<<<<<<<<<<<<04`.substr(0, 44);
-    
-    return line1 + line2;
+  generateMRZ(passportData, format = 'TD3') {
+    // Generate an ICAO 9303 Machine Readable Zone with real check digits
+    return generateMRZ(passportData, format);
   }
 
-  formatForMDoc(passportData) {
-    // Format passport data according to ISO 18013-5 structure
+  async formatForMDoc(passportData, { chip } = {}) {
+    // Format passport data as an ISO/IEC 23220 photo ID mDoc
     // This creates the data elements that will be included in the mDoc
+
+    const verification = await this.authenticate(passportData, { chip });
+    // Authenticated chip reads carry the data group hashes signed in EF.SOD
+    const passiveAuthentication = verification.passiveAuthentication;
+    const dgHashes = passiveAuthentication?.valid ? passiveAuthentication.dataGroupHashes : passportData.dgHashes;
+    const dgHashAlgorithm = passiveAuthentication?.valid ? passiveAuthentication.hashAlgorithm : passportData.dgHashAlgorithm;
     
     const mDocData = {
-      // Standard mDoc namespace for identity documents
-      'org.iso.18013.5.1': {
+      // Common identity elements
+      [CORE_NAMESPACE]: {
         // Personal information
         family_name: passportData.lastName,
         given_name: passportData.firstName,
         birth_date: passportData.dateOfBirth,
-        sex: passportData.sex === 'M' ? 1 : 0, // ISO encoding: 1=male, 0=female
+        sex: passportData.sex === 'M' ? 1 : passportData.sex === 'F' ? 2 : 0, // ISO/IEC 5218: 1=male, 2=female, 0=not known
         nationality: passportData.nationality,
         
         // Document information
         document_number: passportData.documentNumber,
         issuing_country: passportData.issuingCountry,
+        ...(passportData.issueDate && { issue_date: passportData.issueDate }),
         expiry_date: passportData.expiryDate,
         
         // Biometric data (if available)
         ...(passportData.photo && { portrait: passportData.photo })
       },
+
+      // Passport-only elements
+      [PHOTOID_NAMESPACE]: {
+        document_type_code: passportData.documentType || 'P',
+        ...(passportData.personalNumber && { person_id: passportData.personalNumber }),
+        ...(passportData.placeOfBirth && { birth_place: passportData.placeOfBirth })
+      },
+
+      // ICAO Digital Travel Credential data; DG hashes only exist for chip reads
+      [DTC_NAMESPACE]: {
+        ...(passportData.mrz && { mrz: passportData.mrz }),
+        ...(dgHashes && {
+          dg_hash_algorithm: dgHashAlgorithm || 'SHA-256',
+          dg_hashes: dgHashes
+        })
+      },
       
       // Custom namespace for web authentication
-      'com.yourcompany.webauth': {
+      [WEBAUTH_NAMESPACE]: {
         web_id: '', // Will be populated during issuance
-        passport_verification_level: 'mock_verified', // Change to 'nfc_verified' in production
+        passport_verification_level: verification.level,
         verification_timestamp: new Date().toISOString(),
-        verification_method: 'mock_passport_read' // Change to 'nfc_chip_read' in production
+        verification_method: verification.method
       }
     };
 
+    // Reject data whose fields disagree with the MRZ (or cannot be encoded in one)
+    const errors = validatePassportElements(
+      { ...mDocData[CORE_NAMESPACE], ...mDocData[PHOTOID_NAMESPACE] },
+      passportData.mrz
+    );
+    if (errors.length > 0) {
+      throw new MRZValidationError(errors);
+    }
+
     return {
-      doctype: 'org.iso.18013.5.1.mDL', // Using mDL format as template
+      doctype: PASSPORT_DOCTYPE,
       data: mDocData,
       metadata: {
-        source: 'mock_passport_reader', // Change to 'nfc_passport_reader' in production
+        source: passportData.sod ? 'nfc_passport_reader' : 'mock_passport_reader',
         mrz: passportData.mrz,
         extraction_timestamp: new Date().toISOString(),
-        mode: 'simulation'
+        mode: passportData.sod ? 'chip' : 'simulation',
+        ...(chip?.accessProtocol && { access_protocol: chip.accessProtocol }),
+        ...(passportData.mock && { mock: passportData.mock }),
+        ...(passiveAuthentication && {
+          passive_authentication: {
+            valid: passiveAuthentication.valid,
+            errors: passiveAuthentication.errors,
+            documentSigner: passiveAuthentication.documentSigner?.subject || null,
+            csca: passiveAuthentication.csca?.subject || null
+          }
+        }),
+        ...(verification.cloneDetection && { clone_detection: verification.cloneDetection })
       }
     };
   }
 
-  async startReading() {
+  /**
+   * @param {object} [options] - mock generator options: { seed, scenario, referenceDate }
+   */
+  async startReading(options = {}) {
     console.log('🚀 Starting passport data reader...');
     console.log('📱 Simulating passport scan (in production: place passport on NFC reader)');
     
     try {
-      const data = await this.readPassportData();
+      const data = await this.readPassportData(options);
       console.log('✅ Passport data extracted successfully');
       return data;
     } catch (error) {
@@ -152,15 +315,31 @@ class PassportDataReader {
 // CLI usage
 if (import.meta.url === `file://${process.argv[1]}`) {
   const reader = new PassportDataReader();
+  const option = name => process.argv.find(arg => arg.startsWith(`--${name}=`))?.slice(name.length + 3);
+  // --lds=DIR reads a chip dump (EF_COM.bin, EF_SOD.bin, DG<n>.bin) instead of mock data
+  const ldsDirectory = option('lds');
+  // --virtual-chip=DIR reads the dump over APDUs from a virtual chip (--chip-keys=FILE for clone detection, --bac to skip PACE)
+  const virtualChipDirectory = option('virtual-chip');
+
+  const readVirtualChip = async () => {
+    const chip = await VirtualPassportChip.fromDirectory(virtualChipDirectory, { keysFile: option('chip-keys') });
+    // The access key a reader would take from the printed MRZ
+    const { dataGroups } = await loadLDSDirectory(virtualChipDirectory);
+    return reader.readChip(chip, parseDG1(dataGroups[1]), { protocol: process.argv.includes('--bac') ? 'bac' : 'auto' });
+  };
+  
+  // --seed=SEED and --scenario=NAME make the mock data reproducible (see node mock-passport-generator.js --list)
+  const mockOptions = { seed: option('seed'), scenario: option('scenario') };
   
-  reader.startReading()
+  (virtualChipDirectory ? readVirtualChip() : ldsDirectory ? reader.readChipFiles(ldsDirectory) : reader.startReading(mockOptions))
     .then(passportData => {
       console.log('\n📋 Passport Data Extracted:');
-      console.log('🆔 Name:', passportData.data['org.iso.18013.5.1'].given_name, passportData.data['org.iso.18013.5.1'].family_name);
-      console.log('🏳️ Nationality:', passportData.data['org.iso.18013.5.1'].nationality);
-      console.log('📄 Document:', passportData.data['org.iso.18013.5.1'].document_number);
-      console.log('📅 Birth Date:', passportData.data['org.iso.18013.5.1'].birth_date);
-      console.log('⏰ Expiry:', passportData.data['org.iso.18013.5.1'].expiry_date);
+      console.log('🆔 Name:', passportData.data[CORE_NAMESPACE].given_name, passportData.data[CORE_NAMESPACE].family_name);
+      console.log('🏳️ Nationality:', passportData.data[CORE_NAMESPACE].nationality);
+      console.log('📄 Document:', passportData.data[CORE_NAMESPACE].document_number);
+      console.log('📅 Birth Date:', passportData.data[CORE_NAMESPACE].birth_date);
+      console.log('⏰ Expiry:', passportData.data[CORE_NAMESPACE].expiry_date);
+      console.log('🛂 Verification:', passportData.data[WEBAUTH_NAMESPACE].passport_verification_level);
       
       console.log('\n🎯 Next steps:');
       console.log('1. Run: npm run issue-mdoc -- --web-id="your@email.com"');
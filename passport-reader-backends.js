@@ -0,0 +1,344 @@
+/**
+ * Passport Reader Backends
+ *
+ * Pluggable sources of passport data for PassportDataReader, all reporting
+ * progress through the same event stream so a server can relay it.
+ *
+ * Backends implement:
+ * - read({ accessKey, protocol, seed, scenario }) → mDoc-ready passport data (as PassportDataReader.formatForMDoc)
+ * - 'event' events: { type, backend, timestamp, ... } with type one of READER_EVENTS
+ *
+ * Implementations:
+ * - MockReaderBackend: generated mock passport data (seeded, with edge-case scenarios)
+ * - ReplayReaderBackend: a recorded chip dump from disk (EF_COM.bin, EF_SOD.bin, DG<n>.bin)
+ * - VirtualChipReaderBackend: a dump served by the virtual chip, read over APDUs
+ * - PCSCReaderBackend: a real chip on a PC/SC contactless reader (needs the optional pcsclite package)
+ */
+
+import { EventEmitter } from 'events';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { PassportDataReader } from './passport-nfc-reader.js';
+import { VirtualPassportChip } from './virtual-chip.js';
+import { loadLDSDirectory, parseCOM, parseDG1 } from './lds.js';
+import { CORE_NAMESPACE, WEBAUTH_NAMESPACE } from './passport-doctype.js';
+
+const READER_EVENTS = {
+  CARD_DETECTED: 'card_detected',
+  AUTHENTICATING: 'authenticating',
+  READING: 'reading',
+  DONE: 'done',
+  ERROR: 'error'
+};
+
+const DEFAULT_LDS_DIRECTORY = path.join(path.dirname(fileURLToPath(import.meta.url)), 'fixtures', 'lds', 'utopia-td3');
+const DEFAULT_CARD_TIMEOUT_SECONDS = 30;
+
+// Largest response: 256 data bytes and the status word
+const PCSC_MAX_RESPONSE_LENGTH = 258;
+
+class PassportReaderBackend extends EventEmitter {
+  /**
+   * @param {object} [options]
+   * @param {PassportDataReader} [options.reader] - parses and verifies what the backend reads (default: a new one)
+   */
+  constructor({ reader } = {}) {
+    super();
+    this.reader = reader || new PassportDataReader();
+  }
+
+  /**
+   * Emit a reader event. Listeners subscribe to 'event' only, so an error
+   * event never throws for lack of an 'error' listener.
+   */
+  emitEvent(type, details = {}) {
+    const event = { type, backend: this.name, timestamp: new Date().toISOString(), ...details };
+    this.emit('event', event);
+    return event;
+  }
+
+  /**
+   * Read a passport, emitting done or error at the end.
+   *
+   * @param {object} [request]
+   * @param {object} [request.accessKey] - { documentNumber, dateOfBirth, expiryDate } for chip access
+   * @param {string} [request.protocol] - auto (default), pace or bac
+   * @param {string} [request.seed] - mock backend: seed for reproducible data
+   * @param {string} [request.scenario] - mock backend: edge-case scenario (MOCK_SCENARIOS)
+   */
+  async read(request = {}) {
+    try {
+      const passportData = await this.readPassport(request);
+      this.emitEvent(READER_EVENTS.DONE, {
+        documentNumber: passportData.data[CORE_NAMESPACE].document_number,
+        verificationLevel: passportData.data[WEBAUTH_NAMESPACE].passport_verification_level
+      });
+      return passportData;
+    } catch (error) {
+      this.emitEvent(READER_EVENTS.ERROR, { message: error.message });
+      throw error;
+    }
+  }
+
+  async readPassport() {
+    throw new Error(`${this.name} backend does not implement readPassport`);
+  }
+
+  // ChipSession progress steps use the event type names
+  relayProgress() {
+    return ({ step, ...details }) => this.emitEvent(step, details);
+  }
+}
+
+class MockReaderBackend extends PassportReaderBackend {
+  /**
+   * @param {object} [options]
+   * @param {number} [options.stepDelayMs] - simulated time per step (default 500)
+   */
+  constructor({ stepDelayMs = 500, ...options } = {}) {
+    super(options);
+    this.name = 'mock';
+    this.stepDelayMs = stepDelayMs;
+  }
+
+  async readPassport({ seed, scenario } = {}) {
+    // Fails on an unknown scenario before any event
+    const passport = this.reader.generateMockPassportData({ seed, scenario });
+    const step = async (type, details) => {
+      this.emitEvent(type, details);
+      await new Promise(resolve => setTimeout(resolve, this.stepDelayMs));
+    };
+    console.log('🔐 Simulating passport chip communication...');
+    await step(READER_EVENTS.CARD_DETECTED, { reader: 'mock' });
+    await step(READER_EVENTS.AUTHENTICATING, { protocol: 'simulated' });
+    await step(READER_EVENTS.READING, { file: 'DG1', dataGroup: 1 });
+    if (passport.photo) {
+      await step(READER_EVENTS.READING, { file: 'DG2', dataGroup: 2 });
+    }
+    return await this.reader.formatForMDoc(passport);
+  }
+}
+
+class ReplayReaderBackend extends PassportReaderBackend {
+  /**
+   * @param {object} [options]
+   * @param {string} [options.directory] - chip dump (default PASSPORT_READER_LDS_DIR or the utopia-td3 fixture)
+   */
+  constructor({ directory, ...options } = {}) {
+    super(options);
+    this.name = 'replay';
+    this.directory = directory || process.env.PASSPORT_READER_LDS_DIR || DEFAULT_LDS_DIRECTORY;
+  }
+
+  async readPassport() {
+    const files = await loadLDSDirectory(this.directory);
+    if (!files.com || !files.sod) {
+      throw new Error(`No chip dump (EF_COM.bin, EF_SOD.bin) in ${this.directory}`);
+    }
+    console.log(`📼 Replaying chip dump ${this.directory}`);
+    this.emitEvent(READER_EVENTS.CARD_DETECTED, { reader: 'replay', directory: path.basename(this.directory) });
+
+    // Same files in the same order as a chip read; a dump needs no access control
+    this.emitEvent(READER_EVENTS.READING, { file: 'EF.COM' });
+    this.emitEvent(READER_EVENTS.READING, { file: 'EF.SOD' });
+    for (const number of parseCOM(files.com).dataGroups.filter(number => files.dataGroups[number])) {
+      this.emitEvent(READER_EVENTS.READING, { file: `DG${number}`, dataGroup: number });
+    }
+    return await this.reader.readChipFiles(files);
+  }
+}
+
+class VirtualChipReaderBackend extends PassportReaderBackend {
+  /**
+   * @param {object} [options]
+   * @param {string} [options.directory] - chip dump the virtual chip serves (default PASSPORT_READER_LDS_DIR or the utopia-td3 fixture)
+   * @param {string} [options.keysFile] - chip private keys for clone detection (default PASSPORT_READER_CHIP_KEYS)
+   */
+  constructor({ directory, keysFile, ...options } = {}) {
+    super(options);
+    this.name = 'virtual-chip';
+    this.directory = directory || process.env.PASSPORT_READER_LDS_DIR || DEFAULT_LDS_DIRECTORY;
+    this.keysFile = keysFile || process.env.PASSPORT_READER_CHIP_KEYS || undefined;
+  }
+
+  async readPassport({ accessKey, protocol } = {}) {
+    const chip = await VirtualPassportChip.fromDirectory(this.directory, { keysFile: this.keysFile });
+    this.emitEvent(READER_EVENTS.CARD_DETECTED, { reader: 'virtual-chip', directory: path.basename(this.directory) });
+    // Without an access key, use the MRZ printed on the simulated passport (DG1)
+    const key = accessKey || parseDG1((await loadLDSDirectory(this.directory)).dataGroups[1]);
+    return await this.reader.readChip(chip, key, { protocol, onProgress: this.relayProgress() });
+  }
+}
+
+class PCSCReaderBackend extends PassportReaderBackend {
+  /**
+   * @param {object} [options]
+   * @param {string} [options.readerName] - use the first reader whose name contains this (default PASSPORT_READER_PCSC_READER, any reader)
+   * @param {number} [options.cardTimeoutSeconds] - how long to wait for a passport (default 30)
+   */
+  constructor({ readerName, cardTimeoutSeconds, ...options } = {}) {
+    super(options);
+    this.name = 'pcsc';
+    this.readerName = readerName || process.env.PASSPORT_READER_PCSC_READER || '';
+    this.cardTimeoutSeconds = cardTimeoutSeconds || parseInt(process.env.PASSPORT_READER_CARD_TIMEOUT_SECONDS) || DEFAULT_CARD_TIMEOUT_SECONDS;
+  }
+
+  async readPassport({ accessKey, protocol } = {}) {
+    if (!accessKey) {
+      throw new Error('Reading a passport chip needs the access key from its MRZ (document number, date of birth, expiry date)');
+    }
+    const transport = await this.waitForCard();
+    try {
+      return await this.reader.readChip(transport, accessKey, { protocol, onProgress: this.relayProgress() });
+    } finally {
+      await transport.close();
+    }
+  }
+
+  /**
+   * Wait for a card on a PC/SC reader and connect to it.
+   *
+   * @returns {Promise<{ transmit(apdu: Buffer): Promise<Buffer>, close(): Promise<void> }>}
+   */
+  async waitForCard() {
+    let pcsclite;
+    try {
+      ({ default: pcsclite } = await import('pcsclite'));
+    } catch {
+      throw new Error('The pcsc backend needs the pcsclite package: npm install pcsclite');
+    }
+
+    const pcsc = pcsclite();
+    console.log(`📡 Waiting for a passport on ${this.readerName || 'any PC/SC reader'}...`);
+    return new Promise((resolve, reject) => {
+      const timer = setTimeout(() => {
+        pcsc.close();
+        reject(new Error(`No passport detected within ${this.cardTimeoutSeconds} seconds`));
+      }, this.cardTimeoutSeconds * 1000);
+      const fail = error => {
+        clearTimeout(timer);
+        pcsc.close();
+        reject(error);
+      };
+
+      pcsc.on('error', fail);
+      pcsc.on('reader', reader => {
+        if (this.readerName && !reader.name.includes(this.readerName)) return;
+        reader.on('error', fail);
+        reader.on('status', status => {
+          const changes = reader.state ^ status.state;
+          if (!(changes & reader.SCARD_STATE_PRESENT) || !(status.state & reader.SCARD_STATE_PRESENT)) return;
+          reader.connect({ share_mode: reader.SCARD_SHARE_SHARED }, (error, cardProtocol) => {
+            if (error) {
+              fail(error);
+              return;
+            }
+            clearTimeout(timer);
+            this.emitEvent(READER_EVENTS.CARD_DETECTED, { reader: reader.name });
+            resolve({
+              transmit: apdu => new Promise((done, failed) =>
+                reader.transmit(apdu, PCSC_MAX_RESPONSE_LENGTH, cardProtocol, (transmitError, response) =>
+                  (transmitError ? failed(transmitError) : done(response)))),
+              close: () => new Promise(done => reader.disconnect(reader.SCARD_LEAVE_CARD, () => {
+                pcsc.close();
+                done();
+              }))
+            });
+          });
+        });
+      });
+    });
+  }
+}
+
+const READER_BACKENDS = {
+  mock: MockReaderBackend,
+  replay: ReplayReaderBackend,
+  'virtual-chip': VirtualChipReaderBackend,
+  pcsc: PCSCReaderBackend
+};
+
+/**
+ * Reader backend by name: options.type, else PASSPORT_READER_BACKEND, else mock.
+ */
+function createReaderBackend(options = {}) {
+  const type = options.type || process.env.PASSPORT_READER_BACKEND || 'mock';
+  // Own names only: a type like "constructor" must not resolve to an Object.prototype member
+  const Backend = Object.hasOwn(READER_BACKENDS, type) ? READER_BACKENDS[type] : null;
+  if (!Backend) {
+    throw new Error(`Unknown passport reader backend: ${type} (expected ${Object.keys(READER_BACKENDS).join(', ')})`);
+  }
+  return new Backend(options);
+}
+
+// CLI usage
+async function main() {
+  const args = process.argv.slice(2);
+  if (args.includes('--help')) {
+    console.log(`
+📡 Passport Reader Backends
+
+Reads a passport through a backend and prints its event stream.
+
+Usage:
+  node passport-reader-backends.js [options]
+
+Options:
+  --backend=NAME         ${Object.keys(READER_BACKENDS).join(', ')} (default PASSPORT_READER_BACKEND or mock)
+  --dir=DIR              Chip dump for replay and virtual-chip (default fixtures/lds/utopia-td3)
+  --chip-keys=FILE       Virtual chip private keys, for clone detection
+  --document-number=X    Access key for chip backends, with --birth-date and --expiry-date (YYYY-MM-DD)
+  --birth-date=DATE
+  --expiry-date=DATE
+  --bac                  Use BAC even if the chip offers PACE
+  --seed=SEED            Mock backend: seed for reproducible data
+  --scenario=NAME        Mock backend: edge-case scenario (node mock-passport-generator.js --list)
+
+Examples:
+  node passport-reader-backends.js --backend=mock --seed=42 --scenario=long-surname
+  node passport-reader-backends.js --backend=replay
+  node passport-reader-backends.js --backend=virtual-chip --chip-keys=fixtures/lds/utopia-chip-keys.json
+  node passport-reader-backends.js --backend=pcsc --document-number=L898902C3 --birth-date=1974-08-12 --expiry-date=2034-04-15
+    `);
+    process.exit(0);
+  }
+
+  const option = name => args.find(arg => arg.startsWith(`--${name}=`))?.slice(name.length + 3);
+  const backend = createReaderBackend({
+    type: option('backend'),
+    directory: option('dir'),
+    keysFile: option('chip-keys')
+  });
+  backend.on('event', ({ type, backend: name, timestamp, ...details }) => {
+    console.log(`📣 ${type}`, Object.keys(details).length > 0 ? JSON.stringify(details) : '');
+  });
+
+  const accessKey = option('document-number')
+    ? { documentNumber: option('document-number'), dateOfBirth: option('birth-date'), expiryDate: option('expiry-date') }
+    : undefined;
+  const passportData = await backend.read({
+    accessKey,
+    protocol: args.includes('--bac') ? 'bac' : 'auto',
+    seed: option('seed'),
+    scenario: option('scenario')
+  });
+  console.log(`✅ ${passportData.data[CORE_NAMESPACE].document_number}: ${passportData.data[WEBAUTH_NAMESPACE].passport_verification_level}`);
+}
+
+if (import.meta.url === `file://${process.argv[1]}`) {
+  main().catch(error => {
+    console.error('❌ Error:', error.message);
+    process.exit(1);
+  });
+}
+
+export {
+  READER_EVENTS,
+  READER_BACKENDS,
+  PassportReaderBackend,
+  MockReaderBackend,
+  ReplayReaderBackend,
+  VirtualChipReaderBackend,
+  PCSCReaderBackend,
+  createReaderBackend
+};
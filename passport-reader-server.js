@@ -2,14 +2,29 @@
 /**
  * Passport Reader UI Server
  * 
- * Serves the passport reading interface and handles mDoc issuance
+ * Serves the passport reading interface and handles mDoc issuance.
+ * Also publishes the Token Status List of locally signed credentials and
+ * answers queries against the issuance registry. Passports are read through
+ * a pluggable reader backend whose progress events can be streamed, or by a
+ * paired phone that streams the chip files over WebSocket.
  */
 
 import express from 'express';
+import crypto from 'crypto';
 import path from 'path';
 import { fileURLToPath } from 'url';
 import { PassportMDocIssuer } from './mdoc-issuer.js';
-import { PassportDataReader } from './passport-nfc-reader.js';
+import { createReaderBackend } from './passport-reader-backends.js';
+import { PhoneReaderBridge, PHONE_READER_PAGE } from './phone-reader-bridge.js';
+import { validatePassportElements } from './mrz.js';
+import { StatusListRegistry } from './status-list.js';
+import { IssuanceRegistry, OFFER_STATUSES, credentialOfferId } from './issuance-registry.js';
+import {
+    PASSPORT_DOCTYPE,
+    CORE_NAMESPACE,
+    PHOTOID_NAMESPACE,
+    DTC_NAMESPACE
+} from './passport-doctype.js';
 import QRCode from 'qrcode';
 import fs from 'fs/promises';
 
@@ -18,6 +33,19 @@ const __dirname = path.dirname(__filename);
 
 const app = express();
 const PORT = process.env.PASSPORT_UI_PORT || process.env.PORT || 8080;
+// walt.id status callback events for a credential handed to a wallet
+const CREDENTIAL_ISSUED_EVENTS = ['generated_mdoc', 'sdjwt_issue', 'jwt_issue'];
+
+const issuanceRegistry = new IssuanceRegistry({ file: process.env.ISSUANCE_REGISTRY_FILE || undefined });
+// Shared by every request, so index allocations queue up instead of racing
+const statusList = new StatusListRegistry({ file: process.env.STATUS_LIST_FILE || undefined });
+const phoneReaderBridge = new PhoneReaderBridge();
+
+// Status list registry; a new list is published at this server's /status-list unless STATUS_LIST_URI says otherwise
+function statusListRegistry(req) {
+    statusList.uri ||= `${getPublicUrl(req)}/status-list`;
+    return statusList;
+}
 
 // Helper function to get public URL
 function getPublicUrl(req, port = PORT) {
@@ -38,13 +66,16 @@ function getPublicUrl(req, port = PORT) {
 
 // Middleware
 app.use(express.json());
-app.use(express.static(__dirname));
 
-// Serve the main UI
-app.get('/', (req, res) => {
+// Only the pages are public: the working directory also holds private keys and the registries
+app.get(['/', '/passport-reader-ui.html'], (req, res) => {
     res.sendFile(path.join(__dirname, 'passport-reader-ui.html'));
 });
 
+app.get(PHONE_READER_PAGE, (req, res) => {
+    res.sendFile(path.join(__dirname, 'phone-reader.html'));
+});
+
 // API endpoint to issue mDoc credential
 app.post('/api/issue-mdoc', async (req, res) => {
     try {
@@ -61,7 +92,7 @@ app.post('/api/issue-mdoc', async (req, res) => {
         const formattedPassportData = {
             source: 'manual_entry',
             data: {
-                'org.iso.18013.5.1': {
+                [CORE_NAMESPACE]: {
                     family_name: passportData.family_name,
                     given_name: passportData.given_name,
                     birth_date: passportData.birth_date,
@@ -71,14 +102,45 @@ app.post('/api/issue-mdoc', async (req, res) => {
                     issuing_country: passportData.issuing_country,
                     expiry_date: passportData.expiry_date,
                     portrait: "iVBORw0KGgoAAAANSUhEUgAAAAEAAAABCAYAAAAfFcSJAAAADUlEQVR42mP8/5+hHgAHHggJ/PchI7wAAAABJRU5ErkJggg==" // Placeholder image
+                },
+                [PHOTOID_NAMESPACE]: {
+                    document_type_code: passportData.document_type_code || 'P',
+                    ...(passportData.personal_number && { person_id: passportData.personal_number }),
+                    ...(passportData.birth_place && { birth_place: passportData.birth_place })
+                },
+                [DTC_NAMESPACE]: {
+                    ...(passportData.mrz && { mrz: passportData.mrz })
                 }
+            },
+            metadata: {
+                mrz: passportData.mrz || null
             }
         };
         
+        // Reject fields that cannot be encoded in an MRZ or disagree with the supplied one
+        const fieldErrors = validatePassportElements(
+            {
+                ...formattedPassportData.data[CORE_NAMESPACE],
+                ...formattedPassportData.data[PHOTOID_NAMESPACE]
+            },
+            passportData.mrz
+        );
+        if (fieldErrors.length > 0) {
+            console.log('❌ Passport data rejected:', fieldErrors.map(e => e.field).join(', '));
+            return res.status(400).json({
+                error: 'Invalid passport data',
+                fieldErrors: fieldErrors
+            });
+        }
+        
         console.log('📝 Processing passport data for:', passportData.document_number);
         
-        // Create issuer instance
-        const issuer = new PassportMDocIssuer();
+        // Create issuer instance; walt.id reports redeemed offers back to us
+        const issuer = new PassportMDocIssuer({
+            registry: issuanceRegistry,
+            statusList: statusListRegistry(req),
+            statusCallbackUri: process.env.ISSUANCE_CALLBACK_URI || `${getPublicUrl(req)}/api/issuances/callback`
+        });
         
         // Set the issuer base URL for Codespaces
         if (process.env.CODESPACE_NAME) {
@@ -120,9 +182,10 @@ app.post('/api/issue-mdoc', async (req, res) => {
             metadata: {
                 webId: webId,
                 issuanceDate: new Date().toISOString(),
-                doctype: 'org.iso.18013.5.1.mDL',
+                doctype: PASSPORT_DOCTYPE,
                 passportNumber: passportData.document_number,
-                issuer: offer.credential_issuer
+                issuer: offer.credential_issuer,
+                offerId: credentialOfferId(offerUrl)
             }
         };
         
@@ -173,38 +236,228 @@ app.post('/api/generate-qr', async (req, res) => {
     }
 });
 
-// API endpoint for NFC passport reading (future implementation)
+// Passport data in the shape the frontend expects
+function toExtractedData(passportData) {
+    return {
+        family_name: passportData.data[CORE_NAMESPACE].family_name,
+        given_name: passportData.data[CORE_NAMESPACE].given_name,
+        birth_date: passportData.data[CORE_NAMESPACE].birth_date,
+        sex: passportData.data[CORE_NAMESPACE].sex,
+        nationality: passportData.data[CORE_NAMESPACE].nationality,
+        document_number: passportData.data[CORE_NAMESPACE].document_number,
+        issuing_country: passportData.data[CORE_NAMESPACE].issuing_country,
+        expiry_date: passportData.data[CORE_NAMESPACE].expiry_date,
+        document_type_code: passportData.data[PHOTOID_NAMESPACE].document_type_code,
+        personal_number: passportData.data[PHOTOID_NAMESPACE].person_id,
+        birth_place: passportData.data[PHOTOID_NAMESPACE].birth_place,
+        mrz: passportData.metadata.mrz
+    };
+}
+
+// Start a server-sent event stream; returns send(name, data)
+function openEventStream(res) {
+    res.set({ 'Content-Type': 'text/event-stream', 'Cache-Control': 'no-cache', Connection: 'keep-alive' });
+    res.flushHeaders();
+    return (name, data) => res.write(`event: ${name}\ndata: ${JSON.stringify(data)}\n\n`);
+}
+
+// API endpoint for NFC passport reading through a reader backend: PASSPORT_READER_BACKEND,
+// or "backend" in the request body ("seed" and "scenario" select mock data). With Accept: text/event-stream the reader events are
+// relayed as server-sent events ("reader"), followed by a "result" or "failure" event.
 app.post('/api/read-nfc-passport', async (req, res) => {
+    const { backend: type, accessKey, protocol, seed, scenario } = req.body || {};
+    let backend;
     try {
-        console.log('📱 NFC passport reading requested');
-        
-        // For now, simulate NFC reading with mock data
-        const reader = new PassportDataReader();
-        const passportData = await reader.startReading();
-        
-        // Extract the passport data in the format expected by the frontend
-        const extractedData = {
-            family_name: passportData.data['org.iso.18013.5.1'].family_name,
-            given_name: passportData.data['org.iso.18013.5.1'].given_name,
-            birth_date: passportData.data['org.iso.18013.5.1'].birth_date,
-            sex: passportData.data['org.iso.18013.5.1'].sex,
-            nationality: passportData.data['org.iso.18013.5.1'].nationality,
-            document_number: passportData.data['org.iso.18013.5.1'].document_number,
-            issuing_country: passportData.data['org.iso.18013.5.1'].issuing_country,
-            expiry_date: passportData.data['org.iso.18013.5.1'].expiry_date
-        };
+        backend = createReaderBackend({ type });
+    } catch (error) {
+        return res.status(400).json({ 
+            error: 'Unknown reader backend', 
+            details: error.message 
+        });
+    }
+
+    const stream = req.accepts(['json', 'text/event-stream']) === 'text/event-stream';
+    const send = stream ? openEventStream(res) : null;
+    const events = [];
+
+    try {
+        backend.on('event', event => {
+            events.push(event);
+            if (stream) send('reader', event);
+        });
+        console.log(`📱 NFC passport reading requested (${backend.name} backend)`);
+        const passportData = await backend.read({ accessKey, protocol, seed, scenario });
+        const extractedData = toExtractedData(passportData);
         
         console.log('✅ NFC passport data read:', extractedData.document_number);
+        if (stream) {
+            send('result', { success: true, passportData: extractedData });
+            res.end();
+            return;
+        }
         res.json({ 
             success: true, 
-            passportData: extractedData 
+            passportData: extractedData,
+            events
         });
         
     } catch (error) {
         console.error('❌ NFC reading error:', error);
-        res.status(500).json({ 
+        const failure = { 
             error: 'Failed to read NFC passport', 
             details: error.message 
+        };
+        if (stream) {
+            send('failure', failure);
+            res.end();
+            return;
+        }
+        res.status(500).json({ ...failure, events });
+    }
+});
+
+// Phone as NFC reader: open a pairing session for the desktop to show as a QR code.
+// PHONE_READER_PUBLIC_URL overrides the address the phone opens (e.g. the LAN address).
+app.post('/api/phone-reader/sessions', async (req, res) => {
+    try {
+        const session = phoneReaderBridge.createSession();
+        const pairingUrl = phoneReaderBridge.pairingUrl(session, process.env.PHONE_READER_PUBLIC_URL || getPublicUrl(req));
+        const qrCode = await QRCode.toDataURL(pairingUrl, { width: 300, margin: 2, errorCorrectionLevel: 'M' });
+        
+        console.log(`📲 Phone reader pairing session opened: ${session.id}`);
+        res.status(201).json({
+            sessionId: session.id,
+            pairingUrl,
+            qrCode,
+            expiresAt: session.expiresAt.toISOString()
+        });
+    } catch (error) {
+        console.error('❌ Phone reader pairing error:', error);
+        res.status(500).json({ 
+            error: 'Failed to open phone reader session', 
+            details: error.message 
+        });
+    }
+});
+
+// Reader events of a pairing session as server-sent events ("reader", then "result" or "failure"),
+// from the start of the session
+app.get('/api/phone-reader/sessions/:id/events', (req, res) => {
+    const session = phoneReaderBridge.getSession(req.params.id);
+    if (!session) {
+        return res.status(404).json({ error: 'Unknown or expired phone reader session' });
+    }
+
+    const send = openEventStream(res);
+    session.events.forEach(event => send('reader', event));
+    const relay = event => send('reader', event);
+    session.on('event', relay);
+    req.on('close', () => session.off('event', relay));
+
+    session.outcome.then(({ passportData, error }) => {
+        if (error) {
+            send('failure', { error: 'Failed to read NFC passport', details: error.message });
+        } else {
+            console.log('✅ Phone reader passport data read:', passportData.data[CORE_NAMESPACE].document_number);
+            send('result', { success: true, passportData: toExtractedData(passportData) });
+        }
+        res.end();
+    });
+});
+
+// Token Status List for credentials signed by the local backend, fetched by verifiers
+app.get('/status-list', async (req, res) => {
+    try {
+        const pkiSetup = JSON.parse(await fs.readFile('mdoc-pki-setup.json', 'utf8'));
+        const token = await statusListRegistry(req).issueStatusListToken({
+            issuerKey: pkiSetup.setup.issuerKey.jwk,
+            x5Chain: pkiSetup.setup.x5Chain,
+            ttlSeconds: parseInt(process.env.STATUS_LIST_TTL_SECONDS) || undefined
+        });
+        res.type('application/statuslist+jwt').send(token);
+    } catch (error) {
+        console.error('❌ Status list error:', error);
+        res.status(500).json({ 
+            error: 'Failed to publish status list', 
+            details: error.message 
+        });
+    }
+});
+
+// Issuance registry queries, behind a bearer token; disabled until ISSUANCE_API_TOKEN is set
+function requireIssuanceApiToken(req, res, next) {
+    const token = process.env.ISSUANCE_API_TOKEN;
+    if (!token) {
+        return res.status(503).json({ error: 'Issuance API disabled: set ISSUANCE_API_TOKEN' });
+    }
+    const expected = crypto.createHash('sha256').update(`Bearer ${token}`).digest();
+    const given = crypto.createHash('sha256').update(req.get('Authorization') || '').digest();
+    if (!crypto.timingSafeEqual(expected, given)) {
+        return res.status(401).json({ error: 'Unauthorized' });
+    }
+    next();
+}
+
+app.get('/api/issuances', requireIssuanceApiToken, async (req, res) => {
+    try {
+        const { webId, documentNumber, status } = req.query;
+        if (status !== undefined && !OFFER_STATUSES.includes(status)) {
+            return res.status(400).json({ 
+                error: `Unknown offer status: ${status}`,
+                expected: OFFER_STATUSES
+            });
+        }
+        const issuances = await issuanceRegistry.find({ webId, documentNumber, status });
+        res.json({ count: issuances.length, issuances: issuances });
+    } catch (error) {
+        console.error('❌ Issuance query error:', error);
+        res.status(500).json({ 
+            error: 'Failed to query issuances', 
+            details: error.message 
+        });
+    }
+});
+
+// Status callback from walt.id: { id, type, data } per issuance session event,
+// posted to the callback URI of the offer with its ?secret=
+app.post('/api/issuances/callback', async (req, res) => {
+    try {
+        const { id, type } = req.body || {};
+        if (!id || !type) {
+            return res.status(400).json({ error: 'Missing issuance session id or event type' });
+        }
+        if (typeof id !== 'string' || !await issuanceRegistry.checkCallbackSecret(id, req.query.secret)) {
+            return res.status(401).json({ error: 'Unauthorized' });
+        }
+        if (CREDENTIAL_ISSUED_EVENTS.includes(type)) {
+            const issuance = await issuanceRegistry.markRedeemed(id);
+            if (!issuance) {
+                return res.status(404).json({ error: 'Unknown issuance' });
+            }
+            console.log(`🗂️  Offer ${id} redeemed (${type})`);
+        }
+        res.status(204).end();
+    } catch (error) {
+        console.error('❌ Issuance callback error:', error);
+        res.status(500).json({ 
+            error: 'Failed to record issuance event', 
+            details: error.message 
+        });
+    }
+});
+
+app.get('/api/issuances/:offerId', requireIssuanceApiToken, async (req, res) => {
+    try {
+        const issuance = await issuanceRegistry.get(req.params.offerId);
+        if (!issuance) {
+            return res.status(404).json({ error: 'Unknown issuance' });
+        }
+        res.json(issuance);
+    } catch (error) {
+        console.error('❌ Issuance lookup error:', error);
+        res.status(500).json({ 
+            error: 'Failed to look up issuance', 
+            details: error.message 
         });
     }
 });
@@ -232,7 +485,7 @@ app.use((error, req, res, next) => {
 });
 
 // Start server
-app.listen(PORT, () => {
+const server = app.listen(PORT, () => {
     console.log('🚀 Passport Reader UI Server started');
     console.log('═══════════════════════════════════════');
     
@@ -248,11 +501,14 @@ app.listen(PORT, () => {
     console.log('═══════════════════════════════════════');
     console.log('');
     console.log('Features:');
-    console.log('• 📱 NFC passport reading (simulated)');
+    console.log(`• 📱 NFC passport reading (${process.env.PASSPORT_READER_BACKEND || 'mock'} backend)`);
+    console.log('• 📲 Phone as NFC reader (pairing QR, WebSocket bridge)');
     console.log('• ✏️  Manual passport data entry');
     console.log('• 🎫 mDoc credential issuance');
     console.log('• 📱 QR code generation for wallets');
     console.log('• 🔐 Full PKI integration');
+    console.log('• 📋 Credential status list at /status-list');
+    console.log('• 🗂️  Issuance registry at /api/issuances');
     console.log('');
     
     if (process.env.CODESPACE_NAME) {
@@ -264,4 +520,6 @@ app.listen(PORT, () => {
     }
 });
 
+phoneReaderBridge.attach(server);
+
 export default app;
@@ -0,0 +1,297 @@
+/**
+ * Phone Reader Bridge
+ *
+ * Lets a phone act as the NFC reader for a desktop without one. The desktop
+ * opens a pairing session and shows its pairing URL as a QR code; the phone
+ * joins over WebSocket with the one-time pairing token and streams the raw
+ * chip files it read. The server parses and verifies them like any other
+ * chip dump, and the desktop follows the session's reader events.
+ *
+ * Phone → server messages (JSON):
+ * - { type: 'join', token, device? }                  first message, within JOIN_TIMEOUT_MS
+ * - { type: 'card_detected' | 'authenticating', ... } relayed as reader events
+ * - { type: 'file', file, data }                      file is EF.COM, EF.SOD, EF.CardAccess or DG<n>; data is base64
+ * - { type: 'complete' }                              all files sent: parse and verify
+ * - { type: 'error', message }                        the phone could not read the chip
+ *
+ * Server → phone messages:
+ * - { type: 'paired', expiresAt }
+ * - { type: 'received', file, bytes }
+ * - { type: 'result', documentNumber, verificationLevel } or { type: 'failure', message }, then the socket closes
+ *
+ * Features:
+ * - Pairing sessions with a single-use token, expiring after PHONE_READER_PAIRING_TTL_SECONDS
+ * - Sessions are reader backends ('phone'): same event stream as the other backends, replayable to late subscribers
+ * - Passive authentication of the received files (clone detection needs the chip itself, so it is not available)
+ * - Attaches to the HTTP server of the UI
+ */
+
+import crypto from 'crypto';
+import { WebSocketServer } from 'ws';
+import { PassportReaderBackend, READER_EVENTS } from './passport-reader-backends.js';
+import { CORE_NAMESPACE, WEBAUTH_NAMESPACE } from './passport-doctype.js';
+
+const PHONE_READER_PATH = '/ws/phone-reader';
+const PHONE_READER_PAGE = '/phone-reader.html';
+const DEFAULT_PAIRING_TTL_SECONDS = 300;
+const JOIN_TIMEOUT_MS = 10000;
+// Room for a DG2 portrait in base64
+const MAX_MESSAGE_BYTES = 1024 * 1024;
+
+// Event type emitted when a phone joins, besides READER_EVENTS
+const PAIRED_EVENT = 'paired';
+
+// Close codes sent to the phone
+const CLOSE_CODES = {
+  DONE: 1000,
+  PROTOCOL_ERROR: 4000,
+  UNKNOWN_TOKEN: 4004,
+  ALREADY_PAIRED: 4009
+};
+
+// Reader events the phone reports itself, with the details relayed; READING is derived from the files it sends
+const RELAYED_EVENTS = {
+  [READER_EVENTS.CARD_DETECTED]: ['reader'],
+  [READER_EVENTS.AUTHENTICATING]: ['protocol']
+};
+
+/**
+ * Where a received file goes in the LDS files PassportDataReader.readChipFiles takes.
+ */
+function ldsFileSlot(name) {
+  const match = /^DG(\d{1,2})$/.exec(name);
+  if (match && Number(match[1]) >= 1 && Number(match[1]) <= 16) {
+    return { dataGroup: Number(match[1]) };
+  }
+  return { 'EF.COM': { key: 'com' }, 'EF.SOD': { key: 'sod' }, 'EF.CardAccess': { key: 'cardAccess' } }[name] || null;
+}
+
+class PhoneReaderSession extends PassportReaderBackend {
+  /**
+   * @param {object} [options]
+   * @param {number} [options.ttlSeconds] - how long the pairing stays open
+   * @param {PassportDataReader} [options.reader] - parses and verifies the received files
+   */
+  constructor({ ttlSeconds = DEFAULT_PAIRING_TTL_SECONDS, ...options } = {}) {
+    super(options);
+    this.name = 'phone';
+    this.id = crypto.randomUUID();
+    this.pairingToken = crypto.randomBytes(24).toString('base64url');
+    this.expiresAt = new Date(Date.now() + ttlSeconds * 1000);
+    this.paired = false;
+    this.files = { dataGroups: {} };
+    // Kept so a desktop that subscribes late still sees the whole read
+    this.events = [];
+    this.on('event', event => this.events.push(event));
+
+    this.received = new Promise((resolve, reject) => {
+      this.resolveReceived = resolve;
+      this.rejectReceived = reject;
+    });
+    // Settles once, with the passport data or the error; never rejects
+    this.outcome = this.read().then(passportData => ({ passportData }), error => ({ error }));
+  }
+
+  async readPassport() {
+    await this.received;
+    if (!this.files.com || !this.files.sod) {
+      throw new Error('The phone did not send EF.COM and EF.SOD');
+    }
+    return await this.reader.readChipFiles(this.files);
+  }
+
+  pair(device) {
+    if (this.paired) {
+      throw new Error('Session already has a phone');
+    }
+    this.paired = true;
+    this.emitEvent(PAIRED_EVENT, device ? { device: String(device).slice(0, 100) } : {});
+  }
+
+  /**
+   * Take one message from the paired phone.
+   *
+   * @returns {object|null} reply for the phone, if any
+   */
+  handlePhoneMessage({ type, ...details }) {
+    if (RELAYED_EVENTS[type]) {
+      const relayed = RELAYED_EVENTS[type].filter(field => typeof details[field] === 'string');
+      this.emitEvent(type, Object.fromEntries(relayed.map(field => [field, details[field].slice(0, 100)])));
+      return null;
+    }
+    switch (type) {
+      case 'file': {
+        const slot = ldsFileSlot(details.file);
+        if (!slot || typeof details.data !== 'string') {
+          throw new Error(`Invalid file message: ${details.file}`);
+        }
+        const contents = Buffer.from(details.data, 'base64');
+        if (slot.dataGroup) {
+          this.files.dataGroups[slot.dataGroup] = contents;
+        } else {
+          this.files[slot.key] = contents;
+        }
+        this.emitEvent(READER_EVENTS.READING, { file: details.file, ...(slot.dataGroup && { dataGroup: slot.dataGroup }), bytes: contents.length });
+        return { type: 'received', file: details.file, bytes: contents.length };
+      }
+      case 'complete':
+        this.resolveReceived();
+        return null;
+      case 'error':
+        this.fail(new Error(`Phone reported: ${details.message || 'reading failed'}`));
+        return null;
+      default:
+        throw new Error(`Unknown message type: ${type}`);
+    }
+  }
+
+  fail(error) {
+    this.rejectReceived(error);
+  }
+}
+
+class PhoneReaderBridge {
+  /**
+   * @param {object} [options]
+   * @param {number} [options.ttlSeconds] - pairing lifetime (default PHONE_READER_PAIRING_TTL_SECONDS or 300)
+   * @param {PassportDataReader} [options.reader] - shared by the sessions
+   */
+  constructor({ ttlSeconds, reader } = {}) {
+    this.ttlSeconds = ttlSeconds || parseInt(process.env.PHONE_READER_PAIRING_TTL_SECONDS) || DEFAULT_PAIRING_TTL_SECONDS;
+    this.reader = reader;
+    this.sessions = new Map();
+    this.pairingTokens = new Map();
+  }
+
+  /**
+   * Open a pairing session; it is dropped when it expires.
+   */
+  createSession() {
+    const session = new PhoneReaderSession({ ttlSeconds: this.ttlSeconds, reader: this.reader });
+    this.sessions.set(session.id, session);
+    this.pairingTokens.set(session.pairingToken, session);
+
+    const expiry = setTimeout(() => {
+      session.fail(new Error('Pairing session expired'));
+      this.sessions.delete(session.id);
+      this.pairingTokens.delete(session.pairingToken);
+    }, this.ttlSeconds * 1000);
+    expiry.unref();
+    session.outcome.then(() => this.pairingTokens.delete(session.pairingToken));
+    return session;
+  }
+
+  getSession(id) {
+    return this.sessions.get(id) || null;
+  }
+
+  /**
+   * URL the phone opens. The token is in the fragment, so it never reaches
+   * server logs or Referer headers.
+   */
+  pairingUrl(session, baseUrl) {
+    return `${baseUrl}${PHONE_READER_PAGE}#token=${session.pairingToken}`;
+  }
+
+  /**
+   * Accept phone connections on an HTTP server.
+   */
+  attach(server, { path = PHONE_READER_PATH } = {}) {
+    this.webSocketServer = new WebSocketServer({ server, path, maxPayload: MAX_MESSAGE_BYTES });
+    this.webSocketServer.on('connection', socket => this.handleConnection(socket));
+    return this;
+  }
+
+  close() {
+    this.webSocketServer?.close();
+  }
+
+  handleConnection(socket) {
+    const send = message => socket.send(JSON.stringify(message));
+    // The message goes in the payload: close reasons are limited to 123 bytes
+    const reject = (code, message) => {
+      send({ type: 'failure', message });
+      socket.close(code);
+    };
+    let session = null;
+    const joinTimeout = setTimeout(() => reject(CLOSE_CODES.PROTOCOL_ERROR, 'No join message'), JOIN_TIMEOUT_MS);
+
+    const receive = raw => {
+      let message;
+      try {
+        message = JSON.parse(raw.toString());
+      } catch {
+        return reject(CLOSE_CODES.PROTOCOL_ERROR, 'Messages must be JSON');
+      }
+      if (message === null || typeof message !== 'object' || Array.isArray(message)) {
+        return reject(CLOSE_CODES.PROTOCOL_ERROR, 'Messages must be JSON objects');
+      }
+
+      if (!session) {
+        if (message.type !== 'join') {
+          return reject(CLOSE_CODES.PROTOCOL_ERROR, 'Join the session first');
+        }
+        clearTimeout(joinTimeout);
+        const candidate = this.pairingTokens.get(message.token);
+        if (!candidate) {
+          return reject(CLOSE_CODES.UNKNOWN_TOKEN, 'Unknown or expired pairing token');
+        }
+        try {
+          candidate.pair(message.device);
+        } catch (error) {
+          return reject(CLOSE_CODES.ALREADY_PAIRED, error.message);
+        }
+        session = candidate;
+        console.log(`📲 Phone paired with reader session ${session.id}`);
+        send({ type: 'paired', expiresAt: session.expiresAt.toISOString() });
+        session.outcome.then(({ passportData, error }) => {
+          if (error) {
+            return reject(CLOSE_CODES.DONE, error.message);
+          }
+          send({
+            type: 'result',
+            documentNumber: passportData.data[CORE_NAMESPACE].document_number,
+            verificationLevel: passportData.data[WEBAUTH_NAMESPACE].passport_verification_level
+          });
+          socket.close(CLOSE_CODES.DONE);
+        });
+        return;
+      }
+
+      const reply = session.handlePhoneMessage(message);
+      if (reply) send(reply);
+    };
+
+    // Whatever a phone sends, nothing may throw out of a socket listener: it would stop the server
+    socket.on('message', raw => {
+      try {
+        receive(raw);
+      } catch (error) {
+        if (session) {
+          // The session's outcome reports the failure and closes the socket
+          session.fail(error);
+        } else {
+          reject(CLOSE_CODES.PROTOCOL_ERROR, error.message);
+        }
+      }
+    });
+
+    // Invalid or oversized frames; ws closes the connection itself
+    socket.on('error', error => console.error('❌ Phone reader connection error:', error.message));
+
+    socket.on('close', () => {
+      clearTimeout(joinTimeout);
+      // A no-op once the files are complete
+      session?.fail(new Error('Phone disconnected before sending all files'));
+    });
+  }
+}
+
+export {
+  PHONE_READER_PATH,
+  PHONE_READER_PAGE,
+  PAIRED_EVENT,
+  CLOSE_CODES,
+  PhoneReaderSession,
+  PhoneReaderBridge
+};
@@ -0,0 +1,157 @@
+#!/usr/bin/env node
+/**
+ * Phone Reader Client
+ *
+ * The phone side of the phone reader bridge, scripted: joins a pairing
+ * session from its pairing URL and streams a chip dump from disk as if a
+ * phone had just read it. Used to exercise the bridge without a phone.
+ *
+ * Features:
+ * - Pairing URL → WebSocket URL and token (ws:// for http, wss:// for https)
+ * - Streams EF.COM, EF.SOD, EF.CardAccess and the data groups of a chip dump
+ * - Scripted faults: skip or tamper with a file, report a chip error, drop the connection
+ */
+
+import path from 'path';
+import { fileURLToPath } from 'url';
+import WebSocket from 'ws';
+import { loadLDSDirectory, parseCOM } from './lds.js';
+import { PHONE_READER_PATH } from './phone-reader-bridge.js';
+
+const DEFAULT_LDS_DIRECTORY = path.join(path.dirname(fileURLToPath(import.meta.url)), 'fixtures', 'lds', 'utopia-td3');
+
+/**
+ * WebSocket URL and pairing token from a pairing URL
+ * (https://host/phone-reader.html#token=...).
+ */
+function parsePairingUrl(pairingUrl) {
+  const url = new URL(pairingUrl);
+  const token = new URLSearchParams(url.hash.slice(1)).get('token');
+  if (!token) {
+    throw new Error('Pairing URL has no token');
+  }
+  const protocol = url.protocol === 'https:' ? 'wss:' : 'ws:';
+  return { webSocketUrl: `${protocol}//${url.host}${PHONE_READER_PATH}`, token };
+}
+
+/**
+ * Chip dump files in chip read order, as [name, contents].
+ */
+function orderedFiles(files) {
+  const ordered = [];
+  if (files.cardAccess) ordered.push(['EF.CardAccess', files.cardAccess]);
+  if (files.com) ordered.push(['EF.COM', files.com]);
+  if (files.sod) ordered.push(['EF.SOD', files.sod]);
+  const listed = files.com ? parseCOM(files.com).dataGroups : Object.keys(files.dataGroups).map(Number);
+  for (const number of listed.filter(number => files.dataGroups[number])) {
+    ordered.push([`DG${number}`, files.dataGroups[number]]);
+  }
+  return ordered;
+}
+
+/**
+ * Join a pairing session and stream a chip dump.
+ *
+ * @param {string} pairingUrl - URL from the pairing QR code
+ * @param {object} [options]
+ * @param {string} [options.directory] - chip dump (default the utopia-td3 fixture)
+ * @param {string[]} [options.skip] - files not to send, e.g. ['DG2']
+ * @param {string} [options.tamper] - file to flip a byte in, e.g. 'DG1'
+ * @param {string} [options.chipError] - report this error instead of sending files
+ * @param {boolean} [options.disconnect] - drop the connection halfway through the files
+ * @param {Function} [options.onMessage] - called with each server message
+ * @returns {Promise<object>} the server's result or failure message, or { type: 'closed' }
+ */
+async function runPhoneReader(pairingUrl, { directory = DEFAULT_LDS_DIRECTORY, skip = [], tamper, chipError, disconnect, onMessage } = {}) {
+  const { webSocketUrl, token } = parsePairingUrl(pairingUrl);
+  const files = orderedFiles(await loadLDSDirectory(directory)).filter(([name]) => !skip.includes(name));
+  const socket = new WebSocket(webSocketUrl);
+  const send = message => socket.send(JSON.stringify(message));
+
+  return await new Promise((resolve, reject) => {
+    let outcome = { type: 'closed' };
+    socket.on('error', reject);
+    socket.on('close', (code, reason) => resolve({ ...outcome, code, ...(reason.length > 0 && { reason: reason.toString() }) }));
+    socket.on('open', () => send({ type: 'join', token, device: 'phone-reader-client' }));
+
+    socket.on('message', raw => {
+      const message = JSON.parse(raw.toString());
+      onMessage?.(message);
+      if (message.type === 'result' || message.type === 'failure') {
+        outcome = message;
+      }
+      if (message.type !== 'paired') {
+        return;
+      }
+
+      send({ type: 'card_detected', reader: 'phone-reader-client' });
+      if (chipError) {
+        send({ type: 'error', message: chipError });
+        return;
+      }
+      send({ type: 'authenticating', protocol: 'PACE' });
+      for (const [index, [name, contents]] of files.entries()) {
+        if (disconnect && index === Math.floor(files.length / 2)) {
+          socket.terminate();
+          return;
+        }
+        const data = Buffer.from(contents);
+        if (name === tamper) {
+          data[data.length - 1] ^= 0x01;
+        }
+        send({ type: 'file', file: name, data: data.toString('base64') });
+      }
+      send({ type: 'complete' });
+    });
+  });
+}
+
+// CLI usage
+async function main() {
+  const args = process.argv.slice(2);
+  const pairingUrl = args.find(arg => !arg.startsWith('--'));
+  if (args.includes('--help') || !pairingUrl) {
+    console.log(`
+📲 Phone Reader Client
+
+Joins a phone reader pairing session and streams a chip dump, standing in for a phone.
+
+Usage:
+  node phone-reader-client.js <pairing-url> [options]
+
+Options:
+  --dir=DIR            Chip dump to send (default fixtures/lds/utopia-td3)
+  --skip=FILE[,FILE]   Files not to send, e.g. DG2 or EF.SOD
+  --tamper=FILE        Flip a byte in a file (passive authentication fails)
+  --chip-error=MSG     Report a chip read error instead of sending files
+  --disconnect         Drop the connection halfway through the files
+
+Example:
+  node phone-reader-client.js "http://localhost:8080/phone-reader.html#token=..." --tamper=DG1
+    `);
+    process.exit(pairingUrl ? 0 : 1);
+  }
+
+  const option = name => args.find(arg => arg.startsWith(`--${name}=`))?.slice(name.length + 3);
+  const result = await runPhoneReader(pairingUrl, {
+    directory: option('dir'),
+    skip: option('skip')?.split(',') || [],
+    tamper: option('tamper'),
+    chipError: option('chip-error'),
+    disconnect: args.includes('--disconnect'),
+    onMessage: ({ type, ...details }) => console.log(`📨 ${type}`, Object.keys(details).length > 0 ? JSON.stringify(details) : '')
+  });
+  if (result.type !== 'result') {
+    throw new Error(result.message || `Connection closed (${result.code})`);
+  }
+  console.log(`✅ ${result.documentNumber}: ${result.verificationLevel}`);
+}
+
+if (import.meta.url === `file://${process.argv[1]}`) {
+  main().catch(error => {
+    console.error('❌ Error:', error.message);
+    process.exit(1);
+  });
+}
+
+export { parsePairingUrl, orderedFiles, runPhoneReader };
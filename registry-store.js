@@ -0,0 +1,86 @@
+/**
+ * Registry Store
+ *
+ * The JSON file behind the status list and issuance registries.
+ *
+ * Features:
+ * - Read-modify-write updates queued per file, so concurrent updates (also
+ *   through several store instances on the same file) are never lost
+ * - Atomic replacement through a temp file unique to each write, readable by the owner only
+ * - Passport number hashing, so registries never store the raw number
+ */
+
+import crypto from 'crypto';
+import path from 'path';
+import { readFile, writeFile, rename, unlink } from 'fs/promises';
+
+// Last queued update per resolved file path
+const updateQueues = new Map();
+
+/**
+ * Registry key for a passport: the raw document number is never stored.
+ */
+function hashDocumentNumber(documentNumber) {
+  return crypto.createHash('sha256').update(String(documentNumber).trim().toUpperCase()).digest('hex');
+}
+
+class RegistryStore {
+  /**
+   * @param {string} file - JSON file
+   * @param {Function} initialContents - returns the contents to start from while the file does not exist
+   */
+  constructor(file, initialContents) {
+    this.file = file;
+    this.initialContents = initialContents;
+  }
+
+  async read() {
+    try {
+      return JSON.parse(await readFile(this.file, 'utf8'));
+    } catch (error) {
+      if (error.code !== 'ENOENT') throw error;
+      return this.initialContents();
+    }
+  }
+
+  async write(contents) {
+    const tempPath = `${this.file}.${crypto.randomUUID()}.tmp`;
+    try {
+      await writeFile(tempPath, JSON.stringify(contents, null, 2), { mode: 0o600 });
+      await rename(tempPath, this.file);
+    } catch (error) {
+      await unlink(tempPath).catch(() => {});
+      throw error;
+    }
+  }
+
+  /**
+   * Read the contents, let `change` modify them in place and write them back,
+   * once every earlier update of the same file has finished. Nothing is
+   * written when `change` throws.
+   *
+   * @param {Function} change - (contents) => result, may be async
+   * @returns {Promise<*>} the result of `change`
+   */
+  update(change) {
+    const key = path.resolve(this.file);
+    const result = (updateQueues.get(key) || Promise.resolve()).then(async () => {
+      const contents = await this.read();
+      const value = await change(contents);
+      await this.write(contents);
+      return value;
+    });
+
+    // A failed update must not hold up the ones queued behind it
+    const queued = result.catch(() => {});
+    updateQueues.set(key, queued);
+    queued.then(() => {
+      if (updateQueues.get(key) === queued) {
+        updateQueues.delete(key);
+      }
+    });
+    return result;
+  }
+}
+
+export { RegistryStore, hashDocumentNumber };
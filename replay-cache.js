@@ -0,0 +1,67 @@
+/**
+ * Presentation Replay Cache
+ *
+ * Remembers the digest of every presentation WebAuthService has accepted,
+ * so a captured vp_token is rejected even where its nonce binding would
+ * otherwise still be checked against a live session.
+ *
+ * Features:
+ * - SHA-256 digests of the presentation bytes (mdoc DeviceResponse or SD-JWT+KB)
+ * - Entries expire after a fixed TTL and are pruned as new digests arrive
+ * - Bounded size: the oldest digests go first when the cache is full
+ */
+
+import crypto from 'crypto';
+
+const DEFAULT_TTL_SECONDS = 24 * 60 * 60; // 24 hours
+const DEFAULT_MAX_ENTRIES = 100000;
+
+/**
+ * Digest identifying a presentation. mdoc tokens are hashed as decoded
+ * bytes, so re-encoding the base64url (e.g. adding padding) does not change it.
+ */
+function presentationDigest(presentation, format = 'mso_mdoc') {
+  const bytes = format === 'mso_mdoc'
+    ? Buffer.from(String(presentation), 'base64url')
+    : Buffer.from(String(presentation), 'utf8');
+  return crypto.createHash('sha256').update(bytes).digest('base64url');
+}
+
+class ReplayCache {
+  constructor({ ttlSeconds, maxEntries } = {}) {
+    this.ttlSeconds = ttlSeconds || DEFAULT_TTL_SECONDS;
+    this.maxEntries = maxEntries || DEFAULT_MAX_ENTRIES;
+    this.entries = new Map(); // digest -> expiresAt, in insertion order
+  }
+
+  prune(now = Date.now()) {
+    // Insertion order is expiry order, so stop at the first live entry once
+    // there is room for one more
+    for (const [digest, expiresAt] of this.entries) {
+      if (expiresAt > now && this.entries.size < this.maxEntries) break;
+      this.entries.delete(digest);
+    }
+  }
+
+  has(digest) {
+    const expiresAt = this.entries.get(digest);
+    return expiresAt !== undefined && expiresAt > Date.now();
+  }
+
+  /**
+   * Record a digest.
+   *
+   * @returns {boolean} false when the digest was already seen
+   */
+  add(digest) {
+    const now = Date.now();
+    this.prune(now);
+    if (this.has(digest)) {
+      return false;
+    }
+    this.entries.set(digest, now + this.ttlSeconds * 1000);
+    return true;
+  }
+}
+
+export { ReplayCache, presentationDigest };
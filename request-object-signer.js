@@ -0,0 +1,123 @@
+/**
+ * Signed OpenID4VP Request Objects
+ *
+ * Signs presentation requests as JWTs (JAR, RFC 9101) with a verifier key
+ * certified by our own IACA, so wallets can authenticate the relying party
+ * before releasing passport data.
+ *
+ * Features:
+ * - Reader authentication certificate (EKU 1.0.18013.5.1.6) issued on first use by the IACA in mdoc-pki-setup.json
+ * - x509_san_dns (client_id is the host name) and x509_san_uri (client_id is the response URI) client ID schemes
+ * - oauth-authz-req+jwt request objects carrying the verifier certificate in x5c
+ */
+
+import { readFile } from 'fs/promises';
+import { SignJWT } from 'jose';
+import {
+  MDL_READER_AUTH_EXTENDED_KEY_USAGE,
+  x509,
+  generateSigningKeys,
+  loadIACA,
+  createIACASignedCertificate
+} from './mdoc-certificates.js';
+
+const X509_CLIENT_ID_SCHEMES = ['x509_san_dns', 'x509_san_uri'];
+const DEFAULT_CERTIFICATE_VALIDITY_DAYS = 90;
+
+// Static audience for wallets without their own issuer identifier (OpenID4VP §5.8)
+const SELF_ISSUED_AUDIENCE = 'https://self-issued.me/v2';
+
+class RequestObjectSigner {
+  /**
+   * @param {object} options
+   * @param {string} options.responseUri - where wallets post their responses
+   * @param {string} [options.clientIdScheme] - x509_san_dns (default) or x509_san_uri
+   * @param {string} [options.pkiSetupFile] - PKI setup holding the IACA key
+   * @param {number} [options.certificateValidityDays]
+   */
+  constructor({
+    responseUri,
+    clientIdScheme = 'x509_san_dns',
+    pkiSetupFile = 'mdoc-pki-setup.json',
+    certificateValidityDays = DEFAULT_CERTIFICATE_VALIDITY_DAYS
+  } = {}) {
+    if (!responseUri) {
+      throw new Error('Response URI is required');
+    }
+    if (!X509_CLIENT_ID_SCHEMES.includes(clientIdScheme)) {
+      throw new Error(`Unsupported client ID scheme for signed requests: ${clientIdScheme}`);
+    }
+    this.responseUri = responseUri;
+    this.clientIdScheme = clientIdScheme;
+    this.pkiSetupFile = pkiSetupFile;
+    this.certificateValidityDays = certificateValidityDays;
+    this.credentials = null;
+  }
+
+  get clientId() {
+    // The client ID must match a subject alternative name of the verifier certificate
+    return this.clientIdScheme === 'x509_san_dns' ? new URL(this.responseUri).hostname : this.responseUri;
+  }
+
+  async getSigningCredentials() {
+    if (this.credentials) {
+      return this.credentials;
+    }
+
+    let pkiSetup;
+    try {
+      pkiSetup = JSON.parse(await readFile(this.pkiSetupFile, 'utf8'));
+    } catch (error) {
+      throw new Error(`PKI setup not found (${this.pkiSetupFile}). Run: node setup-mdoc-pki.js`);
+    }
+    const iaca = await loadIACA(pkiSetup.iaca || {});
+
+    const signingKeys = await generateSigningKeys('P-256');
+    const certificate = await createIACASignedCertificate({
+      commonName: `Passport Web Authentication Verifier (${this.clientId})`,
+      validityDays: this.certificateValidityDays,
+      keyUsages: x509.KeyUsageFlags.digitalSignature,
+      extendedKeyUsages: [MDL_READER_AUTH_EXTENDED_KEY_USAGE],
+      subjectAlternativeNames: [
+        this.clientIdScheme === 'x509_san_dns'
+          ? { type: 'dns', value: this.clientId }
+          : { type: 'url', value: this.clientId }
+      ]
+    }, signingKeys, iaca);
+
+    console.log(`🔏 Verifier certificate issued for ${this.clientId} (${this.clientIdScheme})`);
+
+    this.credentials = {
+      privateKey: signingKeys.keys.privateKey,
+      certificate,
+      x5c: [Buffer.from(certificate.rawData).toString('base64')]
+    };
+    return this.credentials;
+  }
+
+  /**
+   * Sign authorization request parameters as a request object.
+   *
+   * @param {object} parameters - OpenID4VP parameters (JSON values as objects)
+   * @param {object} [options]
+   * @param {number} [options.expiresIn] - lifetime in seconds
+   * @returns {Promise<string>} compact JWT
+   */
+  async sign(parameters, { expiresIn = 300 } = {}) {
+    const { privateKey, x5c } = await this.getSigningCredentials();
+
+    return new SignJWT({
+      ...parameters,
+      client_id: this.clientId,
+      client_id_scheme: this.clientIdScheme
+    })
+      .setProtectedHeader({ alg: 'ES256', typ: 'oauth-authz-req+jwt', x5c })
+      .setIssuer(this.clientId)
+      .setAudience(SELF_ISSUED_AUDIENCE)
+      .setIssuedAt()
+      .setExpirationTime(`${expiresIn}s`)
+      .sign(privateKey);
+  }
+}
+
+export { RequestObjectSigner, X509_CLIENT_ID_SCHEMES };
@@ -0,0 +1,376 @@
+/**
+ * SD-JWT VC Issuance and Verification
+ *
+ * Selective Disclosure JWTs (RFC 9901) in the SD-JWT VC profile, for wallets
+ * that do not speak mso_mdoc.
+ *
+ * Format: <issuer-signed JWT>~<disclosure>~...~<key binding JWT or empty>
+ *
+ * Features:
+ * - Every claim selectively disclosable (nested objects get their own _sd digests)
+ * - Holder key binding via cnf.jwk and a kb+jwt over the presented disclosures (sd_hash)
+ * - Issuer certificate chain in the x5c header, validated against the IACA trust anchors
+ * - Duplicate, unreferenced and forged disclosures are rejected
+ */
+
+import crypto from 'crypto';
+import { SignJWT, jwtVerify, decodeJwt, decodeProtectedHeader, importJWK } from 'jose';
+import { pemToDer } from './cose.js';
+import { validateCertificateChain } from './mdoc-verifier.js';
+
+const SD_JWT_TYPE = 'vc+sd-jwt';
+const KB_JWT_TYPE = 'kb+jwt';
+const SD_ALG = 'sha-256';
+const ALGORITHM = 'ES256';
+const KB_JWT_MAX_AGE_SECONDS = 5 * 60;
+const CLOCK_TOLERANCE_SECONDS = 60;
+
+// Claims that always stay in the clear (SD-JWT VC §3.2.2.2)
+const NON_DISCLOSABLE_CLAIMS = new Set(['iss', 'nbf', 'exp', 'iat', 'cnf', 'vct', 'status', '_sd', '_sd_alg']);
+
+function digest(value) {
+  return crypto.createHash('sha256').update(value).digest('base64url');
+}
+
+function isPlainObject(value) {
+  return value !== null && typeof value === 'object' && !Array.isArray(value);
+}
+
+function createDisclosure(name, value) {
+  const salt = crypto.randomBytes(16).toString('base64url');
+  const disclosure = Buffer.from(JSON.stringify([salt, name, value])).toString('base64url');
+  return { disclosure, digest: digest(disclosure) };
+}
+
+/**
+ * Turn every property of `claims` into a disclosure, recursing into objects.
+ * Returns the payload fragment holding only the sorted _sd digests.
+ */
+function makeDisclosable(claims, disclosures) {
+  const digests = [];
+  for (const [name, value] of Object.entries(claims)) {
+    const disclosedValue = isPlainObject(value) ? makeDisclosable(value, disclosures) : value;
+    const { disclosure, digest: claimDigest } = createDisclosure(name, disclosedValue);
+    disclosures.push(disclosure);
+    digests.push(claimDigest);
+  }
+  // Sorted so the digest order says nothing about the claim order
+  return { _sd: digests.sort() };
+}
+
+function splitSDJWT(token) {
+  const parts = String(token).split('~');
+  if (parts.length < 2) {
+    throw new Error('Not an SD-JWT (missing ~ separator)');
+  }
+  return {
+    issuerJwt: parts[0],
+    disclosures: parts.slice(1, -1),
+    keyBindingJwt: parts[parts.length - 1] || null
+  };
+}
+
+function looksLikeSDJWT(token) {
+  return typeof token === 'string' && /^[\w-]+\.[\w-]+\.[\w-]+~/.test(token);
+}
+
+/**
+ * Issue an SD-JWT VC.
+ *
+ * @param {object} options
+ * @param {object} options.claims - credential claims, all selectively disclosable
+ * @param {object} options.issuerKey - private JWK of the Document Signer
+ * @param {string[]} options.x5Chain - PEM/DER issuer certificate chain (leaf first)
+ * @param {string} options.issuer - iss claim
+ * @param {string} options.vct - credential type
+ * @param {object} options.holderKey - holder public JWK bound via cnf
+ * @param {Date} [options.validUntil]
+ * @param {object} [options.status] - { status_list: { idx, uri } }, always in the clear
+ * @returns {Promise<{ credential: string, disclosures: string[], payload: object }>}
+ */
+async function issueSDJWT({ claims, issuerKey, x5Chain, issuer, vct, holderKey, validUntil, status }) {
+  if (!holderKey) {
+    throw new Error('A holder key is required for key binding');
+  }
+
+  const disclosures = [];
+  const { _sd } = makeDisclosable(claims, disclosures);
+  const { kty, crv, x, y } = holderKey;
+  const payload = {
+    iss: issuer,
+    vct,
+    _sd,
+    _sd_alg: SD_ALG,
+    cnf: { jwk: { kty, crv, x, y } },
+    ...(status && { status })
+  };
+
+  const jwt = new SignJWT(payload)
+    .setProtectedHeader({
+      alg: ALGORITHM,
+      typ: SD_JWT_TYPE,
+      x5c: x5Chain.map(cert => (Buffer.isBuffer(cert) ? cert : pemToDer(cert)).toString('base64'))
+    })
+    .setIssuedAt();
+  if (validUntil) {
+    jwt.setExpirationTime(Math.floor(validUntil.getTime() / 1000));
+  }
+
+  const issuerJwt = await jwt.sign(await importJWK(issuerKey, ALGORITHM));
+  return {
+    credential: `${issuerJwt}~${disclosures.map(d => `${d}~`).join('')}`,
+    disclosures,
+    payload
+  };
+}
+
+/**
+ * Decode the disclosures of an SD-JWT, keyed by digest.
+ */
+function decodeDisclosures(disclosures) {
+  const byDigest = new Map();
+  for (const disclosure of disclosures) {
+    const claimDigest = digest(disclosure);
+    if (byDigest.has(claimDigest)) {
+      throw new Error('Duplicate disclosure');
+    }
+    let decoded;
+    try {
+      decoded = JSON.parse(Buffer.from(disclosure, 'base64url').toString('utf8'));
+    } catch (error) {
+      throw new Error('Malformed disclosure');
+    }
+    if (!Array.isArray(decoded) || (decoded.length !== 3 && decoded.length !== 2)) {
+      throw new Error('Malformed disclosure');
+    }
+    byDigest.set(claimDigest, { disclosure, decoded });
+  }
+  return byDigest;
+}
+
+/**
+ * Rebuild the disclosed claims from the _sd digests; every disclosure must
+ * be referenced exactly once.
+ */
+function reconstructClaims(payload, byDigest) {
+  const used = new Set();
+
+  const resolve = value => {
+    if (Array.isArray(value)) {
+      const result = [];
+      for (const element of value) {
+        if (isPlainObject(element) && Object.keys(element).length === 1 && '...' in element) {
+          const entry = byDigest.get(element['...']);
+          if (!entry) continue;
+          if (used.has(element['...']) || entry.decoded.length !== 2) {
+            throw new Error('Invalid array element disclosure');
+          }
+          used.add(element['...']);
+          result.push(resolve(entry.decoded[1]));
+        } else {
+          result.push(resolve(element));
+        }
+      }
+      return result;
+    }
+    if (!isPlainObject(value)) {
+      return value;
+    }
+
+    const result = {};
+    for (const [name, claimValue] of Object.entries(value)) {
+      if (name !== '_sd' && name !== '_sd_alg') {
+        result[name] = resolve(claimValue);
+      }
+    }
+    for (const claimDigest of value._sd || []) {
+      const entry = byDigest.get(claimDigest);
+      if (!entry) continue; // undisclosed claim or decoy digest
+      if (used.has(claimDigest)) {
+        throw new Error('Disclosure digest referenced more than once');
+      }
+      used.add(claimDigest);
+      if (entry.decoded.length !== 3) {
+        throw new Error('Invalid object property disclosure');
+      }
+      const [, name, claimValue] = entry.decoded;
+      if (name === '_sd' || name === '...' || name in result) {
+        throw new Error(`Disclosure for "${name}" conflicts with an existing claim`);
+      }
+      result[name] = resolve(claimValue);
+    }
+    return result;
+  };
+
+  const claims = resolve(payload);
+  if (used.size !== byDigest.size) {
+    throw new Error('Disclosure not referenced by the issuer-signed JWT');
+  }
+  return claims;
+}
+
+/**
+ * Holder side: decode an SD-JWT with all of its disclosures, without
+ * verifying the issuer signature.
+ *
+ * @returns {{ header: object, payload: object, claims: object }}
+ */
+function decodeSDJWT(credential) {
+  const { issuerJwt, disclosures } = splitSDJWT(credential);
+  const payload = decodeJwt(issuerJwt);
+  return {
+    header: decodeProtectedHeader(issuerJwt),
+    payload,
+    claims: reconstructClaims(payload, decodeDisclosures(disclosures))
+  };
+}
+
+/**
+ * Holder side: present an SD-JWT with only some claims disclosed.
+ *
+ * @param {string} credential - SD-JWT as issued
+ * @param {object} options
+ * @param {function(string[]): boolean} options.disclose - called with each
+ *   claim path (e.g. ['given_name']); return true to disclose it
+ * @param {object} options.holderKey - private JWK matching cnf.jwk
+ * @param {string} options.audience - verifier client_id
+ * @param {string} options.nonce - verifier nonce
+ * @returns {Promise<string>} SD-JWT+KB
+ */
+async function presentSDJWT(credential, { disclose, holderKey, audience, nonce }) {
+  const { issuerJwt, disclosures } = splitSDJWT(credential);
+  const byDigest = decodeDisclosures(disclosures);
+  const [, payloadPart] = issuerJwt.split('.');
+  const payload = JSON.parse(Buffer.from(payloadPart, 'base64url').toString('utf8'));
+
+  // A nested claim can only be disclosed together with its parent
+  const selected = [];
+  const walk = (object, path) => {
+    for (const claimDigest of object._sd || []) {
+      const entry = byDigest.get(claimDigest);
+      if (!entry) continue;
+      const [, name, value] = entry.decoded;
+      if (disclose([...path, name])) {
+        selected.push(entry.disclosure);
+        if (isPlainObject(value)) walk(value, [...path, name]);
+      }
+    }
+  };
+  walk(payload, []);
+
+  const presented = `${issuerJwt}~${selected.map(d => `${d}~`).join('')}`;
+  const keyBindingJwt = await new SignJWT({ nonce, sd_hash: digest(presented) })
+    .setProtectedHeader({ alg: ALGORITHM, typ: KB_JWT_TYPE })
+    .setAudience(audience)
+    .setIssuedAt()
+    .sign(await importJWK(holderKey, ALGORITHM));
+
+  return presented + keyBindingJwt;
+}
+
+class SDJWTVerifier {
+  /**
+   * @param {object} options
+   * @param {string[]} options.trustAnchors - PEM encoded IACA root certificates
+   */
+  constructor({ trustAnchors = [] } = {}) {
+    this.trustAnchors = trustAnchors.map(pem => new crypto.X509Certificate(pem));
+  }
+
+  async verifyIssuerJwt(issuerJwt, now) {
+    const header = decodeProtectedHeader(issuerJwt);
+    if (header.typ !== SD_JWT_TYPE) {
+      throw new Error(`Unexpected SD-JWT typ "${header.typ}"`);
+    }
+    if (!Array.isArray(header.x5c) || header.x5c.length === 0) {
+      throw new Error('SD-JWT carries no x5c issuer certificate chain');
+    }
+
+    const x5chain = header.x5c.map(cert => Buffer.from(cert, 'base64'));
+    const { documentSigner, iaca } = validateCertificateChain(x5chain, this.trustAnchors, now);
+
+    const { payload } = await jwtVerify(issuerJwt, documentSigner.publicKey, {
+      algorithms: [ALGORITHM],
+      typ: SD_JWT_TYPE,
+      currentDate: now,
+      clockTolerance: CLOCK_TOLERANCE_SECONDS
+    });
+    if (payload._sd_alg && payload._sd_alg !== SD_ALG) {
+      throw new Error(`Unsupported _sd_alg: ${payload._sd_alg}`);
+    }
+
+    return { payload, issuer: { documentSigner: documentSigner.subject, iaca: iaca.subject } };
+  }
+
+  reconstructClaims(payload, byDigest) {
+    return reconstructClaims(payload, byDigest);
+  }
+
+  async verifyKeyBinding(keyBindingJwt, presented, holderJwk, { audience, nonce, now }) {
+    if (!keyBindingJwt) {
+      throw new Error('Key binding JWT is required');
+    }
+    if (!holderJwk) {
+      throw new Error('SD-JWT has no cnf.jwk holder key');
+    }
+    if (!nonce) {
+      throw new Error('A verifier nonce is required for key binding');
+    }
+
+    const { payload } = await jwtVerify(keyBindingJwt, await importJWK(holderJwk, ALGORITHM), {
+      algorithms: [ALGORITHM],
+      typ: KB_JWT_TYPE,
+      audience,
+      currentDate: now,
+      maxTokenAge: KB_JWT_MAX_AGE_SECONDS,
+      clockTolerance: CLOCK_TOLERANCE_SECONDS
+    });
+    if (payload.nonce !== nonce) {
+      throw new Error('Key binding JWT nonce does not match');
+    }
+    if (payload.sd_hash !== digest(presented)) {
+      throw new Error('Key binding JWT sd_hash does not match the presented disclosures');
+    }
+  }
+
+  /**
+   * Verify an SD-JWT VC presentation.
+   *
+   * @param {string} token - SD-JWT+KB
+   * @param {object} options
+   * @param {string} options.audience - expected kb+jwt aud (our client_id)
+   * @param {string} options.nonce - expected kb+jwt nonce
+   * @param {string} [options.vct] - required credential type
+   * @param {Date} [options.now]
+   * @returns {Promise<{ valid: boolean, vct?: string, claims?: object, issuer?: object, status?: object, error?: string }>}
+   */
+  async verifyPresentation(token, { audience, nonce, vct, now = new Date() }) {
+    try {
+      const { issuerJwt, disclosures, keyBindingJwt } = splitSDJWT(token);
+      const { payload, issuer } = await this.verifyIssuerJwt(issuerJwt, now);
+      if (vct && payload.vct !== vct) {
+        throw new Error(`Unexpected credential type "${payload.vct}"`);
+      }
+
+      const claims = this.reconstructClaims(payload, decodeDisclosures(disclosures));
+      const presented = `${issuerJwt}~${disclosures.map(d => `${d}~`).join('')}`;
+      await this.verifyKeyBinding(keyBindingJwt, presented, payload.cnf?.jwk, { audience, nonce, now });
+
+      for (const claim of NON_DISCLOSABLE_CLAIMS) {
+        delete claims[claim];
+      }
+      return { valid: true, vct: payload.vct, claims, issuer, status: payload.status };
+    } catch (error) {
+      return { valid: false, error: error.message };
+    }
+  }
+}
+
+export {
+  SD_JWT_TYPE,
+  SDJWTVerifier,
+  issueSDJWT,
+  presentSDJWT,
+  decodeSDJWT,
+  looksLikeSDJWT
+};
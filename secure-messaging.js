@@ -0,0 +1,199 @@
+/**
+ * eMRTD Secure Messaging
+ *
+ * Protects APDUs after BAC, PACE or Chip Authentication (ICAO Doc 9303
+ * Part 11, §9.8): command data is encrypted into DO87 (DO85 for odd INS,
+ * whose data is BER-TLV), the expected length travels in DO97, the status word in DO99, and every APDU carries a MAC
+ * (DO8E) over the send sequence counter (SSC) and the protected fields.
+ *
+ * Features:
+ * - 3DES (retail MAC, zero IV) and AES (CMAC, IV = E(KS_enc, SSC)) sessions
+ * - Terminal side: wrap commands, verify and decrypt responses
+ * - Chip side: verify and decrypt commands, wrap responses (for the virtual chip)
+ */
+
+import { decodeTLVList, findTag, encodeTLV } from './ber-tlv.js';
+import { SW, APDUError, encodeCommand, parseCommand, encodeResponse, parseResponse } from './apdu.js';
+import { blockSize, pad, unpad, encrypt, decrypt, computeMac } from './emrtd-crypto.js';
+
+const SM_TAGS = {
+  ENCRYPTED_DATA: 0x87,
+  ENCRYPTED_TLV_DATA: 0x85,
+  EXPECTED_LENGTH: 0x97,
+  STATUS_WORD: 0x99,
+  MAC: 0x8e
+};
+
+// CLA bits b3-b4: secure messaging with an authenticated header
+const SM_CLA = 0x0c;
+
+const isOddINS = ins => (ins & 0x01) === 0x01;
+
+class SecureMessaging {
+  /**
+   * @param {object} keys
+   * @param {string} keys.cipher - 3DES, AES-128, AES-192 or AES-256
+   * @param {Buffer} keys.encryptionKey - KS_enc
+   * @param {Buffer} keys.macKey - KS_mac
+   * @param {Buffer} [keys.ssc] - initial send sequence counter (BAC derives one; PACE and CA start at zero)
+   */
+  constructor({ cipher, encryptionKey, macKey, ssc }) {
+    this.cipher = cipher;
+    this.encryptionKey = encryptionKey;
+    this.macKey = macKey;
+    this.blockSize = blockSize(cipher);
+    this.ssc = Buffer.alloc(this.blockSize);
+    if (ssc) {
+      Buffer.from(ssc).copy(this.ssc, this.blockSize - ssc.length);
+    }
+  }
+
+  incrementSSC() {
+    for (let i = this.ssc.length - 1; i >= 0; i--) {
+      this.ssc[i] = (this.ssc[i] + 1) & 0xff;
+      if (this.ssc[i] !== 0) break;
+    }
+  }
+
+  // 3DES uses a zero IV; AES encrypts the SSC to get one
+  iv() {
+    return this.cipher === '3DES' ? Buffer.alloc(8) : encrypt(this.cipher, this.encryptionKey, this.ssc, null);
+  }
+
+  mac(...parts) {
+    return computeMac(this.cipher, this.macKey, pad(Buffer.concat([this.ssc, ...parts]), this.blockSize));
+  }
+
+  encryptedDataObject(data, ins = 0x00) {
+    if (!data || data.length === 0) {
+      return Buffer.alloc(0);
+    }
+    const ciphertext = encrypt(this.cipher, this.encryptionKey, pad(data, this.blockSize), this.iv());
+    if (isOddINS(ins)) {
+      return encodeTLV(SM_TAGS.ENCRYPTED_TLV_DATA, ciphertext);
+    }
+    // 01: padding indicator for ISO/IEC 9797-1 method 2
+    return encodeTLV(SM_TAGS.ENCRYPTED_DATA, Buffer.concat([Buffer.from([0x01]), ciphertext]));
+  }
+
+  decryptDataObject(node) {
+    if (!node) {
+      return Buffer.alloc(0);
+    }
+    const ciphertext = node.tag === SM_TAGS.ENCRYPTED_TLV_DATA ? node.value : node.value.subarray(1);
+    return Buffer.from(unpad(decrypt(this.cipher, this.encryptionKey, ciphertext, this.iv())));
+  }
+
+  findEncryptedData(nodes) {
+    return findTag(nodes, SM_TAGS.ENCRYPTED_DATA) || findTag(nodes, SM_TAGS.ENCRYPTED_TLV_DATA);
+  }
+
+  /**
+   * Terminal side: protect a command APDU.
+   *
+   * @param {object} command - { cla, ins, p1, p2, data, le } as for encodeCommand
+   * @returns {Buffer} protected APDU
+   */
+  wrapCommand({ cla = 0x00, ins, p1 = 0x00, p2 = 0x00, data, le }) {
+    this.incrementSSC();
+    const header = pad(Buffer.from([cla | SM_CLA, ins, p1, p2]), this.blockSize);
+    const encrypted = this.encryptedDataObject(data, ins);
+    const expectedLength = le !== undefined ? encodeTLV(SM_TAGS.EXPECTED_LENGTH, Buffer.from([le & 0xff])) : Buffer.alloc(0);
+    const mac = encodeTLV(SM_TAGS.MAC, this.mac(header, encrypted, expectedLength));
+    return encodeCommand({
+      cla: cla | SM_CLA,
+      ins,
+      p1,
+      p2,
+      data: Buffer.concat([encrypted, expectedLength, mac]),
+      le: 0x00
+    });
+  }
+
+  /**
+   * Terminal side: verify and decrypt a protected response. A chip that
+   * rejects secure messaging answers with a bare status word, which is
+   * returned as is.
+   *
+   * @returns {{ data: Buffer, sw: number }}
+   */
+  unwrapResponse(bytes) {
+    const { data, sw } = parseResponse(bytes);
+    this.incrementSSC();
+    if (data.length === 0 && sw !== SW.SUCCESS) {
+      return { data, sw };
+    }
+
+    const nodes = decodeTLVList(data);
+    const encrypted = this.findEncryptedData(nodes);
+    const status = findTag(nodes, SM_TAGS.STATUS_WORD);
+    const mac = findTag(nodes, SM_TAGS.MAC);
+    if (!mac || !status) {
+      throw new Error('Response is missing secure messaging data objects');
+    }
+    const expected = this.mac(encrypted ? encrypted.raw : Buffer.alloc(0), status.raw);
+    if (!expected.equals(mac.value)) {
+      throw new Error('Response MAC does not verify');
+    }
+    return { data: this.decryptDataObject(encrypted), sw: status.value.readUInt16BE(0) };
+  }
+
+  /**
+   * Chip side: verify and decrypt a protected command.
+   *
+   * @throws {APDUError} SW 6987 / 6988 when the protection is missing or wrong
+   */
+  unwrapCommand(bytes) {
+    const command = parseCommand(bytes);
+    if ((command.cla & SM_CLA) !== SM_CLA) {
+      throw new APDUError(SW.SM_DATA_MISSING);
+    }
+    this.incrementSSC();
+
+    let nodes;
+    try {
+      nodes = decodeTLVList(command.data);
+    } catch {
+      throw new APDUError(SW.SM_DATA_INCORRECT);
+    }
+    const encrypted = this.findEncryptedData(nodes);
+    const expectedLength = findTag(nodes, SM_TAGS.EXPECTED_LENGTH);
+    const mac = findTag(nodes, SM_TAGS.MAC);
+    if (!mac) {
+      throw new APDUError(SW.SM_DATA_MISSING);
+    }
+    const header = pad(Buffer.from([command.cla, command.ins, command.p1, command.p2]), this.blockSize);
+    const expected = this.mac(header, encrypted ? encrypted.raw : Buffer.alloc(0), expectedLength ? expectedLength.raw : Buffer.alloc(0));
+    if (!expected.equals(mac.value)) {
+      throw new APDUError(SW.SM_DATA_INCORRECT);
+    }
+
+    let data;
+    try {
+      data = this.decryptDataObject(encrypted);
+    } catch {
+      throw new APDUError(SW.SM_DATA_INCORRECT);
+    }
+    return {
+      cla: command.cla & ~SM_CLA,
+      ins: command.ins,
+      p1: command.p1,
+      p2: command.p2,
+      data,
+      ...(expectedLength && { le: expectedLength.value[0] || 256 })
+    };
+  }
+
+  /**
+   * Chip side: protect a response. Responses to odd INS carry their data in DO85.
+   */
+  wrapResponse(data, sw, ins = 0x00) {
+    this.incrementSSC();
+    const encrypted = this.encryptedDataObject(data, ins);
+    const status = encodeTLV(SM_TAGS.STATUS_WORD, Buffer.from([sw >> 8, sw & 0xff]));
+    const mac = encodeTLV(SM_TAGS.MAC, this.mac(encrypted, status));
+    return encodeResponse(Buffer.concat([encrypted, status, mac]), sw);
+  }
+}
+
+export { SecureMessaging, SM_TAGS };
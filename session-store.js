@@ -0,0 +1,251 @@
+/**
+ * Authentication Session Stores
+ *
+ * Pluggable storage for WebAuthService sessions with status-dependent TTLs
+ * and a background sweeper.
+ *
+ * Stores implement:
+ * - get(id)         → session record or null (expired records are never returned)
+ * - set(id, record) → persists the record and (re)computes its expiry from its status
+ * - delete(id)
+ * - findBy(field, value) → first unexpired session whose field equals value, or null
+ * - sweep()         → removes expired records, returns how many were removed
+ *
+ * Implementations:
+ * - MemorySessionStore: process-local Map
+ * - FileSessionStore: JSON file, survives restarts (single process only)
+ *
+ * The JSON file is the persistent backend: sessions live for minutes and one
+ * service process owns them, so no SQLite dependency is needed. Another
+ * backend (SQLite, Redis) only has to implement the methods above and be
+ * passed as `sessionStore` to WebAuthService.
+ */
+
+import { readFile } from 'fs/promises';
+import { RegistryStore } from './registry-store.js';
+
+const DEFAULT_TTLS = {
+  pending: 10 * 60, // a wallet presentation should not take longer than this
+  completed: 15 * 60, // long enough for the website callback / code exchange
+  failed: 5 * 60
+};
+const DEFAULT_SWEEP_INTERVAL_SECONDS = 60;
+
+class SessionStore {
+  constructor({ ttls = {}, sweepIntervalSeconds } = {}) {
+    this.ttls = { ...DEFAULT_TTLS, ...ttls };
+    this.sweepIntervalSeconds = sweepIntervalSeconds || DEFAULT_SWEEP_INTERVAL_SECONDS;
+    this.sweepTimer = null;
+  }
+
+  expiryFor(session) {
+    const ttl = this.ttls[session.status] ?? this.ttls.pending;
+    return Date.now() + ttl * 1000;
+  }
+
+  isExpired(entry) {
+    return entry.expiresAt <= Date.now();
+  }
+
+  startSweeper() {
+    if (this.sweepTimer) return;
+    this.sweepTimer = setInterval(async () => {
+      try {
+        const removed = await this.sweep();
+        if (removed > 0) {
+          console.log(`🧹 Swept ${removed} expired session(s)`);
+        }
+      } catch (error) {
+        console.error('❌ Session sweep failed:', error.message);
+      }
+    }, this.sweepIntervalSeconds * 1000);
+    // Never keep the process alive just for sweeping
+    this.sweepTimer.unref();
+  }
+
+  stopSweeper() {
+    clearInterval(this.sweepTimer);
+    this.sweepTimer = null;
+  }
+}
+
+class MemorySessionStore extends SessionStore {
+  constructor(options = {}) {
+    super(options);
+    this.entries = new Map(); // id -> { session, expiresAt }
+  }
+
+  async get(id) {
+    const entry = this.entries.get(id);
+    if (!entry) return null;
+    if (this.isExpired(entry)) {
+      this.entries.delete(id);
+      return null;
+    }
+    return entry.session;
+  }
+
+  async set(id, session) {
+    const expiresAt = this.expiryFor(session);
+    session.expiresAt = new Date(expiresAt).toISOString();
+    this.entries.set(id, { session, expiresAt });
+  }
+
+  async delete(id) {
+    this.entries.delete(id);
+  }
+
+  async findBy(field, value) {
+    for (const entry of this.entries.values()) {
+      if (!this.isExpired(entry) && entry.session[field] === value) {
+        return entry.session;
+      }
+    }
+    return null;
+  }
+
+  async sweep() {
+    let removed = 0;
+    for (const [id, entry] of this.entries) {
+      if (this.isExpired(entry)) {
+        this.entries.delete(id);
+        removed++;
+      }
+    }
+    return removed;
+  }
+}
+
+class FileSessionStore extends SessionStore {
+  constructor(filePath = 'auth-sessions.json', options = {}) {
+    super(options);
+    this.filePath = filePath;
+    this.store = new RegistryStore(filePath, () => ({}));
+    this.loaded = null; // Promise of the id -> { session, expiresAt } Map, read once
+    this.writeQueue = Promise.resolve();
+  }
+
+  load() {
+    // One read shared by every caller, so concurrent first calls see the same entries
+    this.loaded ||= readFile(this.filePath, 'utf8').then(
+      data => new Map(Object.entries(JSON.parse(data))),
+      error => {
+        if (error.code !== 'ENOENT') {
+          console.warn(`⚠️ Could not read session file ${this.filePath}: ${error.message}`);
+        }
+        return new Map();
+      }
+    );
+    return this.loaded;
+  }
+
+  persist() {
+    // Serialise writes; the file holds auth tokens, so it is readable by the owner only
+    const write = this.writeQueue.then(async () => this.store.write(Object.fromEntries(await this.loaded)));
+    // A failed write must not hold up the ones queued behind it
+    this.writeQueue = write.catch(() => {});
+    return write;
+  }
+
+  async get(id) {
+    const entries = await this.load();
+    const entry = entries.get(id);
+    if (!entry) return null;
+    if (this.isExpired(entry)) {
+      entries.delete(id);
+      await this.persist();
+      return null;
+    }
+    // Callers get a copy; changes only count once passed back to set()
+    return structuredClone(entry.session);
+  }
+
+  async set(id, session) {
+    const entries = await this.load();
+    const expiresAt = this.expiryFor(session);
+    session.expiresAt = new Date(expiresAt).toISOString();
+    entries.set(id, { session: structuredClone(session), expiresAt });
+    await this.persist();
+  }
+
+  async delete(id) {
+    const entries = await this.load();
+    if (entries.delete(id)) {
+      await this.persist();
+    }
+  }
+
+  async findBy(field, value) {
+    const entries = await this.load();
+    for (const entry of entries.values()) {
+      if (!this.isExpired(entry) && entry.session[field] === value) {
+        return structuredClone(entry.session);
+      }
+    }
+    return null;
+  }
+
+  async sweep() {
+    const entries = await this.load();
+    let removed = 0;
+    for (const [id, entry] of entries) {
+      if (this.isExpired(entry)) {
+        entries.delete(id);
+        removed++;
+      }
+    }
+    if (removed > 0) {
+      await this.persist();
+    }
+    return removed;
+  }
+}
+
+function createSessionStore(options = {}) {
+  const type = options.type || process.env.SESSION_STORE || 'memory';
+  const ttls = { ...options.ttls };
+  if (process.env.SESSION_PENDING_TTL_SECONDS) {
+    ttls.pending ??= parseInt(process.env.SESSION_PENDING_TTL_SECONDS);
+  }
+  if (process.env.SESSION_COMPLETED_TTL_SECONDS) {
+    ttls.completed ??= parseInt(process.env.SESSION_COMPLETED_TTL_SECONDS);
+  }
+
+  if (type === 'file') {
+    return new FileSessionStore(options.filePath || process.env.SESSION_STORE_FILE || 'auth-sessions.json', { ...options, ttls });
+  }
+  if (type === 'memory') {
+    return new MemorySessionStore({ ...options, ttls });
+  }
+  throw new Error(`Unknown session store type: ${type}`);
+}
+
+/**
+ * Public view of a session for status polling: no tokens, nonces or
+ * presentation internals.
+ */
+function toPublicSession(session) {
+  return {
+    id: session.id,
+    status: session.status,
+    website: session.website,
+    createdAt: session.createdAt,
+    completedAt: session.completedAt,
+    expiresAt: session.expiresAt,
+    ...(session.error && { error: session.error }),
+    ...(session.userInfo && {
+      userInfo: {
+        webId: session.userInfo.webId,
+        fullName: session.userInfo.fullName
+      }
+    })
+  };
+}
+
+export {
+  SessionStore,
+  MemorySessionStore,
+  FileSessionStore,
+  createSessionStore,
+  toPublicSession
+};
@@ -4,13 +4,36 @@
  * 
  * Sets up the required IACA and Document Signer certificates
  * for mDoc issuance with walt.id according to ISO 18013-5 standards.
+ *
+ * Modes:
+ * - walt.id (default): onboards through the issuer's /onboard/iso-mdl endpoints
+ * - local (--local): generates the certificates offline in Node.js
  */
 
 import axios from 'axios';
 import { writeFile } from 'fs/promises';
+import {
+  generateSigningKeys,
+  createIACACertificate,
+  createIACASignedCertificate
+} from './mdoc-certificates.js';
 
 const ISSUER_BASE = 'http://localhost:7002';
 
+const IACA_CERTIFICATE_DATA = {
+  country: "US",
+  commonName: "Passport IACA Test",
+  issuerAlternativeNameConf: {
+    uri: "https://passport-issuer.example.com"
+  }
+};
+
+const DOCUMENT_SIGNER_CERTIFICATE_DATA = {
+  country: "US",
+  commonName: "Passport Document Signer Test",
+  crlDistributionPointUri: "https://passport-issuer.example.com/crl"
+};
+
 class MDLPKISetup {
   constructor() {
     this.issuerBaseUrl = ISSUER_BASE;
@@ -20,13 +43,7 @@ class MDLPKISetup {
     console.log('🏛️ Onboarding IACA (Issuing Authority Certification Authority)...');
     
     const iacaRequest = {
-      certificateData: {
-        country: "US",
-        commonName: "Passport IACA Test",
-        issuerAlternativeNameConf: {
-          uri: "https://passport-issuer.example.com"
-        }
-      }
+      certificateData: IACA_CERTIFICATE_DATA
     };
 
     console.log('🔍 DEBUG: IACA request:', JSON.stringify(iacaRequest, null, 2));
@@ -57,11 +74,7 @@ class MDLPKISetup {
         iacaKey: iacaData.iacaKey,
         certificateData: iacaData.certificateData
       },
-      certificateData: {
-        country: "US",
-        commonName: "Passport Document Signer Test",
-        crlDistributionPointUri: "https://passport-issuer.example.com/crl"
-      }
+      certificateData: DOCUMENT_SIGNER_CERTIFICATE_DATA
     };
 
     console.log('🔍 DEBUG: DS request keys:', Object.keys(dsRequest));
@@ -84,15 +97,69 @@ class MDLPKISetup {
     }
   }
 
-  async setupFullPKI() {
-    console.log('🚀 Setting up mDoc PKI infrastructure...');
+  async generateLocalIACA() {
+    console.log('🏛️ Generating IACA root certificate locally...');
+
+    const signingKeys = await generateSigningKeys('P-256');
+    const certificateData = {
+      ...IACA_CERTIFICATE_DATA,
+      crlDistributionPointUri: DOCUMENT_SIGNER_CERTIFICATE_DATA.crlDistributionPointUri
+    };
+    const certificate = await createIACACertificate(certificateData, signingKeys);
+
+    console.log('✅ IACA certificate generated');
+    console.log('🔑 IACA Key ID:', signingKeys.jwk.kid);
+
+    return {
+      iacaKey: { type: 'jwk', jwk: signingKeys.jwk },
+      certificatePEM: certificate.toString('pem'),
+      certificateData: {
+        ...certificateData,
+        notBefore: certificate.notBefore.toISOString(),
+        notAfter: certificate.notAfter.toISOString()
+      },
+      // Kept in memory only, to sign the Document Signer certificate
+      signer: { ...signingKeys, certificate, certificateData }
+    };
+  }
+
+  async generateLocalDocumentSigner(iacaData) {
+    console.log('📝 Generating Document Signer certificate locally...');
+
+    const signingKeys = await generateSigningKeys('P-256');
+    const certificate = await createIACASignedCertificate(DOCUMENT_SIGNER_CERTIFICATE_DATA, signingKeys, iacaData.signer);
+
+    console.log('✅ Document Signer certificate generated');
+    console.log('🔑 DS Key ID:', signingKeys.jwk.kid);
+
+    return {
+      documentSignerKey: { type: 'jwk', jwk: signingKeys.jwk },
+      certificatePEM: certificate.toString('pem'),
+      certificateData: {
+        ...DOCUMENT_SIGNER_CERTIFICATE_DATA,
+        notBefore: certificate.notBefore.toISOString(),
+        notAfter: certificate.notAfter.toISOString()
+      }
+    };
+  }
+
+  async setupFullPKI({ local = false } = {}) {
+    console.log(`🚀 Setting up mDoc PKI infrastructure (${local ? 'local' : 'walt.id'} mode)...`);
     
     try {
-      // Step 1: Onboard IACA
-      const iacaData = await this.onboardIACA();
-      
-      // Step 2: Onboard Document Signer
-      const dsData = await this.onboardDocumentSigner(iacaData);
+      let iacaData, dsData;
+
+      if (local) {
+        iacaData = await this.generateLocalIACA();
+        dsData = await this.generateLocalDocumentSigner(iacaData);
+        delete iacaData.signer;
+      } else {
+        // Step 1: Onboard IACA
+        iacaData = await this.onboardIACA();
+        
+        // Step 2: Onboard Document Signer
+        dsData = await this.onboardDocumentSigner(iacaData);
+      }
       
       // Combine all data for mDoc issuance
       const pkiSetup = {
@@ -101,7 +168,8 @@ class MDLPKISetup {
         setup: {
           issuerKey: dsData.documentSignerKey,
           x5Chain: [dsData.certificatePEM],
-          createdAt: new Date().toISOString()
+          createdAt: new Date().toISOString(),
+          mode: local ? 'local' : 'waltid'
         }
       };
       
@@ -124,6 +192,11 @@ class MDLPKISetup {
   }
 }
 
+async function setupMDocPKI(options = {}) {
+  const local = options.local ?? process.env.MDOC_PKI_MODE === 'local';
+  return new MDLPKISetup().setupFullPKI({ local });
+}
+
 // CLI Interface
 async function main() {
   const args = process.argv.slice(2);
@@ -133,23 +206,25 @@ async function main() {
 🎫 mDoc PKI Setup
 
 Usage:
-  node setup-mdoc-pki.js
+  node setup-mdoc-pki.js [--local]
 
 This script sets up the required PKI infrastructure for mDoc issuance:
 1. Creates an IACA (Issuing Authority Certification Authority)
 2. Creates a Document Signer certificate
 3. Saves the configuration for use with the mDoc issuer
 
+Options:
+  --local   Generate the certificates offline (no walt.id issuer needed).
+            Also enabled by MDOC_PKI_MODE=local.
+
 Output:
   - mdoc-pki-setup.json: Contains all PKI data for mDoc issuance
     `);
     process.exit(0);
   }
 
-  const setup = new MDLPKISetup();
-  
   try {
-    await setup.setupFullPKI();
+    await setupMDocPKI({ local: args.includes('--local') || undefined });
     console.log('\n🎯 Next Step: Use this PKI setup with the mDoc issuer');
     console.log('   node mdoc-issuer.js --web-id="your@email.com" --use-pki');
   } catch (error) {
@@ -158,10 +233,10 @@ Output:
   }
 }
 
-// Run if called directly
-if (import.meta.url === `file:///${process.argv[1].replace(/\\/g, '/')}` || 
-    import.meta.url.endsWith('setup-mdoc-pki.js')) {
+// Run if called directly (not when imported by the UI server)
+if (import.meta.url === `file:///${process.argv[1].replace(/\\/g, '/')}` ||
+    import.meta.url === `file://${process.argv[1]}`) {
   main();
 }
 
-export { MDLPKISetup };
+export { MDLPKISetup, setupMDocPKI };
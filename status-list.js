@@ -0,0 +1,302 @@
+#!/usr/bin/env node
+/**
+ * Token Status Lists for Issued Passport Credentials
+ *
+ * Every credential signed by the local backend gets an index in a status
+ * list (IETF OAuth Token Status List, 2 bits per credential), so it can be
+ * revoked or suspended when a passport is reported lost. Credentials carry
+ * the reference as `status: { status_list: { idx, uri } }` (in the MSO for
+ * mDocs, as a clear claim for SD-JWT VCs).
+ *
+ * Features:
+ * - File-backed registry (status-list.json) handing out random, unused indexes, one allocation at a time
+ * - Entries keyed by passport number hash and web ID for revoke / suspend / reinstate
+ * - Status List Tokens (statuslist+jwt) signed by the Document Signer with an x5c chain
+ * - Verifier-side status lookup with caching for the token's ttl
+ * - CLI for the registry
+ */
+
+import crypto from 'crypto';
+import zlib from 'zlib';
+import axios from 'axios';
+import { SignJWT, jwtVerify, decodeProtectedHeader, importJWK } from 'jose';
+import { pemToDer } from './cose.js';
+import { validateCertificateChain } from './mdoc-verifier.js';
+import { RegistryStore, hashDocumentNumber } from './registry-store.js';
+
+const TOKEN_STATUS = { VALID: 0, INVALID: 1, SUSPENDED: 2 };
+const STATUS_NAMES = { 0: 'valid', 1: 'revoked', 2: 'suspended' };
+const STATUS_BITS = 2;
+const STATUS_LIST_TOKEN_TYPE = 'statuslist+jwt';
+
+const DEFAULT_REGISTRY_FILE = 'status-list.json';
+const DEFAULT_LIST_SIZE = 65536;
+const DEFAULT_TOKEN_TTL_SECONDS = 5 * 60;
+
+/**
+ * Pack one status per index, least significant bits first, and compress
+ * (ZLIB) as the `lst` of a status list.
+ */
+function encodeStatusList(statuses, bits = STATUS_BITS) {
+  const bytes = Buffer.alloc(Math.ceil(statuses.length * bits / 8));
+  statuses.forEach((status, index) => {
+    const position = index * bits;
+    bytes[position >> 3] |= (status & ((1 << bits) - 1)) << (position & 7);
+  });
+  return { bits, lst: zlib.deflateSync(bytes).toString('base64url') };
+}
+
+function readStatus({ bits, lst }, index) {
+  if (![1, 2, 4, 8].includes(bits)) {
+    throw new Error(`Unsupported status list bits: ${bits}`);
+  }
+  const bytes = zlib.inflateSync(Buffer.from(lst, 'base64url'));
+  const position = index * bits;
+  if (!Number.isInteger(index) || index < 0 || (position >> 3) >= bytes.length) {
+    throw new Error(`Status list index ${index} out of range`);
+  }
+  return (bytes[position >> 3] >> (position & 7)) & ((1 << bits) - 1);
+}
+
+class StatusListRegistry {
+  constructor({ file = DEFAULT_REGISTRY_FILE, uri, size = DEFAULT_LIST_SIZE } = {}) {
+    this.file = file;
+    // No default: a guessed URI (e.g. a localhost port another service uses) makes every status check fail
+    this.uri = uri || process.env.STATUS_LIST_URI || null;
+    this.size = size;
+    // The URI is fixed when the list is created; issued credentials point at it
+    this.store = new RegistryStore(file, () => ({ uri: this.uri, bits: STATUS_BITS, size: this.size, entries: {} }));
+  }
+
+  async load() {
+    return await this.store.read();
+  }
+
+  /**
+   * Reserve an index for a new credential.
+   *
+   * @returns {Promise<{ status_list: { idx: number, uri: string } }>} reference to embed in the credential
+   */
+  async allocate({ documentNumber, webId, format }) {
+    return await this.store.update(({ entries, size, uri }) => {
+      if (!uri) {
+        throw new Error('No status list URI configured: set STATUS_LIST_URI to the /status-list URL of the passport reader server');
+      }
+      if (Object.keys(entries).length >= size) {
+        throw new Error('Status list is full');
+      }
+
+      // Random indexes so neighbouring credentials do not reveal issuance order
+      let idx;
+      do {
+        idx = crypto.randomInt(size);
+      } while (entries[idx]);
+
+      const now = new Date().toISOString();
+      entries[idx] = {
+        status: TOKEN_STATUS.VALID,
+        documentNumberHash: hashDocumentNumber(documentNumber),
+        webId,
+        format,
+        issuedAt: now,
+        updatedAt: now
+      };
+      return { status_list: { idx, uri } };
+    });
+  }
+
+  matches(entry, { documentNumber, webId }) {
+    return (documentNumber !== undefined && entry.documentNumberHash === hashDocumentNumber(documentNumber)) ||
+      (webId !== undefined && entry.webId === webId);
+  }
+
+  async find(query = {}) {
+    const { entries } = await this.load();
+    return Object.entries(entries)
+      .filter(([, entry]) => (query.documentNumber === undefined && query.webId === undefined) || this.matches(entry, query))
+      .map(([idx, entry]) => ({ idx: Number(idx), ...entry, statusName: STATUS_NAMES[entry.status] }));
+  }
+
+  /**
+   * Set the status of every credential issued for a passport number or web ID.
+   *
+   * @returns {Promise<number[]>} indexes that changed
+   */
+  async updateStatus(query, status) {
+    if (query.documentNumber === undefined && query.webId === undefined) {
+      throw new Error('A passport number or web ID is required');
+    }
+    if (!Object.values(TOKEN_STATUS).includes(status)) {
+      throw new Error(`Unknown status: ${status}`);
+    }
+
+    return await this.store.update(({ entries }) => {
+      const changed = [];
+      for (const [idx, entry] of Object.entries(entries)) {
+        if (!this.matches(entry, query) || entry.status === status) continue;
+        // Revocation is final
+        if (entry.status === TOKEN_STATUS.INVALID) continue;
+        entry.status = status;
+        entry.updatedAt = new Date().toISOString();
+        changed.push(Number(idx));
+      }
+      return changed;
+    });
+  }
+
+  async buildStatusList() {
+    const { entries, size, bits } = await this.load();
+    const statuses = new Uint8Array(size);
+    for (const [idx, entry] of Object.entries(entries)) {
+      statuses[idx] = entry.status;
+    }
+    return encodeStatusList(statuses, bits);
+  }
+
+  /**
+   * Status List Token for publication at the list URI.
+   *
+   * @param {object} options
+   * @param {object} options.issuerKey - Document Signer private JWK
+   * @param {string[]} options.x5Chain - Document Signer certificate chain (PEM)
+   * @param {number} [options.ttlSeconds] - how long relying parties may cache the token
+   */
+  async issueStatusListToken({ issuerKey, x5Chain, ttlSeconds = DEFAULT_TOKEN_TTL_SECONDS }) {
+    const { uri } = await this.load();
+    const now = Math.floor(Date.now() / 1000);
+
+    return new SignJWT({ status_list: await this.buildStatusList(), ttl: ttlSeconds })
+      .setProtectedHeader({
+        alg: 'ES256',
+        typ: STATUS_LIST_TOKEN_TYPE,
+        x5c: x5Chain.map(cert => (Buffer.isBuffer(cert) ? cert : pemToDer(cert)).toString('base64'))
+      })
+      .setSubject(uri)
+      .setIssuedAt(now)
+      .setExpirationTime(now + 2 * ttlSeconds)
+      .sign(await importJWK(issuerKey, 'ES256'));
+  }
+}
+
+class StatusListVerifier {
+  /**
+   * @param {object} options
+   * @param {string[]} options.trustAnchors - PEM IACA certificates the list signer must chain to
+   */
+  constructor({ trustAnchors = [] } = {}) {
+    this.trustAnchors = trustAnchors.map(pem => new crypto.X509Certificate(pem));
+    this.cache = new Map(); // uri -> { statusList, fetchedUntil }
+  }
+
+  async fetchStatusList(uri) {
+    const cached = this.cache.get(uri);
+    if (cached && cached.fetchedUntil > Date.now()) {
+      return cached.statusList;
+    }
+
+    const { data } = await axios.get(uri, {
+      headers: { Accept: `application/${STATUS_LIST_TOKEN_TYPE}` },
+      responseType: 'text'
+    });
+    const token = String(data).trim();
+
+    const header = decodeProtectedHeader(token);
+    if (!Array.isArray(header.x5c) || header.x5c.length === 0) {
+      throw new Error('Status list token carries no x5c certificate chain');
+    }
+    const { documentSigner } = validateCertificateChain(header.x5c.map(cert => Buffer.from(cert, 'base64')), this.trustAnchors);
+    const { payload } = await jwtVerify(token, documentSigner.publicKey, {
+      algorithms: ['ES256'],
+      typ: STATUS_LIST_TOKEN_TYPE,
+      subject: uri
+    });
+    if (!payload.status_list?.lst) {
+      throw new Error('Status list token has no status_list');
+    }
+
+    const ttlSeconds = Math.min(payload.ttl || 0, payload.exp - Math.floor(Date.now() / 1000));
+    this.cache.set(uri, { statusList: payload.status_list, fetchedUntil: Date.now() + Math.max(ttlSeconds, 0) * 1000 });
+    return payload.status_list;
+  }
+
+  /**
+   * Status of a credential from its `status` claim / MSO entry.
+   *
+   * @returns {Promise<number>} one of TOKEN_STATUS
+   */
+  async checkStatus(status) {
+    const { idx, uri } = status?.status_list || {};
+    if (idx === undefined || !uri) {
+      throw new Error('Credential status has no status_list reference');
+    }
+    return readStatus(await this.fetchStatusList(uri), idx);
+  }
+}
+
+// CLI usage
+async function main() {
+  const [command, ...rest] = process.argv.slice(2);
+  const option = name => rest.find(arg => arg.startsWith(`--${name}=`))?.slice(name.length + 3);
+
+  if (!command || command === '--help') {
+    console.log(`
+📋 Credential Status List
+
+Usage:
+  node status-list.js revoke    --passport-number=NUMBER | --web-id=ID
+  node status-list.js suspend   --passport-number=NUMBER | --web-id=ID
+  node status-list.js reinstate --passport-number=NUMBER | --web-id=ID
+  node status-list.js show      [--passport-number=NUMBER | --web-id=ID]
+
+Options:
+  --file=FILE   Registry file (default: ${DEFAULT_REGISTRY_FILE}, or STATUS_LIST_FILE)
+
+Revocation is final; suspended credentials can be reinstated. Relying parties
+see a change once their cached status list token expires (STATUS_LIST_TTL_SECONDS).
+    `);
+    process.exit(0);
+  }
+
+  const registry = new StatusListRegistry({ file: option('file') || process.env.STATUS_LIST_FILE || DEFAULT_REGISTRY_FILE });
+  const query = {
+    ...(option('passport-number') !== undefined && { documentNumber: option('passport-number') }),
+    ...(option('web-id') !== undefined && { webId: option('web-id') })
+  };
+
+  try {
+    const statuses = { revoke: TOKEN_STATUS.INVALID, suspend: TOKEN_STATUS.SUSPENDED, reinstate: TOKEN_STATUS.VALID };
+    if (command in statuses) {
+      const changed = await registry.updateStatus(query, statuses[command]);
+      console.log(changed.length > 0
+        ? `✅ ${changed.length} credential(s) now ${STATUS_NAMES[statuses[command]]}: index ${changed.join(', ')}`
+        : '⚠️ No matching credentials changed');
+    } else if (command === 'show') {
+      const entries = await registry.find(query);
+      if (entries.length === 0) {
+        console.log('📋 No matching credentials');
+      }
+      for (const entry of entries) {
+        console.log(`${String(entry.idx).padStart(5)}  ${entry.statusName.padEnd(9)} ${entry.format.padEnd(11)} ${entry.webId}  ${entry.issuedAt}`);
+      }
+    } else {
+      throw new Error(`Unknown command: ${command}`);
+    }
+  } catch (error) {
+    console.error('❌', error.message);
+    process.exit(1);
+  }
+}
+
+if (import.meta.url === `file://${process.argv[1]}`) {
+  main();
+}
+
+export {
+  TOKEN_STATUS,
+  STATUS_NAMES,
+  StatusListRegistry,
+  StatusListVerifier,
+  hashDocumentNumber,
+  encodeStatusList,
+  readStatus
+};
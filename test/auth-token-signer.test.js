@@ -0,0 +1,121 @@
+/**
+ * Auth tokens: ES256 signatures checked against the published JWKS, key
+ * rotation and retirement, lifetime and audience binding.
+ */
+
+import { test, before, after, mock } from 'node:test';
+import assert from 'node:assert/strict';
+import http from 'http';
+import { createLocalJWKSet, decodeProtectedHeader, jwtVerify } from 'jose';
+import { AuthTokenSigner, TOKEN_TYPES } from '../auth-token-signer.js';
+import { WebAuthService } from '../web-auth-service.js';
+
+const ISSUER = 'https://auth.example.com';
+const SUBJECT = 'https://anna.example.com/profile#me';
+const DAY = 24 * 60 * 60;
+
+before(() => {
+  mock.method(console, 'log', () => {});
+});
+after(() => {
+  mock.restoreAll();
+});
+
+const sign = (signer, options = {}) => signer.sign({ name: 'Anna' }, {
+  subject: SUBJECT,
+  audience: 'shop.example.com',
+  type: TOKEN_TYPES.AUTH,
+  ...options
+});
+
+test('tokens verify against the published JWKS', async () => {
+  const signer = new AuthTokenSigner({ issuer: ISSUER });
+  const { token, expiresAt, jti } = await sign(signer);
+
+  const header = decodeProtectedHeader(token);
+  assert.equal(header.alg, 'ES256');
+  const jwks = await signer.getJWKS();
+  assert.deepEqual(jwks.keys.map(key => key.kid), [header.kid]);
+  assert.equal(jwks.keys[0].d, undefined);
+
+  const { payload } = await jwtVerify(token, createLocalJWKSet(jwks), { issuer: ISSUER, audience: 'shop.example.com' });
+  assert.equal(payload.sub, SUBJECT);
+  assert.equal(payload.name, 'Anna');
+  assert.equal(payload.jti, jti);
+  assert.equal(payload.exp, expiresAt);
+  assert.equal(payload.exp - payload.iat, DAY);
+});
+
+test('tokens are bound to their audience and issuer', async () => {
+  const signer = new AuthTokenSigner({ issuer: ISSUER });
+  const { token } = await sign(signer);
+  assert.equal((await signer.verify(token, { type: TOKEN_TYPES.AUTH, audience: 'shop.example.com' })).sub, SUBJECT);
+  await assert.rejects(signer.verify(token, { type: TOKEN_TYPES.AUTH, audience: 'other.example.com' }), /"aud"/);
+
+  const otherIssuer = new AuthTokenSigner({ issuer: 'https://other.example.com' });
+  otherIssuer.keys = signer.keys;
+  await assert.rejects(otherIssuer.verify(token, { type: TOKEN_TYPES.AUTH }), /"iss"/);
+
+  await assert.rejects(sign(signer, { audience: undefined }), /subject and audience are required/);
+  assert.throws(() => new AuthTokenSigner(), /Token issuer is required/);
+});
+
+test('lifetimes never exceed the token TTL', async () => {
+  const signer = new AuthTokenSigner({ issuer: ISSUER, tokenTtlSeconds: 600 });
+  const short = await jwtVerify((await sign(signer, { expiresIn: 60 })).token, createLocalJWKSet(await signer.getJWKS()));
+  assert.equal(short.payload.exp - short.payload.iat, 60);
+  const capped = await jwtVerify((await sign(signer, { expiresIn: DAY })).token, createLocalJWKSet(await signer.getJWKS()));
+  assert.equal(capped.payload.exp - capped.payload.iat, 600);
+});
+
+test('rotated keys stay published until their tokens have expired', async () => {
+  const signer = new AuthTokenSigner({ issuer: ISSUER, tokenTtlSeconds: 3600, rotationIntervalSeconds: DAY });
+  const { token: oldToken } = await sign(signer);
+  const oldKid = decodeProtectedHeader(oldToken).kid;
+
+  // Once the rotation interval has passed, the next token gets a new key
+  signer.keys[0].createdAt -= DAY * 1000;
+  const { token: newToken } = await sign(signer);
+  const newKid = decodeProtectedHeader(newToken).kid;
+  assert.notEqual(newKid, oldKid);
+  assert.deepEqual((await signer.getJWKS()).keys.map(key => key.kid), [newKid, oldKid]);
+  assert.equal((await signer.verify(oldToken, { type: TOKEN_TYPES.AUTH })).sub, SUBJECT);
+
+  // A retired key goes once every token it signed has expired
+  signer.keys[1].retiredAt -= 3600 * 1000;
+  assert.deepEqual((await signer.getJWKS()).keys.map(key => key.kid), [newKid]);
+  await assert.rejects(signer.verify(oldToken, { type: TOKEN_TYPES.AUTH }));
+});
+
+test('the web auth service publishes its JWKS and keeps passport numbers out of auth tokens', async () => {
+  const service = new WebAuthService(0, { baseUrl: ISSUER, clientIdScheme: 'redirect_uri' });
+  const server = http.createServer(service.app);
+  await new Promise(resolve => server.listen(0, 'localhost', resolve));
+
+  try {
+    const token = await service.generateAuthToken({
+      webId: SUBJECT,
+      fullName: 'Anna Maria Eriksson',
+      nationality: 'UTO',
+      documentNumber: 'L898902C3',
+      nfcVerified: true,
+      verificationLevel: 'passive_authentication',
+      authenticationMethod: 'passport_mdoc',
+      ageOver: { 18: true }
+    }, { id: 'session-1', website: 'shop.example.com' });
+
+    const response = await fetch(`http://localhost:${server.address().port}/.well-known/jwks.json`);
+    const { payload } = await jwtVerify(token, createLocalJWKSet(await response.json()), {
+      issuer: ISSUER,
+      audience: 'shop.example.com',
+      typ: TOKEN_TYPES.AUTH
+    });
+    assert.equal(payload.sub, SUBJECT);
+    assert.equal(payload.sid, 'session-1');
+    assert.equal(payload.age_over_18, true);
+    assert.ok(!JSON.stringify(payload).includes('L898902C3'));
+  } finally {
+    server.closeAllConnections();
+    await new Promise(resolve => server.close(resolve));
+  }
+});
@@ -0,0 +1,183 @@
+/**
+ * Chip and Active Authentication: AA signatures over challenges, both
+ * protocols against the utopia-td3 chip, and how their outcomes decide the
+ * verification level and method of a chip read.
+ */
+
+import { test, before, after, mock } from 'node:test';
+import assert from 'node:assert/strict';
+import crypto from 'crypto';
+import path from 'path';
+import { readFile } from 'fs/promises';
+import { fileURLToPath } from 'url';
+import { VirtualPassportChip } from '../virtual-chip.js';
+import { ChipSession } from '../chip-session.js';
+import { PassportDataReader } from '../passport-nfc-reader.js';
+import { CSCAMasterList } from '../passive-authentication.js';
+import { loadLDSDirectory, parseLDS } from '../lds.js';
+import {
+  PROTOCOL_STATUSES,
+  CHIP_AUTHENTICATION_PROTOCOLS,
+  verifyActiveAuthenticationSignature,
+  signActiveAuthenticationChallenge,
+  performActiveAuthentication,
+  performChipAuthentication
+} from '../chip-authentication.js';
+import { WEBAUTH_NAMESPACE, VERIFICATION_LEVELS, VERIFICATION_METHODS } from '../passport-doctype.js';
+
+const FIXTURES = path.join(path.dirname(fileURLToPath(import.meta.url)), '..', 'fixtures', 'lds');
+const UTOPIA = path.join(FIXTURES, 'utopia-td3');
+const CHIP_KEYS = path.join(FIXTURES, 'utopia-chip-keys.json');
+const ACCESS_KEY = { documentNumber: 'L898902C3', dateOfBirth: '1974-08-12', expiryDate: '2034-04-15' };
+const ECDSA_SHA256 = '0.4.0.127.0.7.1.1.4.1.3';
+
+let lds;
+let keys;
+let reader;
+
+before(async () => {
+  mock.method(console, 'log', () => {});
+  lds = await loadLDSDirectory(UTOPIA);
+  const keysFile = JSON.parse(await readFile(CHIP_KEYS, 'utf8'));
+  keys = {
+    activeAuthentication: crypto.createPrivateKey({ key: keysFile.activeAuthentication.privateKey, format: 'jwk' }),
+    chipAuthentication: crypto.createPrivateKey({ key: keysFile.chipAuthentication.privateKey, format: 'jwk' })
+  };
+  reader = new PassportDataReader({ masterList: await CSCAMasterList.load(path.join(FIXTURES, 'utopia-csca.cer')) });
+});
+after(() => {
+  mock.restoreAll();
+});
+
+const openSession = (chipKeys = keys) => ChipSession.open(new VirtualPassportChip(lds, { keys: chipKeys }), ACCESS_KEY, { protocol: 'bac' });
+
+test('RSA Active Authentication signatures recover the ISO/IEC 9796-2 message', () => {
+  const { privateKey, publicKey } = crypto.generateKeyPairSync('rsa', { modulusLength: 1024 });
+  const challenge = crypto.randomBytes(8);
+  for (const digest of ['sha1', 'sha256']) {
+    const signature = signActiveAuthenticationChallenge(privateKey, challenge, { digest });
+    assert.equal(signature.length, 128);
+    assert.equal(verifyActiveAuthenticationSignature(publicKey, challenge, signature), true, digest);
+    assert.equal(verifyActiveAuthenticationSignature(publicKey, crypto.randomBytes(8), signature), false, digest);
+  }
+
+  const signature = signActiveAuthenticationChallenge(privateKey, challenge);
+  assert.throws(() => verifyActiveAuthenticationSignature(publicKey, challenge, signature.subarray(1)),
+    /signature is 127 bytes, expected 128/);
+  // Chips may answer n - s instead of s
+  const modulus = BigInt(`0x${Buffer.from(publicKey.export({ format: 'jwk' }).n, 'base64url').toString('hex')}`);
+  const complement = Buffer.from((modulus - BigInt(`0x${signature.toString('hex')}`)).toString(16).padStart(256, '0'), 'hex');
+  assert.equal(verifyActiveAuthenticationSignature(publicKey, challenge, complement), true);
+});
+
+test('ECDSA Active Authentication needs the DG14 signature algorithm', () => {
+  const { privateKey, publicKey } = crypto.generateKeyPairSync('ec', { namedCurve: 'prime256v1' });
+  const challenge = crypto.randomBytes(8);
+  const signature = signActiveAuthenticationChallenge(privateKey, challenge);
+  assert.equal(signature.length, 64);
+  assert.equal(verifyActiveAuthenticationSignature(publicKey, challenge, signature, ECDSA_SHA256), true);
+  assert.equal(verifyActiveAuthenticationSignature(publicKey, crypto.randomBytes(8), signature, ECDSA_SHA256), false);
+
+  // DER signatures from non-conforming chips are accepted too
+  const der = crypto.sign('sha256', challenge, privateKey);
+  assert.equal(verifyActiveAuthenticationSignature(publicKey, challenge, der, ECDSA_SHA256), true);
+
+  assert.throws(() => verifyActiveAuthenticationSignature(publicKey, challenge, signature),
+    /unsupported ECDSA Active Authentication algorithm \(none in DG14\)/);
+  const ed25519 = crypto.generateKeyPairSync('ed25519').publicKey;
+  assert.throws(() => verifyActiveAuthenticationSignature(ed25519, challenge, signature),
+    /unsupported Active Authentication key type ed25519/);
+});
+
+test('Active Authentication reports its outcome instead of throwing', async () => {
+  const answering = privateKey => ({ internalAuthenticate: async challenge => signActiveAuthenticationChallenge(privateKey, challenge) });
+  const { dataGroups } = lds;
+
+  assert.deepEqual(await performActiveAuthentication(answering(keys.activeAuthentication), {}),
+    { status: PROTOCOL_STATUSES.NOT_SUPPORTED });
+  assert.deepEqual(await performActiveAuthentication(answering(keys.activeAuthentication), { dg15: dataGroups[15], dg14: dataGroups[14] }),
+    { status: PROTOCOL_STATUSES.SUCCEEDED, keyType: 'rsa' });
+
+  const impostor = crypto.generateKeyPairSync('rsa', { modulusLength: 1024 }).privateKey;
+  const cloned = await performActiveAuthentication(answering(impostor), { dg15: dataGroups[15] });
+  assert.equal(cloned.status, PROTOCOL_STATUSES.FAILED);
+  assert.equal(cloned.keyType, 'rsa');
+
+  const refusing = { internalAuthenticate: async () => { throw new Error('6D00: instruction not supported'); } };
+  assert.deepEqual(await performActiveAuthentication(refusing, { dg15: dataGroups[15] }),
+    { status: PROTOCOL_STATUSES.FAILED, keyType: 'rsa', error: '6D00: instruction not supported' });
+  assert.equal((await performActiveAuthentication(refusing, { dg15: Buffer.from('not a DG15') })).status, PROTOCOL_STATUSES.FAILED);
+});
+
+test('Chip Authentication restarts secure messaging under keys only the chip can derive', async () => {
+  const session = await openSession();
+  const result = await performChipAuthentication(session, { dg14: lds.dataGroups[14] });
+  assert.equal(result.status, PROTOCOL_STATUSES.SUCCEEDED, result.error);
+  const protocol = Object.values(CHIP_AUTHENTICATION_PROTOCOLS).find(candidate => candidate.name === result.protocol);
+  assert.equal(protocol.agreement, 'ec');
+  assert.equal(result.cipher, protocol.cipher);
+  // The session keeps working under the new keys
+  assert.deepEqual(await session.readDataGroup(1), lds.dataGroups[1]);
+
+  assert.deepEqual(await performChipAuthentication(session, {}), { status: PROTOCOL_STATUSES.NOT_SUPPORTED });
+  const unparsable = await performChipAuthentication(session, { dg14: Buffer.from([0x6e, 0x01, 0x00]) });
+  assert.equal(unparsable.status, PROTOCOL_STATUSES.FAILED);
+  assert.match(unparsable.error, /^DG14 could not be parsed: /);
+});
+
+test('the verification method names the protocol that proved the chip genuine', async () => {
+  const read = async (omit, chipKeys) => {
+    const session = await openSession(chipKeys);
+    const files = await session.readLDS();
+    for (const number of omit) delete files.dataGroups[number];
+    return await reader.readChipFiles(files, { chip: session });
+  };
+  const webAuth = passportData => passportData.data[WEBAUTH_NAMESPACE];
+
+  const both = await read([]);
+  assert.equal(webAuth(both).passport_verification_level, VERIFICATION_LEVELS.CLONE_RESISTANT);
+  assert.equal(webAuth(both).verification_method, VERIFICATION_METHODS.CHIP_AUTHENTICATION);
+
+  const activeOnly = await read([14], { activeAuthentication: keys.activeAuthentication });
+  assert.equal(webAuth(activeOnly).passport_verification_level, VERIFICATION_LEVELS.CLONE_RESISTANT);
+  assert.equal(webAuth(activeOnly).verification_method, VERIFICATION_METHODS.ACTIVE_AUTHENTICATION);
+  assert.equal(activeOnly.metadata.clone_detection.chipAuthentication.status, PROTOCOL_STATUSES.NOT_SUPPORTED);
+
+  const chipOnly = await read([15], { chipAuthentication: keys.chipAuthentication });
+  assert.equal(webAuth(chipOnly).verification_method, VERIFICATION_METHODS.CHIP_AUTHENTICATION);
+  assert.equal(chipOnly.metadata.clone_detection.activeAuthentication.status, PROTOCOL_STATUSES.NOT_SUPPORTED);
+
+  // A chip with neither protocol is as good as passive authentication makes it
+  const neither = await read([14, 15], {});
+  assert.equal(webAuth(neither).passport_verification_level, VERIFICATION_LEVELS.PASSIVE_AUTHENTICATION);
+  assert.equal(webAuth(neither).verification_method, VERIFICATION_METHODS.PASSIVE_AUTHENTICATION);
+  assert.deepEqual(neither.metadata.clone_detection, {
+    chipAuthentication: { status: PROTOCOL_STATUSES.NOT_SUPPORTED },
+    activeAuthentication: { status: PROTOCOL_STATUSES.NOT_SUPPORTED }
+  });
+});
+
+test('clone detection only trusts keys from data groups EF.SOD covers', async () => {
+  const session = await openSession();
+  const passiveAuthentication = { checks: { dataGroupHashes: { 14: true, 15: false } } };
+  const { chipAuthentication, activeAuthentication } = await reader.detectClone(session, lds.dataGroups, passiveAuthentication);
+  assert.equal(chipAuthentication.status, PROTOCOL_STATUSES.SUCCEEDED);
+  assert.deepEqual(activeAuthentication, { status: PROTOCOL_STATUSES.FAILED, error: 'DG15 is not covered by EF.SOD' });
+
+  // A DG15 swapped for the clone's own key fails passive authentication before AA runs
+  const impostor = crypto.generateKeyPairSync('rsa', { modulusLength: 1024 }).privateKey;
+  const forged = { ...parseLDS(lds), dataGroups: { ...lds.dataGroups, 15: Buffer.from(lds.dataGroups[15]) } };
+  forged.dataGroups[15][forged.dataGroups[15].length - 1] ^= 0x01;
+  const verification = await reader.authenticate(forged, {
+    chip: { internalAuthenticate: async challenge => signActiveAuthenticationChallenge(impostor, challenge) }
+  });
+  assert.equal(verification.level, VERIFICATION_LEVELS.CHIP_READ);
+  assert.equal(verification.passiveAuthentication.checks.dataGroupHashes[15], false);
+  assert.equal(verification.cloneDetection, undefined);
+
+  // Without a live chip, passive authentication is as far as a read gets
+  const dump = await reader.authenticate(parseLDS(lds));
+  assert.equal(dump.level, VERIFICATION_LEVELS.PASSIVE_AUTHENTICATION);
+  assert.equal(dump.method, VERIFICATION_METHODS.PASSIVE_AUTHENTICATION);
+  assert.equal(dump.cloneDetection, undefined);
+});
@@ -0,0 +1,99 @@
+/**
+ * BAC and secure messaging against the worked example of ICAO Doc 9303
+ * Part 11, Appendix D (document L898902C<, born 1969-08-06, expiring 1994-06-23).
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { mrzInformation, bacKeys, bacTerminalComplete, bacChipRespond } from '../emrtd-access.js';
+import { SecureMessaging } from '../secure-messaging.js';
+import { encrypt, computeMac, pad } from '../emrtd-crypto.js';
+
+const hex = value => Buffer.from(value, 'hex');
+
+const EXAMPLE = {
+  accessKey: { documentNumber: 'L898902C', dateOfBirth: '1969-08-06', expiryDate: '1994-06-23' },
+  mrzInformation: 'L898902C<369080619406236',
+  encryptionKey: 'ab94fdecf2674fdfb9b391f85d7f76f2',
+  macKey: '7962d9ece03d1acd4c76089dce131543',
+  rndIC: '4608f91988702212',
+  rndIFD: '781723860c06c226',
+  keyIFD: '0b795240cb7049b01c19b33e32804f0b',
+  externalAuthenticate: '72c29c2371cc9bdb65b779b8e8d37b29ecc154aa56a8799fae2f498f76ed92f25f1448eea8ad90a7',
+  chipResponse: '46b9342a41396cd7386bf5803104d7cedc122b9132139baf2eedc94ee178534f2f2d235d074d7449',
+  sessionEncryptionKey: '979ec13b1cbfe9dcd01ab0fed307eae5',
+  sessionMacKey: 'f1cb1f1fb5adf208806b89dc579dc1f8',
+  ssc: '887022120c06c226'
+};
+
+test('MRZ information and document basic access keys', () => {
+  const password = mrzInformation(EXAMPLE.accessKey);
+  assert.equal(password, EXAMPLE.mrzInformation);
+
+  const keys = bacKeys(password);
+  assert.equal(keys.encryptionKey.toString('hex'), EXAMPLE.encryptionKey);
+  assert.equal(keys.macKey.toString('hex'), EXAMPLE.macKey);
+});
+
+test('BAC mutual authentication cryptograms', () => {
+  const keys = bacKeys(EXAMPLE.mrzInformation);
+  const terminalData = Buffer.concat([hex(EXAMPLE.rndIFD), hex(EXAMPLE.rndIC), hex(EXAMPLE.keyIFD)]);
+  const ciphertext = encrypt('3DES', keys.encryptionKey, terminalData);
+  const cryptogram = Buffer.concat([ciphertext, computeMac('3DES', keys.macKey, pad(ciphertext))]);
+  assert.equal(cryptogram.toString('hex'), EXAMPLE.externalAuthenticate);
+
+  // The chip accepts the terminal's cryptogram for its own challenge only
+  assert.doesNotThrow(() => bacChipRespond(keys, hex(EXAMPLE.rndIC), hex(EXAMPLE.externalAuthenticate)));
+  assert.throws(() => bacChipRespond(keys, hex(EXAMPLE.rndIFD), hex(EXAMPLE.externalAuthenticate)), /challenge does not match/);
+
+  const tampered = hex(EXAMPLE.externalAuthenticate);
+  tampered[0] ^= 0x01;
+  assert.throws(() => bacChipRespond(keys, hex(EXAMPLE.rndIC), tampered), /MAC does not verify/);
+});
+
+test('BAC session keys and send sequence counter', () => {
+  const sessionKeys = bacTerminalComplete(
+    bacKeys(EXAMPLE.mrzInformation),
+    { rndIC: hex(EXAMPLE.rndIC), rndIFD: hex(EXAMPLE.rndIFD), keyIFD: hex(EXAMPLE.keyIFD) },
+    hex(EXAMPLE.chipResponse)
+  );
+  assert.equal(sessionKeys.cipher, '3DES');
+  assert.equal(sessionKeys.encryptionKey.toString('hex'), EXAMPLE.sessionEncryptionKey);
+  assert.equal(sessionKeys.macKey.toString('hex'), EXAMPLE.sessionMacKey);
+  assert.equal(sessionKeys.ssc.toString('hex'), EXAMPLE.ssc);
+});
+
+test('secure messaging: SELECT EF.COM and READ BINARY', () => {
+  const sm = new SecureMessaging({
+    cipher: '3DES',
+    encryptionKey: hex(EXAMPLE.sessionEncryptionKey),
+    macKey: hex(EXAMPLE.sessionMacKey),
+    ssc: hex(EXAMPLE.ssc)
+  });
+
+  const select = sm.wrapCommand({ ins: 0xa4, p1: 0x02, p2: 0x0c, data: hex('011e') });
+  assert.equal(select.toString('hex'), '0ca4020c158709016375432908c044f68e08bf8b92d635ff24f800');
+  const selected = sm.unwrapResponse(hex('990290008e08fa855a5d4c50a8ed9000'));
+  assert.equal(selected.sw, 0x9000);
+  assert.equal(selected.data.length, 0);
+
+  const readBinary = sm.wrapCommand({ ins: 0xb0, p1: 0x00, p2: 0x00, le: 0x04 });
+  assert.equal(readBinary.toString('hex'), '0cb000000d9701048e08ed6705417e96ba5500');
+  const read = sm.unwrapResponse(hex('8709019ff0ec34f9922651990290008e08ad55cc17140b2ded9000'));
+  assert.equal(read.sw, 0x9000);
+  assert.equal(read.data.toString('hex'), '60145f01');
+  assert.equal(sm.ssc.toString('hex'), '887022120c06c22a');
+});
+
+test('secure messaging rejects a response with a wrong MAC', () => {
+  const sm = new SecureMessaging({
+    cipher: '3DES',
+    encryptionKey: hex(EXAMPLE.sessionEncryptionKey),
+    macKey: hex(EXAMPLE.sessionMacKey),
+    ssc: hex(EXAMPLE.ssc)
+  });
+  sm.wrapCommand({ ins: 0xa4, p1: 0x02, p2: 0x0c, data: hex('011e') });
+  const response = hex('990290008e08fa855a5d4c50a8ed9000');
+  response[13] ^= 0x01; // last MAC byte
+  assert.throws(() => sm.unwrapResponse(response), /MAC does not verify/);
+});
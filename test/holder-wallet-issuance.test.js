@@ -0,0 +1,185 @@
+/**
+ * Holder wallet OID4VCI: offers by reference and by value redeemed at the
+ * walt.id stand-in with transaction codes and proofs of possession, holder
+ * binding and the encrypted wallet file.
+ */
+
+import { test, before, after, mock } from 'node:test';
+import assert from 'node:assert/strict';
+import crypto from 'crypto';
+import http from 'http';
+import os from 'os';
+import path from 'path';
+import { mkdtemp, readFile, rm, stat } from 'fs/promises';
+import axios from 'axios';
+import { HolderWallet, decodeMDoc } from '../holder-wallet.js';
+import { decodeSDJWT } from '../sd-jwt.js';
+import { MockWaltIdServer } from '../mock-waltid-server.js';
+import { MDLPKISetup } from '../setup-mdoc-pki.js';
+import {
+  PASSPORT_DOCTYPE,
+  PASSPORT_CREDENTIAL_CONFIGURATION_ID,
+  PASSPORT_SD_JWT_CONFIGURATION_ID,
+  PASSPORT_VCT,
+  CORE_NAMESPACE
+} from '../passport-doctype.js';
+
+const PRE_AUTHORIZED_GRANT = 'urn:ietf:params:oauth:grant-type:pre-authorized_code';
+const MDOC_DATA = {
+  [CORE_NAMESPACE]: { family_name: 'ERIKSSON', given_name: 'ANNA MARIA', expiry_date: '2032-04-15' }
+};
+
+const servers = [];
+let directory;
+let waltId;
+let issuerKey;
+let x5Chain;
+let files = 0;
+
+const listen = async () => {
+  const server = http.createServer();
+  servers.push(server);
+  await new Promise(resolve => server.listen(0, 'localhost', resolve));
+  return { server, baseUrl: `http://localhost:${server.address().port}` };
+};
+
+before(async () => {
+  mock.method(console, 'log', () => {});
+  directory = await mkdtemp(path.join(os.tmpdir(), 'holder-wallet-issuance-test-'));
+
+  const issuer = await listen();
+  const verifier = await listen();
+  waltId = new MockWaltIdServer({ issuerBaseUrl: issuer.baseUrl, verifierBaseUrl: verifier.baseUrl });
+  issuer.server.on('request', waltId.issuerApp);
+  verifier.server.on('request', waltId.verifierApp);
+
+  const pki = new MDLPKISetup();
+  const documentSigner = await pki.generateLocalDocumentSigner(await pki.generateLocalIACA());
+  issuerKey = { type: 'jwk', jwk: documentSigner.documentSignerKey.jwk };
+  x5Chain = [documentSigner.certificatePEM];
+});
+after(async () => {
+  for (const server of servers) {
+    server.closeAllConnections();
+    await new Promise(resolve => server.close(resolve));
+  }
+  await rm(directory, { recursive: true, force: true });
+  mock.restoreAll();
+});
+
+const newWallet = (passphrase = 'test passphrase', file = path.join(directory, `wallet-${++files}.json`)) =>
+  new HolderWallet({ file, passphrase });
+
+// Offer URL as the stand-in returns it: openid-credential-offer://?credential_offer_uri=...
+async function createOffer(issuePath, body) {
+  const { data } = await axios.post(`${waltId.issuerBaseUrl}${issuePath}`, { issuerKey, ...body });
+  return data;
+}
+
+const mdocOffer = (body = {}) => createOffer('/openid4vc/mdoc/issue', {
+  credentialConfigurationId: PASSPORT_CREDENTIAL_CONFIGURATION_ID,
+  mdocData: MDOC_DATA,
+  x5Chain,
+  ...body
+});
+
+test('an offer by reference with a transaction code yields a device-bound mdoc', async () => {
+  const wallet = newWallet();
+  const offerUrl = await mdocOffer({ txCode: { length: 6, description: 'Sent by SMS' }, txCodeValue: '493817' });
+
+  await assert.rejects(wallet.acceptOffer(offerUrl), /This offer requires a transaction code \(Sent by SMS\): pass --tx-code/);
+  await assert.rejects(wallet.acceptOffer(offerUrl, { txCode: '000000' }), error => {
+    assert.equal(error.response.data.error, 'invalid_grant');
+    return true;
+  });
+
+  const [entry] = await wallet.acceptOffer(offerUrl, { txCode: '493817' });
+  assert.equal(entry.format, 'mso_mdoc');
+  assert.equal(entry.doctype, PASSPORT_DOCTYPE);
+  assert.equal(entry.issuer, waltId.credentialIssuer);
+  const { d, kid, ...deviceKey } = entry.deviceKey;
+  assert.ok(d);
+  assert.deepEqual(decodeMDoc(entry.credential).deviceKey, deviceKey);
+
+  const details = await wallet.inspect(entry.id.slice(0, 8));
+  assert.equal(details.docType, PASSPORT_DOCTYPE);
+  assert.deepEqual(details.claims[CORE_NAMESPACE], MDOC_DATA[CORE_NAMESPACE]);
+  assert.equal(details.deviceKey, undefined);
+  assert.equal(details.credential, undefined);
+});
+
+test('an offer by value yields an SD-JWT VC bound to its own device key', async () => {
+  const wallet = newWallet();
+  const byReference = await createOffer('/openid4vc/sdjwt/issue', {
+    credentialConfigurationId: PASSPORT_SD_JWT_CONFIGURATION_ID,
+    credentialData: { family_name: 'ERIKSSON', age_over_18: true },
+    x5Chain
+  });
+  const { data: offer } = await axios.get(new URL(byReference).searchParams.get('credential_offer_uri'));
+  const byValue = `openid-credential-offer://?credential_offer=${encodeURIComponent(JSON.stringify(offer))}`;
+
+  const [entry] = await wallet.acceptOffer(byValue);
+  assert.equal(entry.format, 'vc+sd-jwt');
+  assert.equal(entry.vct, PASSPORT_VCT);
+  const { d, kid, ...deviceKey } = entry.deviceKey;
+  assert.deepEqual(decodeSDJWT(entry.credential).payload.cnf.jwk, deviceKey);
+  const { iat, ...claims } = (await wallet.inspect(entry.id)).claims;
+  assert.deepEqual(claims, { iss: waltId.credentialIssuer, vct: PASSPORT_VCT, family_name: 'ERIKSSON', age_over_18: true });
+
+  assert.deepEqual(await wallet.list(), [{
+    id: entry.id,
+    format: 'vc+sd-jwt',
+    type: PASSPORT_VCT,
+    issuer: waltId.credentialIssuer,
+    receivedAt: entry.receivedAt
+  }]);
+});
+
+test('a rejected proof is retried once with the fresh c_nonce', async () => {
+  const wallet = newWallet();
+  const offer = await wallet.resolveOffer(await mdocOffer());
+  const metadata = await wallet.fetchIssuerMetadata(offer.credential_issuer);
+  const token = await wallet.requestToken(metadata, offer.grants[PRE_AUTHORIZED_GRANT]);
+
+  const deviceKey = crypto.generateKeyPairSync('ec', { namedCurve: 'P-256' }).privateKey.export({ format: 'jwk' });
+  const configuration = metadata.credential_configurations_supported[PASSPORT_CREDENTIAL_CONFIGURATION_ID];
+  const response = await wallet.requestCredential(metadata, configuration, token.access_token, 'stale nonce', deviceKey);
+  assert.equal(response.format, 'mso_mdoc');
+  wallet.checkHolderBinding('mso_mdoc', response.credential, deviceKey);
+
+  const otherKey = crypto.generateKeyPairSync('ec', { namedCurve: 'P-256' }).privateKey.export({ format: 'jwk' });
+  assert.throws(() => wallet.checkHolderBinding('mso_mdoc', response.credential, otherKey),
+    /Issued credential is not bound to the wallet device key/);
+});
+
+test('the wallet file is encrypted under the passphrase', async () => {
+  const file = path.join(directory, 'encrypted-wallet.json');
+  const [entry] = await newWallet('correct horse', file).acceptOffer(await mdocOffer());
+
+  const stored = await readFile(file, 'utf8');
+  assert.ok(!stored.includes('ERIKSSON'));
+  assert.ok(!stored.includes(entry.deviceKey.d));
+  assert.equal(JSON.parse(stored).cipher, 'aes-256-gcm');
+  assert.equal((await stat(file)).mode & 0o777, 0o600);
+
+  const reopened = newWallet('correct horse', file);
+  assert.equal((await reopened.get(entry.id)).credential, entry.credential);
+  await assert.rejects(newWallet('wrong', file).list(), /Could not decrypt the wallet file \(wrong passphrase\?\)/);
+  assert.throws(() => new HolderWallet({ file }), /A wallet passphrase is required/);
+});
+
+test('offers the wallet cannot redeem are refused', async () => {
+  const wallet = newWallet();
+  await assert.rejects(wallet.acceptOffer('openid-credential-offer://?foo=bar'),
+    /No credential_offer or credential_offer_uri in the offer URL/);
+
+  const authorizationCode = { credential_issuer: waltId.credentialIssuer, credential_configuration_ids: [], grants: { authorization_code: {} } };
+  await assert.rejects(wallet.acceptOffer(`openid-credential-offer://?credential_offer=${encodeURIComponent(JSON.stringify(authorizationCode))}`),
+    /Only pre-authorized code offers are supported/);
+
+  const offer = await wallet.resolveOffer(await mdocOffer());
+  offer.credential_configuration_ids = ['org.iso.18013.5.1.mDL'];
+  await assert.rejects(wallet.acceptOffer(`openid-credential-offer://?credential_offer=${encodeURIComponent(JSON.stringify(offer))}`),
+    /Issuer metadata does not describe org.iso.18013.5.1.mDL/);
+  await assert.rejects(wallet.get('missing'), /No credential missing in the wallet/);
+});
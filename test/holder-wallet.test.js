@@ -0,0 +1,235 @@
+/**
+ * Holder wallet against the web auth service: credentials from the walt.id
+ * stand-in and from local signing with a status list, presented over
+ * OpenID4VP direct_post to /auth/present.
+ */
+
+import { test, before, after, mock } from 'node:test';
+import assert from 'node:assert/strict';
+import http from 'http';
+import os from 'os';
+import path from 'path';
+import { mkdtemp, rm, writeFile } from 'fs/promises';
+import { fileURLToPath } from 'url';
+import { v4 as uuidv4 } from 'uuid';
+import { HolderWallet } from '../holder-wallet.js';
+import { WebAuthService } from '../web-auth-service.js';
+import { MockWaltIdServer } from '../mock-waltid-server.js';
+import { PassportMDocIssuer } from '../mdoc-issuer.js';
+import { PassportDataReader } from '../passport-nfc-reader.js';
+import { CSCAMasterList } from '../passive-authentication.js';
+import { StatusListRegistry, TOKEN_STATUS } from '../status-list.js';
+import { IssuanceRegistry } from '../issuance-registry.js';
+import { RequestObjectSigner } from '../request-object-signer.js';
+import { MDLPKISetup } from '../setup-mdoc-pki.js';
+import { MDL_DS_EXTENDED_KEY_USAGE, x509, generateSigningKeys, loadIACA, createIACASignedCertificate } from '../mdoc-certificates.js';
+import { LocalMDocSigner } from '../mdoc-signer.js';
+
+const FIXTURES = path.join(path.dirname(fileURLToPath(import.meta.url)), '..', 'fixtures', 'lds');
+const WEB_ID = 'https://anna.example.com/profile#me';
+const WEBSITE = 'https://shop.example.com';
+
+const listen = (server, port = 0) => new Promise((resolve, reject) => {
+  server.once('error', reject);
+  server.listen(port, 'localhost', () => resolve(`http://localhost:${server.address().port}`));
+});
+
+async function freePort() {
+  const server = http.createServer();
+  await listen(server);
+  const { port } = server.address();
+  await new Promise(resolve => server.close(resolve));
+  return port;
+}
+
+const servers = [];
+
+// A web auth service on an ephemeral port, trusting the test IACA; options may depend on its base URL
+async function startAuthService(options = () => ({})) {
+  const server = http.createServer();
+  servers.push(server);
+  const baseUrl = await listen(server);
+  const service = new WebAuthService(server.address().port, {
+    baseUrl,
+    trustAnchors: [pkiSetup.iaca.certificatePEM],
+    requestObjectSigner: new RequestObjectSigner({ responseUri: `${baseUrl}/auth/present`, pkiSetupFile }),
+    ...options(baseUrl)
+  });
+  server.on('request', service.app);
+  return { service, baseUrl };
+}
+
+async function startLogin(baseUrl) {
+  const response = await fetch(`${baseUrl}/auth/start`, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify({ website: WEBSITE, returnUrl: `${WEBSITE}/done` })
+  });
+  assert.equal(response.status, 200);
+  return await response.json();
+}
+
+// The verifier's direct_post rejection, from the wallet's failed POST
+const rejection = error => error.response?.data?.error_description || error.message;
+
+let directory;
+let wallet;
+let pkiSetup;
+let pkiSetupFile;
+let statusList;
+let waltIdCredentialId;
+let localCredentialId;
+let mockWaltId;
+
+before(async () => {
+  // Server and issuer logs would garble the test runner's stdout messages (Node 20)
+  mock.method(console, 'log', () => {});
+  mock.method(console, 'warn', () => {});
+
+  // The PKI setup, wallet and registries all live in a temp directory
+  directory = await mkdtemp(path.join(os.tmpdir(), 'holder-wallet-test-'));
+  const pki = new MDLPKISetup();
+  const { signer, ...iaca } = await pki.generateLocalIACA();
+  const documentSigner = await pki.generateLocalDocumentSigner({ signer });
+  pkiSetup = {
+    iaca,
+    documentSigner,
+    setup: { issuerKey: documentSigner.documentSignerKey, x5Chain: [documentSigner.certificatePEM], mode: 'local' }
+  };
+  pkiSetupFile = path.join(directory, 'mdoc-pki-setup.json');
+  await writeFile(pkiSetupFile, JSON.stringify(pkiSetup));
+  wallet = new HolderWallet({
+    file: path.join(directory, 'wallet.json'),
+    passphrase: 'test passphrase',
+    trustAnchors: [iaca.certificatePEM]
+  });
+
+  const reader = new PassportDataReader({ masterList: await CSCAMasterList.load(path.join(FIXTURES, 'utopia-csca.cer')) });
+  const passportData = await reader.readChipFiles(path.join(FIXTURES, 'utopia-td3'));
+
+  // walt.id stand-in: an OID4VCI offer the wallet redeems
+  const [issuerPort, verifierPort] = [await freePort(), await freePort()];
+  mockWaltId = new MockWaltIdServer({ issuerPort, verifierPort });
+  await mockWaltId.start();
+  const issuer = new PassportMDocIssuer({ registry: new IssuanceRegistry({ file: path.join(directory, 'issuance-registry.json') }) });
+  issuer.issuerBaseUrl = mockWaltId.issuerBaseUrl;
+  const offerUrl = await issuer.issueMDoc(passportData, WEB_ID, pkiSetup.setup.issuerKey.jwk, pkiSetup.setup.x5Chain);
+  [{ id: waltIdCredentialId }] = await wallet.acceptOffer(offerUrl);
+
+  // Local signing: a credential with a status list entry, published here
+  const statusServer = http.createServer(async (req, res) => {
+    const token = await statusList.issueStatusListToken({
+      issuerKey: pkiSetup.setup.issuerKey.jwk,
+      x5Chain: pkiSetup.setup.x5Chain,
+      ttlSeconds: 1
+    });
+    res.setHeader('Content-Type', 'application/statuslist+jwt');
+    res.end(token);
+  });
+  servers.push(statusServer);
+  const statusBaseUrl = await listen(statusServer);
+  statusList = new StatusListRegistry({ file: path.join(directory, 'status-list.json'), uri: `${statusBaseUrl}/status-list` });
+  const localIssuer = new PassportMDocIssuer({
+    statusList,
+    pkiSetupFile,
+    registry: new IssuanceRegistry({ file: path.join(directory, 'issuance-registry.json') })
+  });
+  const deviceKey = await LocalMDocSigner.generateDeviceKey();
+  const { credential } = await localIssuer.processFullIssuance(passportData, WEB_ID, true, { backend: 'local', deviceKey });
+
+  // The wallet only receives over OID4VCI; store the locally signed credential as it would
+  await wallet.load();
+  localCredentialId = uuidv4();
+  wallet.contents.credentials.push({
+    id: localCredentialId,
+    format: credential.format,
+    doctype: credential.doctype,
+    issuer: 'local',
+    credential: credential.credential,
+    deviceKey,
+    receivedAt: new Date().toISOString()
+  });
+  await wallet.save();
+});
+
+after(async () => {
+  await mockWaltId?.stop();
+  for (const server of servers) {
+    server.closeAllConnections();
+    await new Promise(resolve => server.close(resolve));
+  }
+  await rm(directory, { recursive: true, force: true });
+  mock.restoreAll();
+});
+
+test('a walt.id credential logs the user in', async () => {
+  const { service, baseUrl } = await startAuthService(() => ({ requireCredentialStatus: false }));
+  const login = await startLogin(baseUrl);
+  assert.equal(login.callbackUrl, `${baseUrl}/auth/callback/${login.sessionId}`);
+
+  const { response } = await wallet.presentCredential(login.authorizationRequest, { credentialId: waltIdCredentialId });
+  assert.deepEqual(response, { redirect_uri: login.callbackUrl });
+
+  const session = await service.sessionStore.get(login.sessionId);
+  assert.equal(session.status, 'completed');
+  assert.equal(session.userInfo.webId, WEB_ID);
+  assert.equal(session.userInfo.authenticationMethod, 'passport_mdoc');
+  assert.ok(session.authToken);
+});
+
+test('with a status list configured, credentials without a status reference are refused', async () => {
+  const { service, baseUrl } = await startAuthService(() => ({ requireCredentialStatus: true }));
+  const login = await startLogin(baseUrl);
+
+  await assert.rejects(
+    wallet.presentCredential(login.authorizationRequest, { credentialId: waltIdCredentialId }),
+    error => /no status reference/.test(rejection(error))
+  );
+  assert.equal((await service.sessionStore.get(login.sessionId)).status, 'pending');
+});
+
+test('a locally signed credential is checked against its status list', async () => {
+  const { service, baseUrl } = await startAuthService(() => ({ requireCredentialStatus: true }));
+
+  const login = await startLogin(baseUrl);
+  await wallet.presentCredential(login.authorizationRequest, { credentialId: localCredentialId });
+  assert.equal((await service.sessionStore.get(login.sessionId)).status, 'completed');
+
+  assert.equal((await statusList.updateStatus({ webId: WEB_ID }, TOKEN_STATUS.INVALID)).length, 1);
+  // Past the status list token's one-second ttl, so the verifier fetches it again
+  await new Promise(resolve => setTimeout(resolve, 1100));
+
+  const revokedLogin = await startLogin(baseUrl);
+  await assert.rejects(
+    wallet.presentCredential(revokedLogin.authorizationRequest, { credentialId: localCredentialId }),
+    error => /Credential is revoked/.test(rejection(error))
+  );
+  assert.equal((await service.sessionStore.get(revokedLogin.sessionId)).status, 'pending');
+});
+
+test('the wallet refuses request objects not signed with a reader authentication certificate', async () => {
+  // A Document Signer certificate naming the verifier host is still not a verifier certificate
+  const signingKeys = await generateSigningKeys('P-256');
+  const certificate = await createIACASignedCertificate({
+    commonName: 'Document Signer posing as a verifier',
+    keyUsages: x509.KeyUsageFlags.digitalSignature,
+    extendedKeyUsages: [MDL_DS_EXTENDED_KEY_USAGE],
+    subjectAlternativeNames: [{ type: 'dns', value: 'localhost' }]
+  }, signingKeys, await loadIACA(pkiSetup.iaca));
+  const { service, baseUrl } = await startAuthService(baseUrl => {
+    const requestObjectSigner = new RequestObjectSigner({ responseUri: `${baseUrl}/auth/present` });
+    requestObjectSigner.credentials = {
+      privateKey: signingKeys.keys.privateKey,
+      certificate,
+      x5c: [Buffer.from(certificate.rawData).toString('base64')]
+    };
+    return { requestObjectSigner, requireCredentialStatus: false };
+  });
+  const login = await startLogin(baseUrl);
+
+  await assert.rejects(
+    wallet.presentCredential(login.authorizationRequest, { credentialId: waltIdCredentialId }),
+    /not a reader authentication certificate/
+  );
+  assert.equal((await service.sessionStore.get(login.sessionId)).status, 'pending');
+});
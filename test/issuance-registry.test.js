@@ -0,0 +1,117 @@
+/**
+ * Issuance registry: queries, offer status, status callback secrets and
+ * concurrent updates of one registry file.
+ */
+
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import os from 'os';
+import path from 'path';
+import { mkdtemp, readdir, readFile, rm } from 'fs/promises';
+import { IssuanceRegistry, credentialOfferId } from '../issuance-registry.js';
+import { hashDocumentNumber } from '../registry-store.js';
+
+let directory;
+before(async () => {
+  directory = await mkdtemp(path.join(os.tmpdir(), 'issuance-registry-test-'));
+});
+after(async () => {
+  await rm(directory, { recursive: true, force: true });
+});
+
+let registries = 0;
+const newRegistry = () => new IssuanceRegistry({ file: path.join(directory, `issuance-registry-${++registries}.json`) });
+
+const issuance = (offerId, overrides = {}) => ({
+  offerId,
+  webId: 'https://anna.example.com/profile#me',
+  documentNumber: 'L898902C3',
+  doctype: 'org.iso.23220.photoid.1',
+  format: 'mso_mdoc',
+  backend: 'waltid',
+  issuerKeyId: 'ds-key',
+  ...overrides
+});
+
+test('the offer ID is the id of the credential_offer_uri', () => {
+  const offerUri = 'https://issuer.example.com/openid4vc/credentialOffer?id=3f1c2b7a';
+  assert.equal(credentialOfferId(`openid-credential-offer://?credential_offer_uri=${encodeURIComponent(offerUri)}`), '3f1c2b7a');
+  assert.equal(credentialOfferId('openid-credential-offer://?credential_offer=%7B%7D'), null);
+});
+
+test('issuances are queried by web ID, passport number and status', async () => {
+  const registry = newRegistry();
+  await registry.record(issuance('first', { issuedAt: '2026-01-01T00:00:00.000Z', expiresAt: '2999-01-01T00:00:00.000Z' }));
+  await registry.record(issuance('second', { issuedAt: '2026-02-01T00:00:00.000Z', backend: 'local', status: 'redeemed' }));
+  await registry.record(issuance('other', { webId: 'https://bob.example.com/#me', documentNumber: 'X12345678' }));
+
+  assert.deepEqual((await registry.find({ webId: 'https://anna.example.com/profile#me' })).map(entry => entry.offerId), ['second', 'first']);
+  assert.deepEqual((await registry.find({ documentNumber: ' x12345678' })).map(entry => entry.offerId), ['other']);
+  assert.deepEqual((await registry.find({ status: 'redeemed' })).map(entry => entry.offerId), ['second']);
+  assert.deepEqual((await registry.find({ webId: 'https://anna.example.com/profile#me', status: 'created' })).map(entry => entry.offerId), ['first']);
+  assert.equal((await registry.find()).length, 3);
+
+  const second = await registry.get('second');
+  assert.equal(second.documentNumberHash, hashDocumentNumber('L898902C3'));
+  assert.equal(second.redeemedAt, '2026-02-01T00:00:00.000Z');
+  assert.equal(await registry.get('missing'), null);
+  assert.ok(!(await readFile(registry.file, 'utf8')).includes('L898902C3'));
+});
+
+test('offers read as expired once past their expiry', async () => {
+  const registry = newRegistry();
+  await registry.record(issuance('stale', { expiresAt: new Date(Date.now() - 1000).toISOString() }));
+  assert.equal((await registry.get('stale')).status, 'expired');
+  assert.deepEqual((await registry.find({ status: 'expired' })).map(entry => entry.offerId), ['stale']);
+  // Only the view changes; the stored status stays created
+  assert.equal(JSON.parse(await readFile(registry.file, 'utf8')).issuances.stale.status, 'created');
+});
+
+test('records are checked before they are stored', async () => {
+  const registry = newRegistry();
+  await registry.record(issuance('once'));
+  await assert.rejects(registry.record(issuance('once')), /Issuance once is already recorded/);
+  await assert.rejects(registry.record(issuance(undefined)), /Offer ID is required/);
+  await assert.rejects(registry.record(issuance('bad', { status: 'lost' })), /Unknown offer status: lost/);
+  assert.deepEqual((await registry.find()).map(entry => entry.offerId), ['once']);
+});
+
+test('status callbacks need the secret of their offer', async () => {
+  const registry = newRegistry();
+  const recorded = await registry.record(issuance('offer', { callbackSecret: 'the secret' }));
+  await registry.record(issuance('no-secret'));
+
+  assert.equal('callbackSecretHash' in recorded, false);
+  assert.equal(await registry.checkCallbackSecret('offer', 'the secret'), true);
+  assert.equal(await registry.checkCallbackSecret('offer', 'another secret'), false);
+  assert.equal(await registry.checkCallbackSecret('offer', undefined), false);
+  assert.equal(await registry.checkCallbackSecret('no-secret', ''), false);
+  assert.equal(await registry.checkCallbackSecret('missing', 'the secret'), false);
+});
+
+test('redeemed offers stay redeemed', async () => {
+  const registry = newRegistry();
+  await registry.record(issuance('offer', { expiresAt: new Date(Date.now() - 1000).toISOString() }));
+
+  const redeemed = await registry.markRedeemed('offer');
+  assert.equal(redeemed.status, 'redeemed');
+  assert.ok(redeemed.redeemedAt);
+  assert.equal((await registry.markRedeemed('offer')).redeemedAt, redeemed.redeemedAt);
+  assert.equal(await registry.markRedeemed('missing'), null);
+});
+
+test('concurrent records and redemptions are all kept', async () => {
+  const file = path.join(directory, 'concurrent-issuance-registry.json');
+  // Separate registries on one file, plus one shared instance
+  const shared = new IssuanceRegistry({ file });
+  const results = await Promise.allSettled(Array.from({ length: 10 }, (_, i) =>
+    (i % 2 ? shared : new IssuanceRegistry({ file })).record(issuance(`offer-${i}`))));
+  assert.deepEqual(results.filter(result => result.status === 'rejected'), []);
+
+  await Promise.all(Array.from({ length: 5 }, (_, i) => shared.markRedeemed(`offer-${i}`)));
+  const entries = await new IssuanceRegistry({ file }).find();
+  assert.equal(entries.length, 10);
+  assert.deepEqual(entries.filter(entry => entry.status === 'redeemed').map(entry => entry.offerId).sort(),
+    ['offer-0', 'offer-1', 'offer-2', 'offer-3', 'offer-4']);
+  assert.deepEqual((await readdir(directory)).filter(name => name.endsWith('.tmp')), []);
+});
@@ -0,0 +1,96 @@
+/**
+ * LDS parsing of the utopia-td3 fixture, and rejection of damaged files.
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { loadLDSDirectory, parseCOM, parseDG1, parseDG2, parseDG11, parseDG12, parseLDS } from '../lds.js';
+
+const UTOPIA = path.join(path.dirname(fileURLToPath(import.meta.url)), '..', 'fixtures', 'lds', 'utopia-td3');
+
+const lds = await loadLDSDirectory(UTOPIA);
+
+test('EF.COM lists the versions and data groups', () => {
+  assert.deepEqual(parseCOM(lds.com), {
+    ldsVersion: '1.7',
+    unicodeVersion: '4.0.0',
+    dataGroups: [1, 2, 11, 12, 14, 15]
+  });
+});
+
+test('DG1 holds the TD3 MRZ', () => {
+  const dg1 = parseDG1(lds.dataGroups[1]);
+  assert.equal(dg1.format, 'TD3');
+  assert.equal(dg1.mrz, 'P<UTOERIKSSON<<ANNA<MARIA<<<<<<<<<<<<<<<<<<<L898902C36UTO7408122F3404159ZE184226B<<<<<16');
+  assert.equal(dg1.valid, true);
+  assert.equal(dg1.documentNumber, 'L898902C3');
+  assert.equal(dg1.issuingCountry, 'UTO');
+  assert.equal(dg1.lastName, 'ERIKSSON');
+  assert.equal(dg1.firstName, 'ANNA MARIA');
+  assert.equal(dg1.dateOfBirth, '1974-08-12');
+  assert.equal(dg1.sex, 'F');
+  assert.equal(dg1.expiryDate, '2034-04-15');
+});
+
+test('DG2 yields the JPEG portrait', () => {
+  const { faces } = parseDG2(lds.dataGroups[2]);
+  assert.equal(faces.length, 1);
+  const [face] = faces;
+  assert.equal(face.imageType, 'jpeg');
+  assert.equal(face.mimeType, 'image/jpeg');
+  assert.equal(face.gender, 'female');
+  assert.equal(face.width, 32);
+  assert.equal(face.height, 40);
+  // A complete JPEG: SOI marker first, EOI marker last
+  assert.equal(face.image.subarray(0, 2).toString('hex'), 'ffd8');
+  assert.equal(face.image.subarray(-2).toString('hex'), 'ffd9');
+  assert.ok(lds.dataGroups[2].includes(face.image));
+});
+
+test('DG11 holds the additional personal details', () => {
+  const dg11 = parseDG11(lds.dataGroups[11]);
+  assert.deepEqual(dg11.fullName, { lastName: 'ERIKSSON', firstName: 'ANNA MARIA' });
+  assert.equal(dg11.personalNumber, 'ZE184226B');
+  assert.equal(dg11.dateOfBirth, '1974-08-12');
+  assert.deepEqual(dg11.placeOfBirth, ['ZENITH', 'UTOPIA']);
+  assert.deepEqual(dg11.permanentAddress, ['123 MAPLE RD', 'ANYTOWN', 'MN']);
+  assert.equal(dg11.telephone, '1-612-555-1212');
+  assert.equal(dg11.profession, 'TRAVEL AGENT');
+  assert.deepEqual(dg11.otherNames, []);
+});
+
+test('DG12 holds the additional document details', () => {
+  const dg12 = parseDG12(lds.dataGroups[12]);
+  assert.equal(dg12.issuingAuthority, 'UTOPIA PASSPORT OFFICE');
+  assert.equal(dg12.dateOfIssue, '2024-04-16');
+  assert.equal(dg12.personalizedAt, '2024-04-16T10:30:00Z');
+  assert.equal(dg12.personalizationDeviceSerial, 'UTO-PERSO-0001');
+  assert.deepEqual(dg12.otherPersons, []);
+});
+
+test('parseLDS combines the data groups', () => {
+  const passportData = parseLDS(lds);
+  assert.equal(passportData.documentNumber, 'L898902C3');
+  assert.equal(passportData.issueDate, '2024-04-16');
+  assert.equal(passportData.placeOfBirth, 'ZENITH, UTOPIA');
+  assert.equal(passportData.photoMimeType, 'image/jpeg');
+  assert.deepEqual(Buffer.from(passportData.photo, 'base64'), parseDG2(lds.dataGroups[2]).faces[0].image);
+  assert.deepEqual(passportData.lds.com.dataGroups, [1, 2, 11, 12, 14, 15]);
+});
+
+test('truncated files are rejected', () => {
+  assert.throws(() => parseCOM(lds.com.subarray(0, lds.com.length - 3)), /overruns its buffer/);
+  assert.throws(() => parseDG1(lds.dataGroups[1].subarray(0, 20)), /overruns its buffer/);
+  assert.throws(() => parseDG2(lds.dataGroups[2].subarray(0, lds.dataGroups[2].length - 1)), /overruns its buffer/);
+  assert.throws(() => parseDG11(lds.dataGroups[11].subarray(0, 1)), /Truncated TLV/);
+  assert.throws(() => parseDG12(Buffer.alloc(0)), /Truncated TLV/);
+  // Outer length intact, inner LDS version element cut short
+  assert.throws(() => parseCOM(Buffer.from('60035f0104', 'hex')), /5F01 at offset 0 overruns its buffer/);
+});
+
+test('files with the wrong outer tag are rejected', () => {
+  assert.throws(() => parseDG1(lds.dataGroups[11]), /DG1 must start with tag 61/);
+  assert.throws(() => parseCOM(lds.sod), /EF.COM must start with tag 60/);
+});
@@ -0,0 +1,124 @@
+/**
+ * Offline mDoc PKI: IACA root and Document Signer certificate profiles
+ * (ISO 18013-5 Annex B), reloading the IACA and the validity limits.
+ */
+
+import { test, before, after, mock } from 'node:test';
+import assert from 'node:assert/strict';
+import crypto from 'crypto';
+import {
+  MDL_DS_EXTENDED_KEY_USAGE,
+  x509,
+  generateSigningKeys,
+  loadIACA,
+  createIACACertificate,
+  createIACASignedCertificate
+} from '../mdoc-certificates.js';
+import { MDLPKISetup } from '../setup-mdoc-pki.js';
+
+const IACA_DATA = {
+  country: 'UT',
+  commonName: 'Utopia IACA, Test',
+  issuerAlternativeNameConf: { uri: 'https://iaca.example.com' },
+  crlDistributionPointUri: 'https://iaca.example.com/crl'
+};
+
+let iaca;
+let iacaCertificate;
+
+before(async () => {
+  mock.method(console, 'log', () => {});
+  const { signer, ...setup } = await new MDLPKISetup().generateLocalIACA();
+  iaca = setup;
+  iacaCertificate = new x509.X509Certificate(setup.certificatePEM);
+});
+after(() => {
+  mock.restoreAll();
+});
+
+const nodeCertificate = certificate => new crypto.X509Certificate(Buffer.from(certificate.rawData));
+
+test('the IACA is a self-signed CA for certificate and CRL signing only', async () => {
+  const signingKeys = await generateSigningKeys('P-384');
+  const certificate = await createIACACertificate(IACA_DATA, signingKeys);
+
+  assert.equal(certificate.subject, 'C=UT, CN=Utopia IACA\\, Test');
+  assert.equal(certificate.issuer, certificate.subject);
+  assert.ok(await certificate.verify({ signatureOnly: true }));
+  assert.equal(certificate.signatureAlgorithm.hash.name, 'SHA-384');
+
+  const basicConstraints = certificate.getExtension(x509.BasicConstraintsExtension);
+  assert.equal(basicConstraints.ca, true);
+  assert.equal(basicConstraints.pathLength, 0);
+  assert.equal(basicConstraints.critical, true);
+  const keyUsage = certificate.getExtension(x509.KeyUsagesExtension);
+  assert.equal(keyUsage.usages, x509.KeyUsageFlags.keyCertSign | x509.KeyUsageFlags.cRLSign);
+  assert.equal(keyUsage.critical, true);
+  assert.ok(certificate.getExtension(x509.SubjectKeyIdentifierExtension));
+  assert.deepEqual(certificate.getExtension(x509.IssuerAlternativeNameExtension).names.toJSON(),
+    [{ type: 'url', value: 'https://iaca.example.com' }]);
+  assert.ok(certificate.getExtension(x509.CRLDistributionPointsExtension));
+
+  // Positive serial numbers of at most 20 octets
+  const serial = Buffer.from(certificate.serialNumber, 'hex');
+  assert.ok(serial.length <= 20 && serial[0] < 0x80);
+});
+
+test('IACA validity is capped at 20 years', async () => {
+  const notBefore = new Date('2026-01-01T00:00:00Z');
+  const certificate = await createIACACertificate({ ...IACA_DATA, notBefore, validityYears: 30 }, await generateSigningKeys());
+  assert.equal(certificate.notAfter.toISOString(), '2046-01-01T00:00:00.000Z');
+  await assert.rejects(createIACACertificate({ ...IACA_DATA, issuerAlternativeNameConf: {} }, await generateSigningKeys()),
+    /requires an issuer alternative name/);
+  await assert.rejects(generateSigningKeys('secp256k1'), /Unsupported curve: secp256k1/);
+});
+
+test('Document Signers are issued by the reloaded IACA', async () => {
+  const signer = await loadIACA(iaca);
+  const signingKeys = await generateSigningKeys();
+  const certificate = await createIACASignedCertificate({ commonName: 'Utopia DS' }, signingKeys, signer);
+
+  const issued = nodeCertificate(certificate);
+  const root = nodeCertificate(iacaCertificate);
+  assert.ok(issued.checkIssued(root));
+  assert.ok(issued.verify(root.publicKey));
+  assert.equal(certificate.subject, `C=${iaca.certificateData.country}, CN=Utopia DS`);
+
+  const keyUsage = certificate.getExtension(x509.KeyUsagesExtension);
+  assert.equal(keyUsage.usages, x509.KeyUsageFlags.digitalSignature);
+  const extendedKeyUsage = certificate.getExtension(x509.ExtendedKeyUsageExtension);
+  assert.deepEqual([...extendedKeyUsage.usages], [MDL_DS_EXTENDED_KEY_USAGE]);
+  assert.equal(extendedKeyUsage.critical, true);
+  assert.equal(certificate.getExtension(x509.AuthorityKeyIdentifierExtension).keyId,
+    iacaCertificate.getExtension(x509.SubjectKeyIdentifierExtension).keyId);
+  // The leaf repeats the IACA's alternative name
+  assert.deepEqual(certificate.getExtension(x509.IssuerAlternativeNameExtension).names.toJSON(),
+    iacaCertificate.getExtension(x509.IssuerAlternativeNameExtension).names.toJSON());
+  assert.equal(certificate.getExtension(x509.BasicConstraintsExtension), null);
+});
+
+test('Document Signer validity is capped and stays within the IACA validity', async () => {
+  const signer = await loadIACA(iaca);
+  const notBefore = new Date();
+  const certificate = await createIACASignedCertificate({ commonName: 'DS', notBefore, validityDays: 1000 },
+    await generateSigningKeys(), signer);
+  assert.equal(certificate.notAfter.getTime() - certificate.notBefore.getTime(), 457 * 24 * 60 * 60 * 1000);
+
+  await assert.rejects(createIACASignedCertificate({ commonName: 'DS', notAfter: new Date('2100-01-01') },
+    await generateSigningKeys(), signer), /must not exceed the IACA certificate validity/);
+  await assert.rejects(loadIACA({ ...iaca, iacaKey: { jwk: { ...iaca.iacaKey.jwk, d: undefined } } }),
+    /IACA private key not available/);
+});
+
+test('the local setup yields a Document Signer chaining to its IACA', async () => {
+  const pki = new MDLPKISetup();
+  const root = await pki.generateLocalIACA();
+  const documentSigner = await pki.generateLocalDocumentSigner(root);
+
+  const issued = new crypto.X509Certificate(documentSigner.certificatePEM);
+  assert.ok(issued.verify(new crypto.X509Certificate(root.certificatePEM).publicKey));
+  // The Document Signer key in the setup signs for the certificate's public key
+  const privateKey = crypto.createPrivateKey({ key: documentSigner.documentSignerKey.jwk, format: 'jwk' });
+  assert.ok(crypto.createPublicKey(privateKey).equals(issued.publicKey));
+  assert.equal(documentSigner.certificateData.notAfter, new Date(issued.validTo).toISOString());
+});
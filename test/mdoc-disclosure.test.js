@@ -0,0 +1,181 @@
+/**
+ * Selective disclosure: website item requests, age attestations derived from
+ * the birth date, the holder's element selection and the verifier's check
+ * that nothing requested was withheld.
+ */
+
+import { test, before, after, mock } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+  DEFAULT_REQUESTED_ELEMENTS,
+  computeAgeElements,
+  buildItemsRequest,
+  selectRequestedElements,
+  selectDisclosedItems,
+  findMissingElements,
+  resolveAgeOver
+} from '../mdoc-disclosure.js';
+import { MDocVerifier, buildOID4VPSessionTranscript, buildDeviceAuthenticationBytes } from '../mdoc-verifier.js';
+import { cbor, embedCbor, unwrapEmbeddedCbor, signCoseSign1 } from '../cose.js';
+import { LocalMDocSigner } from '../mdoc-signer.js';
+import { PassportMDocIssuer } from '../mdoc-issuer.js';
+import { MDLPKISetup } from '../setup-mdoc-pki.js';
+import { PASSPORT_DOCTYPE, CORE_NAMESPACE, WEBAUTH_NAMESPACE } from '../passport-doctype.js';
+
+const WEB_ID = 'https://anna.example.com/profile#me';
+
+// Holder aged 19: over 18, not over 21
+const AGE_19 = {
+  age_over_13: true,
+  age_over_16: true,
+  age_over_18: true,
+  age_over_21: false,
+  age_over_25: false,
+  age_over_65: false
+};
+
+let signer;
+let verifier;
+let deviceKey;
+
+before(async () => {
+  mock.method(console, 'log', () => {});
+  const pki = new MDLPKISetup();
+  const iaca = await pki.generateLocalIACA();
+  const documentSigner = await pki.generateLocalDocumentSigner(iaca);
+  signer = new LocalMDocSigner(documentSigner.documentSignerKey.jwk, [documentSigner.certificatePEM]);
+  verifier = new MDocVerifier({ trustAnchors: [iaca.certificatePEM] });
+  deviceKey = await LocalMDocSigner.generateDeviceKey();
+});
+after(() => {
+  mock.restoreAll();
+});
+
+test('age attestations turn over on the birthday', () => {
+  const dayBefore = computeAgeElements('2007-03-15', new Date('2025-03-14T23:59:59Z'));
+  assert.equal(dayBefore.age_in_years, 17);
+  assert.equal(dayBefore.age_over_18, false);
+  assert.equal(dayBefore.age_over_16, true);
+
+  const birthday = computeAgeElements('2007-03-15', new Date('2025-03-15T00:00:00Z'));
+  assert.deepEqual(birthday, {
+    age_in_years: 18,
+    age_birth_year: 2007,
+    age_over_13: true,
+    age_over_16: true,
+    age_over_18: true,
+    age_over_21: false,
+    age_over_25: false,
+    age_over_65: false
+  });
+
+  assert.throws(() => computeAgeElements('15.03.2007'), /Cannot derive age attestations from birth date "15.03.2007"/);
+  assert.throws(() => computeAgeElements('2030-01-01', new Date('2025-01-01')), /Birth date 2030-01-01 is in the future/);
+});
+
+test('the issuer adds age attestations to the passport namespace', () => {
+  const issuer = new PassportMDocIssuer({ statusList: {}, registry: {} });
+  const namespaces = issuer.buildMDocNamespaces({
+    data: { [CORE_NAMESPACE]: { family_name: 'ERIKSSON', birth_date: '1974-08-12' } }
+  }, WEB_ID);
+  assert.equal(namespaces[CORE_NAMESPACE].birth_date, '1974-08-12');
+  assert.equal(namespaces[CORE_NAMESPACE].age_birth_year, 1974);
+  assert.equal(namespaces[CORE_NAMESPACE].age_over_21, true);
+  assert.equal(namespaces[WEBAUTH_NAMESPACE].web_id, WEB_ID);
+});
+
+test('item requests are validated and always include the web ID', () => {
+  assert.deepEqual(buildItemsRequest({ [CORE_NAMESPACE]: { age_over_18: false, nationality: true } }), {
+    docType: PASSPORT_DOCTYPE,
+    nameSpaces: {
+      [CORE_NAMESPACE]: { age_over_18: false, nationality: true },
+      [WEBAUTH_NAMESPACE]: { web_id: true }
+    }
+  });
+  assert.deepEqual(buildItemsRequest().nameSpaces, DEFAULT_REQUESTED_ELEMENTS);
+  assert.deepEqual(buildItemsRequest({}).nameSpaces, DEFAULT_REQUESTED_ELEMENTS);
+
+  assert.throws(() => buildItemsRequest({ 'org.iso.18013.5.1': { family_name: true } }),
+    /Unknown namespace: org.iso.18013.5.1/);
+  assert.throws(() => buildItemsRequest({ [CORE_NAMESPACE]: { driving_privileges: true } }),
+    new RegExp(`Unknown data element: ${CORE_NAMESPACE}/driving_privileges`));
+  assert.throws(() => buildItemsRequest({ [CORE_NAMESPACE]: { age_over_1: true } }), /Unknown data element/);
+  assert.throws(() => buildItemsRequest({ [CORE_NAMESPACE]: { nationality: 'yes' } }), /must be true or false/);
+  assert.throws(() => buildItemsRequest({ [CORE_NAMESPACE]: ['nationality'] }), /must map element identifiers/);
+});
+
+test('age_over_NN is answered by the nearest attestation the holder has', () => {
+  const request = thresholds => ({
+    nameSpaces: { [CORE_NAMESPACE]: Object.fromEntries(thresholds.map(nn => [`age_over_${nn}`, false])) }
+  });
+  const available = { [CORE_NAMESPACE]: AGE_19 };
+  const select = nn => selectRequestedElements(available, request([nn]))[CORE_NAMESPACE];
+
+  assert.deepEqual(select(18), ['age_over_18']);
+  // Over 18 proves over 17; not over 25 proves not over 30
+  assert.deepEqual(select(17), ['age_over_18']);
+  assert.deepEqual(select(30), ['age_over_25']);
+  // Nothing the holder has answers over 20
+  assert.equal(select(20), undefined);
+
+  assert.deepEqual(resolveAgeOver({ [CORE_NAMESPACE]: AGE_19 }, request([17, 20, 30])), { 17: true, 30: false });
+  assert.deepEqual(findMissingElements({ [CORE_NAMESPACE]: { age_over_18: true } }, request([17, 20])),
+    [`${CORE_NAMESPACE}/age_over_20`]);
+});
+
+const sessionTranscript = buildOID4VPSessionTranscript({
+  clientId: 'verifier.example.com',
+  responseUri: 'https://verifier.example.com/auth/present',
+  nonce: 'session nonce',
+  mdocGeneratedNonce: 'wallet nonce'
+});
+
+// DeviceResponse as a wallet builds it, device-signed over the session transcript
+function present(issuerSigned) {
+  const deviceNameSpaces = embedCbor({});
+  const deviceSignature = signCoseSign1({
+    payload: buildDeviceAuthenticationBytes(sessionTranscript, PASSPORT_DOCTYPE, deviceNameSpaces),
+    privateKey: deviceKey,
+    detached: true
+  });
+  return cbor.encode({
+    version: '1.0',
+    documents: [{ docType: PASSPORT_DOCTYPE, issuerSigned, deviceSigned: { nameSpaces: deviceNameSpaces, deviceAuth: { deviceSignature } } }],
+    status: 0
+  }).toString('base64url');
+}
+
+test('the holder discloses only the requested items and the verifier accepts them', () => {
+  const { issuerSigned } = signer.sign({
+    doctype: PASSPORT_DOCTYPE,
+    namespaces: {
+      [CORE_NAMESPACE]: { family_name: 'ERIKSSON', birth_date: '2006-01-01', nationality: 'UTO', ...AGE_19 },
+      [WEBAUTH_NAMESPACE]: { web_id: WEB_ID, passport_verification_level: 'nfc_verified' }
+    },
+    deviceKey
+  });
+  const itemsRequest = buildItemsRequest({ [CORE_NAMESPACE]: { age_over_17: false, nationality: true } });
+
+  const disclosed = selectDisclosedItems(issuerSigned, itemsRequest);
+  const identifiers = Object.fromEntries(Object.entries(disclosed.nameSpaces).map(([namespace, items]) =>
+    [namespace, items.map(item => unwrapEmbeddedCbor(item).elementIdentifier).sort()]));
+  assert.deepEqual(identifiers, {
+    [CORE_NAMESPACE]: ['age_over_18', 'nationality'],
+    [WEBAUTH_NAMESPACE]: ['web_id']
+  });
+  assert.equal(disclosed.issuerAuth, issuerSigned.issuerAuth);
+
+  const result = verifier.verifyDeviceResponse(present(disclosed), { sessionTranscript, itemsRequest });
+  assert.equal(result.valid, true, result.error);
+  assert.deepEqual(result.documents[0].claims[CORE_NAMESPACE], { age_over_18: true, nationality: 'UTO' });
+  assert.deepEqual(resolveAgeOver(result.documents[0].claims, itemsRequest), { 17: true });
+
+  // Withholding a requested item fails verification
+  const withoutNationality = disclosed.nameSpaces[CORE_NAMESPACE]
+    .filter(item => unwrapEmbeddedCbor(item).elementIdentifier !== 'nationality');
+  const withheld = { ...disclosed, nameSpaces: { ...disclosed.nameSpaces, [CORE_NAMESPACE]: withoutNationality } };
+  assert.deepEqual(verifier.verifyDeviceResponse(present(withheld), { sessionTranscript, itemsRequest }), {
+    valid: false,
+    error: `Requested data elements not disclosed: ${CORE_NAMESPACE}/nationality`
+  });
+});
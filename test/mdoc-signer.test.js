@@ -0,0 +1,160 @@
+/**
+ * COSE_Sign1 signing and verification, and mDocs signed by the local
+ * Document Signer: element encoding, value digests and validity.
+ */
+
+import { test, before, after, mock } from 'node:test';
+import assert from 'node:assert/strict';
+import crypto from 'crypto';
+import {
+  cbor,
+  Tag,
+  signCoseSign1,
+  verifyCoseSign1,
+  getX5Chain,
+  jwkToCoseKey,
+  coseKeyToJwk,
+  unwrapEmbeddedCbor,
+  pemToDer
+} from '../cose.js';
+import { LocalMDocSigner } from '../mdoc-signer.js';
+import { MDLPKISetup } from '../setup-mdoc-pki.js';
+import { PASSPORT_DOCTYPE, CORE_NAMESPACE, DTC_NAMESPACE } from '../passport-doctype.js';
+
+const payload = Buffer.from('MobileSecurityObjectBytes');
+
+let signer;
+let documentSigner;
+let deviceKey;
+
+before(async () => {
+  mock.method(console, 'log', () => {});
+  const pki = new MDLPKISetup();
+  documentSigner = await pki.generateLocalDocumentSigner(await pki.generateLocalIACA());
+  signer = new LocalMDocSigner(documentSigner.documentSignerKey.jwk, [documentSigner.certificatePEM], { validityDays: 30 });
+  deviceKey = await LocalMDocSigner.generateDeviceKey();
+});
+after(() => {
+  mock.restoreAll();
+});
+
+test('COSE_Sign1 signatures verify for each supported curve', () => {
+  for (const [namedCurve, alg] of [['P-256', -7], ['P-384', -35], ['P-521', -36]]) {
+    const { privateKey, publicKey } = crypto.generateKeyPairSync('ec', { namedCurve });
+    const sign1 = signCoseSign1({ payload, privateKey });
+    assert.equal(cbor.decode(sign1[0]).get(1), alg);
+    assert.equal(verifyCoseSign1(sign1, publicKey), true, namedCurve);
+    // The structure survives CBOR encoding, as in an IssuerSigned
+    assert.equal(verifyCoseSign1(cbor.decode(cbor.encode(sign1)), publicKey.export({ format: 'jwk' })), true);
+  }
+});
+
+test('COSE_Sign1 rejects tampered payloads, foreign keys and other external data', () => {
+  const { privateKey, publicKey } = crypto.generateKeyPairSync('ec', { namedCurve: 'P-256' });
+  const sign1 = signCoseSign1({ payload, privateKey, externalAad: Buffer.from('transcript') });
+  assert.equal(verifyCoseSign1(sign1, publicKey, { externalAad: Buffer.from('transcript') }), true);
+  assert.equal(verifyCoseSign1(sign1, publicKey), false);
+  assert.equal(verifyCoseSign1([sign1[0], sign1[1], Buffer.from('MobileSecurityObjectBytez'), sign1[3]], publicKey,
+    { externalAad: Buffer.from('transcript') }), false);
+
+  const other = crypto.generateKeyPairSync('ec', { namedCurve: 'P-256' }).publicKey;
+  assert.equal(verifyCoseSign1(sign1, other, { externalAad: Buffer.from('transcript') }), false);
+  assert.throws(() => verifyCoseSign1(sign1.slice(0, 3), publicKey), /Malformed COSE_Sign1/);
+});
+
+test('detached COSE_Sign1 payloads are supplied on verification', () => {
+  const { privateKey, publicKey } = crypto.generateKeyPairSync('ec', { namedCurve: 'P-256' });
+  const sign1 = signCoseSign1({ payload, privateKey, detached: true });
+  assert.equal(sign1[2], null);
+  assert.equal(verifyCoseSign1(sign1, publicKey, { detachedPayload: payload }), true);
+  assert.throws(() => verifyCoseSign1(sign1, publicKey), /payload is detached but none was supplied/);
+});
+
+test('x5chain holds one certificate as a bstr and more as an array', () => {
+  const { privateKey } = crypto.generateKeyPairSync('ec', { namedCurve: 'P-256' });
+  const [leaf, root] = [Buffer.from('leaf'), Buffer.from('root')];
+  const single = signCoseSign1({ payload, privateKey, x5chain: [leaf] });
+  assert.ok(Buffer.isBuffer(single[1].get(33)));
+  assert.deepEqual(getX5Chain(single), [leaf]);
+  assert.deepEqual(getX5Chain(signCoseSign1({ payload, privateKey, x5chain: [leaf, root] })), [leaf, root]);
+  assert.deepEqual(getX5Chain(signCoseSign1({ payload, privateKey })), []);
+});
+
+test('COSE_Key and JWK convert both ways', () => {
+  const jwk = crypto.generateKeyPairSync('ec', { namedCurve: 'P-384' }).publicKey.export({ format: 'jwk' });
+  assert.deepEqual(coseKeyToJwk(jwkToCoseKey(jwk)), jwk);
+  assert.throws(() => jwkToCoseKey({ kty: 'OKP', crv: 'Ed25519' }), /Unsupported device key: OKP\/Ed25519/);
+  assert.throws(() => coseKeyToJwk(new Map([[1, 1]])), /only EC2 keys are supported/);
+});
+
+const namespaces = {
+  [CORE_NAMESPACE]: {
+    family_name: 'ERIKSSON',
+    birth_date: '1974-08-12',
+    sex: 2,
+    portrait: Buffer.from([0xff, 0xd8, 0xff]).toString('base64'),
+    age_over_18: true,
+    given_name: ''
+  },
+  [DTC_NAMESPACE]: {
+    dg_hashes: { 1: Buffer.alloc(32, 1).toString('base64') }
+  }
+};
+
+test('signed mDocs carry the digests of their items under the Document Signer signature', () => {
+  const expiryDate = new Date(Date.now() + 10 * 24 * 60 * 60 * 1000).toISOString().slice(0, 10);
+  const { issuerSignedBytes } = signer.sign({ doctype: PASSPORT_DOCTYPE, namespaces, deviceKey, expiryDate });
+  const issuerSigned = cbor.decode(issuerSignedBytes);
+
+  const { issuerAuth } = issuerSigned;
+  assert.deepEqual(getX5Chain(issuerAuth), [pemToDer(documentSigner.certificatePEM)]);
+  const certificate = new crypto.X509Certificate(getX5Chain(issuerAuth)[0]);
+  assert.equal(verifyCoseSign1(issuerAuth, certificate.publicKey), true);
+
+  const mso = unwrapEmbeddedCbor(cbor.decode(issuerAuth[2]));
+  assert.equal(mso.docType, PASSPORT_DOCTYPE);
+  assert.equal(mso.digestAlgorithm, 'SHA-256');
+  assert.deepEqual(coseKeyToJwk(mso.deviceKeyInfo.deviceKey),
+    { kty: 'EC', crv: deviceKey.crv, x: deviceKey.x, y: deviceKey.y });
+  // Document expiry caps the 30 day validity
+  assert.equal(mso.validityInfo.validUntil.toISOString(), `${expiryDate}T23:59:59.000Z`);
+
+  const items = issuerSigned.nameSpaces[CORE_NAMESPACE];
+  // Empty values are left out
+  assert.equal(items.length, 5);
+  const digestIds = new Set();
+  for (const itemBytes of items) {
+    const item = unwrapEmbeddedCbor(itemBytes);
+    digestIds.add(item.digestID);
+    const digest = crypto.createHash('sha256').update(cbor.encode(itemBytes)).digest();
+    assert.deepEqual(Buffer.from(mso.valueDigests[CORE_NAMESPACE].get(item.digestID)), digest, item.elementIdentifier);
+  }
+  assert.equal(digestIds.size, 5);
+
+  const values = Object.fromEntries(items.map(unwrapEmbeddedCbor).map(item => [item.elementIdentifier, item.elementValue]));
+  assert.ok(values.birth_date instanceof Tag && values.birth_date.tag === 1004);
+  assert.equal(values.birth_date.value, '1974-08-12');
+  assert.deepEqual(Buffer.from(values.portrait), Buffer.from([0xff, 0xd8, 0xff]));
+  assert.equal(values.age_over_18, true);
+
+  const [dgHashes] = issuerSigned.nameSpaces[DTC_NAMESPACE].map(unwrapEmbeddedCbor);
+  assert.deepEqual(Buffer.from(dgHashes.elementValue.get(1)), Buffer.alloc(32, 1));
+});
+
+test('the MSO carries the status list reference', () => {
+  const status = { status_list: { idx: 7, uri: 'https://issuer.example.com/status-list' } };
+  const { mso } = signer.sign({ doctype: PASSPORT_DOCTYPE, namespaces, deviceKey, status });
+  assert.deepEqual(mso.status, status);
+  const validity = new Date(mso.validityInfo.validUntil.value) - new Date(mso.validityInfo.validFrom.value);
+  assert.equal(validity, 30 * 24 * 60 * 60 * 1000);
+});
+
+test('mDocs are only signed for holders and valid documents', () => {
+  assert.throws(() => signer.sign({ doctype: PASSPORT_DOCTYPE, namespaces }), /A device key is required/);
+  assert.throws(() => signer.sign({ doctype: PASSPORT_DOCTYPE, namespaces, deviceKey, expiryDate: '2020-01-01' }),
+    /expired on 2020-01-01/);
+
+  const { d, ...publicJwk } = documentSigner.documentSignerKey.jwk;
+  assert.throws(() => new LocalMDocSigner(publicJwk, [documentSigner.certificatePEM]), /private Document Signer JWK/);
+  assert.throws(() => new LocalMDocSigner(documentSigner.documentSignerKey.jwk, []), /certificate chain/);
+});
@@ -0,0 +1,149 @@
+/**
+ * OID4VP mdoc verification of DeviceResponses signed here: issuer signature
+ * and chain, value digests, validity, device signature and disclosure.
+ */
+
+import { test, before, after, mock } from 'node:test';
+import assert from 'node:assert/strict';
+import crypto from 'crypto';
+import {
+  MDocVerifier,
+  buildOID4VPSessionTranscript,
+  buildDeviceAuthenticationBytes
+} from '../mdoc-verifier.js';
+import { cbor, embedCbor, unwrapEmbeddedCbor, signCoseSign1 } from '../cose.js';
+import { LocalMDocSigner } from '../mdoc-signer.js';
+import { MDLPKISetup } from '../setup-mdoc-pki.js';
+import { PASSPORT_DOCTYPE, CORE_NAMESPACE, WEBAUTH_NAMESPACE } from '../passport-doctype.js';
+
+const SESSION = {
+  clientId: 'verifier.example.com',
+  responseUri: 'https://verifier.example.com/auth/present',
+  nonce: 'session nonce',
+  mdocGeneratedNonce: 'wallet nonce'
+};
+const sessionTranscript = buildOID4VPSessionTranscript(SESSION);
+const itemsRequest = {
+  docType: PASSPORT_DOCTYPE,
+  nameSpaces: {
+    [CORE_NAMESPACE]: { family_name: true, birth_date: false },
+    [WEBAUTH_NAMESPACE]: { web_id: true }
+  }
+};
+
+let verifier;
+let signer;
+let shortLivedSigner;
+let deviceKey;
+let iaca;
+
+before(async () => {
+  mock.method(console, 'log', () => {});
+  const pki = new MDLPKISetup();
+  iaca = await pki.generateLocalIACA();
+  const documentSigner = await pki.generateLocalDocumentSigner(iaca);
+  signer = new LocalMDocSigner(documentSigner.documentSignerKey.jwk, [documentSigner.certificatePEM]);
+  shortLivedSigner = new LocalMDocSigner(documentSigner.documentSignerKey.jwk, [documentSigner.certificatePEM], { validityDays: 1 });
+  deviceKey = await LocalMDocSigner.generateDeviceKey();
+  verifier = new MDocVerifier({ trustAnchors: [iaca.certificatePEM] });
+});
+after(() => {
+  mock.restoreAll();
+});
+
+function issue(mdocSigner = signer) {
+  return mdocSigner.sign({
+    doctype: PASSPORT_DOCTYPE,
+    namespaces: {
+      [CORE_NAMESPACE]: { family_name: 'ERIKSSON', birth_date: '1974-08-12', nationality: 'UTO' },
+      [WEBAUTH_NAMESPACE]: { web_id: 'https://anna.example.com/profile#me' }
+    },
+    deviceKey
+  }).issuerSigned;
+}
+
+// DeviceResponse as a wallet builds it, device-signed over the session transcript
+function present(issuerSigned, { transcript = sessionTranscript, docType = PASSPORT_DOCTYPE } = {}) {
+  const deviceNameSpaces = embedCbor({});
+  const deviceSignature = signCoseSign1({
+    payload: buildDeviceAuthenticationBytes(transcript, docType, deviceNameSpaces),
+    privateKey: deviceKey,
+    detached: true
+  });
+  return cbor.encode({
+    version: '1.0',
+    documents: [{ docType, issuerSigned, deviceSigned: { nameSpaces: deviceNameSpaces, deviceAuth: { deviceSignature } } }],
+    status: 0
+  }).toString('base64url');
+}
+
+const verify = (vpToken, options = {}) => verifier.verifyDeviceResponse(vpToken, { sessionTranscript, itemsRequest, ...options });
+
+test('a presentation from a trusted Document Signer verifies', () => {
+  const result = verify(present(issue()));
+  assert.equal(result.error, undefined);
+  assert.equal(result.valid, true);
+  const [document] = result.documents;
+  assert.deepEqual(document.claims[CORE_NAMESPACE], { family_name: 'ERIKSSON', birth_date: '1974-08-12', nationality: 'UTO' });
+  assert.equal(document.claims[WEBAUTH_NAMESPACE].web_id, 'https://anna.example.com/profile#me');
+  assert.equal(document.issuer.iaca, new crypto.X509Certificate(iaca.certificatePEM).subject);
+});
+
+test('an element whose digest does not match the MSO is rejected', () => {
+  const issuerSigned = issue();
+  const items = issuerSigned.nameSpaces[CORE_NAMESPACE];
+  const index = items.findIndex(item => unwrapEmbeddedCbor(item).elementIdentifier === 'family_name');
+  items[index] = embedCbor({ ...unwrapEmbeddedCbor(items[index]), elementValue: 'MALLORY' });
+
+  assert.deepEqual(verify(present(issuerSigned)), {
+    valid: false,
+    error: `Digest mismatch for ${CORE_NAMESPACE}/family_name`
+  });
+});
+
+test('an element moved to another digest ID is rejected', () => {
+  const issuerSigned = issue();
+  const [first, second] = issuerSigned.nameSpaces[CORE_NAMESPACE].map(unwrapEmbeddedCbor);
+  issuerSigned.nameSpaces[CORE_NAMESPACE][0] = embedCbor({ ...first, digestID: second.digestID });
+  assert.match(verify(present(issuerSigned)).error, /^Digest mismatch/);
+});
+
+test('a changed MSO breaks the issuer signature', () => {
+  const issuerSigned = issue();
+  const mso = unwrapEmbeddedCbor(cbor.decode(Buffer.from(issuerSigned.issuerAuth[2])));
+  mso.docType = 'org.iso.18013.5.1.mDL';
+  issuerSigned.issuerAuth[2] = cbor.encode(embedCbor(mso));
+  assert.deepEqual(verify(present(issuerSigned)), { valid: false, error: 'issuerAuth signature is invalid' });
+});
+
+test('Document Signers outside the trusted IACAs are rejected', async () => {
+  const untrusted = new MDocVerifier({ trustAnchors: [(await new MDLPKISetup().generateLocalIACA()).certificatePEM] });
+  const result = untrusted.verifyDeviceResponse(present(issue()), { sessionTranscript });
+  assert.equal(result.valid, false);
+  assert.match(result.error, /does not chain to a trusted IACA/);
+  assert.equal(new MDocVerifier().verifyDeviceResponse(present(issue()), { sessionTranscript }).error,
+    'No IACA trust anchors configured');
+});
+
+test('the device signature must cover this session', () => {
+  const otherSession = buildOID4VPSessionTranscript({ ...SESSION, nonce: 'another nonce' });
+  assert.deepEqual(verify(present(issue(), { transcript: otherSession })), {
+    valid: false,
+    error: 'Device signature does not match the session transcript'
+  });
+});
+
+test('expired mDocs and undisclosed elements are rejected', () => {
+  const inTwoDays = new Date(Date.now() + 2 * 24 * 60 * 60 * 1000);
+  assert.match(verify(present(issue(shortLivedSigner)), { now: inTwoDays }).error, /^mDoc expired at /);
+
+  const vpToken = present(issue());
+  const withPortrait = { ...itemsRequest, nameSpaces: { [CORE_NAMESPACE]: { family_name: true, portrait: false } } };
+  assert.deepEqual(verify(vpToken, { itemsRequest: withPortrait }), {
+    valid: false,
+    error: `Requested data elements not disclosed: ${CORE_NAMESPACE}/portrait`
+  });
+  assert.equal(verify(present(issue(), { docType: 'org.iso.18013.5.1.mDL' })).error,
+    `MSO docType "${PASSPORT_DOCTYPE}" does not match document "org.iso.18013.5.1.mDL"`);
+  assert.equal(verify('not cbor').error, 'VP token is not a CBOR-encoded DeviceResponse');
+});
@@ -0,0 +1,182 @@
+/**
+ * Mock passport generator: seeded passports repeat exactly, and every
+ * scenario gives data formatForMDoc accepts (or, for invalid ones, rejects)
+ * with an MRZ that agrees with the fields.
+ */
+
+import { test, before, after, mock } from 'node:test';
+import assert from 'node:assert/strict';
+import { MOCK_SCENARIOS, MOCK_PORTRAIT, createSeededRandom, generateMockPassport } from '../mock-passport-generator.js';
+import { PassportDataReader } from '../passport-nfc-reader.js';
+import { MRZValidationError, parseMRZ } from '../mrz.js';
+import { CORE_NAMESPACE, PHOTOID_NAMESPACE, DTC_NAMESPACE, WEBAUTH_NAMESPACE, VERIFICATION_LEVELS } from '../passport-doctype.js';
+
+const REFERENCE_DATE = '2026-03-01';
+const SEEDS = ['alpha', 'bravo', 42, 'edge-case-7', 'zulu'];
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+let reader;
+
+before(() => {
+  mock.method(console, 'log', () => {});
+  reader = new PassportDataReader();
+});
+after(() => {
+  mock.restoreAll();
+});
+
+const daysFromReference = isoDate => (Date.parse(isoDate) - Date.parse(REFERENCE_DATE)) / DAY_MS;
+
+// Whole years of age on the reference date
+function ageOn(birthDate) {
+  const [year, month, day] = birthDate.split('-').map(Number);
+  const [refYear, refMonth, refDay] = REFERENCE_DATE.split('-').map(Number);
+  return refYear - year - (refMonth < month || (refMonth === month && refDay < day) ? 1 : 0);
+}
+
+test('a seed and reference date always give the same passport', () => {
+  const passport = generateMockPassport({ seed: 'alpha', referenceDate: REFERENCE_DATE });
+  assert.deepEqual(generateMockPassport({ seed: 'alpha', referenceDate: REFERENCE_DATE }), passport);
+  // The whole UTC day is one reference date
+  assert.deepEqual(generateMockPassport({ seed: 'alpha', referenceDate: `${REFERENCE_DATE}T23:59:59Z` }), passport);
+  assert.deepEqual(passport.mock, { seed: 'alpha', referenceDate: REFERENCE_DATE });
+  // Numbers are seeds like their string form
+  assert.deepEqual(generateMockPassport({ seed: 42, referenceDate: REFERENCE_DATE }),
+    generateMockPassport({ seed: '42', referenceDate: REFERENCE_DATE }));
+
+  assert.notDeepEqual(generateMockPassport({ seed: 'bravo', referenceDate: REFERENCE_DATE }), passport);
+  // Relative dates follow the reference date
+  const later = generateMockPassport({ seed: 'alpha', referenceDate: '2027-03-01' });
+  assert.equal(later.documentNumber, passport.documentNumber);
+  assert.notEqual(later.expiryDate, passport.expiryDate);
+
+  // A scenario is applied on top of the same passport
+  const expired = generateMockPassport({ seed: 'alpha', scenario: 'expired', referenceDate: REFERENCE_DATE });
+  assert.equal(expired.documentNumber, passport.documentNumber);
+  assert.equal(expired.lastName, passport.lastName);
+  assert.equal(expired.mock.scenario, 'expired');
+
+  // Without a seed every passport is new, but records its seed for a replay
+  const unseeded = generateMockPassport({ referenceDate: REFERENCE_DATE });
+  assert.ok(unseeded.mock.seed);
+  assert.deepEqual(generateMockPassport({ seed: unseeded.mock.seed, referenceDate: REFERENCE_DATE }), unseeded);
+});
+
+test('the seeded random sequence repeats and stays in range', () => {
+  const sequence = seed => {
+    const random = createSeededRandom(seed);
+    return Array.from({ length: 100 }, () => random.next());
+  };
+  const values = sequence('alpha');
+  assert.deepEqual(sequence('alpha'), values);
+  assert.notDeepEqual(sequence('alphb'), values);
+  assert.ok(values.every(value => value >= 0 && value < 1));
+
+  const random = createSeededRandom('alpha');
+  for (let i = 0; i < 100; i++) {
+    const value = random.integer(10, 17);
+    assert.ok(Number.isInteger(value) && value >= 10 && value <= 17);
+  }
+  assert.match(random.digits(9), /^\d{9}$/);
+});
+
+test('unknown scenarios and reference dates are refused', () => {
+  assert.throws(() => generateMockPassport({ scenario: 'laminated' }),
+    /Unknown mock passport scenario: laminated \(expected expired, expiring-soon, minor/);
+  assert.throws(() => generateMockPassport({ scenario: 'constructor' }), /Unknown mock passport scenario: constructor/);
+  assert.throws(() => generateMockPassport({ referenceDate: 'next tuesday' }), /Invalid reference date: next tuesday/);
+});
+
+const generate = (seed, scenario) => generateMockPassport({ seed, scenario, referenceDate: REFERENCE_DATE });
+
+// What each scenario promises about the formatted data, checked for every seed
+const SCENARIO_CHECKS = {
+  expired: ({ data }) => {
+    const days = daysFromReference(data[CORE_NAMESPACE].expiry_date);
+    assert.ok(days >= -365 && days <= -1, `expired ${-days} days ago`);
+  },
+  'expiring-soon': ({ data }) => {
+    const days = daysFromReference(data[CORE_NAMESPACE].expiry_date);
+    assert.ok(days >= 0 && days <= 30, `expires in ${days} days`);
+  },
+  minor: ({ data }) => {
+    const age = ageOn(data[CORE_NAMESPACE].birth_date);
+    assert.ok(age >= 10 && age <= 17, `aged ${age}`);
+  },
+  'no-portrait': ({ data }) => {
+    assert.equal(data[CORE_NAMESPACE].portrait, undefined);
+  },
+  'long-surname': ({ data }, mrz) => {
+    assert.equal(data[CORE_NAMESPACE].family_name.length, 39);
+    // The surname fills the name field: no room for the separator or given names
+    assert.equal(mrz.lines[0].slice(5), data[CORE_NAMESPACE].family_name);
+    assert.equal(mrz.firstName, '');
+  },
+  'single-name': ({ data }, mrz) => {
+    assert.equal(data[CORE_NAMESPACE].given_name, '');
+    assert.equal(mrz.lastName, 'SUKARNO');
+    assert.equal(mrz.firstName, '');
+  },
+  'non-latin': ({ data }, mrz) => {
+    assert.equal(data[CORE_NAMESPACE].family_name, 'ИВАНОВА');
+    assert.equal(data[PHOTOID_NAMESPACE].birth_place, 'САНКТ-ПЕТЕРБУРГ');
+    assert.match(mrz.lines[0], /^[A-Z0-9<]+$/);
+    assert.equal(mrz.lastName, 'IVANOVA');
+  },
+  german: ({ data }, mrz) => {
+    assert.equal(data[CORE_NAMESPACE].issuing_country, 'D');
+    assert.equal(data[CORE_NAMESPACE].nationality, 'D');
+    assert.equal(mrz.lines[0].slice(2, 5), 'D<<');
+    assert.equal(mrz.lines[1].slice(10, 13), 'D<<');
+    assert.match(data[CORE_NAMESPACE].document_number, /^C\d{2}X\d{2}T\d{2}$/);
+    assert.equal(data[PHOTOID_NAMESPACE].person_id, undefined);
+  },
+  stateless: ({ data }, mrz) => {
+    assert.equal(data[CORE_NAMESPACE].nationality, 'XXA');
+    assert.equal(mrz.nationality, 'XXA');
+    assert.equal(mrz.issuingCountry, 'D');
+  }
+};
+
+test('every scenario has a check', () => {
+  const valid = Object.keys(MOCK_SCENARIOS).filter(name => MOCK_SCENARIOS[name].valid !== false);
+  assert.deepEqual(Object.keys(SCENARIO_CHECKS).sort(), valid.sort());
+});
+
+for (const scenario of [undefined, ...Object.keys(MOCK_SCENARIOS)]) {
+  const name = scenario || 'no scenario';
+  if (MOCK_SCENARIOS[scenario]?.valid === false) {
+    test(`${name}: formatForMDoc rejects the data`, async () => {
+      for (const seed of SEEDS) {
+        await assert.rejects(reader.formatForMDoc(generate(seed, scenario)), error => {
+          assert.ok(error instanceof MRZValidationError);
+          return true;
+        }, `seed ${seed}`);
+      }
+    });
+    continue;
+  }
+
+  test(`${name}: formatForMDoc accepts the data and the MRZ agrees`, async () => {
+    for (const seed of SEEDS) {
+      const passport = generate(seed, scenario);
+      const formatted = await reader.formatForMDoc(passport);
+      const mrz = parseMRZ(passport.mrz);
+      assert.equal(mrz.valid, true, `seed ${seed}: ${JSON.stringify(mrz.errors)}`);
+
+      const core = formatted.data[CORE_NAMESPACE];
+      assert.equal(core.document_number, mrz.documentNumber);
+      assert.equal(core.birth_date, mrz.dateOfBirth);
+      assert.equal(core.expiry_date, mrz.expiryDate);
+      assert.equal(formatted.data[DTC_NAMESPACE].mrz, passport.mrz);
+      assert.equal(formatted.data[WEBAUTH_NAMESPACE].passport_verification_level, VERIFICATION_LEVELS.UNVERIFIED);
+      assert.deepEqual(formatted.metadata.mock, passport.mock);
+      if (scenario !== 'no-portrait') {
+        assert.equal(core.portrait, MOCK_PORTRAIT);
+      }
+      if (scenario) {
+        SCENARIO_CHECKS[scenario](formatted, mrz);
+      }
+    }
+  });
+}
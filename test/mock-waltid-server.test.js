@@ -0,0 +1,282 @@
+/**
+ * walt.id stand-in: IACA and Document Signer onboarding, pre-authorized code
+ * issuance of mso_mdoc, SD-JWT VC and jwt_vc_json credentials, status
+ * callbacks and verification sessions.
+ */
+
+import { test, before, after, mock } from 'node:test';
+import assert from 'node:assert/strict';
+import crypto from 'crypto';
+import http from 'http';
+import { SignJWT, importJWK, jwtVerify, decodeJwt } from 'jose';
+import { MockWaltIdServer } from '../mock-waltid-server.js';
+import { MDLPKISetup } from '../setup-mdoc-pki.js';
+import { cbor, coseKeyToJwk, getX5Chain, unwrapEmbeddedCbor, verifyCoseSign1 } from '../cose.js';
+import { decodeSDJWT } from '../sd-jwt.js';
+import {
+  PASSPORT_CREDENTIAL_CONFIGURATION_ID,
+  PASSPORT_SD_JWT_CONFIGURATION_ID,
+  PASSPORT_VCT,
+  CORE_NAMESPACE
+} from '../passport-doctype.js';
+
+const PRE_AUTHORIZED_GRANT = 'urn:ietf:params:oauth:grant-type:pre-authorized_code';
+const MDOC_DATA = {
+  [CORE_NAMESPACE]: { family_name: 'ERIKSSON', given_name: 'ANNA MARIA', expiry_date: '2032-04-15' }
+};
+
+const servers = [];
+let waltId;
+let issuerKey;
+let x5Chain;
+let iacaPEM;
+let callbacks;
+let callbackUri;
+
+const listen = async () => {
+  const server = http.createServer();
+  servers.push(server);
+  await new Promise(resolve => server.listen(0, 'localhost', resolve));
+  return { server, baseUrl: `http://localhost:${server.address().port}` };
+};
+
+before(async () => {
+  mock.method(console, 'log', () => {});
+  mock.method(console, 'error', () => {});
+
+  const issuer = await listen();
+  const verifier = await listen();
+  waltId = new MockWaltIdServer({ issuerBaseUrl: issuer.baseUrl, verifierBaseUrl: verifier.baseUrl });
+  issuer.server.on('request', waltId.issuerApp);
+  verifier.server.on('request', waltId.verifierApp);
+
+  // Onboard through the same client setup-mdoc-pki.js uses against walt.id
+  const pki = new MDLPKISetup();
+  pki.issuerBaseUrl = issuer.baseUrl;
+  const iaca = await pki.onboardIACA();
+  const documentSigner = await pki.onboardDocumentSigner(iaca);
+  iacaPEM = iaca.certificatePEM;
+  issuerKey = documentSigner.documentSignerKey;
+  x5Chain = [documentSigner.certificatePEM];
+
+  callbacks = [];
+  const callbackServer = await listen();
+  callbackServer.server.on('request', (req, res) => {
+    let body = '';
+    req.on('data', chunk => { body += chunk; });
+    req.on('end', () => {
+      callbacks.push({ url: req.url, body: JSON.parse(body) });
+      res.end();
+    });
+  });
+  callbackUri = `${callbackServer.baseUrl}/callback/$id`;
+});
+after(async () => {
+  for (const server of servers) {
+    server.closeAllConnections();
+    await new Promise(resolve => server.close(resolve));
+  }
+  mock.restoreAll();
+});
+
+const post = (url, body, headers = {}) => fetch(url, {
+  method: 'POST',
+  headers: { 'Content-Type': 'application/json', ...headers },
+  body: JSON.stringify(body)
+});
+
+async function createOffer(path, body, headers) {
+  const response = await post(`${waltId.issuerBaseUrl}${path}`, { issuerKey, ...body }, headers);
+  assert.equal(response.status, 200, await response.clone().text());
+  const offerUrl = new URL(await response.text());
+  assert.equal(offerUrl.protocol, 'openid-credential-offer:');
+  return await (await fetch(offerUrl.searchParams.get('credential_offer_uri'))).json();
+}
+
+const requestToken = (offer, params = {}) => fetch(`${waltId.credentialIssuer}/token`, {
+  method: 'POST',
+  headers: { 'Content-Type': 'application/x-www-form-urlencoded' },
+  body: new URLSearchParams({
+    grant_type: PRE_AUTHORIZED_GRANT,
+    'pre-authorized_code': offer.grants[PRE_AUTHORIZED_GRANT]['pre-authorized_code'],
+    ...params
+  })
+});
+
+async function proofJwt(holderKey, nonce, { kid } = {}) {
+  const { d, ...publicJwk } = holderKey;
+  return new SignJWT({ nonce })
+    .setProtectedHeader({ alg: 'ES256', typ: 'openid4vci-proof+jwt', jwk: publicJwk, ...(kid && { kid }) })
+    .setAudience(waltId.credentialIssuer)
+    .setIssuedAt()
+    .sign(await importJWK(holderKey, 'ES256'));
+}
+
+const requestCredential = (accessToken, body) => post(`${waltId.credentialIssuer}/credential`, body, {
+  Authorization: `Bearer ${accessToken}`
+});
+
+const generateHolderKey = () => crypto.generateKeyPairSync('ec', { namedCurve: 'P-256' }).privateKey.export({ format: 'jwk' });
+
+test('onboarded Document Signers chain to the onboarded IACA', async () => {
+  const certificate = new crypto.X509Certificate(x5Chain[0]);
+  assert.ok(certificate.verify(new crypto.X509Certificate(iacaPEM).publicKey));
+  assert.match(certificate.subject, /CN=Passport Document Signer Test/);
+  assert.ok(issuerKey.jwk.d);
+
+  const unknown = await post(`${waltId.issuerBaseUrl}/onboard/iso-mdl/document-signers`, {
+    iacaSigner: { iacaKey: { type: 'jwk', jwk: { ...issuerKey.jwk, kid: 'unknown' } } },
+    certificateData: { commonName: 'DS' }
+  });
+  assert.equal(unknown.status, 400);
+  assert.match((await unknown.json()).message, /Unknown IACA key/);
+});
+
+test('issuer metadata advertises the passport configurations', async () => {
+  const metadata = await (await fetch(`${waltId.credentialIssuer}/.well-known/openid-credential-issuer`)).json();
+  assert.equal(metadata.credential_issuer, waltId.credentialIssuer);
+  assert.equal(metadata.token_endpoint, `${waltId.credentialIssuer}/token`);
+  assert.equal(metadata.credential_configurations_supported[PASSPORT_CREDENTIAL_CONFIGURATION_ID].format, 'mso_mdoc');
+  assert.equal(metadata.credential_configurations_supported[PASSPORT_SD_JWT_CONFIGURATION_ID].vct, PASSPORT_VCT);
+});
+
+test('an mdoc offer is redeemed once with the transaction code and a proof of possession', async () => {
+  const offer = await createOffer('/openid4vc/mdoc/issue', {
+    credentialConfigurationId: PASSPORT_CREDENTIAL_CONFIGURATION_ID,
+    mdocData: MDOC_DATA,
+    x5Chain,
+    txCode: { length: 4 },
+    txCodeValue: '1234'
+  }, { statusCallbackUri: callbackUri });
+  assert.deepEqual(offer.credential_configuration_ids, [PASSPORT_CREDENTIAL_CONFIGURATION_ID]);
+  assert.deepEqual(offer.grants[PRE_AUTHORIZED_GRANT].tx_code, { input_mode: 'numeric', length: 4 });
+
+  const wrongCode = await requestToken(offer, { tx_code: '9999' });
+  assert.deepEqual(await wrongCode.json(), { error: 'invalid_grant', error_description: 'Invalid transaction code' });
+  const tokens = await (await requestToken(offer, { tx_code: '1234' })).json();
+  assert.equal(tokens.token_type, 'bearer');
+  const reused = await requestToken(offer, { tx_code: '1234' });
+  assert.equal((await reused.json()).error_description, 'Pre-authorized code has already been used');
+
+  // A stale nonce is refused with a fresh one to retry with
+  const holderKey = generateHolderKey();
+  const stale = await requestCredential(tokens.access_token, { format: 'mso_mdoc', proof: { proof_type: 'jwt', jwt: await proofJwt(holderKey, 'stale') } });
+  assert.equal(stale.status, 400);
+  const staleError = await stale.json();
+  assert.equal(staleError.error, 'invalid_proof');
+  assert.notEqual(staleError.c_nonce, tokens.c_nonce);
+
+  const response = await requestCredential(tokens.access_token, {
+    format: 'mso_mdoc',
+    proof: { proof_type: 'jwt', jwt: await proofJwt(holderKey, staleError.c_nonce) }
+  });
+  assert.equal(response.status, 200);
+  const { format, credential } = await response.json();
+  assert.equal(format, 'mso_mdoc');
+
+  const issuerSigned = cbor.decode(Buffer.from(credential, 'base64url'));
+  const documentSigner = new crypto.X509Certificate(getX5Chain(issuerSigned.issuerAuth)[0]);
+  assert.equal(verifyCoseSign1(issuerSigned.issuerAuth, documentSigner.publicKey), true);
+  const mso = unwrapEmbeddedCbor(cbor.decode(issuerSigned.issuerAuth[2]));
+  const { d, ...holderPublicKey } = holderKey;
+  assert.deepEqual(coseKeyToJwk(mso.deviceKeyInfo.deviceKey), holderPublicKey);
+  assert.deepEqual(issuerSigned.nameSpaces[CORE_NAMESPACE].map(item => unwrapEmbeddedCbor(item).elementIdentifier).sort(),
+    ['expiry_date', 'family_name', 'given_name']);
+
+  const again = await requestCredential(tokens.access_token, {
+    proof: { proof_type: 'jwt', jwt: await proofJwt(holderKey, staleError.c_nonce) }
+  });
+  assert.equal((await again.json()).error_description, 'Credential has already been issued for this offer');
+
+  // The status callback is posted without waiting for it
+  for (let i = 0; i < 50 && callbacks.length === 0; i++) {
+    await new Promise(resolve => setTimeout(resolve, 10));
+  }
+  const [session] = [...waltId.issuanceSessions.values()].filter(s => s.format === 'mso_mdoc');
+  assert.deepEqual(callbacks, [{
+    url: `/callback/${session.id}`,
+    body: { id: session.id, type: 'generated_mdoc', data: { format: 'mso_mdoc' } }
+  }]);
+});
+
+test('SD-JWT VC and jwt_vc_json credentials are bound to the holder', async () => {
+  const holderKey = generateHolderKey();
+  const { d, ...holderPublicKey } = holderKey;
+
+  const sdJwtOffer = await createOffer('/openid4vc/sdjwt/issue', {
+    credentialConfigurationId: PASSPORT_SD_JWT_CONFIGURATION_ID,
+    credentialData: { family_name: 'ERIKSSON', age_over_18: true },
+    x5Chain
+  });
+  const sdJwtTokens = await (await requestToken(sdJwtOffer)).json();
+  const sdJwt = await (await requestCredential(sdJwtTokens.access_token, {
+    proof: { proof_type: 'jwt', jwt: await proofJwt(holderKey, sdJwtTokens.c_nonce) }
+  })).json();
+  const decoded = decodeSDJWT(sdJwt.credential);
+  assert.equal(decoded.payload.vct, PASSPORT_VCT);
+  assert.deepEqual(decoded.payload.cnf.jwk, holderPublicKey);
+  assert.equal(decoded.claims.family_name, 'ERIKSSON');
+  assert.equal(decoded.claims.age_over_18, true);
+
+  const jwtOffer = await createOffer('/openid4vc/jwt/issue', {
+    credentialConfigurationId: 'VerifiableId_jwt_vc_json',
+    credentialData: { type: ['VerifiableCredential', 'VerifiableId'], issuer: { id: 'did:web:issuer.example.com' }, credentialSubject: { firstName: 'Anna' } }
+  });
+  const jwtTokens = await (await requestToken(jwtOffer)).json();
+  const holderDid = 'did:jwk:anna';
+  const jwtVc = await (await requestCredential(jwtTokens.access_token, {
+    proof: { proof_type: 'jwt', jwt: await proofJwt(holderKey, jwtTokens.c_nonce, { kid: `${holderDid}#0` }) }
+  })).json();
+  const { payload } = await jwtVerify(jwtVc.credential, new crypto.X509Certificate(x5Chain[0]).publicKey);
+  assert.equal(payload.iss, 'did:web:issuer.example.com');
+  assert.equal(payload.sub, holderDid);
+  assert.equal(payload.vc.credentialSubject.firstName, 'Anna');
+  assert.equal(decodeJwt(jwtVc.credential).cnf, undefined);
+});
+
+test('issuance requests are checked against the credential configuration', async () => {
+  const issue = (path, body) => post(`${waltId.issuerBaseUrl}${path}`, { issuerKey, ...body });
+
+  const unknown = await issue('/openid4vc/mdoc/issue', { credentialConfigurationId: 'org.iso.18013.5.1.mDL', mdocData: MDOC_DATA, x5Chain });
+  assert.equal((await unknown.json()).message, 'Unknown credentialConfigurationId: org.iso.18013.5.1.mDL');
+  const wrongFormat = await issue('/openid4vc/sdjwt/issue', { credentialConfigurationId: PASSPORT_CREDENTIAL_CONFIGURATION_ID, credentialData: {} });
+  assert.match((await wrongFormat.json()).message, /is a mso_mdoc credential, not vc\+sd-jwt/);
+  const publicKey = await post(`${waltId.issuerBaseUrl}/openid4vc/mdoc/issue`, {
+    issuerKey: { type: 'jwk', jwk: { ...issuerKey.jwk, d: undefined } },
+    credentialConfigurationId: PASSPORT_CREDENTIAL_CONFIGURATION_ID,
+    mdocData: MDOC_DATA,
+    x5Chain
+  });
+  assert.match((await publicKey.json()).message, /issuerKey must be a private JWK/);
+
+  const noToken = await requestCredential('unknown', {});
+  assert.equal(noToken.status, 401);
+});
+
+test('verification sessions record the posted presentation until they expire', async () => {
+  const response = await post(`${waltId.verifierBaseUrl}/openid4vc/verify`, {
+    request_credentials: [{ format: 'vc+sd-jwt', vct: PASSPORT_VCT }]
+  });
+  const authorizationUrl = new URL(await response.text());
+  assert.equal(authorizationUrl.protocol, 'openid4vp:');
+  const params = Object.fromEntries(authorizationUrl.searchParams);
+  assert.equal(params.response_type, 'vp_token');
+  assert.equal(params.response_mode, 'direct_post');
+  assert.ok(params.nonce);
+
+  const definition = await (await fetch(params.presentation_definition_uri)).json();
+  assert.deepEqual(definition.input_descriptors[0].constraints.fields,
+    [{ path: ['$.vct'], filter: { type: 'string', const: PASSPORT_VCT } }]);
+
+  assert.equal((await post(params.response_uri, {})).status, 400);
+  assert.equal((await post(params.response_uri, { vp_token: 'token', state: params.state })).status, 200);
+  const session = await (await fetch(`${waltId.verifierBaseUrl}/openid4vc/session/${params.state}`)).json();
+  assert.deepEqual(session.tokenResponse, { vp_token: 'token', state: params.state });
+
+  const badRequest = await post(`${waltId.verifierBaseUrl}/openid4vc/verify`, { request_credentials: [] });
+  assert.equal(badRequest.status, 400);
+
+  assert.ok(waltId.sweep(Date.now() + 60 * 60 * 1000) >= 1);
+  assert.equal(waltId.verificationSessions.size, 0);
+  assert.equal((await fetch(`${waltId.verifierBaseUrl}/openid4vc/session/${params.state}`)).status, 404);
+});
@@ -0,0 +1,141 @@
+/**
+ * ICAO 9303 MRZ: check digits of the TD1, TD2 and TD3 specimens, long
+ * document numbers and validation of mDoc passport elements.
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { computeCheckDigit, generateMRZ, parseMRZ, transliterate, validatePassportElements } from '../mrz.js';
+
+// Specimens from ICAO Doc 9303 Parts 4, 5 and 6
+const SPECIMENS = {
+  TD3: 'P<UTOERIKSSON<<ANNA<MARIA<<<<<<<<<<<<<<<<<<<\nL898902C36UTO7408122F1204159ZE184226B<<<<<10',
+  TD1: 'I<UTOD231458907<<<<<<<<<<<<<<<\n7408122F1204159UTO<<<<<<<<<<<6\nERIKSSON<<ANNA<MARIA<<<<<<<<<<',
+  TD2: 'I<UTOERIKSSON<<ANNA<MARIA<<<<<<<<<<<\nD231458907UTO7408122F1204159<<<<<<<6'
+};
+// TD1 specimen with a 12 character document number
+const LONG_NUMBER_TD1 = 'I<UTOD23145890<7349<<<<<<<<<<<\n3407127M9507122UTO<<<<<<<<<<<2\nSTEVENSON<<PETER<JOHN<<<<<<<<<';
+
+const anna = {
+  documentType: 'P',
+  issuingCountry: 'UTO',
+  documentNumber: 'L898902C3',
+  lastName: 'ERIKSSON',
+  firstName: 'ANNA MARIA',
+  nationality: 'UTO',
+  dateOfBirth: '1974-08-12',
+  sex: 'F',
+  expiryDate: '2012-04-15',
+  personalNumber: 'ZE184226B'
+};
+
+const elements = {
+  family_name: 'Eriksson',
+  given_name: 'Anna Maria',
+  birth_date: '1974-08-12',
+  sex: 2,
+  nationality: 'UTO',
+  issuing_country: 'UTO',
+  document_number: 'L898902C3',
+  expiry_date: '2012-04-15',
+  document_type_code: 'P'
+};
+
+test('check digits use the 7-3-1 weights', () => {
+  assert.equal(computeCheckDigit('L898902C3'), '6');
+  assert.equal(computeCheckDigit('740812'), '2');
+  assert.equal(computeCheckDigit('120415'), '9');
+  assert.equal(computeCheckDigit('ZE184226B<<<<<'), '1');
+  assert.equal(computeCheckDigit('<<<<<<'), '0');
+});
+
+test('the ICAO specimens parse with valid check digits', () => {
+  for (const [format, mrz] of Object.entries(SPECIMENS)) {
+    const parsed = parseMRZ(mrz);
+    assert.equal(parsed.format, format);
+    assert.deepEqual(parsed.errors, [], format);
+    assert.equal(parsed.lastName, 'ERIKSSON');
+    assert.equal(parsed.firstName, 'ANNA MARIA');
+    assert.equal(parsed.dateOfBirth, '1974-08-12');
+    assert.equal(parsed.expiryDate, '2012-04-15');
+    assert.equal(parsed.sex, 'F');
+  }
+  assert.equal(parseMRZ(SPECIMENS.TD3).personalNumber, 'ZE184226B');
+  assert.equal(parseMRZ(SPECIMENS.TD1).documentNumber, 'D23145890');
+});
+
+test('the ICAO specimens are generated from their fields', () => {
+  assert.equal(generateMRZ(anna, 'TD3'), SPECIMENS.TD3.replace('\n', ''));
+  const card = { ...anna, documentType: 'I', documentNumber: 'D23145890', personalNumber: undefined };
+  assert.equal(generateMRZ(card, 'TD1'), SPECIMENS.TD1.replace(/\n/g, ''));
+  assert.equal(generateMRZ(card, 'TD2'), SPECIMENS.TD2.replace('\n', ''));
+});
+
+test('wrong check digits are reported per field', () => {
+  const mrz = SPECIMENS.TD3.replace('L898902C36', 'L898902C37');
+  const parsed = parseMRZ(mrz);
+  assert.equal(parsed.valid, false);
+  assert.deepEqual(parsed.errors.map(error => error.field), ['document_number', 'composite']);
+  assert.throws(() => parseMRZ('P<UTO'), /Unrecognised MRZ length 5/);
+});
+
+test('long document numbers overflow into the TD1 and TD2 optional data', () => {
+  const parsed = parseMRZ(LONG_NUMBER_TD1);
+  assert.deepEqual(parsed.errors, []);
+  assert.equal(parsed.documentNumber, 'D23145890734');
+
+  const fields = {
+    documentType: 'I',
+    issuingCountry: 'UTO',
+    documentNumber: 'D23145890734',
+    lastName: 'STEVENSON',
+    firstName: 'PETER JOHN',
+    nationality: 'UTO',
+    dateOfBirth: '1934-07-12',
+    sex: 'M',
+    expiryDate: '1995-07-12'
+  };
+  assert.equal(generateMRZ(fields, 'TD1'), LONG_NUMBER_TD1.replace(/\n/g, ''));
+  assert.equal(parseMRZ(generateMRZ(fields, 'TD2')).documentNumber, 'D23145890734');
+
+  assert.throws(() => generateMRZ(fields, 'TD3'), /exceeds 9 characters, the most TD3 supports/);
+  assert.throws(() => generateMRZ({ ...fields, documentNumber: 'D23145890734123' }, 'TD2'), /exceeds 14 characters, the most TD2 supports/);
+});
+
+test('passport elements are checked against the MRZ', () => {
+  assert.deepEqual(validatePassportElements(elements, SPECIMENS.TD3), []);
+  assert.deepEqual(validatePassportElements(elements), []);
+
+  const errors = validatePassportElements({ ...elements, birth_date: '1974-08-13', nationality: 'D' }, SPECIMENS.TD3);
+  assert.deepEqual(errors.map(error => error.field), ['nationality', 'birth_date']);
+  assert.deepEqual(validatePassportElements({ ...elements, sex: 'F', birth_date: '1974-02-30' }).map(error => error.field),
+    ['birth_date', 'sex']);
+});
+
+test('long document numbers are accepted where the MRZ can hold them', () => {
+  const stevenson = {
+    family_name: 'Stevenson',
+    given_name: 'Peter John',
+    birth_date: '1934-07-12',
+    sex: 1,
+    nationality: 'UTO',
+    issuing_country: 'UTO',
+    document_number: 'D23145890734',
+    expiry_date: '1995-07-12',
+    document_type_code: 'I'
+  };
+  assert.deepEqual(validatePassportElements(stevenson, LONG_NUMBER_TD1), []);
+  assert.deepEqual(validatePassportElements(stevenson), []);
+
+  // A TD3 MRZ has no room for the overflow
+  assert.deepEqual(validatePassportElements({ ...elements, document_number: 'L898902C36' }, SPECIMENS.TD3)[0],
+    { field: 'document_number', message: 'Must be 1-9 characters A-Z or 0-9' });
+  assert.deepEqual(validatePassportElements({ ...elements, document_number: 'L'.repeat(23) }).map(error => error.message),
+    ['Must be 1-22 characters A-Z or 0-9']);
+});
+
+test('names are transliterated to the MRZ character set', () => {
+  assert.equal(transliterate('Müller-Lüdenscheidt'), 'MUELLER<LUEDENSCHEIDT');
+  assert.equal(transliterate('José'), 'JOSE');
+  assert.equal(transliterate('Ерикссон'), 'ERIKSSON');
+});
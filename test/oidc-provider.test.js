@@ -0,0 +1,203 @@
+/**
+ * OIDC facade of the web auth service: authorization code flow with PKCE,
+ * the issued ID and access tokens, and tokens of one kind refused as another.
+ */
+
+import { test, before, after, mock } from 'node:test';
+import assert from 'node:assert/strict';
+import crypto from 'crypto';
+import http from 'http';
+import { createLocalJWKSet, decodeProtectedHeader, jwtVerify } from 'jose';
+import { WebAuthService } from '../web-auth-service.js';
+import { TOKEN_TYPES } from '../auth-token-signer.js';
+
+const REDIRECT_URI = 'https://shop.example/cb';
+const CLIENTS = [
+  { client_id: 'shop', client_secret: 'shop secret', redirect_uris: [REDIRECT_URI] },
+  { client_id: 'spa', redirect_uris: ['https://spa.example/cb'] }
+];
+const USER_INFO = {
+  webId: 'https://anna.example/profile#me',
+  fullName: 'Anna Maria Eriksson',
+  givenName: 'Anna Maria',
+  familyName: 'Eriksson',
+  nationality: 'UTO',
+  verificationLevel: 'passive_authentication',
+  nfcVerified: true,
+  ageOver: { 18: true },
+  authenticationMethod: 'passport_mdoc'
+};
+
+let server;
+let service;
+let baseUrl;
+
+before(async () => {
+  mock.method(console, 'log', () => {});
+  server = http.createServer();
+  await new Promise(resolve => server.listen(0, 'localhost', resolve));
+  baseUrl = `http://localhost:${server.address().port}`;
+  service = new WebAuthService(server.address().port, { baseUrl, clientIdScheme: 'redirect_uri', oidcClients: CLIENTS });
+  server.on('request', service.app);
+});
+after(async () => {
+  server.closeAllConnections();
+  await new Promise(resolve => server.close(resolve));
+  mock.restoreAll();
+});
+
+const pkce = () => {
+  const verifier = crypto.randomBytes(32).toString('base64url');
+  return { verifier, challenge: crypto.createHash('sha256').update(verifier).digest('base64url') };
+};
+
+/**
+ * Run /authorize, complete the passport presentation in the session store
+ * and follow the callback to the client redirect.
+ */
+async function authorize({ challenge, scope = 'openid profile age', clientId = 'shop', redirectUri = REDIRECT_URI }) {
+  const query = new URLSearchParams({
+    response_type: 'code',
+    client_id: clientId,
+    redirect_uri: redirectUri,
+    scope,
+    state: 'client-state',
+    nonce: 'client-nonce',
+    code_challenge: challenge,
+    code_challenge_method: 'S256'
+  });
+  const response = await fetch(`${baseUrl}/authorize?${query}`, { redirect: 'manual' });
+  assert.equal(response.status, 302);
+  const callbackPath = response.headers.get('location');
+  const sessionId = callbackPath.split('/').pop();
+
+  const session = await service.sessionStore.get(sessionId);
+  Object.assign(session, { status: 'completed', completedAt: new Date().toISOString(), userInfo: USER_INFO });
+  await service.sessionStore.set(sessionId, session);
+
+  const callback = await fetch(`${baseUrl}${callbackPath}`, { redirect: 'manual' });
+  assert.equal(callback.status, 302);
+  return { redirect: new URL(callback.headers.get('location')), callbackPath };
+}
+
+const exchange = (params, headers = {}) => fetch(`${baseUrl}/token`, {
+  method: 'POST',
+  headers: { 'Content-Type': 'application/x-www-form-urlencoded', ...headers },
+  body: new URLSearchParams({ grant_type: 'authorization_code', redirect_uri: REDIRECT_URI, ...params })
+});
+
+test('the authorization code is exchanged with the PKCE verifier', async () => {
+  const { verifier, challenge } = pkce();
+  const { redirect, callbackPath } = await authorize({ challenge });
+  assert.equal(redirect.origin + redirect.pathname, REDIRECT_URI);
+  assert.equal(redirect.searchParams.get('state'), 'client-state');
+  assert.equal(redirect.searchParams.get('iss'), baseUrl);
+  // A session yields one code
+  assert.equal((await fetch(`${baseUrl}${callbackPath}`, { redirect: 'manual' })).status, 410);
+
+  const basic = `Basic ${Buffer.from('shop:shop secret').toString('base64')}`;
+  const response = await exchange({ code: redirect.searchParams.get('code'), code_verifier: verifier }, { Authorization: basic });
+  assert.equal(response.status, 200);
+  assert.equal(response.headers.get('cache-control'), 'no-store');
+  const tokens = await response.json();
+  assert.equal(tokens.token_type, 'Bearer');
+  assert.equal(tokens.scope, 'openid profile age');
+
+  const jwks = createLocalJWKSet(await (await fetch(`${baseUrl}/.well-known/jwks.json`)).json());
+  const { payload: idToken } = await jwtVerify(tokens.id_token, jwks, { issuer: baseUrl, audience: 'shop', typ: TOKEN_TYPES.ID });
+  assert.equal(idToken.sub, USER_INFO.webId);
+  assert.equal(idToken.nonce, 'client-nonce');
+  assert.equal(idToken.name, USER_INFO.fullName);
+  assert.equal(idToken.age_over_18, true);
+  assert.equal(idToken.nationality, undefined);
+  assert.deepEqual(idToken.amr, ['passport_mdoc']);
+  assert.equal(decodeProtectedHeader(tokens.access_token).typ, TOKEN_TYPES.ACCESS);
+
+  const userInfo = await fetch(`${baseUrl}/userinfo`, { headers: { Authorization: `Bearer ${tokens.access_token}` } });
+  assert.deepEqual(await userInfo.json(), {
+    sub: USER_INFO.webId,
+    name: USER_INFO.fullName,
+    given_name: USER_INFO.givenName,
+    family_name: USER_INFO.familyName,
+    age_over_18: true
+  });
+
+  // Codes are single use
+  const again = await exchange({ code: redirect.searchParams.get('code'), code_verifier: verifier }, { Authorization: basic });
+  assert.deepEqual(await again.json(), { error: 'invalid_grant', error_description: 'Authorization code is invalid or expired' });
+});
+
+test('a wrong or missing PKCE verifier is refused', async () => {
+  for (const codeVerifier of [pkce().verifier, undefined]) {
+    const { challenge } = pkce();
+    const { redirect } = await authorize({ challenge });
+    const response = await exchange({
+      code: redirect.searchParams.get('code'),
+      client_id: 'shop',
+      client_secret: 'shop secret',
+      ...(codeVerifier && { code_verifier: codeVerifier })
+    });
+    assert.equal(response.status, 400);
+    assert.deepEqual(await response.json(), { error: 'invalid_grant', error_description: 'PKCE verification failed' });
+  }
+});
+
+test('public clients rely on PKCE, confidential clients need their secret', async () => {
+  const spa = pkce();
+  const { redirect } = await authorize({ challenge: spa.challenge, clientId: 'spa', redirectUri: 'https://spa.example/cb' });
+  const response = await exchange({
+    code: redirect.searchParams.get('code'),
+    client_id: 'spa',
+    redirect_uri: 'https://spa.example/cb',
+    code_verifier: spa.verifier
+  });
+  assert.equal(response.status, 200);
+
+  const shop = pkce();
+  const shopRedirect = (await authorize({ challenge: shop.challenge })).redirect;
+  const unauthenticated = await exchange({ code: shopRedirect.searchParams.get('code'), client_id: 'shop', code_verifier: shop.verifier });
+  assert.equal(unauthenticated.status, 401);
+  assert.equal((await unauthenticated.json()).error, 'invalid_client');
+});
+
+test('authorization requests without PKCE or openid are sent back to the client', async () => {
+  const query = params => new URLSearchParams({
+    response_type: 'code', client_id: 'shop', redirect_uri: REDIRECT_URI, scope: 'openid', state: 's', ...params
+  });
+
+  const noPkce = await fetch(`${baseUrl}/authorize?${query({})}`, { redirect: 'manual' });
+  const location = new URL(noPkce.headers.get('location'));
+  assert.equal(location.searchParams.get('error'), 'invalid_request');
+  assert.equal(location.searchParams.get('state'), 's');
+
+  const plain = await fetch(`${baseUrl}/authorize?${query({ code_challenge: 'x', code_challenge_method: 'plain', scope: 'profile' })}`, { redirect: 'manual' });
+  assert.equal(new URL(plain.headers.get('location')).searchParams.get('error'), 'invalid_scope');
+
+  // Unregistered redirect URIs never receive a redirect
+  const unregistered = await fetch(`${baseUrl}/authorize?${query({ redirect_uri: 'https://evil.example/cb' })}`, { redirect: 'manual' });
+  assert.equal(unregistered.status, 400);
+  assert.equal((await unregistered.json()).error, 'invalid_request');
+});
+
+test('tokens of one kind are not accepted as another', async () => {
+  const signer = service.tokenSigner;
+  const userinfoAudience = `${baseUrl}/userinfo`;
+
+  // An /auth token bound to the userinfo audience is still no access token
+  const { token: authToken } = await signer.sign({ sid: 'session' }, {
+    subject: USER_INFO.webId,
+    audience: userinfoAudience,
+    type: TOKEN_TYPES.AUTH
+  });
+  assert.equal(decodeProtectedHeader(authToken).typ, 'passport-auth+jwt');
+  const response = await fetch(`${baseUrl}/userinfo`, { headers: { Authorization: `Bearer ${authToken}` } });
+  assert.equal(response.status, 401);
+  assert.equal((await response.json()).error, 'invalid_token');
+
+  const { token: idToken } = await signer.sign({}, { subject: USER_INFO.webId, audience: 'shop', type: TOKEN_TYPES.ID });
+  assert.equal((await signer.verify(idToken, { type: TOKEN_TYPES.ID, audience: 'shop' })).sub, USER_INFO.webId);
+  await assert.rejects(signer.verify(idToken, { type: TOKEN_TYPES.AUTH, audience: 'shop' }), /"typ"/);
+  await assert.rejects(signer.verify(authToken, { type: TOKEN_TYPES.ID }), /"typ"/);
+  await assert.rejects(signer.verify(authToken), /Unknown token type: undefined/);
+  await assert.rejects(signer.sign({}, { subject: USER_INFO.webId, audience: 'shop' }), /Unknown token type: undefined/);
+});
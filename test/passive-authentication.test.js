@@ -0,0 +1,106 @@
+/**
+ * Passive authentication of the utopia-td3 fixture: EF.SOD signature,
+ * Document Signer chain to the CSCA master list and data group hashes.
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import crypto from 'crypto';
+import path from 'path';
+import { readFile } from 'fs/promises';
+import { fileURLToPath } from 'url';
+import { CSCAMasterList, PassiveAuthenticator, createSOD } from '../passive-authentication.js';
+import { PassportDataReader } from '../passport-nfc-reader.js';
+import { loadLDSDirectory } from '../lds.js';
+import { PHOTOID_NAMESPACE, WEBAUTH_NAMESPACE, VERIFICATION_LEVELS } from '../passport-doctype.js';
+
+const FIXTURES = path.join(path.dirname(fileURLToPath(import.meta.url)), '..', 'fixtures', 'lds');
+
+const lds = await loadLDSDirectory(path.join(FIXTURES, 'utopia-td3'));
+const masterList = await CSCAMasterList.load(path.join(FIXTURES, 'utopia-csca.cer'));
+const documentSigner = JSON.parse(await readFile(path.join(FIXTURES, 'utopia-document-signer.json'), 'utf8'));
+
+const authenticator = new PassiveAuthenticator({ masterList });
+
+test('the fixture passes passive authentication', () => {
+  const result = authenticator.verify({ sod: lds.sod, dataGroups: lds.dataGroups });
+  assert.deepEqual(result.errors, []);
+  assert.equal(result.valid, true);
+  assert.equal(result.checks.sodSignature, true);
+  assert.equal(result.checks.documentSignerCertificate, true);
+  assert.deepEqual(Object.keys(result.checks.dataGroupHashes).map(Number), [1, 2, 11, 12, 14, 15]);
+  assert.ok(Object.values(result.checks.dataGroupHashes).every(Boolean));
+});
+
+test('a bad EF.SOD signature is reported', () => {
+  // The signature is the last element of EF.SOD
+  const sod = Buffer.from(lds.sod);
+  sod[sod.length - 1] ^= 0x01;
+  const result = authenticator.verify({ sod, dataGroups: lds.dataGroups });
+  assert.equal(result.valid, false);
+  assert.equal(result.checks.sodSignature, false);
+  assert.deepEqual(result.errors, ['EF.SOD signature: invalid signature']);
+});
+
+test('a Document Signer from an unknown CSCA is reported', () => {
+  // The Document Signer certificate is not the CSCA that issued it
+  const unknown = new PassiveAuthenticator({
+    masterList: new CSCAMasterList([new crypto.X509Certificate(documentSigner.certificate)])
+  });
+  const result = unknown.verify({ sod: lds.sod, dataGroups: lds.dataGroups });
+  assert.equal(result.valid, false);
+  assert.equal(result.checks.sodSignature, true);
+  assert.equal(result.checks.documentSignerCertificate, false);
+  assert.match(result.errors[0], /is not issued by a CSCA in the master list/);
+});
+
+test('a data group that does not match its hash is reported', () => {
+  const dg1 = Buffer.from(lds.dataGroups[1]);
+  dg1[dg1.length - 1] ^= 0x01;
+  const result = authenticator.verify({ sod: lds.sod, dataGroups: { ...lds.dataGroups, 1: dg1 } });
+  assert.equal(result.valid, false);
+  assert.equal(result.checks.dataGroupHashes[1], false);
+  assert.deepEqual(result.errors, ['DG1 hash does not match EF.SOD']);
+});
+
+test('DG1 and DG2 must be read', () => {
+  const result = authenticator.verify({ sod: lds.sod, dataGroups: { 1: lds.dataGroups[1] } });
+  assert.equal(result.valid, false);
+  assert.deepEqual(result.errors, ['DG2 was not read']);
+});
+
+test('a data group without a hash in EF.SOD is reported', () => {
+  // EF.SOD signed over DG1 and DG2 only, with DG11 added next to it
+  const sod = createSOD({
+    dataGroups: { 1: lds.dataGroups[1], 2: lds.dataGroups[2] },
+    privateKey: documentSigner.privateKey,
+    certificate: documentSigner.certificate
+  });
+  const signed = authenticator.verify({ sod, dataGroups: { 1: lds.dataGroups[1], 2: lds.dataGroups[2] } });
+  assert.equal(signed.valid, true);
+
+  const result = authenticator.verify({ sod, dataGroups: { 1: lds.dataGroups[1], 2: lds.dataGroups[2], 11: lds.dataGroups[11] } });
+  assert.equal(result.valid, false);
+  assert.equal(result.checks.sodSignature, true);
+  assert.equal(result.checks.dataGroupHashes[11], false);
+  assert.deepEqual(result.errors, ['DG11 has no hash in EF.SOD']);
+});
+
+test('chip reads with an unhashed DG11 are not verified', async () => {
+  const sod = createSOD({
+    dataGroups: { 1: lds.dataGroups[1], 2: lds.dataGroups[2] },
+    privateKey: documentSigner.privateKey,
+    certificate: documentSigner.certificate
+  });
+  const reader = new PassportDataReader({ masterList });
+  const passportData = await reader.readChipFiles({
+    com: lds.com,
+    sod,
+    dataGroups: { 1: lds.dataGroups[1], 2: lds.dataGroups[2], 11: lds.dataGroups[11] }
+  });
+
+  assert.equal(passportData.data[WEBAUTH_NAMESPACE].passport_verification_level, VERIFICATION_LEVELS.CHIP_READ);
+  assert.equal(passportData.metadata.passive_authentication.valid, false);
+  assert.deepEqual(passportData.metadata.passive_authentication.errors, ['DG11 has no hash in EF.SOD']);
+  assert.equal(passportData.data[PHOTOID_NAMESPACE].birth_place, 'ZENITH, UTOPIA');
+});
@@ -0,0 +1,121 @@
+/**
+ * Passport doctype: namespace element definitions, regrouping flat SD-JWT VC
+ * claims, the advertised credential configurations and the passport-only
+ * elements of a reader's mDoc data.
+ */
+
+import { test, before, after, mock } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+  PASSPORT_DOCTYPE,
+  PASSPORT_CREDENTIAL_CONFIGURATION_ID,
+  PASSPORT_SD_JWT_CONFIGURATION_ID,
+  PASSPORT_VCT,
+  SD_JWT_VC_FORMAT,
+  CORE_NAMESPACE,
+  PHOTOID_NAMESPACE,
+  DTC_NAMESPACE,
+  WEBAUTH_NAMESPACE,
+  NAMESPACE_ELEMENTS,
+  getElementDefinition,
+  findElementNamespace,
+  groupClaimsByNamespace,
+  buildCredentialConfiguration
+} from '../passport-doctype.js';
+import { PassportDataReader } from '../passport-nfc-reader.js';
+import { generateMRZ } from '../mrz.js';
+
+before(() => {
+  mock.method(console, 'log', () => {});
+});
+after(() => {
+  mock.restoreAll();
+});
+
+test('elements are defined in exactly one namespace', () => {
+  assert.deepEqual(getElementDefinition(PHOTOID_NAMESPACE, 'person_id'), { type: 'tstr', display: 'Personal number' });
+  assert.deepEqual(getElementDefinition(CORE_NAMESPACE, 'age_over_18'), { type: 'bool', display: 'Over 18' });
+  assert.equal(getElementDefinition(WEBAUTH_NAMESPACE, 'age_over_18'), null);
+  assert.equal(getElementDefinition(CORE_NAMESPACE, 'driving_privileges'), null);
+  assert.equal(getElementDefinition('org.iso.18013.5.1', 'family_name'), null);
+
+  const identifiers = Object.values(NAMESPACE_ELEMENTS).flatMap(elements => Object.keys(elements));
+  assert.equal(new Set(identifiers).size, identifiers.length);
+  assert.equal(findElementNamespace('birth_place'), PHOTOID_NAMESPACE);
+  assert.equal(findElementNamespace('dg_hashes'), DTC_NAMESPACE);
+  assert.equal(findElementNamespace('age_over_65'), CORE_NAMESPACE);
+  assert.equal(findElementNamespace('vct'), null);
+});
+
+test('flat SD-JWT VC claims are regrouped by namespace', () => {
+  assert.deepEqual(groupClaimsByNamespace({
+    vct: PASSPORT_VCT,
+    iss: 'https://issuer.example.com',
+    family_name: 'ERIKSSON',
+    age_over_18: true,
+    document_type_code: 'P',
+    mrz: 'P<UTOERIKSSON<<ANNA<MARIA',
+    web_id: 'https://anna.example.com/profile#me'
+  }), {
+    [CORE_NAMESPACE]: { family_name: 'ERIKSSON', age_over_18: true },
+    [PHOTOID_NAMESPACE]: { document_type_code: 'P' },
+    [DTC_NAMESPACE]: { mrz: 'P<UTOERIKSSON<<ANNA<MARIA' },
+    [WEBAUTH_NAMESPACE]: { web_id: 'https://anna.example.com/profile#me' }
+  });
+});
+
+test('the passport is advertised as its own credential configurations', () => {
+  const configurations = buildCredentialConfiguration();
+  assert.deepEqual(Object.keys(configurations), [PASSPORT_CREDENTIAL_CONFIGURATION_ID, PASSPORT_SD_JWT_CONFIGURATION_ID]);
+
+  const mdoc = configurations[PASSPORT_CREDENTIAL_CONFIGURATION_ID];
+  assert.equal(mdoc.format, 'mso_mdoc');
+  assert.equal(mdoc.doctype, PASSPORT_DOCTYPE);
+  assert.notEqual(mdoc.doctype, 'org.iso.18013.5.1.mDL');
+  assert.deepEqual(Object.keys(mdoc.claims), Object.keys(NAMESPACE_ELEMENTS));
+  for (const [namespace, elements] of Object.entries(NAMESPACE_ELEMENTS)) {
+    assert.deepEqual(Object.keys(mdoc.claims[namespace]), Object.keys(elements));
+  }
+  assert.deepEqual(mdoc.claims[DTC_NAMESPACE].dg_hashes.display, [{ name: 'Data group hashes', locale: 'en-US' }]);
+
+  const sdJwt = configurations[PASSPORT_SD_JWT_CONFIGURATION_ID];
+  assert.equal(sdJwt.format, SD_JWT_VC_FORMAT);
+  assert.equal(sdJwt.vct, PASSPORT_VCT);
+  assert.deepEqual(sdJwt.cryptographic_binding_methods_supported, ['jwk']);
+  assert.equal(sdJwt.claims.person_id.display[0].name, 'Personal number');
+});
+
+const TD1_CARD = {
+  documentType: 'ID',
+  documentNumber: 'D23145890',
+  issuingCountry: 'UTO',
+  lastName: 'ERIKSSON',
+  firstName: 'ANNA MARIA',
+  nationality: 'UTO',
+  dateOfBirth: '1974-08-12',
+  sex: 'F',
+  expiryDate: '2032-04-15'
+};
+
+test('passport-only elements go to the photo ID and DTC namespaces', async () => {
+  const reader = new PassportDataReader();
+  const mrz = generateMRZ(TD1_CARD, 'TD1');
+  const mdoc = await reader.formatForMDoc({ ...TD1_CARD, mrz, placeOfBirth: 'UTOPIA CITY' });
+
+  assert.equal(mdoc.doctype, PASSPORT_DOCTYPE);
+  assert.deepEqual(mdoc.data[PHOTOID_NAMESPACE], { document_type_code: 'ID', birth_place: 'UTOPIA CITY' });
+  assert.deepEqual(mdoc.data[DTC_NAMESPACE], { mrz });
+  assert.equal(mdoc.data[CORE_NAMESPACE].document_number, 'D23145890');
+  assert.equal(mdoc.data[CORE_NAMESPACE].sex, 2);
+  for (const [namespace, elements] of Object.entries(mdoc.data)) {
+    for (const identifier of Object.keys(elements)) {
+      assert.ok(getElementDefinition(namespace, identifier), `${namespace}/${identifier}`);
+    }
+  }
+
+  // The document type code must agree with the MRZ
+  await assert.rejects(reader.formatForMDoc({ ...TD1_CARD, mrz, documentType: 'P' }), {
+    name: 'MRZValidationError',
+    message: /document_type_code/
+  });
+});
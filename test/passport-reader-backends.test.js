@@ -0,0 +1,185 @@
+/**
+ * Passport reader backends: the event stream each one emits (card detected,
+ * authenticating, reading, done or error) and choosing a backend by name or
+ * from PASSPORT_READER_BACKEND.
+ */
+
+import { test, before, after, mock } from 'node:test';
+import assert from 'node:assert/strict';
+import os from 'os';
+import path from 'path';
+import { mkdtemp, rm } from 'fs/promises';
+import { fileURLToPath } from 'url';
+import {
+  READER_EVENTS,
+  MockReaderBackend,
+  ReplayReaderBackend,
+  VirtualChipReaderBackend,
+  PCSCReaderBackend,
+  createReaderBackend
+} from '../passport-reader-backends.js';
+import { PassportDataReader } from '../passport-nfc-reader.js';
+import { CSCAMasterList } from '../passive-authentication.js';
+import { VirtualPassportChip } from '../virtual-chip.js';
+import { loadLDSDirectory, parseCOM } from '../lds.js';
+import { CORE_NAMESPACE, VERIFICATION_LEVELS } from '../passport-doctype.js';
+
+const FIXTURES = path.join(path.dirname(fileURLToPath(import.meta.url)), '..', 'fixtures', 'lds');
+const UTOPIA = path.join(FIXTURES, 'utopia-td3');
+const CHIP_KEYS = path.join(FIXTURES, 'utopia-chip-keys.json');
+const ACCESS_KEY = { documentNumber: 'L898902C3', dateOfBirth: '1974-08-12', expiryDate: '2034-04-15' };
+
+let reader;
+let chipFiles;
+let emptyDirectory;
+
+before(async () => {
+  mock.method(console, 'log', () => {});
+  reader = new PassportDataReader({ masterList: await CSCAMasterList.load(path.join(FIXTURES, 'utopia-csca.cer')) });
+  const lds = await loadLDSDirectory(UTOPIA);
+  chipFiles = ['EF.COM', 'EF.SOD', ...parseCOM(lds.com).dataGroups.map(number => `DG${number}`)];
+  emptyDirectory = await mkdtemp(path.join(os.tmpdir(), 'passport-reader-backends-test-'));
+});
+after(async () => {
+  await rm(emptyDirectory, { recursive: true, force: true });
+  mock.restoreAll();
+});
+
+// Read through a backend, collecting its events; resolves with the read or the error
+async function readWith(backend, request) {
+  const events = [];
+  backend.on('event', event => events.push(event));
+  try {
+    return { events, passportData: await backend.read(request) };
+  } catch (error) {
+    return { events, error };
+  }
+}
+
+// Events as "type" or "type file", e.g. "reading DG1"
+const steps = events => events.map(({ type, file }) => (file ? `${type} ${file}` : type));
+
+const chipRead = () => [
+  READER_EVENTS.CARD_DETECTED,
+  READER_EVENTS.AUTHENTICATING,
+  ...chipFiles.map(file => `${READER_EVENTS.READING} ${file}`),
+  READER_EVENTS.DONE
+];
+
+test('the mock backend walks through a simulated chip read', async () => {
+  const backend = new MockReaderBackend({ reader, stepDelayMs: 0 });
+  const { events, passportData } = await readWith(backend, { seed: 'backend-test' });
+  assert.deepEqual(steps(events), ['card_detected', 'authenticating', 'reading DG1', 'reading DG2', 'done']);
+  for (const event of events) {
+    assert.equal(event.backend, 'mock');
+    assert.ok(!Number.isNaN(Date.parse(event.timestamp)));
+  }
+  assert.equal(events[2].dataGroup, 1);
+  assert.deepEqual(events.at(-1), {
+    type: READER_EVENTS.DONE,
+    backend: 'mock',
+    timestamp: events.at(-1).timestamp,
+    documentNumber: passportData.data[CORE_NAMESPACE].document_number,
+    verificationLevel: VERIFICATION_LEVELS.UNVERIFIED
+  });
+
+  // No portrait, no DG2
+  const noPortrait = await readWith(new MockReaderBackend({ reader, stepDelayMs: 0 }), { seed: 'backend-test', scenario: 'no-portrait' });
+  assert.deepEqual(steps(noPortrait.events), ['card_detected', 'authenticating', 'reading DG1', 'done']);
+
+  // An unknown scenario fails before the card is "detected"
+  const unknown = await readWith(new MockReaderBackend({ reader, stepDelayMs: 0 }), { scenario: 'laminated' });
+  assert.match(unknown.error.message, /^Unknown mock passport scenario: laminated/);
+  assert.deepEqual(unknown.events.map(({ type, message }) => ({ type, message })),
+    [{ type: READER_EVENTS.ERROR, message: unknown.error.message }]);
+});
+
+test('the replay backend reports the files of the dump in EF.COM order', async () => {
+  const { events, passportData } = await readWith(new ReplayReaderBackend({ reader, directory: UTOPIA }));
+  // A dump needs no access control, so there is no authenticating step
+  assert.deepEqual(steps(events), chipRead().filter(step => step !== READER_EVENTS.AUTHENTICATING));
+  assert.equal(events[0].directory, 'utopia-td3');
+  assert.ok(events.every(event => event.backend === 'replay'));
+  assert.equal(events.at(-1).documentNumber, 'L898902C3');
+  assert.equal(events.at(-1).verificationLevel, VERIFICATION_LEVELS.PASSIVE_AUTHENTICATION);
+  assert.equal(passportData.metadata.source, 'nfc_passport_reader');
+
+  const missing = await readWith(new ReplayReaderBackend({ reader, directory: emptyDirectory }));
+  assert.equal(missing.error.message, `No chip dump (EF_COM.bin, EF_SOD.bin) in ${emptyDirectory}`);
+  assert.deepEqual(steps(missing.events), [READER_EVENTS.ERROR]);
+});
+
+test('the virtual chip backend relays the chip session progress', async () => {
+  const backend = new VirtualChipReaderBackend({ reader, directory: UTOPIA, keysFile: CHIP_KEYS });
+  // Without an access key the backend uses the MRZ of the simulated passport
+  const { events } = await readWith(backend, { protocol: 'bac' });
+  assert.deepEqual(steps(events), chipRead());
+  assert.equal(events[1].protocol, 'BAC');
+  assert.deepEqual(events.filter(event => event.dataGroup).map(event => event.file),
+    chipFiles.filter(file => file.startsWith('DG')));
+  assert.equal(events.at(-1).verificationLevel, VERIFICATION_LEVELS.CLONE_RESISTANT);
+
+  const pace = await readWith(new VirtualChipReaderBackend({ reader, directory: UTOPIA }), { accessKey: ACCESS_KEY });
+  assert.equal(pace.events[1].protocol, 'PACE');
+  // Without the chip keys clone detection fails
+  assert.equal(pace.events.at(-1).verificationLevel, VERIFICATION_LEVELS.CHIP_READ);
+
+  const wrongKey = await readWith(new VirtualChipReaderBackend({ reader, directory: UTOPIA }),
+    { accessKey: { ...ACCESS_KEY, dateOfBirth: '1974-08-13' }, protocol: 'bac' });
+  assert.ok(wrongKey.error);
+  assert.deepEqual(steps(wrongKey.events), [READER_EVENTS.CARD_DETECTED, READER_EVENTS.AUTHENTICATING, READER_EVENTS.ERROR]);
+  assert.equal(wrongKey.events.at(-1).message, wrongKey.error.message);
+});
+
+test('the PC/SC backend reads the card on the reader and always disconnects', async () => {
+  // A card on the reader: the virtual chip behind the backend's own transport
+  const backend = new PCSCReaderBackend({ reader, readerName: 'ACS ACR1252' });
+  let closed = 0;
+  mock.method(backend, 'waitForCard', async () => {
+    const chip = await VirtualPassportChip.fromDirectory(UTOPIA, { keysFile: CHIP_KEYS });
+    backend.emitEvent(READER_EVENTS.CARD_DETECTED, { reader: 'ACS ACR1252 1S CL Reader PICC 0' });
+    return { transmit: apdu => chip.transmit(apdu), close: async () => { closed++; } };
+  });
+
+  const { events } = await readWith(backend, { accessKey: ACCESS_KEY });
+  assert.deepEqual(steps(events), chipRead());
+  assert.ok(events.every(event => event.backend === 'pcsc'));
+  assert.equal(events.at(-1).verificationLevel, VERIFICATION_LEVELS.CLONE_RESISTANT);
+  assert.equal(closed, 1);
+
+  const wrongKey = await readWith(backend, { accessKey: { ...ACCESS_KEY, expiryDate: '2034-04-16' }, protocol: 'pace' });
+  assert.ok(wrongKey.error);
+  assert.equal(wrongKey.events.at(-1).type, READER_EVENTS.ERROR);
+  assert.equal(closed, 2);
+
+  // The access key comes from the printed MRZ; without it no card is waited for
+  const noKey = await readWith(backend, {});
+  assert.match(noKey.error.message, /^Reading a passport chip needs the access key from its MRZ/);
+  assert.deepEqual(steps(noKey.events), [READER_EVENTS.ERROR]);
+  assert.equal(backend.waitForCard.mock.callCount(), 2);
+});
+
+test('backends are chosen by name, then PASSPORT_READER_BACKEND, then mock', () => {
+  const configured = process.env.PASSPORT_READER_BACKEND;
+  try {
+    delete process.env.PASSPORT_READER_BACKEND;
+    assert.ok(createReaderBackend() instanceof MockReaderBackend);
+
+    process.env.PASSPORT_READER_BACKEND = 'replay';
+    assert.ok(createReaderBackend() instanceof ReplayReaderBackend);
+    // A request parameter wins over the configuration
+    assert.ok(createReaderBackend({ type: 'virtual-chip' }) instanceof VirtualChipReaderBackend);
+    assert.equal(createReaderBackend({ type: 'pcsc' }).name, 'pcsc');
+
+    for (const type of ['nfc', 'constructor']) {
+      assert.throws(() => createReaderBackend({ type }),
+        new RegExp(`Unknown passport reader backend: ${type} \\(expected mock, replay, virtual-chip, pcsc\\)`));
+    }
+  } finally {
+    if (configured === undefined) {
+      delete process.env.PASSPORT_READER_BACKEND;
+    } else {
+      process.env.PASSPORT_READER_BACKEND = configured;
+    }
+  }
+});
@@ -0,0 +1,168 @@
+/**
+ * Phone reader bridge on an ephemeral port, with phone-reader-client.js
+ * standing in for the phone.
+ */
+
+import { test, before, after, mock } from 'node:test';
+import assert from 'node:assert/strict';
+import http from 'http';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import WebSocket from 'ws';
+import { PhoneReaderBridge, PHONE_READER_PATH, PAIRED_EVENT, CLOSE_CODES } from '../phone-reader-bridge.js';
+import { runPhoneReader } from '../phone-reader-client.js';
+import { PassportDataReader } from '../passport-nfc-reader.js';
+import { CSCAMasterList } from '../passive-authentication.js';
+import { READER_EVENTS } from '../passport-reader-backends.js';
+import { VERIFICATION_LEVELS } from '../passport-doctype.js';
+
+const FIXTURES = path.join(path.dirname(fileURLToPath(import.meta.url)), '..', 'fixtures', 'lds');
+
+async function startBridge(options = {}) {
+  const reader = new PassportDataReader({ masterList: await CSCAMasterList.load(path.join(FIXTURES, 'utopia-csca.cer')) });
+  const bridge = new PhoneReaderBridge({ reader, ...options });
+  const server = http.createServer();
+  bridge.attach(server);
+  await new Promise(resolve => server.listen(0, 'localhost', resolve));
+  const baseUrl = `http://localhost:${server.address().port}`;
+  return {
+    bridge,
+    baseUrl,
+    pairingUrl: session => bridge.pairingUrl(session, baseUrl),
+    close: async () => {
+      bridge.close();
+      server.closeAllConnections();
+      await new Promise(resolve => server.close(resolve));
+    }
+  };
+}
+
+let harness;
+before(async () => {
+  // Server-side logs written while the test runner reports over stdout can garble its messages (Node 20)
+  mock.method(console, 'log', () => {});
+  harness = await startBridge();
+});
+after(async () => {
+  await harness.close();
+  mock.restoreAll();
+});
+
+test('a complete read is verified', async () => {
+  const session = harness.bridge.createSession();
+  const result = await runPhoneReader(harness.pairingUrl(session));
+
+  assert.equal(result.type, 'result');
+  assert.equal(result.code, CLOSE_CODES.DONE);
+  assert.equal(result.documentNumber, 'L898902C3');
+  assert.equal(result.verificationLevel, VERIFICATION_LEVELS.PASSIVE_AUTHENTICATION);
+
+  const { passportData, error } = await session.outcome;
+  assert.equal(error, undefined);
+  assert.equal(passportData.metadata.passive_authentication.valid, true);
+  const types = session.events.map(event => event.type);
+  assert.equal(types[0], PAIRED_EVENT);
+  assert.ok(types.includes(READER_EVENTS.CARD_DETECTED));
+  assert.ok(types.includes(READER_EVENTS.READING));
+});
+
+test('a tampered DG1 is rejected', async () => {
+  const session = harness.bridge.createSession();
+  const result = await runPhoneReader(harness.pairingUrl(session), { tamper: 'DG1' });
+
+  assert.equal(result.type, 'failure');
+  assert.equal(result.code, CLOSE_CODES.DONE);
+  assert.ok((await session.outcome).error);
+});
+
+test('a tampered portrait fails passive authentication', async () => {
+  const session = harness.bridge.createSession();
+  const result = await runPhoneReader(harness.pairingUrl(session), { tamper: 'DG2' });
+
+  assert.equal(result.type, 'result');
+  assert.equal(result.verificationLevel, VERIFICATION_LEVELS.CHIP_READ);
+});
+
+test('a read without EF.SOD fails', async () => {
+  const session = harness.bridge.createSession();
+  const result = await runPhoneReader(harness.pairingUrl(session), { skip: ['EF.SOD'] });
+
+  assert.equal(result.type, 'failure');
+  assert.equal(result.message, 'The phone did not send EF.COM and EF.SOD');
+});
+
+test('a chip error reported by the phone fails the session', async () => {
+  const session = harness.bridge.createSession();
+  const result = await runPhoneReader(harness.pairingUrl(session), { chipError: 'BAC denied' });
+
+  assert.equal(result.type, 'failure');
+  assert.equal(result.message, 'Phone reported: BAC denied');
+  assert.equal((await session.outcome).error.message, 'Phone reported: BAC denied');
+});
+
+test('a phone that disconnects halfway fails the session', async () => {
+  const session = harness.bridge.createSession();
+  const result = await runPhoneReader(harness.pairingUrl(session), { disconnect: true });
+
+  assert.equal(result.type, 'closed');
+  assert.equal((await session.outcome).error.message, 'Phone disconnected before sending all files');
+});
+
+test('a pairing token is single-use', async () => {
+  const session = harness.bridge.createSession();
+  const pairingUrl = harness.pairingUrl(session);
+  assert.equal((await runPhoneReader(pairingUrl)).type, 'result');
+
+  const reused = await runPhoneReader(pairingUrl);
+  assert.equal(reused.type, 'failure');
+  assert.equal(reused.code, CLOSE_CODES.UNKNOWN_TOKEN);
+});
+
+test('a second phone cannot join a paired session', async () => {
+  const session = harness.bridge.createSession();
+  const webSocketUrl = `${harness.baseUrl.replace('http', 'ws')}${PHONE_READER_PATH}`;
+  const join = () => new Promise((resolve, reject) => {
+    const socket = new WebSocket(webSocketUrl);
+    socket.on('error', reject);
+    socket.on('open', () => socket.send(JSON.stringify({ type: 'join', token: session.pairingToken })));
+    socket.on('message', raw => resolve({ socket, message: JSON.parse(raw.toString()) }));
+  });
+
+  const first = await join();
+  assert.equal(first.message.type, 'paired');
+  const second = await join();
+  assert.equal(second.message.type, 'failure');
+  const code = await new Promise(resolve => second.socket.on('close', resolve));
+  assert.equal(code, CLOSE_CODES.ALREADY_PAIRED);
+  first.socket.close();
+  assert.equal((await session.outcome).error.message, 'Phone disconnected before sending all files');
+});
+
+test('messages that are not JSON objects are refused', async () => {
+  harness.bridge.createSession();
+  const webSocketUrl = `${harness.baseUrl.replace('http', 'ws')}${PHONE_READER_PATH}`;
+  for (const payload of ['null', '[1]', '5', 'not json']) {
+    const code = await new Promise((resolve, reject) => {
+      const socket = new WebSocket(webSocketUrl);
+      socket.on('error', reject);
+      socket.on('open', () => socket.send(payload));
+      socket.on('close', resolve);
+    });
+    assert.equal(code, CLOSE_CODES.PROTOCOL_ERROR, payload);
+  }
+});
+
+test('an expired pairing session is dropped', async () => {
+  const shortLived = await startBridge({ ttlSeconds: 1 });
+  try {
+    const session = shortLived.bridge.createSession();
+    assert.equal((await session.outcome).error.message, 'Pairing session expired');
+    assert.equal(shortLived.bridge.getSession(session.id), null);
+
+    const result = await runPhoneReader(shortLived.pairingUrl(session));
+    assert.equal(result.type, 'failure');
+    assert.equal(result.code, CLOSE_CODES.UNKNOWN_TOKEN);
+  } finally {
+    await shortLived.close();
+  }
+});
@@ -0,0 +1,172 @@
+/**
+ * Presentation replay protection: the replay cache's expiry and size bound,
+ * presentation digests, and the web auth service refusing a vp_token it has
+ * already accepted or one bound to another session's nonce.
+ */
+
+import { test, before, after, mock } from 'node:test';
+import assert from 'node:assert/strict';
+import http from 'http';
+import { ReplayCache, presentationDigest } from '../replay-cache.js';
+import { WebAuthService } from '../web-auth-service.js';
+import { buildOID4VPSessionTranscript, buildDeviceAuthenticationBytes } from '../mdoc-verifier.js';
+import { cbor, embedCbor, signCoseSign1 } from '../cose.js';
+import { LocalMDocSigner } from '../mdoc-signer.js';
+import { MDLPKISetup } from '../setup-mdoc-pki.js';
+import { PASSPORT_DOCTYPE, CORE_NAMESPACE, WEBAUTH_NAMESPACE } from '../passport-doctype.js';
+
+const WEB_ID = 'https://anna.example.com/profile#me';
+
+let server;
+let service;
+let baseUrl;
+let issuerSigned;
+let deviceKey;
+
+before(async () => {
+  mock.method(console, 'log', () => {});
+  mock.method(console, 'warn', () => {});
+  mock.method(console, 'error', () => {});
+
+  const pki = new MDLPKISetup();
+  const iaca = await pki.generateLocalIACA();
+  const documentSigner = await pki.generateLocalDocumentSigner(iaca);
+  const signer = new LocalMDocSigner(documentSigner.documentSignerKey.jwk, [documentSigner.certificatePEM]);
+  deviceKey = await LocalMDocSigner.generateDeviceKey();
+  ({ issuerSigned } = signer.sign({
+    doctype: PASSPORT_DOCTYPE,
+    namespaces: {
+      [CORE_NAMESPACE]: { family_name: 'ERIKSSON', nationality: 'UTO' },
+      [WEBAUTH_NAMESPACE]: { web_id: WEB_ID }
+    },
+    deviceKey
+  }));
+
+  server = http.createServer();
+  await new Promise(resolve => server.listen(0, 'localhost', resolve));
+  baseUrl = `http://localhost:${server.address().port}`;
+  service = new WebAuthService(server.address().port, {
+    baseUrl,
+    clientIdScheme: 'redirect_uri',
+    trustAnchors: [iaca.certificatePEM],
+    requireCredentialStatus: false
+  });
+  server.on('request', service.app);
+});
+after(async () => {
+  server.closeAllConnections();
+  await new Promise(resolve => server.close(resolve));
+  mock.restoreAll();
+});
+
+test('digests are remembered until they expire', () => {
+  let now = Date.parse('2026-01-01T00:00:00Z');
+  mock.method(Date, 'now', () => now);
+  try {
+    const cache = new ReplayCache({ ttlSeconds: 60 });
+    assert.equal(cache.add('first'), true);
+    assert.equal(cache.add('first'), false);
+    assert.equal(cache.has('first'), true);
+
+    now += 60 * 1000;
+    assert.equal(cache.has('first'), false);
+    assert.equal(cache.add('first'), true);
+    now += 30 * 1000;
+    assert.equal(cache.add('second'), true);
+    now += 31 * 1000;
+    // Expired digests are pruned as new ones arrive
+    cache.add('third');
+    assert.deepEqual([...cache.entries.keys()], ['second', 'third']);
+  } finally {
+    Date.now.mock.restore();
+  }
+});
+
+test('a full cache drops its oldest digests', () => {
+  const cache = new ReplayCache({ maxEntries: 2 });
+  for (const digest of ['a', 'b', 'c']) {
+    assert.equal(cache.add(digest), true);
+  }
+  assert.deepEqual([...cache.entries.keys()], ['b', 'c']);
+  assert.equal(cache.has('a'), false);
+});
+
+test('mdoc digests cover the decoded bytes, SD-JWT digests the text', () => {
+  const vpToken = Buffer.from('DeviceResponse bytes').toString('base64url');
+  assert.equal(presentationDigest(vpToken), presentationDigest(`${vpToken}=`));
+  assert.notEqual(presentationDigest(vpToken), presentationDigest(Buffer.from('other bytes').toString('base64url')));
+  assert.notEqual(presentationDigest('jwt~disclosure~kb', 'vc+sd-jwt'), presentationDigest('jwt~disclosure~kb2', 'vc+sd-jwt'));
+});
+
+async function startSession() {
+  const response = await fetch(`${baseUrl}/auth/start`, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify({ website: 'https://shop.example.com', requestedElements: { [CORE_NAMESPACE]: { nationality: true } } })
+  });
+  const { sessionId } = await response.json();
+  return service.sessionStore.get(sessionId);
+}
+
+// DeviceResponse device-signed over a session's transcript
+function present(session, mdocGeneratedNonce = 'wallet nonce') {
+  const sessionTranscript = buildOID4VPSessionTranscript({
+    clientId: session.clientId,
+    responseUri: session.responseUri,
+    nonce: session.nonce,
+    mdocGeneratedNonce
+  });
+  const deviceNameSpaces = embedCbor({});
+  const deviceSignature = signCoseSign1({
+    payload: buildDeviceAuthenticationBytes(sessionTranscript, PASSPORT_DOCTYPE, deviceNameSpaces),
+    privateKey: deviceKey,
+    detached: true
+  });
+  return cbor.encode({
+    version: '1.0',
+    documents: [{ docType: PASSPORT_DOCTYPE, issuerSigned, deviceSigned: { nameSpaces: deviceNameSpaces, deviceAuth: { deviceSignature } } }],
+    status: 0
+  }).toString('base64url');
+}
+
+const postPresentation = (session, vpToken) => fetch(`${baseUrl}/auth/present`, {
+  method: 'POST',
+  headers: { 'Content-Type': 'application/x-www-form-urlencoded' },
+  body: new URLSearchParams({ state: session.state, vp_token: vpToken, mdoc_generated_nonce: 'wallet nonce' })
+});
+
+test('an accepted presentation cannot be replayed into another session', async () => {
+  const first = await startSession();
+  const vpToken = present(first);
+  const accepted = await postPresentation(first, vpToken);
+  assert.equal(accepted.status, 200);
+  assert.equal((await accepted.json()).redirect_uri, `${baseUrl}/auth/callback/${first.id}`);
+
+  const second = await startSession();
+  const replayed = await postPresentation(second, vpToken);
+  assert.equal(replayed.status, 400);
+  assert.deepEqual(await replayed.json(), { error: 'invalid_request', error_description: 'Presentation has already been used' });
+  assert.equal((await service.sessionStore.get(second.id)).status, 'pending');
+
+  const again = await postPresentation(first, present(first));
+  assert.equal((await again.json()).error_description, 'Session already processed');
+});
+
+test('a presentation bound to another session nonce is refused and consumes nothing', async () => {
+  const target = await startSession();
+  const other = await startSession();
+
+  // A fresh presentation, but for the other session's nonce
+  const misbound = await postPresentation(target, present(other));
+  assert.equal(misbound.status, 400);
+  assert.equal((await misbound.json()).error_description,
+    'VP verification failed: Device signature does not match the session transcript');
+  assert.equal((await service.sessionStore.get(target.id)).status, 'pending');
+
+  // The holder can still log in to both sessions
+  assert.equal((await postPresentation(target, present(target))).status, 200);
+  assert.equal((await postPresentation(other, present(other))).status, 200);
+
+  const unknownState = await postPresentation({ state: 'unknown' }, present(target));
+  assert.equal((await unknownState.json()).error_description, 'Unknown or expired state');
+});
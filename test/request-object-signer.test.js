@@ -0,0 +1,116 @@
+/**
+ * Signed request objects: the verifier certificate issued by our IACA, the
+ * JAR itself, one-time request_uri retrieval and the start-up check.
+ */
+
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import crypto from 'crypto';
+import http from 'http';
+import os from 'os';
+import path from 'path';
+import { mkdtemp, rm, writeFile } from 'fs/promises';
+import { jwtVerify, decodeProtectedHeader } from 'jose';
+import { RequestObjectSigner } from '../request-object-signer.js';
+import { WebAuthService } from '../web-auth-service.js';
+import { MDLPKISetup } from '../setup-mdoc-pki.js';
+import { MDL_READER_AUTH_EXTENDED_KEY_USAGE, x509 } from '../mdoc-certificates.js';
+
+let directory;
+let pkiSetupFile;
+let iacaCertificate;
+
+before(async () => {
+  directory = await mkdtemp(path.join(os.tmpdir(), 'request-object-test-'));
+  const { signer, ...iaca } = await new MDLPKISetup().generateLocalIACA();
+  iacaCertificate = new crypto.X509Certificate(iaca.certificatePEM);
+  pkiSetupFile = path.join(directory, 'mdoc-pki-setup.json');
+  await writeFile(pkiSetupFile, JSON.stringify({ iaca }));
+});
+after(async () => {
+  await rm(directory, { recursive: true, force: true });
+});
+
+async function verifyRequestObject(jwt) {
+  const header = decodeProtectedHeader(jwt);
+  const certificate = new crypto.X509Certificate(Buffer.from(header.x5c[0], 'base64'));
+  const { payload } = await jwtVerify(jwt, certificate.publicKey, { typ: 'oauth-authz-req+jwt' });
+  return { payload, certificate };
+}
+
+test('x509_san_dns request objects are signed with a reader authentication certificate', async () => {
+  const signer = new RequestObjectSigner({ responseUri: 'https://verifier.example.com/auth/present', pkiSetupFile });
+  const jwt = await signer.sign({ response_type: 'vp_token', nonce: 'n-1' }, { expiresIn: 60 });
+  const { payload, certificate } = await verifyRequestObject(jwt);
+
+  assert.equal(payload.client_id, 'verifier.example.com');
+  assert.equal(payload.client_id_scheme, 'x509_san_dns');
+  assert.equal(payload.iss, 'verifier.example.com');
+  assert.equal(payload.aud, 'https://self-issued.me/v2');
+  assert.equal(payload.nonce, 'n-1');
+  assert.equal(payload.exp - payload.iat, 60);
+
+  assert.ok(certificate.checkIssued(iacaCertificate) && certificate.verify(iacaCertificate.publicKey));
+  assert.equal(certificate.subjectAltName, 'DNS:verifier.example.com');
+  const parsed = new x509.X509Certificate(certificate.raw);
+  assert.deepEqual([...parsed.getExtension(x509.ExtendedKeyUsageExtension).usages], [MDL_READER_AUTH_EXTENDED_KEY_USAGE]);
+});
+
+test('x509_san_uri request objects use the response URI as client ID', async () => {
+  const responseUri = 'https://verifier.example.com/auth/present';
+  const signer = new RequestObjectSigner({ responseUri, clientIdScheme: 'x509_san_uri', pkiSetupFile });
+  const { payload, certificate } = await verifyRequestObject(await signer.sign({}));
+  assert.equal(payload.client_id, responseUri);
+  assert.equal(certificate.subjectAltName, `URI:${responseUri}`);
+
+  assert.throws(() => new RequestObjectSigner({ responseUri, clientIdScheme: 'redirect_uri' }), /Unsupported client ID scheme/);
+  assert.throws(() => new RequestObjectSigner({}), /Response URI is required/);
+});
+
+test('a request_uri serves its request object once', async () => {
+  const server = http.createServer();
+  await new Promise(resolve => server.listen(0, 'localhost', resolve));
+  const baseUrl = `http://localhost:${server.address().port}`;
+  const service = new WebAuthService(server.address().port, {
+    baseUrl,
+    requestObjectSigner: new RequestObjectSigner({ responseUri: `${baseUrl}/auth/present`, pkiSetupFile })
+  });
+  server.on('request', service.app);
+
+  try {
+    const response = await fetch(`${baseUrl}/auth/start`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ website: 'https://shop.example.com' })
+    });
+    const { sessionId, authorizationRequest } = await response.json();
+    const params = new URL(authorizationRequest).searchParams;
+    assert.equal(params.get('client_id'), 'localhost');
+    assert.equal(params.get('request_uri'), `${baseUrl}/auth/request/${sessionId}`);
+    assert.equal(params.get('presentation_definition'), null);
+
+    const first = await fetch(params.get('request_uri'));
+    assert.equal(first.status, 200);
+    assert.match(first.headers.get('content-type'), /application\/oauth-authz-req\+jwt/);
+    const { payload } = await verifyRequestObject(await first.text());
+    assert.equal(payload.response_uri, `${baseUrl}/auth/present`);
+    assert.equal(payload.state, (await service.sessionStore.get(sessionId)).state);
+
+    assert.equal((await fetch(params.get('request_uri'))).status, 410);
+    assert.equal((await fetch(`${baseUrl}/auth/request/unknown`)).status, 404);
+  } finally {
+    server.closeAllConnections();
+    await new Promise(resolve => server.close(resolve));
+  }
+});
+
+test('the service does not start without a verifier certificate', async () => {
+  const service = new WebAuthService(0, {
+    requestObjectSigner: new RequestObjectSigner({
+      responseUri: 'http://localhost/auth/present',
+      pkiSetupFile: path.join(directory, 'missing.json')
+    })
+  });
+  await assert.rejects(service.start(),
+    /Cannot sign x509_san_dns request objects: PKI setup not found .*VERIFIER_CLIENT_ID_SCHEME=redirect_uri/);
+});
@@ -0,0 +1,157 @@
+/**
+ * SD-JWT VC: selectively disclosed presentations of credentials signed by
+ * the local Document Signer, and the checks on disclosures and the key
+ * binding JWT (nonce, audience, sd_hash, holder key and age).
+ */
+
+import { test, before, after, mock } from 'node:test';
+import assert from 'node:assert/strict';
+import crypto from 'crypto';
+import { SignJWT, importJWK } from 'jose';
+import { SDJWTVerifier, issueSDJWT, presentSDJWT, decodeSDJWT, looksLikeSDJWT } from '../sd-jwt.js';
+import { MDLPKISetup } from '../setup-mdoc-pki.js';
+import { PASSPORT_VCT } from '../passport-doctype.js';
+
+const AUDIENCE = 'verifier.example.com';
+const NONCE = 'session nonce';
+const CLAIMS = {
+  family_name: 'ERIKSSON',
+  given_name: 'ANNA MARIA',
+  age_over_18: true,
+  nationality: 'UTO',
+  address: { locality: 'UTOPIA CITY', country: 'UTO' }
+};
+
+let documentSigner;
+let verifier;
+let holderKey;
+let credential;
+
+const generateHolderKey = () => crypto.generateKeyPairSync('ec', { namedCurve: 'P-256' }).privateKey.export({ format: 'jwk' });
+
+before(async () => {
+  mock.method(console, 'log', () => {});
+  const pki = new MDLPKISetup();
+  const iaca = await pki.generateLocalIACA();
+  documentSigner = await pki.generateLocalDocumentSigner(iaca);
+  verifier = new SDJWTVerifier({ trustAnchors: [iaca.certificatePEM] });
+  holderKey = generateHolderKey();
+  ({ credential } = await issue());
+});
+after(() => {
+  mock.restoreAll();
+});
+
+function issue(options = {}) {
+  const { d, ...holderPublicKey } = holderKey;
+  return issueSDJWT({
+    claims: CLAIMS,
+    issuerKey: documentSigner.documentSignerKey.jwk,
+    x5Chain: [documentSigner.certificatePEM],
+    issuer: 'https://issuer.example.com',
+    vct: PASSPORT_VCT,
+    holderKey: holderPublicKey,
+    ...options
+  });
+}
+
+const discloseOnly = (...names) => path => names.includes(path.join('.'));
+
+const present = (options = {}) => presentSDJWT(credential, {
+  disclose: discloseOnly('age_over_18', 'address', 'address.country'),
+  holderKey,
+  audience: AUDIENCE,
+  nonce: NONCE,
+  ...options
+});
+
+const verify = (token, options = {}) => verifier.verifyPresentation(token, { audience: AUDIENCE, nonce: NONCE, vct: PASSPORT_VCT, ...options });
+
+test('every claim is a disclosure and the holder key is bound in cnf', async () => {
+  const { payload, disclosures } = await issue();
+  assert.equal(payload._sd.length, 5);
+  assert.equal(payload._sd_alg, 'sha-256');
+  assert.equal(payload.family_name, undefined);
+  assert.deepEqual(Object.keys(payload.cnf.jwk).sort(), ['crv', 'kty', 'x', 'y']);
+  // Two nested address claims plus the five top-level ones
+  assert.equal(disclosures.length, 7);
+
+  assert.ok(looksLikeSDJWT(credential));
+  const decoded = decodeSDJWT(credential);
+  assert.equal(decoded.header.typ, 'vc+sd-jwt');
+  assert.deepEqual(decoded.claims.address, CLAIMS.address);
+  await assert.rejects(issue({ holderKey: undefined }), /A holder key is required for key binding/);
+});
+
+test('a presentation discloses only the selected claims', async () => {
+  const result = await verify(await present());
+  assert.equal(result.error, undefined);
+  assert.equal(result.valid, true);
+  assert.equal(result.vct, PASSPORT_VCT);
+  assert.deepEqual(result.claims, { age_over_18: true, address: { country: 'UTO' } });
+  assert.match(result.issuer.documentSigner, /CN=/);
+});
+
+test('the key binding JWT must carry the session nonce and audience', async () => {
+  assert.deepEqual(await verify(await present({ nonce: 'another nonce' })),
+    { valid: false, error: 'Key binding JWT nonce does not match' });
+  assert.match((await verify(await present({ audience: 'other.example.com' }))).error, /"aud"/);
+  assert.deepEqual(await verify(await present(), { nonce: undefined }),
+    { valid: false, error: 'A verifier nonce is required for key binding' });
+});
+
+const claimName = disclosure => JSON.parse(Buffer.from(disclosure, 'base64url').toString('utf8'))[1];
+
+test('the key binding JWT must cover exactly the presented disclosures', async () => {
+  const [issuerJwt, ...rest] = (await present()).split('~');
+  const keyBindingJwt = rest.pop();
+  const disclosures = rest.filter(Boolean);
+  const reassemble = presented => `${[issuerJwt, ...presented].map(part => `${part}~`).join('')}${keyBindingJwt}`;
+
+  // Dropping a disclosure after the holder signed changes sd_hash
+  const dropped = disclosures.filter(disclosure => claimName(disclosure) !== 'age_over_18');
+  assert.equal(dropped.length, disclosures.length - 1);
+  assert.deepEqual(await verify(reassemble(dropped)),
+    { valid: false, error: 'Key binding JWT sd_hash does not match the presented disclosures' });
+
+  // So does adding one the holder did not present
+  const familyName = credential.split('~').slice(1).find(disclosure => disclosure && claimName(disclosure) === 'family_name');
+  assert.equal((await verify(reassemble([...disclosures, familyName]))).error,
+    'Key binding JWT sd_hash does not match the presented disclosures');
+
+  assert.deepEqual(await verify(reassemble(disclosures).slice(0, -keyBindingJwt.length)),
+    { valid: false, error: 'Key binding JWT is required' });
+});
+
+test('the key binding JWT must be fresh and signed by the holder key', async () => {
+  const tenMinutesLater = new Date(Date.now() + 10 * 60 * 1000);
+  assert.match((await verify(await present(), { now: tenMinutesLater })).error, /"iat"/);
+
+  const stolen = await present({ holderKey: generateHolderKey() });
+  assert.deepEqual(await verify(stolen), { valid: false, error: 'signature verification failed' });
+
+  // A plain JWT in place of a kb+jwt is refused
+  const presented = (await present()).split('~').slice(0, -1).join('~') + '~';
+  const notKeyBinding = await new SignJWT({ nonce: NONCE })
+    .setProtectedHeader({ alg: 'ES256', typ: 'JWT' })
+    .setAudience(AUDIENCE)
+    .setIssuedAt()
+    .sign(await importJWK(holderKey, 'ES256'));
+  assert.match((await verify(presented + notKeyBinding)).error, /"typ"/);
+});
+
+test('forged disclosures, foreign issuers and other credential types are rejected', async () => {
+  const token = await present();
+  const [issuerJwt, ...rest] = token.split('~');
+  const forged = Buffer.from(JSON.stringify(['salt', 'age_over_21', true])).toString('base64url');
+  assert.equal((await verify([issuerJwt, forged, ...rest].join('~'))).error, 'Disclosure not referenced by the issuer-signed JWT');
+  assert.equal((await verify([issuerJwt, rest[0], ...rest].join('~'))).error, 'Duplicate disclosure');
+
+  const otherIaca = await new MDLPKISetup().generateLocalIACA();
+  const untrusted = await new SDJWTVerifier({ trustAnchors: [otherIaca.certificatePEM] })
+    .verifyPresentation(token, { audience: AUDIENCE, nonce: NONCE });
+  assert.match(untrusted.error, /does not chain to a trusted IACA/);
+
+  assert.equal((await verify(token, { vct: 'urn:other:credential' })).error, `Unexpected credential type "${PASSPORT_VCT}"`);
+  assert.equal((await verify('not an sd-jwt')).error, 'Not an SD-JWT (missing ~ separator)');
+});
@@ -0,0 +1,147 @@
+/**
+ * Auth session stores: status-dependent TTLs, the sweeper, the file store
+ * across restarts, the public status view and failing stores behind the
+ * status and callback routes.
+ */
+
+import { test, before, after, mock } from 'node:test';
+import assert from 'node:assert/strict';
+import http from 'http';
+import os from 'os';
+import path from 'path';
+import { mkdtemp, readdir, rm, stat } from 'fs/promises';
+import { setTimeout as sleep } from 'timers/promises';
+import {
+  MemorySessionStore,
+  FileSessionStore,
+  createSessionStore,
+  toPublicSession
+} from '../session-store.js';
+import { WebAuthService } from '../web-auth-service.js';
+
+let directory;
+before(async () => {
+  directory = await mkdtemp(path.join(os.tmpdir(), 'session-store-test-'));
+  mock.method(console, 'log', () => {});
+});
+after(async () => {
+  mock.restoreAll();
+  await rm(directory, { recursive: true, force: true });
+});
+
+let files = 0;
+const session = (id, overrides = {}) => ({ id, status: 'pending', state: `state-${id}`, website: 'https://shop.example', ...overrides });
+
+for (const [name, newStore] of [
+  ['memory', options => new MemorySessionStore(options)],
+  ['file', options => new FileSessionStore(path.join(directory, `sessions-${++files}.json`), options)]
+]) {
+  test(`${name} store: sessions expire by status`, async () => {
+    const store = newStore({ ttls: { pending: 60, completed: 0 } });
+    await store.set('a', session('a'));
+    await store.set('b', session('b', { status: 'completed' }));
+
+    const pending = await store.get('a');
+    assert.equal(pending.state, 'state-a');
+    const ttl = new Date(pending.expiresAt).getTime() - Date.now();
+    assert.ok(ttl > 55_000 && ttl <= 60_000);
+    assert.equal((await store.findBy('state', 'state-a')).id, 'a');
+
+    // Completed sessions have no time left, so they are gone
+    assert.equal(await store.get('b'), null);
+    assert.equal(await store.findBy('state', 'state-b'), null);
+
+    // Completing a session restarts its expiry under the completed TTL
+    pending.status = 'completed';
+    await store.set('a', pending);
+    assert.equal(await store.get('a'), null);
+
+    await store.set('c', session('c'));
+    await store.delete('c');
+    assert.equal(await store.get('c'), null);
+  });
+
+  test(`${name} store: the sweeper removes expired sessions`, async () => {
+    const store = newStore({ ttls: { pending: 60, failed: 0 }, sweepIntervalSeconds: 0.02 });
+    await store.set('kept', session('kept'));
+    await store.set('failed', session('failed', { status: 'failed' }));
+    assert.equal(await store.sweep(), 1);
+
+    await store.set('failed', session('failed', { status: 'failed' }));
+    store.startSweeper();
+    try {
+      await sleep(100);
+    } finally {
+      store.stopSweeper();
+    }
+    assert.equal(await store.sweep(), 0);
+    assert.ok(await store.get('kept'));
+  });
+}
+
+test('the file store survives restarts and keeps its file private', async () => {
+  const file = path.join(directory, 'auth-sessions.json');
+  const store = new FileSessionStore(file);
+  await Promise.all(Array.from({ length: 5 }, (_, i) => store.set(`s${i}`, session(`s${i}`))));
+
+  // Records returned by get() are copies
+  const copy = await store.get('s0');
+  copy.status = 'completed';
+  assert.equal((await store.get('s0')).status, 'pending');
+
+  const restarted = new FileSessionStore(file);
+  assert.equal((await restarted.findBy('state', 'state-s4')).id, 's4');
+  assert.equal((await stat(file)).mode & 0o777, 0o600);
+  assert.deepEqual((await readdir(directory)).filter(name => name.endsWith('.tmp')), []);
+});
+
+test('the store type and TTLs come from options', () => {
+  assert.ok(createSessionStore({ type: 'memory' }) instanceof MemorySessionStore);
+  const store = createSessionStore({ type: 'file', filePath: path.join(directory, 'x.json'), ttls: { pending: 30 } });
+  assert.ok(store instanceof FileSessionStore);
+  assert.equal(store.ttls.pending, 30);
+  assert.equal(store.ttls.completed, 15 * 60);
+  assert.throws(() => createSessionStore({ type: 'sqlite' }), /Unknown session store type: sqlite/);
+});
+
+test('the public view leaves out tokens and presentation internals', () => {
+  const view = toPublicSession(session('a', {
+    status: 'completed',
+    nonce: 'n',
+    authToken: 'token',
+    vpToken: 'vp',
+    userInfo: { webId: 'https://anna.example/#me', fullName: 'Anna', documentNumber: 'L898902C3' }
+  }));
+  assert.deepEqual(view, {
+    id: 'a',
+    status: 'completed',
+    website: 'https://shop.example',
+    createdAt: undefined,
+    completedAt: undefined,
+    expiresAt: undefined,
+    userInfo: { webId: 'https://anna.example/#me', fullName: 'Anna' }
+  });
+});
+
+test('a failing store answers the status and callback routes with 500', async () => {
+  const failing = new MemorySessionStore();
+  failing.get = async () => { throw new Error('session store unavailable'); };
+  const service = new WebAuthService(0, { sessionStore: failing, clientIdScheme: 'redirect_uri' });
+  const server = http.createServer(service.app);
+  await new Promise(resolve => server.listen(0, 'localhost', resolve));
+  const baseUrl = `http://localhost:${server.address().port}`;
+
+  try {
+    const status = await fetch(`${baseUrl}/auth/status/a`);
+    assert.equal(status.status, 500);
+    assert.deepEqual(await status.json(), { error: 'session store unavailable' });
+
+    const callback = await fetch(`${baseUrl}/auth/callback/a`, { redirect: 'manual' });
+    assert.equal(callback.status, 500);
+    assert.match(callback.headers.get('content-type'), /text\/plain/);
+    assert.equal(await callback.text(), 'session store unavailable');
+  } finally {
+    server.closeAllConnections();
+    await new Promise(resolve => server.close(resolve));
+  }
+});
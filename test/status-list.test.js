@@ -0,0 +1,139 @@
+/**
+ * Token Status List: the registry's revoke / suspend / reinstate rules,
+ * concurrent allocation, and a published list read back by the verifier.
+ */
+
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import http from 'http';
+import os from 'os';
+import path from 'path';
+import { mkdtemp, readdir, readFile, rm, stat } from 'fs/promises';
+import {
+  TOKEN_STATUS,
+  StatusListRegistry,
+  StatusListVerifier,
+  encodeStatusList,
+  readStatus,
+  hashDocumentNumber
+} from '../status-list.js';
+import { MDLPKISetup } from '../setup-mdoc-pki.js';
+
+let directory;
+before(async () => {
+  directory = await mkdtemp(path.join(os.tmpdir(), 'status-list-test-'));
+});
+after(async () => {
+  await rm(directory, { recursive: true, force: true });
+});
+
+let registries = 0;
+function newRegistry(options = {}) {
+  return new StatusListRegistry({
+    file: path.join(directory, `status-list-${++registries}.json`),
+    uri: 'https://issuer.example.com/status-list',
+    ...options
+  });
+}
+
+test('status lists pack two bits per index', () => {
+  const statuses = [TOKEN_STATUS.VALID, TOKEN_STATUS.INVALID, TOKEN_STATUS.SUSPENDED, TOKEN_STATUS.VALID, TOKEN_STATUS.INVALID];
+  const list = encodeStatusList(statuses);
+  assert.equal(list.bits, 2);
+  statuses.forEach((status, index) => assert.equal(readStatus(list, index), status));
+  assert.throws(() => readStatus(list, 4096), /out of range/);
+  assert.throws(() => readStatus({ ...list, bits: 3 }, 0), /Unsupported status list bits/);
+});
+
+test('allocation needs a list URI', async () => {
+  const registry = newRegistry();
+  registry.uri = null;
+  await assert.rejects(registry.allocate({ documentNumber: 'L898902C3', webId: 'https://a.example/#me', format: 'mso_mdoc' }),
+    /No status list URI configured/);
+});
+
+test('allocated entries store the passport number hash only', async () => {
+  const registry = newRegistry();
+  const reference = await registry.allocate({ documentNumber: ' l898902c3 ', webId: 'https://a.example/#me', format: 'mso_mdoc' });
+  assert.equal(reference.status_list.uri, 'https://issuer.example.com/status-list');
+
+  const stored = await readFile(registry.file, 'utf8');
+  assert.ok(!/L898902C3/i.test(stored));
+  const [entry] = await registry.find({ documentNumber: 'L898902C3' });
+  assert.equal(entry.idx, reference.status_list.idx);
+  assert.equal(entry.documentNumberHash, hashDocumentNumber('L898902C3'));
+  assert.equal(entry.statusName, 'valid');
+  assert.equal((await stat(registry.file)).mode & 0o777, 0o600);
+});
+
+test('suspend, reinstate and revoke', async () => {
+  const registry = newRegistry();
+  const first = (await registry.allocate({ documentNumber: 'L898902C3', webId: 'https://a.example/#me', format: 'mso_mdoc' })).status_list.idx;
+  const second = (await registry.allocate({ documentNumber: 'L898902C3', webId: 'https://a.example/#me', format: 'vc+sd-jwt' })).status_list.idx;
+  const other = (await registry.allocate({ documentNumber: 'X12345678', webId: 'https://b.example/#me', format: 'mso_mdoc' })).status_list.idx;
+
+  assert.deepEqual((await registry.updateStatus({ documentNumber: 'L898902C3' }, TOKEN_STATUS.SUSPENDED)).sort(), [first, second].sort());
+  assert.equal(readStatus(await registry.buildStatusList(), first), TOKEN_STATUS.SUSPENDED);
+  assert.equal(readStatus(await registry.buildStatusList(), other), TOKEN_STATUS.VALID);
+
+  assert.deepEqual((await registry.updateStatus({ webId: 'https://a.example/#me' }, TOKEN_STATUS.VALID)).sort(), [first, second].sort());
+  assert.equal(readStatus(await registry.buildStatusList(), second), TOKEN_STATUS.VALID);
+
+  assert.deepEqual((await registry.updateStatus({ documentNumber: 'L898902C3' }, TOKEN_STATUS.INVALID)).sort(), [first, second].sort());
+  // Revocation is final
+  assert.deepEqual(await registry.updateStatus({ documentNumber: 'L898902C3' }, TOKEN_STATUS.VALID), []);
+  assert.deepEqual((await registry.find({ webId: 'https://a.example/#me' })).map(entry => entry.statusName), ['revoked', 'revoked']);
+
+  await assert.rejects(registry.updateStatus({}, TOKEN_STATUS.INVALID), /A passport number or web ID is required/);
+  await assert.rejects(registry.updateStatus({ webId: 'https://a.example/#me' }, 3), /Unknown status/);
+});
+
+test('concurrent allocations are all kept, at distinct indexes', async () => {
+  const file = path.join(directory, 'concurrent-status-list.json');
+  // Separate registries on one file, as separate requests would have
+  const references = await Promise.all(Array.from({ length: 10 }, (_, i) =>
+    new StatusListRegistry({ file, uri: 'https://issuer.example.com/status-list' })
+      .allocate({ documentNumber: `D${i}`, webId: `https://${i}.example/#me`, format: 'mso_mdoc' })));
+
+  const indexes = references.map(reference => reference.status_list.idx);
+  assert.equal(new Set(indexes).size, 10);
+  const entries = await new StatusListRegistry({ file }).find();
+  assert.deepEqual(entries.map(entry => entry.idx).sort(), [...indexes].sort());
+  assert.deepEqual((await readdir(directory)).filter(name => name.endsWith('.tmp')), []);
+});
+
+test('the verifier reads statuses from a signed status list token', async () => {
+  const pki = new MDLPKISetup();
+  const iaca = await pki.generateLocalIACA();
+  const documentSigner = await pki.generateLocalDocumentSigner(iaca);
+
+  const server = http.createServer();
+  await new Promise(resolve => server.listen(0, 'localhost', resolve));
+  const uri = `http://localhost:${server.address().port}/status-list`;
+  const registry = newRegistry({ uri });
+  server.on('request', async (req, res) => {
+    res.setHeader('Content-Type', 'application/statuslist+jwt');
+    res.end(await registry.issueStatusListToken({
+      issuerKey: documentSigner.documentSignerKey.jwk,
+      x5Chain: [documentSigner.certificatePEM]
+    }));
+  });
+
+  try {
+    const valid = await registry.allocate({ documentNumber: 'L898902C3', webId: 'https://a.example/#me', format: 'mso_mdoc' });
+    const revoked = await registry.allocate({ documentNumber: 'X12345678', webId: 'https://b.example/#me', format: 'mso_mdoc' });
+    await registry.updateStatus({ documentNumber: 'X12345678' }, TOKEN_STATUS.INVALID);
+
+    const verifier = new StatusListVerifier({ trustAnchors: [iaca.certificatePEM] });
+    assert.equal(await verifier.checkStatus(valid), TOKEN_STATUS.VALID);
+    assert.equal(await verifier.checkStatus(revoked), TOKEN_STATUS.INVALID);
+    await assert.rejects(verifier.checkStatus({}), /no status_list reference/);
+
+    // A list signed outside the trusted IACA is refused
+    const untrusted = new StatusListVerifier({ trustAnchors: [(await pki.generateLocalIACA()).certificatePEM] });
+    await assert.rejects(untrusted.checkStatus(valid));
+  } finally {
+    server.closeAllConnections();
+    await new Promise(resolve => server.close(resolve));
+  }
+});
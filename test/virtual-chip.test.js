@@ -0,0 +1,118 @@
+/**
+ * Reads of the utopia-td3 fixture through the virtual chip: PACE and BAC,
+ * secure messaging faults, and clone detection with and without the chip keys.
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import crypto from 'crypto';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { VirtualPassportChip } from '../virtual-chip.js';
+import { ChipSession, FILE_IDS } from '../chip-session.js';
+import { PassportDataReader } from '../passport-nfc-reader.js';
+import { CSCAMasterList } from '../passive-authentication.js';
+import { PROTOCOL_STATUSES } from '../chip-authentication.js';
+import { loadLDSDirectory } from '../lds.js';
+import { INS, SW, parseResponse } from '../apdu.js';
+import { encodeTLV } from '../ber-tlv.js';
+import { CORE_NAMESPACE, WEBAUTH_NAMESPACE, VERIFICATION_LEVELS } from '../passport-doctype.js';
+
+const FIXTURES = path.join(path.dirname(fileURLToPath(import.meta.url)), '..', 'fixtures', 'lds');
+const UTOPIA = path.join(FIXTURES, 'utopia-td3');
+const CHIP_KEYS = path.join(FIXTURES, 'utopia-chip-keys.json');
+const ACCESS_KEY = { documentNumber: 'L898902C3', dateOfBirth: '1974-08-12', expiryDate: '2034-04-15' };
+
+async function readUtopia(chip, options) {
+  const reader = new PassportDataReader({ masterList: await CSCAMasterList.load(path.join(FIXTURES, 'utopia-csca.cer')) });
+  return await reader.readChip(chip, ACCESS_KEY, options);
+}
+
+for (const protocol of ['pace', 'bac']) {
+  test(`${protocol.toUpperCase()} read returns every file of the dump`, async () => {
+    const dump = await loadLDSDirectory(UTOPIA);
+    const session = await ChipSession.open(await VirtualPassportChip.fromDirectory(UTOPIA), ACCESS_KEY, { protocol });
+    assert.equal(session.accessProtocol, protocol.toUpperCase());
+
+    const files = await session.readLDS();
+    assert.deepEqual(files.com, dump.com);
+    assert.deepEqual(files.sod, dump.sod);
+    assert.deepEqual(Object.keys(files.dataGroups).sort(), Object.keys(dump.dataGroups).sort());
+    for (const [number, contents] of Object.entries(dump.dataGroups)) {
+      assert.deepEqual(files.dataGroups[number], contents, `DG${number}`);
+    }
+  });
+}
+
+test('a wrong access key is refused', async () => {
+  const chip = await VirtualPassportChip.fromDirectory(UTOPIA);
+  await assert.rejects(ChipSession.open(chip, { ...ACCESS_KEY, dateOfBirth: '1974-08-13' }, { protocol: 'bac' }));
+  await assert.rejects(ChipSession.open(chip, { ...ACCESS_KEY, dateOfBirth: '1974-08-13' }, { protocol: 'pace' }));
+});
+
+test('a command with a wrong MAC is answered with 6988 and ends secure messaging', async () => {
+  const chip = await VirtualPassportChip.fromDirectory(UTOPIA);
+  const session = await ChipSession.open(chip, ACCESS_KEY, { protocol: 'bac' });
+
+  const command = session.secureMessaging.wrapCommand({ ins: 0xa4, p1: 0x02, p2: 0x0c, data: Buffer.from([FILE_IDS.COM >> 8, FILE_IDS.COM & 0xff]) });
+  // Last byte is Le; the MAC is the 8 bytes before it
+  command[command.length - 2] ^= 0x01;
+  assert.equal(parseResponse(await chip.transmit(command)).sw, SW.SM_DATA_INCORRECT);
+
+  // The chip dropped the session keys: correctly protected commands fail too
+  await assert.rejects(session.readDataGroup(1));
+});
+
+test('Chip and Active Authentication pass with the chip keys', async () => {
+  const chip = await VirtualPassportChip.fromDirectory(UTOPIA, { keysFile: CHIP_KEYS });
+  const passportData = await readUtopia(chip);
+
+  assert.equal(passportData.data[CORE_NAMESPACE].document_number, 'L898902C3');
+  assert.equal(passportData.data[WEBAUTH_NAMESPACE].passport_verification_level, VERIFICATION_LEVELS.CLONE_RESISTANT);
+  assert.equal(passportData.metadata.access_protocol, 'PACE');
+  assert.equal(passportData.metadata.passive_authentication.valid, true);
+  assert.equal(passportData.metadata.clone_detection.chipAuthentication.status, PROTOCOL_STATUSES.SUCCEEDED);
+  assert.equal(passportData.metadata.clone_detection.activeAuthentication.status, PROTOCOL_STATUSES.SUCCEEDED);
+});
+
+test('Chip and Active Authentication fail without the chip keys', async () => {
+  const chip = await VirtualPassportChip.fromDirectory(UTOPIA);
+  const passportData = await readUtopia(chip, { protocol: 'bac' });
+
+  assert.equal(passportData.data[WEBAUTH_NAMESPACE].passport_verification_level, VERIFICATION_LEVELS.CHIP_READ);
+  assert.equal(passportData.metadata.passive_authentication.valid, true);
+  assert.equal(passportData.metadata.clone_detection.chipAuthentication.status, PROTOCOL_STATUSES.FAILED);
+  assert.equal(passportData.metadata.clone_detection.activeAuthentication.status, PROTOCOL_STATUSES.FAILED);
+});
+
+test('Chip and Active Authentication fail on a clone with keys of its own', async () => {
+  const clone = new VirtualPassportChip(await loadLDSDirectory(UTOPIA), {
+    keys: {
+      chipAuthentication: crypto.generateKeyPairSync('ec', { namedCurve: 'prime256v1' }).privateKey,
+      activeAuthentication: crypto.generateKeyPairSync('rsa', { modulusLength: 1024 }).privateKey
+    }
+  });
+  const passportData = await readUtopia(clone);
+
+  assert.equal(passportData.data[WEBAUTH_NAMESPACE].passport_verification_level, VERIFICATION_LEVELS.CHIP_READ);
+  assert.equal(passportData.metadata.clone_detection.chipAuthentication.status, PROTOCOL_STATUSES.FAILED);
+  assert.equal(passportData.metadata.clone_detection.activeAuthentication.status, PROTOCOL_STATUSES.FAILED);
+});
+
+test('files past 32 KB are read with odd INS READ BINARY', async () => {
+  const dump = await loadLDSDirectory(UTOPIA);
+  // A 40 KB portrait group: offsets above 7FFF would otherwise set the SFI bit of P1
+  const dg2 = encodeTLV(0x75, crypto.randomBytes(40000));
+  for (const protocol of ['pace', 'bac']) {
+    const chip = new VirtualPassportChip({ ...dump, dataGroups: { ...dump.dataGroups, 2: dg2 } });
+    const instructions = new Set();
+    const transport = { transmit: apdu => (instructions.add(apdu[1]), chip.transmit(apdu)) };
+    const session = await ChipSession.open(transport, ACCESS_KEY, { protocol });
+    assert.deepEqual(await session.readDataGroup(2), dg2);
+    assert.ok(instructions.has(INS.READ_BINARY_ODD));
+    // Small files never need it
+    instructions.clear();
+    assert.deepEqual(await session.readDataGroup(1), dump.dataGroups[1]);
+    assert.ok(!instructions.has(INS.READ_BINARY_ODD));
+  }
+});
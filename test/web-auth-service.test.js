@@ -0,0 +1,121 @@
+/**
+ * OpenID4VP authorization requests from /auth/start: openid4vp:// URIs with
+ * a presentation definition or DCQL query, fresh nonce and state per session,
+ * and the QR code on the waiting page.
+ */
+
+import { test, before, after, mock } from 'node:test';
+import assert from 'node:assert/strict';
+import http from 'http';
+import { WebAuthService } from '../web-auth-service.js';
+import { parseInputDescriptor, parseDCQLCredentialQuery, buildItemsRequest } from '../mdoc-disclosure.js';
+import { PASSPORT_DOCTYPE, PASSPORT_VCT, CORE_NAMESPACE, WEBAUTH_NAMESPACE } from '../passport-doctype.js';
+
+const WEBSITE = 'https://shop.example.com';
+const REQUESTED_ELEMENTS = { [CORE_NAMESPACE]: { age_over_18: false, nationality: true } };
+
+let server;
+let baseUrl;
+
+before(async () => {
+  mock.method(console, 'log', () => {});
+  mock.method(console, 'warn', () => {});
+  server = http.createServer();
+  await new Promise(resolve => server.listen(0, 'localhost', resolve));
+  baseUrl = `http://localhost:${server.address().port}`;
+  const service = new WebAuthService(server.address().port, { baseUrl, clientIdScheme: 'redirect_uri' });
+  server.on('request', service.app);
+});
+after(async () => {
+  server.closeAllConnections();
+  await new Promise(resolve => server.close(resolve));
+  mock.restoreAll();
+});
+
+const start = body => fetch(`${baseUrl}/auth/start`, {
+  method: 'POST',
+  headers: { 'Content-Type': 'application/json' },
+  body: JSON.stringify({ website: WEBSITE, returnUrl: `${WEBSITE}/done`, ...body })
+});
+
+async function authorizationRequest(body) {
+  const response = await start(body);
+  assert.equal(response.status, 200);
+  const session = await response.json();
+  const url = new URL(session.authorizationRequest);
+  assert.equal(url.protocol, 'openid4vp:');
+  return { session, params: Object.fromEntries(url.searchParams) };
+}
+
+test('the authorization request carries the OpenID4VP parameters and a presentation definition', async () => {
+  const { session, params } = await authorizationRequest({ requestedElements: REQUESTED_ELEMENTS });
+  assert.equal(params.client_id, `${baseUrl}/auth/present`);
+  assert.equal(params.client_id_scheme, 'redirect_uri');
+  assert.equal(params.response_type, 'vp_token');
+  assert.equal(params.response_mode, 'direct_post');
+  assert.equal(params.response_uri, `${baseUrl}/auth/present`);
+  assert.ok(params.nonce.length >= 43);
+  assert.ok(params.state);
+  assert.deepEqual(JSON.parse(params.client_metadata).vp_formats, { mso_mdoc: { alg: ['ES256'] } });
+  assert.equal(params.dcql_query, undefined);
+
+  const definition = JSON.parse(params.presentation_definition);
+  assert.equal(definition.id, session.sessionId);
+  const [descriptor] = definition.input_descriptors;
+  assert.equal(descriptor.id, PASSPORT_DOCTYPE);
+  assert.equal(descriptor.constraints.limit_disclosure, 'required');
+  assert.deepEqual(descriptor.constraints.fields[0], { path: [`$['${CORE_NAMESPACE}']['age_over_18']`], intent_to_retain: false });
+  // The wallet reads back exactly what the website asked for
+  assert.deepEqual(parseInputDescriptor(descriptor).itemsRequest, buildItemsRequest(REQUESTED_ELEMENTS));
+
+  // Every session gets its own nonce and state
+  const other = (await authorizationRequest({ requestedElements: REQUESTED_ELEMENTS })).params;
+  assert.notEqual(other.nonce, params.nonce);
+  assert.notEqual(other.state, params.state);
+});
+
+test('DCQL queries are sent for mdoc and SD-JWT VC requests', async () => {
+  const mdoc = (await authorizationRequest({ requestedElements: REQUESTED_ELEMENTS, queryLanguage: 'dcql' })).params;
+  assert.equal(mdoc.presentation_definition, undefined);
+  const [mdocQuery] = JSON.parse(mdoc.dcql_query).credentials;
+  assert.equal(mdocQuery.format, 'mso_mdoc');
+  assert.deepEqual(mdocQuery.meta, { doctype_value: PASSPORT_DOCTYPE });
+  assert.deepEqual(mdocQuery.claims, [
+    { path: [CORE_NAMESPACE, 'age_over_18'], intent_to_retain: false },
+    { path: [CORE_NAMESPACE, 'nationality'], intent_to_retain: true },
+    { path: [WEBAUTH_NAMESPACE, 'web_id'], intent_to_retain: true }
+  ]);
+  assert.deepEqual(parseDCQLCredentialQuery(mdocQuery).itemsRequest, buildItemsRequest(REQUESTED_ELEMENTS));
+
+  const sdJwt = (await authorizationRequest({ requestedElements: REQUESTED_ELEMENTS, queryLanguage: 'dcql', format: 'vc+sd-jwt' })).params;
+  const [sdJwtQuery] = JSON.parse(sdJwt.dcql_query).credentials;
+  assert.deepEqual(sdJwtQuery.meta, { vct_values: [PASSPORT_VCT] });
+  assert.deepEqual(sdJwtQuery.claims.map(claim => claim.path), [['age_over_18'], ['nationality'], ['web_id']]);
+  assert.deepEqual(Object.keys(JSON.parse(sdJwt.client_metadata).vp_formats), ['vc+sd-jwt']);
+});
+
+test('the request is rendered as a QR code and a wallet link', async () => {
+  const { session } = await authorizationRequest({});
+  assert.match(session.qrCode, /^data:image\/png;base64,/);
+  const png = Buffer.from(session.qrCode.split(',')[1], 'base64');
+  assert.deepEqual([...png.subarray(0, 8)], [0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a]);
+
+  const page = await (await fetch(session.callbackUrl)).text();
+  assert.ok(page.includes(`<img src="${session.qrCode}"`));
+  const link = session.authorizationRequest.replace(/&/g, '&amp;').replace(/"/g, '&quot;');
+  assert.ok(page.includes(`<a href="${link}">`));
+});
+
+test('start requests the service cannot serve are refused', async () => {
+  const errors = [
+    [{ website: '' }, 'website is required'],
+    [{ format: 'jwt_vc_json' }, 'Unsupported credential format: jwt_vc_json'],
+    [{ queryLanguage: 'pex' }, 'Unsupported query language: pex'],
+    [{ requestedElements: { [CORE_NAMESPACE]: { driving_privileges: true } } }, `Unknown data element: ${CORE_NAMESPACE}/driving_privileges`]
+  ];
+  for (const [body, error] of errors) {
+    const response = await start(body);
+    assert.equal(response.status, 400);
+    assert.deepEqual(await response.json(), { error });
+  }
+});
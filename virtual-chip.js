@@ -0,0 +1,531 @@
+/**
+ * Virtual Passport Chip
+ *
+ * An eMRTD chip simulated at the APDU level, serving LDS files from a chip
+ * dump. It answers the same commands a real chip does, so ChipSession and
+ * the reader can be exercised end to end without hardware.
+ *
+ * Features:
+ * - SELECT of the master file, the eMRTD application and elementary files; READ BINARY by offset or SFI,
+ *   and with odd INS (offset in DO54) for offsets past 32 KB
+ * - BAC and PACE (generic mapping, ECDH) with the MRZ of DG1 as the password
+ * - Secure messaging on every command after access control; a bad MAC ends the session
+ * - Chip Authentication and Active Authentication when the chip's private keys are given
+ * - DG3 and DG4 refused (Extended Access Control is not simulated)
+ * - Optional APDU trace
+ */
+
+import crypto from 'crypto';
+import { readFile } from 'fs/promises';
+import { encodeTLV, decodeTLV, decodeTLVList, findTag, decodeOID, decodeInteger } from './ber-tlv.js';
+import { INS, SW, APDUError, parseCommand, encodeResponse } from './apdu.js';
+import { SecureMessaging } from './secure-messaging.js';
+import { parseDG1, parseDG14, parseCardAccess, loadLDSDirectory } from './lds.js';
+import { keyAgreementParameters, createKeyAgreement, deriveKey, KDF_COUNTERS } from './emrtd-crypto.js';
+import {
+  CHIP_AUTHENTICATION_PROTOCOLS,
+  ECDSA_PLAIN_SIGNATURES,
+  signActiveAuthenticationChallenge,
+  performChipAuthentication,
+  performActiveAuthentication
+} from './chip-authentication.js';
+import { ChipSession, FILE_IDS, dataGroupFileId } from './chip-session.js';
+import {
+  EMRTD_APPLICATION_ID,
+  PACE_PASSWORDS,
+  mrzInformation,
+  bacKeys,
+  bacChipRespond,
+  paceParameters,
+  createPACENonce,
+  mapGenerator,
+  paceKeyPair,
+  paceSharedPoint,
+  paceAuthenticationToken,
+  paceSessionKeys
+} from './emrtd-access.js';
+
+const MASTER_FILE_ID = 0x3f00;
+
+// Data groups behind Extended Access Control (fingerprints, iris)
+const EAC_DATA_GROUPS = [3, 4];
+
+// CLA with secure messaging bits set
+const isProtected = cla => (cla & 0x0c) === 0x0c;
+
+// Thrown by command handlers to answer with a status word
+const fail = sw => {
+  throw new APDUError(sw);
+};
+
+class VirtualPassportChip {
+  /**
+   * @param {object} files - chip contents, as loaded by loadLDSDirectory
+   * @param {Buffer} files.com - EF.COM
+   * @param {Buffer} files.sod - EF.SOD
+   * @param {Buffer} [files.cardAccess] - EF.CardAccess; PACE is offered only with it
+   * @param {object} files.dataGroups - { 1: Buffer, 2: Buffer, ... }; DG1 holds the MRZ used as the access password
+   * @param {object} [options]
+   * @param {object} [options.keys] - { activeAuthentication, chipAuthentication } private keys (KeyObject or JWK)
+   * @param {string[]} [options.accessProtocols] - pace and/or bac (default both)
+   * @param {boolean} [options.trace] - log every command and response
+   */
+  constructor({ com, sod, cardAccess, dataGroups = {} }, { keys = {}, accessProtocols = ['pace', 'bac'], trace = false } = {}) {
+    if (!dataGroups[1]) {
+      throw new Error('Virtual chip needs DG1: its MRZ is the access password');
+    }
+    this.password = mrzInformation(parseDG1(dataGroups[1]));
+    this.paceInfos = cardAccess ? parseCardAccess(cardAccess).pace : [];
+    this.dg14 = dataGroups[14] ? parseDG14(dataGroups[14]) : null;
+    this.accessProtocols = accessProtocols;
+    this.trace = trace;
+
+    const privateKey = key => (key && !(key instanceof crypto.KeyObject) ? crypto.createPrivateKey({ key, format: 'jwk' }) : key);
+    this.activeAuthenticationKey = privateKey(keys.activeAuthentication);
+    const chipAuthenticationKey = privateKey(keys.chipAuthentication);
+    if (chipAuthenticationKey && chipAuthenticationKey.asymmetricKeyType !== 'ec') {
+      throw new Error('Virtual chip supports ECDH Chip Authentication keys only');
+    }
+    // The private scalar, from the privateKey OCTET STRING of the SEC 1 encoding
+    this.chipAuthenticationKey = chipAuthenticationKey &&
+      decodeTLVList(decodeTLV(chipAuthenticationKey.export({ format: 'der', type: 'sec1' })).value)[1].value;
+
+    this.masterFiles = new Map(cardAccess ? [[FILE_IDS.CARD_ACCESS, cardAccess]] : []);
+    this.applicationFiles = new Map([
+      [FILE_IDS.COM, com],
+      [FILE_IDS.SOD, sod],
+      ...Object.entries(dataGroups).map(([number, contents]) => [dataGroupFileId(Number(number)), contents])
+    ]);
+    this.reset();
+  }
+
+  /**
+   * Chip from a dump directory (EF_COM.bin, EF_SOD.bin, EF_CardAccess.bin, DG<n>.bin).
+   *
+   * @param {string} directory
+   * @param {object} [options] - as for the constructor; options.keysFile is a JSON file with the private keys as JWK
+   */
+  static async fromDirectory(directory, { keysFile, ...options } = {}) {
+    const keys = keysFile ? JSON.parse(await readFile(keysFile, 'utf8')) : {};
+    return new VirtualPassportChip(await loadLDSDirectory(directory), {
+      ...options,
+      keys: {
+        activeAuthentication: keys.activeAuthentication?.privateKey,
+        chipAuthentication: keys.chipAuthentication?.privateKey
+      }
+    });
+  }
+
+  /**
+   * Power cycle: back to the master file with no access rights.
+   */
+  reset() {
+    this.applicationSelected = false;
+    this.selectedFile = null;
+    this.secureMessaging = null;
+    this.challenge = null;
+    this.pace = null;
+    this.chipAuthentication = null;
+  }
+
+  // Access control lost: the terminal must run BAC or PACE again
+  endSession() {
+    this.secureMessaging = null;
+    this.challenge = null;
+    this.pace = null;
+    this.chipAuthentication = null;
+  }
+
+  /**
+   * Process one command APDU. Never throws: errors are answered with status words.
+   *
+   * @param {Buffer} apdu
+   * @returns {Promise<Buffer>} response APDU
+   */
+  async transmit(apdu) {
+    const bytes = Buffer.from(apdu);
+    if (this.trace) console.log(`📤 ${bytes.toString('hex').toUpperCase()}`);
+    const response = this.process(bytes);
+    if (this.trace) console.log(`📥 ${response.toString('hex').toUpperCase()}`);
+    return response;
+  }
+
+  process(bytes) {
+    let command;
+    try {
+      command = parseCommand(bytes);
+    } catch {
+      return encodeResponse(null, SW.WRONG_LENGTH);
+    }
+
+    const sm = this.secureMessaging;
+    if (sm) {
+      try {
+        command = sm.unwrapCommand(bytes);
+      } catch (error) {
+        // Plain or wrongly protected commands abort secure messaging
+        this.endSession();
+        return encodeResponse(null, error instanceof APDUError ? error.sw : SW.SM_DATA_INCORRECT);
+      }
+    } else if (isProtected(command.cla)) {
+      return encodeResponse(null, SW.CONDITIONS_NOT_SATISFIED);
+    }
+
+    let result;
+    try {
+      result = { sw: SW.SUCCESS, ...this.handle(command) };
+    } catch (error) {
+      if (!(error instanceof APDUError)) {
+        console.error('❌ Virtual chip error:', error.message);
+      }
+      result = { sw: error instanceof APDUError ? error.sw : SW.WRONG_DATA };
+    }
+
+    // The response to the command that establishes new keys still uses the old ones
+    const response = sm ? sm.wrapResponse(result.data, result.sw, command.ins) : encodeResponse(result.data, result.sw);
+    if (result.sessionKeys) {
+      this.secureMessaging = new SecureMessaging(result.sessionKeys);
+    }
+    return response;
+  }
+
+  /**
+   * @returns {{ data?: Buffer, sessionKeys?: object }}
+   */
+  handle(command) {
+    switch (command.ins) {
+      case INS.SELECT:
+        return this.select(command);
+      case INS.READ_BINARY:
+        return this.readBinary(command);
+      case INS.READ_BINARY_ODD:
+        return this.readBinaryOdd(command);
+      case INS.GET_CHALLENGE:
+        return this.getChallenge(command);
+      case INS.EXTERNAL_AUTHENTICATE:
+        return this.externalAuthenticate(command);
+      case INS.MSE:
+        return this.manageSecurityEnvironment(command);
+      case INS.GENERAL_AUTHENTICATE:
+        return this.pace ? this.paceStep(command) : this.chipAuthenticationAgreement(command);
+      case INS.INTERNAL_AUTHENTICATE:
+        return this.internalAuthenticate(command);
+      default:
+        return fail(SW.INS_NOT_SUPPORTED);
+    }
+  }
+
+  select({ p1, data }) {
+    if (p1 === 0x04) {
+      if (!data.equals(EMRTD_APPLICATION_ID)) fail(SW.FILE_NOT_FOUND);
+      this.applicationSelected = true;
+      this.selectedFile = null;
+      return {};
+    }
+    if (p1 !== 0x00 && p1 !== 0x02) fail(SW.INCORRECT_P1_P2);
+    if (data.length === 0 || data.readUInt16BE(0) === MASTER_FILE_ID) {
+      this.applicationSelected = false;
+      this.selectedFile = null;
+      return {};
+    }
+    if (data.length !== 2) fail(SW.WRONG_DATA);
+    this.selectedFile = this.findFile(data.readUInt16BE(0));
+    return {};
+  }
+
+  findFile(fileId) {
+    const files = this.applicationSelected ? this.applicationFiles : this.masterFiles;
+    if (!files.has(fileId)) fail(SW.FILE_NOT_FOUND);
+    return { fileId, contents: files.get(fileId) };
+  }
+
+  readBinary({ p1, p2, le = 256 }) {
+    let offset;
+    if (p1 & 0x80) {
+      // Short file identifier in P1, offset in P2
+      // LDS file IDs are 01 followed by the SFI (EF.COM 011E, DG1 0101, ...)
+      this.selectedFile = this.findFile(0x0100 | (p1 & 0x1f));
+      offset = p2;
+    } else {
+      offset = (p1 << 8) | p2;
+    }
+    return { data: this.readSelectedFile(offset, le) };
+  }
+
+  // Odd INS: P1-P2 is a file ID (0000 for the selected file), the offset is in DO54 and the data goes back in DO53
+  readBinaryOdd({ p1, p2, data, le = 256 }) {
+    const fileId = (p1 << 8) | p2;
+    if (fileId !== 0) {
+      this.selectedFile = this.findFile(fileId);
+    }
+    let offsetObject;
+    try {
+      offsetObject = decodeTLV(data);
+    } catch {
+      return fail(SW.WRONG_DATA);
+    }
+    if (offsetObject.tag !== 0x54 || offsetObject.value.length === 0 || offsetObject.value.length > 4) fail(SW.WRONG_DATA);
+    const offset = offsetObject.value.reduce((total, byte) => total * 0x100 + byte, 0);
+    // Le covers the DO53 header as well
+    const length = le - 2 < 0x80 ? le - 2 : le - 3;
+    return { data: encodeTLV(0x53, this.readSelectedFile(offset, length)) };
+  }
+
+  readSelectedFile(offset, length) {
+    if (!this.selectedFile) fail(SW.CONDITIONS_NOT_SATISFIED);
+
+    const { fileId, contents } = this.selectedFile;
+    if (this.applicationSelected) {
+      if (!this.secureMessaging) fail(SW.SECURITY_STATUS_NOT_SATISFIED);
+      if (EAC_DATA_GROUPS.some(number => dataGroupFileId(number) === fileId)) fail(SW.SECURITY_STATUS_NOT_SATISFIED);
+    }
+    if (offset > contents.length) fail(SW.WRONG_P1_P2);
+    return contents.subarray(offset, offset + length);
+  }
+
+  getChallenge({ le }) {
+    if (le !== 8) fail(SW.WRONG_LENGTH);
+    this.challenge = crypto.randomBytes(8);
+    return { data: this.challenge };
+  }
+
+  externalAuthenticate({ data }) {
+    if (!this.accessProtocols.includes('bac')) fail(SW.INS_NOT_SUPPORTED);
+    if (!this.applicationSelected || !this.challenge) fail(SW.CONDITIONS_NOT_SATISFIED);
+    const challenge = this.challenge;
+    this.challenge = null;
+    try {
+      const { data: response, sessionKeys } = bacChipRespond(bacKeys(this.password), challenge, data);
+      return { data: response, sessionKeys };
+    } catch {
+      return fail(SW.AUTHENTICATION_FAILED);
+    }
+  }
+
+  manageSecurityEnvironment({ p1, p2, data }) {
+    let nodes;
+    try {
+      nodes = decodeTLVList(data);
+    } catch {
+      return fail(SW.WRONG_DATA);
+    }
+    const value = tag => findTag(nodes, tag)?.value;
+    const keyId = value(0x84) ? decodeInteger(value(0x84)) : undefined;
+
+    if (p1 === 0xc1 && p2 === 0xa4) {
+      return this.paceSetAuthenticationTemplate(value(0x80), value(0x83), keyId);
+    }
+    if (!this.secureMessaging) fail(SW.SECURITY_STATUS_NOT_SATISFIED);
+    if (p1 === 0x41 && p2 === 0xa6) {
+      // Chip Authentication with 3DES: the key agreement happens right away
+      const publicKey = value(0x91);
+      if (!publicKey) fail(SW.WRONG_DATA);
+      return this.chipAuthenticate(this.findChipAuthentication('3DES', keyId), publicKey);
+    }
+    if (p1 === 0x41 && p2 === 0xa4) {
+      const protocol = value(0x80) && decodeOID(value(0x80));
+      const selected = this.findChipAuthentication(CHIP_AUTHENTICATION_PROTOCOLS[protocol]?.cipher, keyId);
+      if (selected.protocol.oid !== protocol) fail(SW.REFERENCE_NOT_FOUND);
+      this.chipAuthentication = selected;
+      return {};
+    }
+    return fail(SW.INCORRECT_P1_P2);
+  }
+
+  paceSetAuthenticationTemplate(protocol, passwordReference, parameterId) {
+    if (!this.accessProtocols.includes('pace') || this.paceInfos.length === 0) fail(SW.INS_NOT_SUPPORTED);
+    if (!protocol || !passwordReference) fail(SW.WRONG_DATA);
+    const oid = decodeOID(protocol);
+    const info = this.paceInfos.find(candidate =>
+      candidate.protocol === oid && (parameterId === undefined || candidate.parameterId === parameterId));
+    const parameters = info && paceParameters(info);
+    if (!parameters) fail(SW.REFERENCE_NOT_FOUND);
+    // Only the MRZ is known to the virtual chip; there is no CAN
+    if (decodeInteger(passwordReference) !== PACE_PASSWORDS.MRZ) fail(SW.REFERENCE_NOT_FOUND);
+
+    this.endSession();
+    this.pace = { parameters, step: 0 };
+    return {};
+  }
+
+  /**
+   * PACE GENERAL AUTHENTICATE steps: encrypted nonce, mapping, key
+   * agreement, mutual authentication. Any failure aborts PACE.
+   */
+  paceStep({ data }) {
+    const pace = this.pace;
+    const { parameters } = pace;
+    const { curve } = parameters;
+    let request;
+    try {
+      const node = decodeTLV(data);
+      if (node.tag !== 0x7c) throw new Error('not dynamic authentication data');
+      request = decodeTLVList(node.value);
+    } catch {
+      this.pace = null;
+      return fail(SW.WRONG_DATA);
+    }
+    const requestValue = tag => {
+      const found = findTag(request, tag);
+      if (!found) {
+        this.pace = null;
+        fail(SW.WRONG_DATA);
+      }
+      return found.value;
+    };
+    const respond = (tag, value) => ({ data: encodeTLV(0x7c, encodeTLV(tag, value)) });
+
+    try {
+      switch (pace.step++) {
+        case 0: {
+          const { nonce, encryptedNonce } = createPACENonce(this.password, parameters.cipher);
+          pace.nonce = nonce;
+          return respond(0x80, encryptedNonce);
+        }
+        case 1: {
+          const mapping = paceKeyPair(curve);
+          pace.generator = mapGenerator(curve, pace.nonce, paceSharedPoint(curve, mapping.privateKey, requestValue(0x81)));
+          return respond(0x82, mapping.publicKey);
+        }
+        case 2: {
+          const terminalKey = requestValue(0x83);
+          const ephemeral = paceKeyPair(curve, pace.generator);
+          if (terminalKey.equals(ephemeral.publicKey)) throw new Error('terminal key equals the chip key');
+          pace.terminalKey = terminalKey;
+          pace.publicKey = ephemeral.publicKey;
+          pace.sessionKeys = paceSessionKeys(parameters, paceSharedPoint(curve, ephemeral.privateKey, terminalKey));
+          return respond(0x84, ephemeral.publicKey);
+        }
+        case 3: {
+          const { sessionKeys } = pace;
+          this.pace = null;
+          if (!requestValue(0x85).equals(paceAuthenticationToken(parameters, sessionKeys.macKey, pace.publicKey))) {
+            fail(SW.AUTHENTICATION_FAILED);
+          }
+          return { ...respond(0x86, paceAuthenticationToken(parameters, sessionKeys.macKey, pace.terminalKey)), sessionKeys };
+        }
+        default:
+          return fail(SW.CONDITIONS_NOT_SATISFIED);
+      }
+    } catch (error) {
+      this.pace = null;
+      if (error instanceof APDUError) throw error;
+      // Points off the curve and the like
+      return fail(SW.WRONG_DATA);
+    }
+  }
+
+  /**
+   * Chip Authentication key from DG14 for the requested cipher and key ID.
+   */
+  findChipAuthentication(cipher, keyId) {
+    if (!this.chipAuthenticationKey || !this.dg14) fail(SW.INS_NOT_SUPPORTED);
+    const key = this.dg14.chipAuthenticationPublicKeys.find(candidate => keyId === undefined || candidate.keyId === keyId);
+    if (!key) fail(SW.REFERENCE_NOT_FOUND);
+    const parameters = keyAgreementParameters(key.publicKeyInfo);
+    const info = this.dg14.chipAuthentication.find(candidate => keyId === undefined || candidate.keyId === keyId);
+    // A key without ChipAuthenticationInfo implies the 3DES protocol
+    const oid = info?.protocol || (parameters.type === 'ec' ? '0.4.0.127.0.7.2.2.3.2.1' : '0.4.0.127.0.7.2.2.3.1.1');
+    const protocol = CHIP_AUTHENTICATION_PROTOCOLS[oid];
+    if (!protocol || protocol.cipher !== cipher) fail(SW.REFERENCE_NOT_FOUND);
+    return { protocol: { oid, ...protocol }, parameters };
+  }
+
+  chipAuthenticationAgreement({ data }) {
+    const selected = this.chipAuthentication;
+    this.chipAuthentication = null;
+    if (!selected) fail(SW.CONDITIONS_NOT_SATISFIED);
+    let publicKey;
+    try {
+      const node = decodeTLV(data);
+      publicKey = node.tag === 0x7c ? findTag(decodeTLVList(node.value), 0x80)?.value : null;
+    } catch {
+      publicKey = null;
+    }
+    if (!publicKey) fail(SW.WRONG_DATA);
+    return { ...this.chipAuthenticate(selected, publicKey), data: encodeTLV(0x7c, Buffer.alloc(0)) };
+  }
+
+  chipAuthenticate({ protocol, parameters }, publicKey) {
+    let secret;
+    try {
+      secret = createKeyAgreement(parameters, this.chipAuthenticationKey).computeSecret(publicKey);
+    } catch {
+      return fail(SW.WRONG_DATA);
+    }
+    return {
+      sessionKeys: {
+        cipher: protocol.cipher,
+        encryptionKey: deriveKey(secret, KDF_COUNTERS.ENC, protocol.cipher),
+        macKey: deriveKey(secret, KDF_COUNTERS.MAC, protocol.cipher)
+      }
+    };
+  }
+
+  internalAuthenticate({ data }) {
+    if (!this.activeAuthenticationKey) fail(SW.INS_NOT_SUPPORTED);
+    if (!this.secureMessaging) fail(SW.SECURITY_STATUS_NOT_SATISFIED);
+    if (data.length !== 8) fail(SW.WRONG_DATA);
+    const digest = ECDSA_PLAIN_SIGNATURES[this.dg14?.activeAuthentication?.signatureAlgorithm];
+    return { data: signActiveAuthenticationChallenge(this.activeAuthenticationKey, data, { digest }) };
+  }
+}
+
+// CLI usage
+async function main() {
+  const args = process.argv.slice(2);
+  const directory = args.find(arg => !arg.startsWith('--'));
+  if (!directory || args.includes('--help')) {
+    console.log(`
+💳 Virtual Passport Chip
+
+Reads a chip dump through the full APDU protocol (PACE or BAC, secure
+messaging, SELECT / READ BINARY) and checks every file arrives intact.
+
+Usage:
+  node virtual-chip.js <directory> [options]
+
+Options:
+  --keys=FILE    Chip private keys (JSON with JWKs), to run Chip and Active Authentication
+  --bac          Use BAC even if the chip offers PACE
+  --trace        Log every command and response APDU
+
+Example:
+  node virtual-chip.js fixtures/lds/utopia-td3 --keys=fixtures/lds/utopia-chip-keys.json
+    `);
+    process.exit(0);
+  }
+
+  const option = name => args.find(arg => arg.startsWith(`--${name}=`))?.slice(name.length + 3);
+
+  const files = await loadLDSDirectory(directory);
+  const chip = await VirtualPassportChip.fromDirectory(directory, { keysFile: option('keys'), trace: args.includes('--trace') });
+  const dg1 = parseDG1(files.dataGroups[1]);
+  console.log(`💳 Virtual chip for ${dg1.documentNumber} (${chip.paceInfos.length > 0 ? 'PACE and BAC' : 'BAC only'})`);
+
+  const session = await ChipSession.open(chip, dg1, { protocol: args.includes('--bac') ? 'bac' : 'auto' });
+  const read = await session.readLDS();
+  const mismatches = [
+    ...(read.com.equals(files.com) ? [] : ['EF.COM']),
+    ...(read.sod.equals(files.sod) ? [] : ['EF.SOD']),
+    ...Object.entries(read.dataGroups).filter(([number, contents]) => !contents.equals(files.dataGroups[number])).map(([number]) => `DG${number}`)
+  ];
+  if (mismatches.length > 0) {
+    throw new Error(`Files differ from the dump: ${mismatches.join(', ')}`);
+  }
+  console.log(`✅ Read EF.COM, EF.SOD and ${Object.keys(read.dataGroups).length} data groups over ${session.accessProtocol}`);
+
+  const chipAuthentication = await performChipAuthentication(session, { dg14: read.dataGroups[14] });
+  console.log(`🔏 Chip Authentication: ${chipAuthentication.status}${chipAuthentication.error ? ` (${chipAuthentication.error})` : ''}`);
+  const activeAuthentication = await performActiveAuthentication(session, { dg15: read.dataGroups[15], dg14: read.dataGroups[14] });
+  console.log(`🔏 Active Authentication: ${activeAuthentication.status}${activeAuthentication.error ? ` (${activeAuthentication.error})` : ''}`);
+}
+
+if (import.meta.url === `file://${process.argv[1]}`) {
+  main().catch(error => {
+    console.error('❌ Error:', error.message);
+    process.exit(1);
+  });
+}
+
+export { VirtualPassportChip };
@@ -3,7 +3,8 @@
  * Web Authentication Service using Passport mDocs
  * 
  * This service handles web authentication using verifiable credentials
- * issued from passport data. Integrates with walt.id verifier for VP validation.
+ * issued from passport data. Presentations are mso_mdoc DeviceResponses
+ * verified locally against a configured IACA trust anchor.
  * 
  * Features:
  * - Web authentication using VCs/VPs
@@ -11,14 +12,53 @@
  * - Integration with websites
  * - Presentation request handling
  * - Custom claim verification (web ID)
+ * - ISO 18013-5 issuer and device authentication checks
+ * - Signed ES256 auth tokens with a JWKS endpoint for relying websites
+ * - OpenID Connect provider facade (authorization code + PKCE)
+ * - Expiring session store (memory or file) with a redacted status view
+ * - Per-request selective disclosure (requested elements, intent_to_retain, age_over_NN)
+ * - SD-JWT VC presentations with key binding as an alternative to mso_mdoc
+ * - openid4vp:// authorization requests answered by wallets with direct_post
+ * - Scannable QR codes, with a DIF presentation definition or DCQL query
+ * - Signed request objects (JAR) behind a one-time, expiring request_uri (x509_san_dns / x509_san_uri)
+ * - Per-session random nonce and state, single-use sessions and a presentation replay cache
+ * - Revoked or suspended credentials rejected via their Token Status List
  */
 
 import express from 'express';
+import crypto from 'crypto';
 import axios from 'axios';
 import { v4 as uuidv4 } from 'uuid';
 import cors from 'cors';
+import QRCode from 'qrcode';
+import { readFile } from 'fs/promises';
 import { fileURLToPath } from 'url';
 import { dirname, join } from 'path';
+import { MDocVerifier, buildOID4VPSessionTranscript } from './mdoc-verifier.js';
+import { AuthTokenSigner, TOKEN_TYPES } from './auth-token-signer.js';
+import { OIDCProvider } from './oidc-provider.js';
+import { createSessionStore, toPublicSession } from './session-store.js';
+import { SDJWTVerifier, looksLikeSDJWT } from './sd-jwt.js';
+import { RequestObjectSigner, X509_CLIENT_ID_SCHEMES } from './request-object-signer.js';
+import { ReplayCache, presentationDigest } from './replay-cache.js';
+import { StatusListVerifier, TOKEN_STATUS, STATUS_NAMES } from './status-list.js';
+import {
+  buildItemsRequest,
+  buildInputDescriptor,
+  buildDCQLQuery,
+  DCQL_CREDENTIAL_QUERY_ID,
+  findMissingElements,
+  resolveAgeOver
+} from './mdoc-disclosure.js';
+import {
+  PASSPORT_DOCTYPE,
+  PASSPORT_VCT,
+  SD_JWT_VC_FORMAT,
+  CORE_NAMESPACE,
+  WEBAUTH_NAMESPACE,
+  VERIFICATION_LEVELS,
+  groupClaimsByNamespace
+} from './passport-doctype.js';
 
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = dirname(__filename);
@@ -26,18 +66,92 @@ const __dirname = dirname(__filename);
 const VERIFIER_BASE = 'http://localhost:7003';
 const STANDARD_VERSION = 'draft13';
 
+// OpenID4VP query languages a website can ask the wallet to answer
+const QUERY_LANGUAGES = ['presentation_definition', 'dcql'];
+
+const DEFAULT_REQUEST_OBJECT_TTL_SECONDS = 300; // 5 minutes
+
 class WebAuthService {
-  constructor(port = 8080) {
+  constructor(port = 8080, options = {}) {
     this.app = express();
     this.port = port;
-    this.sessions = new Map(); // In production, use Redis or database
+    this.baseUrl = options.baseUrl || `http://localhost:${port}`;
+    this.sessionStore = options.sessionStore || createSessionStore();
+    this.trustAnchors = options.trustAnchors || null; // PEM IACA certificates, loaded lazily otherwise
+    this.verifier = null;
+    this.sdJwtVerifier = null;
+    this.statusListVerifier = null;
+    // With a status list in the deployment, a credential without a status reference could never be revoked
+    this.requireCredentialStatus = options.requireCredentialStatus ?? Boolean(process.env.STATUS_LIST_URI);
+    this.tokenSigner = options.tokenSigner || new AuthTokenSigner({
+      issuer: this.baseUrl,
+      tokenTtlSeconds: parseInt(process.env.AUTH_TOKEN_TTL_SECONDS) || undefined,
+      rotationIntervalSeconds: parseInt(process.env.AUTH_KEY_ROTATION_SECONDS) || undefined
+    });
+    // X.509 client ID schemes sign requests and serve them via request_uri; redirect_uri sends them by value
+    this.clientIdScheme = options.clientIdScheme || process.env.VERIFIER_CLIENT_ID_SCHEME || 'x509_san_dns';
+    if (![...X509_CLIENT_ID_SCHEMES, 'redirect_uri'].includes(this.clientIdScheme)) {
+      throw new Error(`Unsupported client ID scheme: ${this.clientIdScheme}`);
+    }
+    this.requestObjectSigner = X509_CLIENT_ID_SCHEMES.includes(this.clientIdScheme)
+      ? options.requestObjectSigner || new RequestObjectSigner({
+        responseUri: `${this.baseUrl}/auth/present`,
+        clientIdScheme: this.clientIdScheme
+      })
+      : null;
+    this.requestObjectTtlSeconds = parseInt(process.env.REQUEST_OBJECT_TTL_SECONDS) || DEFAULT_REQUEST_OBJECT_TTL_SECONDS;
+    this.replayCache = options.replayCache || new ReplayCache({
+      ttlSeconds: parseInt(process.env.REPLAY_CACHE_TTL_SECONDS) || undefined
+    });
+    this.presentationsInFlight = new Set(); // session IDs whose presentation is being verified
+    this.oidcProvider = new OIDCProvider(this, { clients: options.oidcClients });
     this.setupMiddleware();
     this.setupRoutes();
   }
 
+  async loadTrustAnchors() {
+    // IACA_TRUST_ANCHOR points at a PEM file; otherwise trust our own PKI setup
+    if (process.env.IACA_TRUST_ANCHOR) {
+      return [await readFile(process.env.IACA_TRUST_ANCHOR, 'utf8')];
+    }
+    try {
+      const pkiSetup = JSON.parse(await readFile('mdoc-pki-setup.json', 'utf8'));
+      return [pkiSetup.iaca.certificatePEM];
+    } catch (error) {
+      throw new Error('No IACA trust anchor configured. Set IACA_TRUST_ANCHOR or run: node setup-mdoc-pki.js');
+    }
+  }
+
+  async getVerifier() {
+    if (!this.verifier) {
+      this.trustAnchors = this.trustAnchors || await this.loadTrustAnchors();
+      this.verifier = new MDocVerifier({ trustAnchors: this.trustAnchors });
+    }
+    return this.verifier;
+  }
+
+  async getSDJWTVerifier() {
+    // SD-JWT VCs are signed by the same Document Signer, so they share the trust anchors
+    if (!this.sdJwtVerifier) {
+      this.trustAnchors = this.trustAnchors || await this.loadTrustAnchors();
+      this.sdJwtVerifier = new SDJWTVerifier({ trustAnchors: this.trustAnchors });
+    }
+    return this.sdJwtVerifier;
+  }
+
+  async getStatusListVerifier() {
+    // Status lists are signed by the Document Signer, so they chain to the same IACA
+    if (!this.statusListVerifier) {
+      this.trustAnchors = this.trustAnchors || await this.loadTrustAnchors();
+      this.statusListVerifier = new StatusListVerifier({ trustAnchors: this.trustAnchors });
+    }
+    return this.statusListVerifier;
+  }
+
   setupMiddleware() {
     this.app.use(cors());
     this.app.use(express.json());
+    this.app.use(express.urlencoded({ extended: false }));
     this.app.use(express.static(join(__dirname, 'public')));
   }
 
@@ -47,63 +161,174 @@ class WebAuthService {
       res.send(this.getAuthPage());
     });
 
+    // Public keys for validating auth tokens
+    this.app.get('/.well-known/jwks.json', async (req, res) => {
+      try {
+        res.set('Cache-Control', 'public, max-age=300');
+        res.json(await this.tokenSigner.getJWKS());
+      } catch (error) {
+        res.status(500).json({ error: error.message });
+      }
+    });
+
     // Start authentication flow
     this.app.post('/auth/start', async (req, res) => {
       try {
-        const { website, returnUrl } = req.body;
-        const session = await this.startAuthFlow(website, returnUrl);
+        const {
+          website,
+          returnUrl,
+          requestedElements,
+          format = 'mso_mdoc',
+          queryLanguage = 'presentation_definition'
+        } = req.body;
+        // The website is the audience of the auth token
+        if (typeof website !== 'string' || !website) {
+          return res.status(400).json({ error: 'website is required' });
+        }
+        if (!['mso_mdoc', SD_JWT_VC_FORMAT].includes(format)) {
+          return res.status(400).json({ error: `Unsupported credential format: ${format}` });
+        }
+        if (!QUERY_LANGUAGES.includes(queryLanguage)) {
+          return res.status(400).json({ error: `Unsupported query language: ${queryLanguage}` });
+        }
+        let itemsRequest;
+        try {
+          itemsRequest = buildItemsRequest(requestedElements);
+        } catch (error) {
+          return res.status(400).json({ error: error.message });
+        }
+        const session = await this.startAuthFlow(website, returnUrl, { itemsRequest, format, queryLanguage });
         res.json(session);
       } catch (error) {
         res.status(500).json({ error: error.message });
       }
     });
 
-    // Handle VP presentation
+    // Signed request object (JAR) for a session, retrievable once before it expires
+    this.app.get('/auth/request/:sessionId', async (req, res) => {
+      try {
+        const session = await this.sessionStore.get(req.params.sessionId);
+        if (!session || !X509_CLIENT_ID_SCHEMES.includes(session.clientIdScheme)) {
+          return res.status(404).json({ error: 'invalid_request_uri', error_description: 'Unknown request_uri' });
+        }
+        if (session.status !== 'pending' || session.requestObjectRetrieved) {
+          return res.status(410).json({ error: 'invalid_request_uri', error_description: 'Request object already retrieved' });
+        }
+        const remainingSeconds = Math.floor((new Date(session.requestObjectExpiresAt).getTime() - Date.now()) / 1000);
+        if (remainingSeconds <= 0) {
+          return res.status(410).json({ error: 'invalid_request_uri', error_description: 'Request object expired' });
+        }
+
+        session.requestObjectRetrieved = true;
+        await this.sessionStore.set(session.id, session);
+
+        const requestObject = await this.requestObjectSigner.sign(this.buildRequestParameters(session), {
+          expiresIn: remainingSeconds
+        });
+        res.type('application/oauth-authz-req+jwt').send(requestObject);
+      } catch (error) {
+        res.status(500).json({ error: error.message });
+      }
+    });
+
+    // Handle VP presentation: OpenID4VP direct_post from a wallet, or the JSON API
     this.app.post('/auth/present', async (req, res) => {
+      const directPost = 'vp_token' in req.body;
       try {
-        const { sessionId, vpToken } = req.body;
-        const result = await this.handleVPPresentation(sessionId, vpToken);
+        if (directPost) {
+          // No JWE apu header in plain direct_post, so the mdoc nonce is a form parameter
+          const { state, vp_token, mdoc_generated_nonce } = req.body;
+          // state is the only link from a direct_post response back to its session
+          const session = state ? await this.sessionStore.findBy('state', state) : null;
+          if (!session) {
+            throw new Error('Unknown or expired state');
+          }
+          const result = await this.handleVPPresentation(session.id, vp_token, mdoc_generated_nonce);
+          // The wallet only learns where to send the user next, never the auth token
+          return res.json({ redirect_uri: result.callbackUrl });
+        }
+
+        const { sessionId, vpToken, mdocGeneratedNonce } = req.body;
+        const result = await this.handleVPPresentation(sessionId, vpToken, mdocGeneratedNonce);
         res.json(result);
       } catch (error) {
+        if (directPost) {
+          return res.status(400).json({ error: 'invalid_request', error_description: error.message });
+        }
         res.status(400).json({ error: error.message });
       }
     });
 
     // Check authentication status
-    this.app.get('/auth/status/:sessionId', (req, res) => {
-      const session = this.sessions.get(req.params.sessionId);
-      if (!session) {
-        return res.status(404).json({ error: 'Session not found' });
+    this.app.get('/auth/status/:sessionId', async (req, res) => {
+      try {
+        const session = await this.sessionStore.get(req.params.sessionId);
+        if (!session) {
+          return res.status(404).json({ error: 'Session not found' });
+        }
+        res.json(toPublicSession(session));
+      } catch (error) {
+        res.status(500).json({ error: error.message });
       }
-      res.json(session);
     });
 
     // Callback for websites
     this.app.get('/auth/callback/:sessionId', async (req, res) => {
-      const session = this.sessions.get(req.params.sessionId);
-      if (!session) {
-        return res.status(404).send('Session not found');
-      }
+      try {
+        const session = await this.sessionStore.get(req.params.sessionId);
+        if (!session) {
+          return res.status(404).send('Session not found');
+        }
 
-      if (session.status === 'completed') {
-        // Redirect back to the website with authentication token
-        const returnUrl = new URL(session.returnUrl);
-        returnUrl.searchParams.set('auth_token', session.authToken);
-        returnUrl.searchParams.set('web_id', session.userInfo.webId);
-        return res.redirect(returnUrl.toString());
-      }
+        if (session.status === 'completed' && session.oidc) {
+          if (session.oidc.codeIssued) {
+            return res.status(410).send('Authorization already completed');
+          }
+          // OIDC clients get an authorization code instead of the token itself
+          const redirectUrl = this.oidcProvider.completeAuthorization(session);
+          await this.sessionStore.set(session.id, session);
+          return res.redirect(redirectUrl);
+        }
+
+        if (session.status === 'completed') {
+          // Redirect back to the website with authentication token
+          const returnUrl = new URL(session.returnUrl);
+          returnUrl.searchParams.set('auth_token', session.authToken);
+          returnUrl.searchParams.set('web_id', session.userInfo.webId);
+          return res.redirect(returnUrl.toString());
+        }
 
-      res.send(this.getWaitingPage(req.params.sessionId));
+        res.send(this.getWaitingPage(session, await this.generateQRCode(session)));
+      } catch (error) {
+        res.status(500).type('text/plain').send(error.message);
+      }
     });
+
+    // Standard OIDC endpoints in front of the same passport flow
+    this.oidcProvider.registerRoutes(this.app);
   }
 
-  async startAuthFlow(website, returnUrl) {
+  async startAuthFlow(website, returnUrl, options = {}) {
     console.log(`🚀 Starting auth flow for website: ${website}`);
     
     const sessionId = uuidv4();
+    const itemsRequest = options.itemsRequest || buildItemsRequest();
+    const format = options.format || 'mso_mdoc';
+    const queryLanguage = options.queryLanguage || 'presentation_definition';
+    const responseUri = `${this.baseUrl}/auth/present`;
+
+    // Fail here rather than hand out a request the wallet cannot authenticate
+    if (this.requestObjectSigner) {
+      await this.requestObjectSigner.getSigningCredentials();
+    }
     
+    // Never reused across sessions: the nonce is bound into the mdoc session
+    // transcript or the KB-JWT, the state is echoed in direct_post responses
+    const nonce = crypto.randomBytes(32).toString('base64url');
+    const state = crypto.randomBytes(16).toString('base64url');
+
     // Create verification session with walt.id verifier
-    const verificationSession = await this.createVerificationSession();
+    const verificationSession = await this.createVerificationSession(itemsRequest, format, nonce);
     
     const session = {
       id: sessionId,
@@ -113,35 +338,51 @@ class WebAuthService {
       createdAt: new Date().toISOString(),
       verificationSessionId: verificationSession.sessionId,
       presentationRequest: verificationSession.presentationRequest,
+      itemsRequest: itemsRequest,
+      format: format,
+      queryLanguage: queryLanguage,
+      // OID4VP parameters bound into the mdoc session transcript; with the
+      // redirect_uri client ID scheme the client ID is the response URI
+      clientIdScheme: this.clientIdScheme,
+      clientId: this.requestObjectSigner ? this.requestObjectSigner.clientId : responseUri,
+      responseUri: responseUri,
+      requestObjectExpiresAt: new Date(Date.now() + this.requestObjectTtlSeconds * 1000).toISOString(),
+      requestObjectRetrieved: false,
+      nonce: nonce,
+      state: state,
       authToken: null,
       userInfo: null
     };
 
-    this.sessions.set(sessionId, session);
+    await this.sessionStore.set(sessionId, session);
     
     console.log(`✅ Auth session created: ${sessionId}`);
     
     return {
       sessionId: sessionId,
       presentationRequest: verificationSession.presentationRequest,
-      callbackUrl: `http://localhost:${this.port}/auth/callback/${sessionId}`,
-      qrCode: this.generateQRCodeData(sessionId, verificationSession.presentationRequest)
+      callbackUrl: `${this.baseUrl}/auth/callback/${sessionId}`,
+      authorizationRequest: this.buildAuthorizationRequest(session),
+      qrCode: await this.generateQRCode(session)
     };
   }
 
-  async createVerificationSession() {
+  async createVerificationSession(itemsRequest = buildItemsRequest(), format = 'mso_mdoc', nonce = crypto.randomBytes(32).toString('base64url')) {
     console.log('📝 Creating verification session with walt.id...');
     
-    // Request passport credential presentation
+    // Request only the data elements the website asked for
+    const requestedCredential = format === SD_JWT_VC_FORMAT
+      ? { format: SD_JWT_VC_FORMAT, vct: PASSPORT_VCT }
+      : { format: 'mso_mdoc', doctype: itemsRequest.docType };
     const presentationRequest = {
       request_credentials: [
         {
-          format: 'mso_mdoc',
-          doctype: 'org.iso.18013.5.1.mDL'
+          ...requestedCredential,
+          input_descriptor: buildInputDescriptor(itemsRequest, format)
         }
       ],
       purpose: 'Web Authentication',
-      challenge: uuidv4()
+      challenge: nonce
     };
 
     try {
@@ -162,33 +403,64 @@ class WebAuthService {
     }
   }
 
-  async handleVPPresentation(sessionId, vpToken) {
+  async handleVPPresentation(sessionId, vpToken, mdocGeneratedNonce) {
     console.log(`🔍 Processing VP presentation for session: ${sessionId}`);
     
-    const session = this.sessions.get(sessionId);
+    const session = await this.sessionStore.get(sessionId);
     if (!session) {
       throw new Error('Session not found');
     }
 
-    if (session.status !== 'pending') {
+    // One presentation per session, including while an earlier one is still being verified
+    if (session.status !== 'pending' || this.presentationsInFlight.has(sessionId)) {
       throw new Error('Session already processed');
     }
 
-    // Verify the VP with walt.id verifier
-    const verificationResult = await this.verifyVP(vpToken);
+    if (!vpToken) {
+      throw new Error('vpToken is required');
+    }
+    if (!session.nonce) {
+      throw new Error('Session has no verifier nonce');
+    }
+
+    const presentation = session.queryLanguage === 'dcql' ? this.extractDCQLPresentation(vpToken) : vpToken;
+
+    // A presentation is used up once it has been accepted; one that fails
+    // verification (junk, or a status list that could not be fetched) is not
+    const digest = presentationDigest(presentation, session.format);
+    if (this.replayCache.has(digest)) {
+      throw new Error('Presentation has already been used');
+    }
+
+    this.presentationsInFlight.add(sessionId);
+    try {
+      const result = await this.completePresentation(session, presentation, mdocGeneratedNonce);
+      this.replayCache.add(digest);
+      return result;
+    } finally {
+      this.presentationsInFlight.delete(sessionId);
+    }
+  }
+
+  async completePresentation(session, presentation, mdocGeneratedNonce) {
+    const sessionId = session.id;
+
+    // Verify the presentation against our trust anchor and this session's nonce
+    const verificationResult = await this.verifyVP(presentation, session, mdocGeneratedNonce);
     
     if (verificationResult.valid) {
       // Extract user information from the verified VP
-      const userInfo = this.extractUserInfo(verificationResult.vpData);
+      const userInfo = this.extractUserInfo(verificationResult.vpData, session.itemsRequest, session.format);
       
-      // Generate authentication token
-      const authToken = this.generateAuthToken(userInfo);
+      // Generate authentication token bound to the requesting website
+      const authToken = await this.generateAuthToken(userInfo, session);
       
       // Update session
       session.status = 'completed';
       session.authToken = authToken;
       session.userInfo = userInfo;
       session.completedAt = new Date().toISOString();
+      await this.sessionStore.set(sessionId, session);
       
       console.log(`✅ Authentication successful for web ID: ${userInfo.webId}`);
       
@@ -196,50 +468,69 @@ class WebAuthService {
         success: true,
         authToken: authToken,
         userInfo: userInfo,
-        callbackUrl: `http://localhost:${this.port}/auth/callback/${sessionId}`
+        callbackUrl: `${this.baseUrl}/auth/callback/${sessionId}`
       };
     } else {
-      session.status = 'failed';
-      session.error = verificationResult.error;
-      
+      // The session stays pending: state is public, so anyone can post a response
+      // that does not verify, and that must not lock the holder out
+      console.warn(`⚠️ Presentation for session ${sessionId} rejected: ${verificationResult.error}`);
       throw new Error(`VP verification failed: ${verificationResult.error}`);
     }
   }
 
-  async verifyVP(vpToken) {
-    console.log('🔐 Verifying VP with walt.id verifier...');
-    
-    try {
-      // This would integrate with walt.id verifier API
-      // For now, we'll do basic validation
-      
-      // Decode and validate the VP structure
-      const vpData = this.decodeVP(vpToken);
-      
-      // Validate required fields
-      if (!vpData || !vpData.verifiableCredential) {
-        return { valid: false, error: 'Invalid VP structure' };
+  extractDCQLPresentation(vpToken) {
+    // DCQL vp_tokens are JSON objects keyed by credential query id
+    let presentations = vpToken;
+    if (typeof vpToken === 'string') {
+      try {
+        presentations = JSON.parse(vpToken);
+      } catch {
+        throw new Error('vp_token must be a JSON object for DCQL requests');
       }
+    }
+    const presentation = presentations?.[DCQL_CREDENTIAL_QUERY_ID];
+    const first = Array.isArray(presentation) ? presentation[0] : presentation;
+    if (typeof first !== 'string') {
+      throw new Error(`vp_token has no presentation for credential query ${DCQL_CREDENTIAL_QUERY_ID}`);
+    }
+    return first;
+  }
 
-      // Check for passport credential
-      const passportCredential = vpData.verifiableCredential.find(vc => 
-        vc.type && vc.type.includes('PassportCredential')
-      );
+  async verifyVP(vpToken, session, mdocGeneratedNonce) {
+    try {
+      const result = session.format === SD_JWT_VC_FORMAT
+        ? await this.verifySDJWTPresentation(vpToken, session)
+        : await this.verifyMDocPresentation(vpToken, session, mdocGeneratedNonce);
+      if (!result.valid) {
+        return result;
+      }
 
-      if (!passportCredential) {
-        return { valid: false, error: 'No passport credential found' };
+      // Credentials without a status reference (e.g. issued by walt.id) cannot be revoked
+      if (!result.status && this.requireCredentialStatus) {
+        return { valid: false, error: 'Credential has no status reference, so its revocation cannot be checked' };
+      }
+      if (result.status) {
+        let status;
+        try {
+          status = await (await this.getStatusListVerifier()).checkStatus(result.status);
+        } catch (error) {
+          return { valid: false, error: `Credential status unavailable: ${error.message}` };
+        }
+        if (status !== TOKEN_STATUS.VALID) {
+          return { valid: false, error: `Credential is ${STATUS_NAMES[status] || `in status ${status}`}` };
+        }
       }
 
-      // Validate credential claims
-      const subject = passportCredential.credentialSubject;
-      if (!subject.webId || !subject.passportNumber) {
+      // The web ID is the authenticated subject; everything else is optional
+      const webAuthClaims = result.claims[WEBAUTH_NAMESPACE] || {};
+      if (!webAuthClaims.web_id) {
         return { valid: false, error: 'Missing required claims' };
       }
 
       return {
         valid: true,
-        vpData: vpData,
-        passportCredential: passportCredential
+        vpData: result.claims,
+        passportDocument: result.passportDocument
       };
 
     } catch (error) {
@@ -248,64 +539,159 @@ class WebAuthService {
     }
   }
 
-  decodeVP(vpToken) {
-    // This is a simplified VP decoder
-    // In production, use proper JWT/CBOR decoding
-    try {
-      if (vpToken.startsWith('eyJ')) {
-        // JWT format
-        const payload = vpToken.split('.')[1];
-        const decoded = Buffer.from(payload, 'base64').toString('utf8');
-        return JSON.parse(decoded);
-      } else {
-        // Assume JSON format for now
-        return JSON.parse(vpToken);
-      }
-    } catch (error) {
-      throw new Error('Failed to decode VP token');
+  async verifyMDocPresentation(vpToken, session, mdocGeneratedNonce) {
+    console.log('🔐 Verifying mdoc DeviceResponse...');
+
+    const verifier = await this.getVerifier();
+    const sessionTranscript = buildOID4VPSessionTranscript({
+      clientId: session.clientId,
+      responseUri: session.responseUri,
+      nonce: session.nonce,
+      mdocGeneratedNonce: mdocGeneratedNonce
+    });
+
+    // Anything requested but withheld fails the presentation
+    const result = verifier.verifyDeviceResponse(vpToken, {
+      sessionTranscript,
+      itemsRequest: session.itemsRequest
+    });
+    if (!result.valid) {
+      return { valid: false, error: result.error };
     }
+
+    // Check for passport credential
+    const passportDocument = result.documents.find(doc => doc.docType === PASSPORT_DOCTYPE);
+    if (!passportDocument) {
+      return { valid: false, error: 'No passport credential found' };
+    }
+
+    return { valid: true, claims: passportDocument.claims, passportDocument, status: passportDocument.status };
   }
 
-  extractUserInfo(vpData) {
-    const passportCredential = vpData.verifiableCredential.find(vc => 
-      vc.type && vc.type.includes('PassportCredential')
-    );
+  async verifySDJWTPresentation(vpToken, session) {
+    console.log('🔐 Verifying SD-JWT VC presentation...');
+
+    if (!looksLikeSDJWT(vpToken)) {
+      return { valid: false, error: 'VP token is not an SD-JWT' };
+    }
+
+    // The key binding JWT plays the role of the mdoc session transcript
+    const verifier = await this.getSDJWTVerifier();
+    const result = await verifier.verifyPresentation(vpToken, {
+      audience: session.clientId,
+      nonce: session.nonce,
+      vct: PASSPORT_VCT
+    });
+    if (!result.valid) {
+      return { valid: false, error: result.error };
+    }
+
+    // Same namespaced shape as mdoc claims, so the disclosure check is shared
+    const claims = groupClaimsByNamespace(result.claims);
+    const missing = findMissingElements(claims, session.itemsRequest);
+    if (missing.length > 0) {
+      return { valid: false, error: `Requested data elements not disclosed: ${missing.join(', ')}` };
+    }
 
-    const subject = passportCredential.credentialSubject;
-    
     return {
-      webId: subject.webId,
-      fullName: `${subject.givenName} ${subject.familyName}`,
-      nationality: subject.nationality,
-      passportNumber: subject.passportNumber,
-      nfcVerified: subject.nfcVerified,
-      verificationLevel: subject.verificationLevel,
-      authenticationMethod: 'passport_vc'
+      valid: true,
+      claims,
+      passportDocument: { vct: result.vct, claims, issuer: result.issuer },
+      status: result.status
     };
   }
 
-  generateAuthToken(userInfo) {
-    // In production, use proper JWT signing
-    const tokenData = {
-      webId: userInfo.webId,
-      fullName: userInfo.fullName,
-      authMethod: 'passport_vc',
-      issuedAt: Date.now(),
-      expiresAt: Date.now() + (24 * 60 * 60 * 1000) // 24 hours
+  extractUserInfo(claims, itemsRequest, format = 'mso_mdoc') {
+    // Only what the holder disclosed is present
+    const identity = claims[CORE_NAMESPACE] || {};
+    const webAuth = claims[WEBAUTH_NAMESPACE];
+
+    // Requested age_over_NN answered from the nearest disclosed attestation
+    const ageOver = resolveAgeOver(claims, itemsRequest);
+    
+    return {
+      webId: webAuth.web_id,
+      fullName: [identity.given_name, identity.family_name].filter(Boolean).join(' ') || undefined,
+      givenName: identity.given_name,
+      familyName: identity.family_name,
+      nationality: identity.nationality,
+      passportNumber: identity.document_number,
+      ...(Object.keys(ageOver).length > 0 && { ageOver: ageOver }),
+      nfcVerified: [VERIFICATION_LEVELS.PASSIVE_AUTHENTICATION, VERIFICATION_LEVELS.CLONE_RESISTANT]
+        .includes(webAuth.passport_verification_level),
+      verificationLevel: webAuth.passport_verification_level,
+      authenticationMethod: format === SD_JWT_VC_FORMAT ? 'passport_sd_jwt_vc' : 'passport_mdoc'
     };
+  }
+
+  async generateAuthToken(userInfo, session) {
+    // The passport number stays out of the token; websites get the web ID and verified attributes
+    const { token } = await this.tokenSigner.sign({
+      name: userInfo.fullName,
+      nationality: userInfo.nationality,
+      nfc_verified: userInfo.nfcVerified,
+      passport_verification_level: userInfo.verificationLevel,
+      auth_method: userInfo.authenticationMethod,
+      ...Object.fromEntries(Object.entries(userInfo.ageOver || {}).map(([age, value]) => [`age_over_${age}`, value])),
+      sid: session.id
+    }, {
+      subject: userInfo.webId,
+      audience: session.website,
+      type: TOKEN_TYPES.AUTH
+    });
 
-    return Buffer.from(JSON.stringify(tokenData)).toString('base64');
+    return token;
   }
 
-  generateQRCodeData(sessionId, presentationRequest) {
-    // Generate QR code data for wallet scanning
-    return {
-      type: 'openid4vp',
-      sessionId: sessionId,
-      presentation_definition: presentationRequest,
-      callback_url: `http://localhost:${this.port}/auth/present`,
-      format: 'mso_mdoc'
+  buildRequestParameters(session) {
+    // OpenID4VP authorization request; the wallet answers with direct_post to response_uri
+    const parameters = {
+      client_id: session.clientId,
+      client_id_scheme: session.clientIdScheme || 'redirect_uri',
+      response_type: 'vp_token',
+      response_mode: 'direct_post',
+      response_uri: session.responseUri,
+      nonce: session.nonce,
+      state: session.state,
+      client_metadata: {
+        client_name: 'Passport Web Authentication',
+        vp_formats: session.format === SD_JWT_VC_FORMAT
+          ? { [SD_JWT_VC_FORMAT]: { 'sd-jwt_alg_values': ['ES256'], 'kb-jwt_alg_values': ['ES256'] } }
+          : { mso_mdoc: { alg: ['ES256'] } }
+      }
     };
+
+    if (session.queryLanguage === 'dcql') {
+      parameters.dcql_query = buildDCQLQuery(session.itemsRequest, session.format);
+    } else {
+      parameters.presentation_definition = {
+        id: session.id,
+        input_descriptors: [buildInputDescriptor(session.itemsRequest, session.format)]
+      };
+    }
+    return parameters;
+  }
+
+  buildAuthorizationRequest(session) {
+    if (X509_CLIENT_ID_SCHEMES.includes(session.clientIdScheme)) {
+      // Only a reference; the wallet fetches the signed request object (JAR)
+      const params = new URLSearchParams({
+        client_id: session.clientId,
+        client_id_scheme: session.clientIdScheme,
+        request_uri: `${this.baseUrl}/auth/request/${session.id}`
+      });
+      return `openid4vp://?${params}`;
+    }
+
+    // Request by value, with JSON parameters serialized
+    const params = new URLSearchParams(Object.entries(this.buildRequestParameters(session)).map(([name, value]) =>
+      [name, typeof value === 'string' ? value : JSON.stringify(value)]));
+    return `openid4vp://?${params}`;
+  }
+
+  async generateQRCode(session) {
+    // PNG data URL of the authorization request for wallets to scan
+    return QRCode.toDataURL(this.buildAuthorizationRequest(session), { errorCorrectionLevel: 'L', margin: 2 });
   }
 
   getAuthPage() {
@@ -360,8 +746,9 @@ class WebAuthService {
         <div id="status"></div>
         <div id="qrCode" class="qr-code" style="display: none;">
             <h3>📱 Scan with your wallet:</h3>
-            <div id="qrCodeData"></div>
-            <p><small>Or use the callback URL directly</small></p>
+            <img id="qrCodeImage" alt="OpenID4VP authorization request" style="max-width: 100%;">
+            <p><a id="walletLink">Open in wallet app on this device</a></p>
+            <p><small><a id="callbackLink" target="_blank">Open callback URL</a></small></p>
         </div>
     </div>
 
@@ -387,9 +774,9 @@ class WebAuthService {
                     document.getElementById('status').innerHTML = 
                         '<div class="success">✅ Authentication session started! Session ID: ' + result.sessionId + '</div>';
                     
-                    document.getElementById('qrCodeData').innerHTML = 
-                        '<pre>' + JSON.stringify(result.qrCode, null, 2) + '</pre>' +
-                        '<p><a href="' + result.callbackUrl + '" target="_blank">Open Callback URL</a></p>';
+                    document.getElementById('qrCodeImage').src = result.qrCode;
+                    document.getElementById('walletLink').href = result.authorizationRequest;
+                    document.getElementById('callbackLink').href = result.callbackUrl;
                     
                     document.getElementById('qrCode').style.display = 'block';
                     
@@ -438,7 +825,7 @@ class WebAuthService {
 </html>`;
   }
 
-  getWaitingPage(sessionId) {
+  getWaitingPage(session, qrCode) {
     return `
 <!DOCTYPE html>
 <html>
@@ -458,7 +845,9 @@ class WebAuthService {
         <h2>🔄 Waiting for Authentication</h2>
         <div class="spinner"></div>
         <p>Please present your passport credential in your wallet app.</p>
-        <p><small>Session: ${sessionId}</small></p>
+        <img src="${qrCode}" alt="OpenID4VP authorization request" style="max-width: 100%;">
+        <p><a href="${this.buildAuthorizationRequest(session).replace(/&/g, '&amp;').replace(/"/g, '&quot;')}">Open in wallet app on this device</a></p>
+        <p><small>Session: ${session.id}</small></p>
     </div>
     
     <script>
@@ -469,7 +858,18 @@ class WebAuthService {
 </html>`;
   }
 
-  start() {
+  async start() {
+    // Signed requests need a verifier certificate; without one every /auth/start would fail
+    if (this.requestObjectSigner) {
+      try {
+        await this.requestObjectSigner.getSigningCredentials();
+      } catch (error) {
+        throw new Error(`Cannot sign ${this.clientIdScheme} request objects: ${error.message}. ` +
+          'For unsigned requests, set VERIFIER_CLIENT_ID_SCHEME=redirect_uri');
+      }
+    }
+
+    this.sessionStore.startSweeper();
     this.app.listen(this.port, () => {
       console.log(`🌐 Web Auth Service running on http://localhost:${this.port}`);
       console.log(`🎫 Ready to authenticate users with passport mDocs!`);
@@ -481,7 +881,10 @@ class WebAuthService {
 if (import.meta.url === `file://${process.argv[1]}`) {
   const port = process.argv[2] || 8080;
   const service = new WebAuthService(port);
-  service.start();
+  service.start().catch(error => {
+    console.error('❌ Could not start Web Auth Service:', error.message);
+    process.exit(1);
+  });
 }
 
 export { WebAuthService };